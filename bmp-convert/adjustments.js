@@ -0,0 +1,310 @@
+// Tone and color adjustments applied before quantization
+// On e-paper most of the output quality comes from the tones going into the
+// ditherer. Every preview, encode and palette job runs these first (see
+// runJob), so the preview shows exactly what gets encoded. Alpha is never
+// changed, and fully transparent pixels don't count towards histograms.
+
+export const DEFAULT_ADJUSTMENTS = {
+  brightness: 0, // -100 to 100
+  contrast: 0, // -100 to 100
+  gamma: 1, // 0.1 to 3; above 1 lightens the midtones
+  saturation: 0, // -100 (grayscale) to 100
+  autoLevels: false, // Stretch the tonal range to full black and white
+  equalize: "none", // "none", "histogram" or "clahe"
+  sharpenAmount: 0, // Unsharp mask strength in percent, 0 to 300
+  sharpenRadius: 1, // Blur radius (Gaussian sigma) in pixels
+  sharpenThreshold: 0, // Smallest difference (0-255) that gets sharpened
+};
+
+// Share of the darkest and of the brightest pixels auto-levels clips, so a
+// few stray pixels don't stop the stretch
+const AUTO_LEVELS_CLIP = 0.005;
+
+// CLAHE equalizes each tile of a grid separately, capping every histogram
+// bin at a multiple of the average so noise in flat areas isn't amplified
+const CLAHE_TILES = 8;
+const CLAHE_CLIP_LIMIT = 2.5;
+
+export function hasAdjustments(adjustments) {
+  if (!adjustments) return false;
+  const a = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  return (
+    a.brightness !== 0 ||
+    a.contrast !== 0 ||
+    a.gamma !== 1 ||
+    a.saturation !== 0 ||
+    a.autoLevels ||
+    a.equalize !== "none" ||
+    a.sharpenAmount > 0
+  );
+}
+
+// Rec. 601 luma, as used for grayscale conversion elsewhere
+function luma(data, i) {
+  return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+}
+
+// Histogram of the luma of the visible pixels in [x0, x1) x [y0, y1)
+function lumaHistogram(data, width, x0, y0, x1, y1) {
+  const histogram = new Float64Array(256);
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] === 0) continue;
+      histogram[Math.round(luma(data, i))]++;
+    }
+  }
+  return histogram;
+}
+
+function histogramTotal(histogram) {
+  let total = 0;
+  for (let v = 0; v < 256; v++) total += histogram[v];
+  return total;
+}
+
+// Map every color channel through a 256-entry lookup table
+function applyLUT(data, lut) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]];
+    data[i + 1] = lut[data[i + 1]];
+    data[i + 2] = lut[data[i + 2]];
+  }
+}
+
+// Move each visible pixel's luma to mapLuma(luma, x, y), shifting all three
+// channels by the same amount so hues stay put
+function remapLuma(data, width, height, mapLuma) {
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] === 0) continue;
+      const value = luma(data, i);
+      const delta = mapLuma(Math.round(value), x, y) - value;
+      data[i] += delta;
+      data[i + 1] += delta;
+      data[i + 2] += delta;
+    }
+  }
+}
+
+// Stretch the luma range, less the clipped extremes, to 0-255; the same
+// mapping is applied to every channel
+function autoLevels(data, width, height) {
+  const histogram = lumaHistogram(data, width, 0, 0, width, height);
+  const clip = histogramTotal(histogram) * AUTO_LEVELS_CLIP;
+
+  let low = 0;
+  let count = histogram[0];
+  while (low < 255 && count <= clip) count += histogram[++low];
+  let high = 255;
+  count = histogram[255];
+  while (high > 0 && count <= clip) count += histogram[--high];
+  if (high <= low) return; // A single tone: nothing to stretch
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lut[v] = Math.round(((v - low) * 255) / (high - low));
+  }
+  applyLUT(data, lut);
+}
+
+// Luma lookup table spreading the histogram's cumulative distribution
+// evenly over 0-255 (identity for an empty or single-tone histogram)
+function equalizationLUT(histogram) {
+  const total = histogramTotal(histogram);
+  let first = 0;
+  while (first < 255 && histogram[first] === 0) first++;
+  const cdfMin = histogram[first];
+
+  const lut = new Float64Array(256);
+  let cdf = 0;
+  for (let v = 0; v < 256; v++) {
+    cdf += histogram[v];
+    lut[v] =
+      total > cdfMin ? (Math.max(0, cdf - cdfMin) * 255) / (total - cdfMin) : v;
+  }
+  return lut;
+}
+
+function equalizeHistogram(data, width, height) {
+  const lut = equalizationLUT(lumaHistogram(data, width, 0, 0, width, height));
+  remapLuma(data, width, height, (value) => lut[value]);
+}
+
+// Cap each bin at clipLimit times the average bin and spread what was cut
+// off evenly over all bins
+function clipHistogram(histogram, clipLimit) {
+  const limit = Math.max(1, (clipLimit * histogramTotal(histogram)) / 256);
+  let excess = 0;
+  for (let v = 0; v < 256; v++) {
+    if (histogram[v] > limit) {
+      excess += histogram[v] - limit;
+      histogram[v] = limit;
+    }
+  }
+  for (let v = 0; v < 256; v++) histogram[v] += excess / 256;
+}
+
+// Contrast-limited adaptive histogram equalization: one equalization per
+// tile, blended bilinearly between tile centers so no seams show
+function equalizeCLAHE(data, width, height) {
+  const tilesX = Math.min(CLAHE_TILES, width);
+  const tilesY = Math.min(CLAHE_TILES, height);
+  const tileWidth = width / tilesX;
+  const tileHeight = height / tilesY;
+
+  const luts = [];
+  for (let ty = 0; ty < tilesY; ty++) {
+    for (let tx = 0; tx < tilesX; tx++) {
+      const histogram = lumaHistogram(
+        data,
+        width,
+        Math.floor(tx * tileWidth),
+        Math.floor(ty * tileHeight),
+        Math.floor((tx + 1) * tileWidth),
+        Math.floor((ty + 1) * tileHeight)
+      );
+      clipHistogram(histogram, CLAHE_CLIP_LIMIT);
+      luts.push(equalizationLUT(histogram));
+    }
+  }
+
+  // The two tiles whose centers surround a coordinate, and the weight of
+  // the second
+  const neighbors = (position, tileSize, tiles) => {
+    const grid = (position + 0.5) / tileSize - 0.5;
+    const first = Math.min(tiles - 1, Math.max(0, Math.floor(grid)));
+    const second = Math.min(tiles - 1, first + 1);
+    return [first, second, Math.min(1, Math.max(0, grid - first))];
+  };
+
+  remapLuma(data, width, height, (value, x, y) => {
+    const [x0, x1, fx] = neighbors(x, tileWidth, tilesX);
+    const [y0, y1, fy] = neighbors(y, tileHeight, tilesY);
+    const top =
+      luts[y0 * tilesX + x0][value] * (1 - fx) +
+      luts[y0 * tilesX + x1][value] * fx;
+    const bottom =
+      luts[y1 * tilesX + x0][value] * (1 - fx) +
+      luts[y1 * tilesX + x1][value] * fx;
+    return top * (1 - fy) + bottom * fy;
+  });
+}
+
+// Brightness, contrast and gamma combined into one per-channel table
+function toneLUT({ brightness, contrast, gamma }) {
+  const offset = brightness * 2.55;
+  // The usual contrast correction factor: 0 at -100, 1 at 0, ~130 at 100
+  const c = contrast * 2.55;
+  const factor = (259 * (c + 255)) / (255 * (259 - c));
+
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    const adjusted = factor * (v + offset - 128) + 128;
+    const clamped = Math.min(255, Math.max(0, adjusted));
+    lut[v] = Math.round(255 * Math.pow(clamped / 255, 1 / gamma));
+  }
+  return lut;
+}
+
+// Scale each pixel's distance from its own gray by factor (0 is grayscale)
+function saturate(data, factor) {
+  for (let i = 0; i < data.length; i += 4) {
+    const gray = luma(data, i);
+    data[i] = gray + (data[i] - gray) * factor;
+    data[i + 1] = gray + (data[i + 1] - gray) * factor;
+    data[i + 2] = gray + (data[i + 2] - gray) * factor;
+  }
+}
+
+// Separable Gaussian blur of the color channels, clamping at the edges
+function gaussianBlur(data, width, height, sigma) {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = [];
+  let sum = 0;
+  for (let k = -radius; k <= radius; k++) {
+    const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+    kernel.push(weight);
+    sum += weight;
+  }
+  for (let k = 0; k < kernel.length; k++) kernel[k] /= sum;
+
+  const pass = (source, horizontal) => {
+    const output = new Float32Array(source.length);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        for (let k = -radius; k <= radius; k++) {
+          const sx = horizontal ? Math.min(width - 1, Math.max(0, x + k)) : x;
+          const sy = horizontal ? y : Math.min(height - 1, Math.max(0, y + k));
+          const i = (sy * width + sx) * 4;
+          const weight = kernel[k + radius];
+          r += source[i] * weight;
+          g += source[i + 1] * weight;
+          b += source[i + 2] * weight;
+        }
+        const o = (y * width + x) * 4;
+        output[o] = r;
+        output[o + 1] = g;
+        output[o + 2] = b;
+      }
+    }
+    return output;
+  };
+
+  return pass(pass(data, true), false);
+}
+
+// Unsharp mask: push each channel away from a blurred copy of the image,
+// wherever the two differ by at least the threshold
+function unsharpMask(data, width, height, { amount, radius, threshold }) {
+  const blurred = gaussianBlur(data, width, height, radius);
+  const strength = amount / 100;
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = i; c < i + 3; c++) {
+      const difference = data[c] - blurred[c];
+      if (Math.abs(difference) >= threshold) {
+        data[c] = data[c] + difference * strength;
+      }
+    }
+  }
+}
+
+// Apply adjustments (any subset of DEFAULT_ADJUSTMENTS) to ImageData, in
+// the order auto-levels, equalization, brightness/contrast/gamma,
+// saturation, sharpening; returns new pixel data (or imageData itself when
+// nothing is adjusted)
+export function applyAdjustments(imageData, adjustments) {
+  if (!hasAdjustments(adjustments)) return imageData;
+
+  const a = { ...DEFAULT_ADJUSTMENTS, ...adjustments };
+  const { width, height } = imageData;
+  const data = new Uint8ClampedArray(imageData.data);
+
+  if (a.autoLevels) {
+    autoLevels(data, width, height);
+  }
+  if (a.equalize === "histogram") {
+    equalizeHistogram(data, width, height);
+  } else if (a.equalize === "clahe") {
+    equalizeCLAHE(data, width, height);
+  }
+  if (a.brightness !== 0 || a.contrast !== 0 || a.gamma !== 1) {
+    applyLUT(data, toneLUT(a));
+  }
+  if (a.saturation !== 0) {
+    saturate(data, 1 + a.saturation / 100);
+  }
+  if (a.sharpenAmount > 0 && a.sharpenRadius > 0) {
+    unsharpMask(data, width, height, {
+      amount: a.sharpenAmount,
+      radius: a.sharpenRadius,
+      threshold: a.sharpenThreshold,
+    });
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,87 @@
+// Batch conversion helpers: gathering dropped files and folders, and naming
+// the converted files inside the ZIP download
+
+// Read every entry of a dropped directory (readEntries returns them in
+// chunks until it returns an empty list)
+function readDirectory(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  return new Promise((resolve, reject) => {
+    const readChunk = () => {
+      reader.readEntries((chunk) => {
+        if (chunk.length === 0) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...chunk);
+        readChunk();
+      }, reject);
+    };
+    readChunk();
+  });
+}
+
+async function collectEntry(entry, files) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      entry.file(resolve, reject)
+    );
+    files.push({ file, path: entry.fullPath.replace(/^\/+/, "") });
+  } else if (entry.isDirectory) {
+    for (const child of await readDirectory(entry)) {
+      await collectEntry(child, files);
+    }
+  }
+}
+
+// Files from a drop, descending into dropped folders: [{ file, path }]
+// where path keeps the folder structure ("wallpapers/beach.png")
+export async function collectDroppedFiles(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .filter((item) => item.kind === "file")
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  // No entry API: plain files only
+  if (entries.length === 0) {
+    return Array.from(dataTransfer.files, (file) => ({
+      file,
+      path: file.name,
+    }));
+  }
+
+  const files = [];
+  for (const entry of entries) {
+    await collectEntry(entry, files);
+  }
+  return files;
+}
+
+// Files picked with a file or folder input: [{ file, path }]
+export function collectInputFiles(fileList) {
+  return Array.from(fileList, (file) => ({
+    file,
+    path: file.webkitRelativePath || file.name,
+  }));
+}
+
+// ZIP path for a converted file: the input path with a .bmp extension,
+// stripped of anything that could escape the archive root, and made unique
+// among usedPaths (which it is added to)
+export function outputPath(path, usedPaths) {
+  const segments = path
+    .split(/[\\/]+/)
+    .filter((segment) => segment !== "" && segment !== "." && segment !== "..")
+    .map((segment) => segment.replace(/[\x00-\x1f<>:"|?*]/g, "_"));
+  const fileName = segments.pop() || "converted";
+  const baseName = fileName.replace(/\.[^.]+$/, "") || "converted";
+  const folder = segments.length > 0 ? segments.join("/") + "/" : "";
+
+  let candidate = `${folder}${baseName}.bmp`;
+  for (let n = 2; usedPaths.has(candidate.toLowerCase()); n++) {
+    candidate = `${folder}${baseName} (${n}).bmp`;
+  }
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+}
@@ -0,0 +1,148 @@
+// Fast nearest palette color lookup
+// RGB space is split into 16x16x16 cells. The first time a color from a cell
+// is looked up, the palette is pruned to the few entries that could be the
+// nearest match for any color in that cell (a lazily built inverse colormap);
+// later lookups in the cell only compare against those candidates. A small
+// direct-mapped cache answers exact repeats without searching at all.
+
+// Weights based on human eye sensitivity (green is more noticeable)
+// Approximate perceptual weights: R=0.3, G=0.59, B=0.11 (luminance weights)
+const WEIGHT_R = 0.3;
+const WEIGHT_G = 0.59;
+const WEIGHT_B = 0.11;
+
+const CELL_BITS = 4; // Cells are 16 values wide per channel
+const CELL_SIZE = 1 << CELL_BITS;
+const CELLS_PER_AXIS = 256 >> CELL_BITS;
+
+// 65536 cache slots, hashed from the 24-bit color
+const CACHE_SIZE = 1 << 16;
+
+// Simplified perceptual distance (faster approximation)
+// Uses weighted RGB distance that approximates perceptual difference
+export function perceptualDistance(r1, g1, b1, r2, g2, b2) {
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return Math.sqrt(
+    WEIGHT_R * dr * dr + WEIGHT_G * dg * dg + WEIGHT_B * db * db
+  );
+}
+
+// Reference linear search - the lowest index wins ties
+// Kept for tests and benchmarks; the index below returns identical results
+export function findClosestColorLinear(colorArray, r, g, b) {
+  let minDist = Infinity;
+  let bestIndex = 0;
+
+  for (let i = 0; i < colorArray.length; i++) {
+    const { r: pr, g: pg, b: pb } = colorArray[i];
+    const dist = perceptualDistance(r, g, b, pr, pg, pb);
+
+    if (dist < minDist) {
+      minDist = dist;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+// Squared distance from a palette channel value to the range [lo, hi]:
+// nearest point (min) and farthest point (max)
+function minAxisDistance(value, lo, hi) {
+  const d = value < lo ? lo - value : value > hi ? value - hi : 0;
+  return d * d;
+}
+
+function maxAxisDistance(value, lo, hi) {
+  const d = Math.max(Math.abs(value - lo), Math.abs(value - hi));
+  return d * d;
+}
+
+// Create a findClosestColor(r, g, b) function for a palette
+// r, g, b must be integers 0-255. Matches findClosestColorLinear exactly,
+// including tie-breaking, so previews and encoded files stay pixel-identical
+export function createNearestColorIndex(colorArray) {
+  const count = colorArray.length;
+  const paletteR = new Float64Array(count);
+  const paletteG = new Float64Array(count);
+  const paletteB = new Float64Array(count);
+  colorArray.forEach(({ r, g, b }, i) => {
+    paletteR[i] = r;
+    paletteG[i] = g;
+    paletteB[i] = b;
+  });
+
+  const cells = new Array(CELLS_PER_AXIS ** 3).fill(null);
+  const cacheKeys = new Int32Array(CACHE_SIZE).fill(-1);
+  const cacheValues = new Uint16Array(CACHE_SIZE);
+
+  // Palette entries that can be nearest to some color in the cell: every
+  // entry whose closest possible distance is within the smallest worst case
+  const buildCell = (cellR, cellG, cellB) => {
+    const rLo = cellR << CELL_BITS;
+    const gLo = cellG << CELL_BITS;
+    const bLo = cellB << CELL_BITS;
+    const rHi = rLo + CELL_SIZE - 1;
+    const gHi = gLo + CELL_SIZE - 1;
+    const bHi = bLo + CELL_SIZE - 1;
+
+    const minDists = new Float64Array(count);
+    let bound = Infinity;
+    for (let i = 0; i < count; i++) {
+      minDists[i] =
+        WEIGHT_R * minAxisDistance(paletteR[i], rLo, rHi) +
+        WEIGHT_G * minAxisDistance(paletteG[i], gLo, gHi) +
+        WEIGHT_B * minAxisDistance(paletteB[i], bLo, bHi);
+      const maxDist =
+        WEIGHT_R * maxAxisDistance(paletteR[i], rLo, rHi) +
+        WEIGHT_G * maxAxisDistance(paletteG[i], gLo, gHi) +
+        WEIGHT_B * maxAxisDistance(paletteB[i], bLo, bHi);
+      bound = Math.min(bound, maxDist);
+    }
+
+    // Kept in index order so the first strictly closer entry wins ties
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      if (minDists[i] <= bound) candidates.push(i);
+    }
+    return Uint16Array.from(candidates);
+  };
+
+  return function findClosestColor(r, g, b) {
+    const key = (r << 16) | (g << 8) | b;
+    const slot = Math.imul(key, 0x9e3779b1) >>> 16;
+    if (cacheKeys[slot] === key) {
+      return cacheValues[slot];
+    }
+
+    const cellR = r >> CELL_BITS;
+    const cellG = g >> CELL_BITS;
+    const cellB = b >> CELL_BITS;
+    const cellIndex = (cellR * CELLS_PER_AXIS + cellG) * CELLS_PER_AXIS + cellB;
+    let candidates = cells[cellIndex];
+    if (!candidates) {
+      candidates = cells[cellIndex] = buildCell(cellR, cellG, cellB);
+    }
+
+    let minDist = Infinity;
+    let bestIndex = 0;
+    for (let c = 0; c < candidates.length; c++) {
+      const i = candidates[c];
+      const dr = r - paletteR[i];
+      const dg = g - paletteG[i];
+      const db = b - paletteB[i];
+      // Squared distance orders candidates the same way as perceptualDistance
+      const dist = WEIGHT_R * dr * dr + WEIGHT_G * dg * dg + WEIGHT_B * db * db;
+      if (dist < minDist) {
+        minDist = dist;
+        bestIndex = i;
+      }
+    }
+
+    cacheKeys[slot] = key;
+    cacheValues[slot] = bestIndex;
+    return bestIndex;
+  };
+}
@@ -0,0 +1,96 @@
+// Original/converted comparison: view geometry and the difference heatmap
+// Both images share one view transform - scale is view pixels per image
+// pixel and the offset is where the image's top-left corner sits in the
+// view - so zooming or panning one side moves the other with it.
+
+// Pixel-peeping zoom levels (nearest-neighbour, one image pixel becomes
+// scale x scale view pixels)
+export const COMPARE_ZOOM_LEVELS = [1, 2, 4, 8];
+
+// Heatmap colors from no difference to the largest one
+const HEAT_STOPS = [
+  [0, 0, 0],
+  [80, 0, 140],
+  [220, 30, 60],
+  [255, 170, 0],
+  [255, 255, 255],
+];
+
+// Scale showing the whole image in the view, never enlarging it
+export function fitScale(imageWidth, imageHeight, viewWidth, viewHeight) {
+  return Math.min(1, viewWidth / imageWidth, viewHeight / imageHeight);
+}
+
+// Offset along one axis that keeps the image in view: centered while it is
+// smaller than the view, otherwise leaving no empty space at either end
+export function clampOffset(offset, imageSize, scale, viewSize) {
+  const size = imageSize * scale;
+  if (size <= viewSize) {
+    return (viewSize - size) / 2;
+  }
+  return Math.min(0, Math.max(viewSize - size, offset));
+}
+
+// Offset after zooming from scale to newScale, keeping the image point
+// under anchor (a view coordinate) where it is
+export function zoomOffset(offset, scale, newScale, anchor) {
+  return anchor - ((anchor - offset) * newScale) / scale;
+}
+
+// The next zoom level in (direction 1) or out (-1) from scale, where the
+// fit scale is the furthest out
+export function stepZoom(scale, direction, fit) {
+  const levels = [fit, ...COMPARE_ZOOM_LEVELS.filter((level) => level > fit)];
+  if (direction > 0) {
+    return levels.find((level) => level > scale) ?? levels[levels.length - 1];
+  }
+  return levels.reverse().find((level) => level < scale) ?? fit;
+}
+
+function heatColor(t) {
+  const position = t * (HEAT_STOPS.length - 1);
+  const index = Math.min(HEAT_STOPS.length - 2, Math.floor(position));
+  const f = position - index;
+  const [from, to] = [HEAT_STOPS[index], HEAT_STOPS[index + 1]];
+  return from.map((value, c) => value + (to[c] - value) * f);
+}
+
+// Heatmap of how far each converted pixel is from the original (same size
+// ImageData). Colors are premultiplied by alpha first, so differences in
+// fully transparent areas don't count. Returns { imageData, meanDifference }
+// with the mean as a fraction of the largest possible difference.
+export function differenceHeatmap(original, converted) {
+  const { width, height } = original;
+  if (converted.width !== width || converted.height !== height) {
+    throw new Error("Images must be the same size to compare");
+  }
+
+  const a = original.data;
+  const b = converted.data;
+  const data = new Uint8ClampedArray(a.length);
+  const maxDistance = 510; // All four channels off by 255
+  let total = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    let sum = 0;
+    for (let c = 0; c < 3; c++) {
+      const d = (a[i + c] * a[i + 3] - b[i + c] * b[i + 3]) / 255;
+      sum += d * d;
+    }
+    const alpha = a[i + 3] - b[i + 3];
+    const difference = Math.sqrt(sum + alpha * alpha) / maxDistance;
+    total += difference;
+
+    // Square root, so the small errors dithering makes still show
+    const color = heatColor(Math.sqrt(difference));
+    data[i] = color[0];
+    data[i + 1] = color[1];
+    data[i + 2] = color[2];
+    data[i + 3] = 255;
+  }
+
+  return {
+    imageData: new ImageData(data, width, height),
+    meanDifference: width * height > 0 ? total / (width * height) : 0,
+  };
+}
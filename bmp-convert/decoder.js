@@ -0,0 +1,348 @@
+// BMP decoding functions - parses BMP files back into ImageData
+
+// Compression types (biCompression)
+const BI_RGB = 0;
+const BI_RLE8 = 1;
+const BI_RLE4 = 2;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+
+const COMPRESSION_NAMES = {
+  0: "BI_RGB",
+  1: "BI_RLE8",
+  2: "BI_RLE4",
+  3: "BI_BITFIELDS",
+  4: "BI_JPEG",
+  5: "BI_PNG",
+  6: "BI_ALPHABITFIELDS",
+};
+
+// Same limit the UI enforces for any image it loads
+const MAX_DIMENSION = 10000;
+
+// Default channel masks when a 16/32-bit file doesn't specify BI_BITFIELDS
+const DEFAULT_MASKS = {
+  16: { red: 0x7c00, green: 0x03e0, blue: 0x001f, alpha: 0 },
+  32: { red: 0x00ff0000, green: 0x0000ff00, blue: 0x000000ff, alpha: 0 },
+};
+
+// Parse the file header and DIB header (BITMAPCOREHEADER, BITMAPINFOHEADER
+// and its V2-V5 extensions) without touching the pixel data
+export function parseBMPHeader(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+
+  if (
+    view.byteLength < 26 ||
+    view.getUint8(0) !== 0x42 ||
+    view.getUint8(1) !== 0x4d
+  ) {
+    throw new Error("Not a BMP file (missing 'BM' signature)");
+  }
+
+  const header = {
+    fileSize: view.getUint32(2, true),
+    pixelDataOffset: view.getUint32(10, true),
+    dibHeaderSize: view.getUint32(14, true),
+  };
+
+  if (header.dibHeaderSize === 12) {
+    // OS/2 BITMAPCOREHEADER: 16-bit dimensions, always bottom-up, no compression
+    header.width = view.getUint16(18, true);
+    header.height = view.getInt16(20, true);
+    header.planes = view.getUint16(22, true);
+    header.bitsPerPixel = view.getUint16(24, true);
+    header.compression = BI_RGB;
+    header.imageSize = 0;
+    header.xPixelsPerMeter = 0;
+    header.yPixelsPerMeter = 0;
+    header.colorsUsed = 0;
+    header.importantColors = 0;
+  } else if (header.dibHeaderSize >= 40) {
+    if (view.byteLength < 14 + 40) {
+      throw new Error("BMP file is truncated (incomplete DIB header)");
+    }
+    header.width = view.getInt32(18, true);
+    header.height = view.getInt32(22, true);
+    header.planes = view.getUint16(26, true);
+    header.bitsPerPixel = view.getUint16(28, true);
+    header.compression = view.getUint32(30, true);
+    header.imageSize = view.getUint32(34, true);
+    header.xPixelsPerMeter = view.getInt32(38, true);
+    header.yPixelsPerMeter = view.getInt32(42, true);
+    header.colorsUsed = view.getUint32(46, true);
+    header.importantColors = view.getUint32(50, true);
+  } else {
+    throw new Error(`Unsupported DIB header size: ${header.dibHeaderSize}`);
+  }
+
+  header.compressionName =
+    COMPRESSION_NAMES[header.compression] || `Unknown (${header.compression})`;
+
+  // Negative height means rows are stored top-down
+  header.topDown = header.height < 0;
+  header.height = Math.abs(header.height);
+
+  // Channel masks live at offset 54 both in V2+ headers and when they
+  // trail a plain 40-byte BITMAPINFOHEADER
+  const hasBitfields =
+    header.compression === BI_BITFIELDS ||
+    header.compression === BI_ALPHABITFIELDS;
+  let maskBytes = 0;
+  if (hasBitfields) {
+    const hasAlphaMask =
+      header.dibHeaderSize >= 56 || header.compression === BI_ALPHABITFIELDS;
+    if (view.byteLength < 54 + (hasAlphaMask ? 16 : 12)) {
+      throw new Error("BMP file is truncated (missing channel masks)");
+    }
+    header.masks = {
+      red: view.getUint32(54, true),
+      green: view.getUint32(58, true),
+      blue: view.getUint32(62, true),
+      alpha: hasAlphaMask ? view.getUint32(66, true) : 0,
+    };
+    if (header.dibHeaderSize === 40) {
+      maskBytes = hasAlphaMask ? 16 : 12;
+    }
+  } else {
+    header.masks = DEFAULT_MASKS[header.bitsPerPixel] || null;
+  }
+
+  // Color table follows the DIB header (and any trailing masks)
+  header.paletteOffset = 14 + header.dibHeaderSize + maskBytes;
+  header.paletteEntrySize = header.dibHeaderSize === 12 ? 3 : 4;
+  header.paletteCount =
+    header.bitsPerPixel <= 8
+      ? header.colorsUsed || 1 << header.bitsPerPixel
+      : header.colorsUsed;
+
+  header.rowSize =
+    Math.floor((header.bitsPerPixel * header.width + 31) / 32) * 4;
+
+  return header;
+}
+
+// Read the color table as [{ r, g, b }]
+export function readPalette(view, header) {
+  const palette = [];
+  for (let i = 0; i < header.paletteCount; i++) {
+    const offset = header.paletteOffset + i * header.paletteEntrySize;
+    if (offset + 3 > header.pixelDataOffset || offset + 3 > view.byteLength) {
+      break; // Palette shorter than declared
+    }
+    palette.push({
+      b: view.getUint8(offset),
+      g: view.getUint8(offset + 1),
+      r: view.getUint8(offset + 2),
+    });
+  }
+  return palette;
+}
+
+// Describe a channel mask as shift + bit count for extraction
+function describeMask(mask) {
+  if (!mask) return null;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  let bits = 0;
+  while (shift + bits < 32 && ((mask >>> (shift + bits)) & 1) === 1) bits++;
+  return { mask, shift, bits };
+}
+
+// Extract a channel from a packed pixel and scale it to 0-255
+// Narrow channels are expanded by bit replication (5-bit 31 -> 255)
+function readChannel(pixel, channel) {
+  const value = ((pixel & channel.mask) >>> 0) >>> channel.shift;
+  if (channel.bits >= 8) {
+    return value >>> (channel.bits - 8);
+  }
+  let result = value;
+  let filled = channel.bits;
+  while (filled < 8) {
+    result = (result << channel.bits) | value;
+    filled += channel.bits;
+  }
+  return result >> (filled - 8);
+}
+
+function validateDimensions(header) {
+  if (header.width <= 0 || header.height <= 0) {
+    throw new Error(
+      `Invalid BMP dimensions: ${header.width} × ${header.height}`
+    );
+  }
+  if (header.width > MAX_DIMENSION || header.height > MAX_DIMENSION) {
+    throw new Error(
+      `BMP dimensions too large. Maximum is ${MAX_DIMENSION}px on any side.`
+    );
+  }
+}
+
+// Decode a BMP file (ArrayBuffer) into ImageData
+// Supports 1/2/4/8-bit palettized (incl. RLE4/RLE8), 16/24/32-bit,
+// BI_BITFIELDS / BI_ALPHABITFIELDS masks, and top-down or bottom-up rows
+export function decodeBMP(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const header = parseBMPHeader(arrayBuffer);
+  validateDimensions(header);
+
+  const { width, height, bitsPerPixel, compression } = header;
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  // Map the n-th row stored in the file to its row in the image
+  const imageRow = (fileRow) =>
+    header.topDown ? fileRow : height - 1 - fileRow;
+
+  if (compression === BI_RLE8 || compression === BI_RLE4) {
+    if (bitsPerPixel !== (compression === BI_RLE8 ? 8 : 4)) {
+      throw new Error(
+        `${header.compressionName} requires ${
+          compression === BI_RLE8 ? 8 : 4
+        }-bit pixels, got ${bitsPerPixel}-bit`
+      );
+    }
+    decodeRLE(view, header, readPalette(view, header), data, imageRow);
+    return new ImageData(data, width, height);
+  }
+
+  if (
+    compression !== BI_RGB &&
+    compression !== BI_BITFIELDS &&
+    compression !== BI_ALPHABITFIELDS
+  ) {
+    throw new Error(`Unsupported BMP compression: ${header.compressionName}`);
+  }
+
+  if (header.pixelDataOffset + header.rowSize * height > view.byteLength) {
+    throw new Error("BMP file is truncated (incomplete pixel data)");
+  }
+
+  if ([1, 2, 4, 8].includes(bitsPerPixel)) {
+    const palette = readPalette(view, header);
+    const indexMask = (1 << bitsPerPixel) - 1;
+
+    for (let fileRow = 0; fileRow < height; fileRow++) {
+      const rowStart = header.pixelDataOffset + fileRow * header.rowSize;
+      const y = imageRow(fileRow);
+      for (let x = 0; x < width; x++) {
+        const bitOffset = x * bitsPerPixel;
+        const byte = view.getUint8(rowStart + (bitOffset >> 3));
+        const index =
+          (byte >> (8 - bitsPerPixel - (bitOffset & 7))) & indexMask;
+        const color = palette[index] || { r: 0, g: 0, b: 0 };
+        const i = (y * width + x) * 4;
+        data[i] = color.r;
+        data[i + 1] = color.g;
+        data[i + 2] = color.b;
+        data[i + 3] = 255;
+      }
+    }
+  } else if (bitsPerPixel === 24) {
+    for (let fileRow = 0; fileRow < height; fileRow++) {
+      const rowStart = header.pixelDataOffset + fileRow * header.rowSize;
+      const y = imageRow(fileRow);
+      for (let x = 0; x < width; x++) {
+        const offset = rowStart + x * 3;
+        const i = (y * width + x) * 4;
+        data[i] = view.getUint8(offset + 2); // Red
+        data[i + 1] = view.getUint8(offset + 1); // Green
+        data[i + 2] = view.getUint8(offset); // Blue
+        data[i + 3] = 255;
+      }
+    }
+  } else if (bitsPerPixel === 16 || bitsPerPixel === 32) {
+    const red = describeMask(header.masks.red);
+    const green = describeMask(header.masks.green);
+    const blue = describeMask(header.masks.blue);
+    const alpha = describeMask(header.masks.alpha);
+
+    for (let fileRow = 0; fileRow < height; fileRow++) {
+      const rowStart = header.pixelDataOffset + fileRow * header.rowSize;
+      const y = imageRow(fileRow);
+      for (let x = 0; x < width; x++) {
+        const pixel =
+          bitsPerPixel === 16
+            ? view.getUint16(rowStart + x * 2, true)
+            : view.getUint32(rowStart + x * 4, true);
+        const i = (y * width + x) * 4;
+        data[i] = red ? readChannel(pixel, red) : 0;
+        data[i + 1] = green ? readChannel(pixel, green) : 0;
+        data[i + 2] = blue ? readChannel(pixel, blue) : 0;
+        data[i + 3] = alpha ? readChannel(pixel, alpha) : 255;
+      }
+    }
+  } else {
+    throw new Error(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+  }
+
+  return new ImageData(data, width, height);
+}
+
+// Decode BI_RLE8 / BI_RLE4 pixel data
+// Pixels skipped by delta or early end-of-line escapes stay transparent
+function decodeRLE(view, header, palette, data, imageRow) {
+  const { width, height, bitsPerPixel } = header;
+  const end = Math.min(
+    view.byteLength,
+    header.imageSize
+      ? header.pixelDataOffset + header.imageSize
+      : view.byteLength
+  );
+  let offset = header.pixelDataOffset;
+  let x = 0;
+  let fileRow = 0;
+
+  const setPixel = (index) => {
+    if (x < width && fileRow < height) {
+      const color = palette[index] || { r: 0, g: 0, b: 0 };
+      const i = (imageRow(fileRow) * width + x) * 4;
+      data[i] = color.r;
+      data[i + 1] = color.g;
+      data[i + 2] = color.b;
+      data[i + 3] = 255;
+    }
+    x++;
+  };
+
+  while (offset + 1 < end) {
+    const count = view.getUint8(offset++);
+    const value = view.getUint8(offset++);
+
+    if (count > 0) {
+      // Encoded mode: repeat the index (RLE4 alternates two nibbles)
+      for (let i = 0; i < count; i++) {
+        if (bitsPerPixel === 8) {
+          setPixel(value);
+        } else {
+          setPixel(i % 2 === 0 ? value >> 4 : value & 0xf);
+        }
+      }
+    } else if (value === 0) {
+      // End of line
+      x = 0;
+      fileRow++;
+    } else if (value === 1) {
+      // End of bitmap
+      return;
+    } else if (value === 2) {
+      // Delta: move right and down (in file order)
+      if (offset + 1 >= end) break;
+      x += view.getUint8(offset++);
+      fileRow += view.getUint8(offset++);
+    } else {
+      // Absolute mode: literal indices, padded to a 16-bit boundary
+      const byteCount = bitsPerPixel === 8 ? value : Math.ceil(value / 2);
+      if (offset + byteCount > end) break;
+      for (let i = 0; i < value; i++) {
+        if (bitsPerPixel === 8) {
+          setPixel(view.getUint8(offset + i));
+        } else {
+          const byte = view.getUint8(offset + (i >> 1));
+          setPixel(i % 2 === 0 ? byte >> 4 : byte & 0xf);
+        }
+      }
+      offset += byteCount + (byteCount % 2);
+    }
+  }
+
+  throw new Error("BMP file is truncated (RLE data has no end-of-bitmap)");
+}
@@ -0,0 +1,232 @@
+// Device profile registry: target displays and the BMP output they expect
+// A profile is { id, name, width, height, orientation, bitDepths, palette,
+// rowOrder }. bitDepths lists the bit depths the device can read (best
+// first), palette names a recommended e-paper preset (or null for an
+// adaptive palette) and rowOrder is "top-down" or "bottom-up".
+// Custom profiles are kept in localStorage next to the built-in ones.
+
+export const BUILT_IN_PROFILES = [
+  {
+    id: "xteink-x4",
+    name: "Xteink X4",
+    width: 480,
+    height: 800,
+    orientation: "portrait",
+    // Reads every depth the converter writes; 24-bit is the default
+    bitDepths: [24, 32, 16, 8, 4, 1],
+    palette: null,
+    rowOrder: "top-down",
+  },
+  {
+    id: "waveshare-2in13",
+    name: 'Waveshare 2.13" B/W',
+    width: 250,
+    height: 122,
+    orientation: "landscape",
+    bitDepths: [1],
+    palette: "bw",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-4in2",
+    name: 'Waveshare 4.2" B/W',
+    width: 400,
+    height: 300,
+    orientation: "landscape",
+    bitDepths: [1],
+    palette: "bw",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-7in5",
+    name: 'Waveshare 7.5" B/W',
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    bitDepths: [1],
+    palette: "bw",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-7in5-b",
+    name: 'Waveshare 7.5" B/W/Red',
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    bitDepths: [4],
+    palette: "bwr",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-5in65f",
+    name: 'Waveshare 5.65" 7-color ACeP',
+    width: 600,
+    height: 448,
+    orientation: "landscape",
+    bitDepths: [4],
+    palette: "acep",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-7in3f",
+    name: 'Waveshare 7.3" 7-color ACeP',
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    bitDepths: [4],
+    palette: "acep",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "waveshare-7in3e",
+    name: 'Waveshare 7.3" Spectra 6',
+    width: 800,
+    height: 480,
+    orientation: "landscape",
+    bitDepths: [4],
+    palette: "spectra6",
+    rowOrder: "bottom-up",
+  },
+  {
+    id: "inkplate-6",
+    name: "Inkplate 6",
+    width: 800,
+    height: 600,
+    orientation: "landscape",
+    bitDepths: [4, 1],
+    palette: null,
+    rowOrder: "top-down",
+  },
+  {
+    id: "kindle-paperwhite",
+    name: "Kindle Paperwhite (3rd gen)",
+    width: 1072,
+    height: 1448,
+    orientation: "portrait",
+    bitDepths: [8, 4],
+    palette: null,
+    rowOrder: "top-down",
+  },
+];
+
+export const DEFAULT_PROFILE_ID = "xteink-x4";
+
+const STORAGE_KEY = "bmp-convert.deviceProfiles";
+const SUPPORTED_BIT_DEPTHS = [32, 24, 16, 8, 4, 1];
+const MAX_DIMENSION = 10000;
+
+// Check a profile and fill in derived fields; throws on invalid input
+export function normalizeProfile(profile) {
+  const name = String(profile.name || "").trim();
+  if (!name) {
+    throw new Error("Profile needs a name");
+  }
+  const id = profile.id || `custom-${slugify(name)}`;
+  if (id === "custom-") {
+    throw new Error("Profile name needs at least one letter or digit");
+  }
+
+  const width = Number(profile.width);
+  const height = Number(profile.height);
+  for (const [label, value] of [
+    ["Width", width],
+    ["Height", height],
+  ]) {
+    if (!Number.isInteger(value) || value <= 0 || value > MAX_DIMENSION) {
+      throw new Error(`${label} must be a whole number from 1 to 10000`);
+    }
+  }
+
+  const bitDepths = (profile.bitDepths || SUPPORTED_BIT_DEPTHS).filter(
+    (depth) => SUPPORTED_BIT_DEPTHS.includes(depth)
+  );
+  if (bitDepths.length === 0) {
+    throw new Error("Profile needs at least one supported bit depth");
+  }
+
+  return {
+    id,
+    name,
+    width,
+    height,
+    orientation: height >= width ? "portrait" : "landscape",
+    bitDepths,
+    palette: profile.palette || null,
+    rowOrder: profile.rowOrder === "bottom-up" ? "bottom-up" : "top-down",
+    custom: Boolean(profile.custom),
+  };
+}
+
+function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+// Saved custom profiles; unreadable or invalid entries are skipped
+export function loadCustomProfiles(storage = globalThis.localStorage) {
+  let stored;
+  try {
+    stored = JSON.parse(storage?.getItem(STORAGE_KEY) || "[]");
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(stored)) return [];
+
+  const profiles = [];
+  for (const profile of stored) {
+    try {
+      profiles.push(normalizeProfile({ ...profile, custom: true }));
+    } catch (error) {
+      // Skip entries saved by an older or hand-edited version
+    }
+  }
+  return profiles;
+}
+
+// Save a custom profile (replacing one saved under the same name) and
+// return it normalized. The id always comes from the name; a name that
+// only differs in case or punctuation from a saved one is refused.
+export function saveCustomProfile(profile, storage = globalThis.localStorage) {
+  const saved = normalizeProfile({ ...profile, id: null, custom: true });
+  const stored = loadCustomProfiles(storage);
+  const clash = stored.find(
+    (existing) => existing.id === saved.id && existing.name !== saved.name
+  );
+  if (clash) {
+    throw new Error(`Name is too close to the saved profile "${clash.name}"`);
+  }
+
+  const profiles = stored.filter((existing) => existing.id !== saved.id);
+  profiles.push(saved);
+  storage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+  return saved;
+}
+
+export function deleteCustomProfile(id, storage = globalThis.localStorage) {
+  const profiles = loadCustomProfiles(storage).filter(
+    (profile) => profile.id !== id
+  );
+  storage.setItem(STORAGE_KEY, JSON.stringify(profiles));
+}
+
+// Built-in profiles followed by the saved custom ones
+export function getAllProfiles(storage = globalThis.localStorage) {
+  return [...BUILT_IN_PROFILES, ...loadCustomProfiles(storage)];
+}
+
+export function findProfile(profiles, id) {
+  return profiles.find((profile) => profile.id === id) || null;
+}
+
+// Profiles whose name or resolution match every word of the query
+// e.g. "waveshare 800" or "7.3 acep"
+export function searchProfiles(profiles, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return profiles.filter((profile) => {
+    const haystack =
+      `${profile.name} ${profile.width}x${profile.height} ${profile.width}×${profile.height} ${profile.orientation}`.toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+}
@@ -1,4 +1,17 @@
 // BMP encoding functions
+import { createNearestColorIndex } from "./color-index.js";
+import {
+  buildColorHistogram,
+  finishPalette,
+  octreeQuantize,
+  wuQuantize,
+  kMeansRefine,
+} from "./quantizers.js";
+import {
+  bayerMatrix,
+  bayerThresholdMap,
+  blueNoiseThresholdMap,
+} from "./threshold-maps.js";
 
 // Shared helper functions for color quantization and palette building
 
@@ -59,39 +72,14 @@ function cie76Distance(r1, g1, b1, r2, g2, b2) {
   return Math.sqrt(dl * dl + da * da + db * db);
 }
 
-// Simplified perceptual distance (faster approximation)
-// Uses weighted RGB distance that approximates perceptual difference
-function perceptualDistance(r1, g1, b1, r2, g2, b2) {
-  // Weights based on human eye sensitivity (green is more noticeable)
-  const dr = r1 - r2;
-  const dg = g1 - g2;
-  const db = b1 - b2;
-  // Approximate perceptual weights: R=0.3, G=0.59, B=0.11 (luminance weights)
-  return Math.sqrt(0.3 * dr * dr + 0.59 * dg * dg + 0.11 * db * db);
-}
-
 // Median Cut algorithm for adaptive palette generation
 // Recursively splits color space based on the longest dimension
-function medianCutQuantize(data, maxColors) {
-  // Collect all unique colors from the image
-  const colorMap = new Map();
-  const colors = [];
-
-  for (let i = 0; i < data.length; i += 4) {
-    if (data[i + 3] < 128) continue; // Skip transparent pixels
-
-    const r = data[i];
-    const g = data[i + 1];
-    const b = data[i + 2];
-    const key = (r << 16) | (g << 8) | b;
-
-    if (!colorMap.has(key)) {
-      colorMap.set(key, { r, g, b, count: 0 });
-      colors.push(colorMap.get(key));
-    }
-    colorMap.get(key).count++;
-  }
-
+// colors is the image's color histogram; pass it in to reuse one
+function medianCutQuantize(
+  data,
+  maxColors,
+  colors = buildColorHistogram(data)
+) {
   if (colors.length === 0) {
     // No colors found, return default palette
     const defaultPalette = [];
@@ -105,13 +93,12 @@ function medianCutQuantize(data, maxColors) {
   // This ensures 4-bit and 8-bit produce different results even for simple images
   // by creating intermediate colors through averaging
 
-  // Recursively split color space
-  // We need maxColors-1 boxes (one slot reserved for black/transparent)
+  // Recursively split color space into maxColors boxes
   const boxes = [
     { colors, rMin: 0, rMax: 255, gMin: 0, gMax: 255, bMin: 0, bMax: 255 },
   ];
 
-  while (boxes.length < maxColors - 1) {
+  while (boxes.length < maxColors) {
     // Find the box with the largest volume that can be split
     let largestBoxIndex = -1;
     let largestVolume = 0;
@@ -299,8 +286,6 @@ function medianCutQuantize(data, maxColors) {
 
   // Calculate average color for each box
   const palette = [];
-  // Reserve index 0 for black (transparent pixels)
-  palette.push({ r: 0, g: 0, b: 0 });
 
   for (const box of boxes) {
     if (palette.length >= maxColors) break;
@@ -330,11 +315,6 @@ function medianCutQuantize(data, maxColors) {
       b: Math.round(totalB / totalCount),
     };
 
-    // Skip if it's black (already at index 0)
-    if (avgColor.r === 0 && avgColor.g === 0 && avgColor.b === 0) {
-      continue;
-    }
-
     palette.push(avgColor);
   }
 
@@ -346,19 +326,128 @@ function medianCutQuantize(data, maxColors) {
   return palette.slice(0, maxColors);
 }
 
-// Apply Floyd-Steinberg dithering with palette quantization
-// This is a general dithering function that works with any palette
-function applyFloydSteinbergDithering(
+// Error-diffusion kernels as [dx, dy, weight] offsets from the current pixel
+// Weights are fractions of the quantization error; Atkinson deliberately
+// diffuses only 6/8 of it, which keeps highlights and text crisp
+const DITHER_KERNELS = {
+  "floyd-steinberg": [
+    [1, 0, 7 / 16], // Right
+    [-1, 1, 3 / 16], // Bottom-left
+    [0, 1, 5 / 16], // Bottom
+    [1, 1, 1 / 16], // Bottom-right
+  ],
+  atkinson: [
+    [1, 0, 1 / 8],
+    [2, 0, 1 / 8],
+    [-1, 1, 1 / 8],
+    [0, 1, 1 / 8],
+    [1, 1, 1 / 8],
+    [0, 2, 1 / 8],
+  ],
+  "jarvis-judice-ninke": [
+    [1, 0, 7 / 48],
+    [2, 0, 5 / 48],
+    [-2, 1, 3 / 48],
+    [-1, 1, 5 / 48],
+    [0, 1, 7 / 48],
+    [1, 1, 5 / 48],
+    [2, 1, 3 / 48],
+    [-2, 2, 1 / 48],
+    [-1, 2, 3 / 48],
+    [0, 2, 5 / 48],
+    [1, 2, 3 / 48],
+    [2, 2, 1 / 48],
+  ],
+  stucki: [
+    [1, 0, 8 / 42],
+    [2, 0, 4 / 42],
+    [-2, 1, 2 / 42],
+    [-1, 1, 4 / 42],
+    [0, 1, 8 / 42],
+    [1, 1, 4 / 42],
+    [2, 1, 2 / 42],
+    [-2, 2, 1 / 42],
+    [-1, 2, 2 / 42],
+    [0, 2, 4 / 42],
+    [1, 2, 2 / 42],
+    [2, 2, 1 / 42],
+  ],
+  burkes: [
+    [1, 0, 8 / 32],
+    [2, 0, 4 / 32],
+    [-2, 1, 2 / 32],
+    [-1, 1, 4 / 32],
+    [0, 1, 8 / 32],
+    [1, 1, 4 / 32],
+    [2, 1, 2 / 32],
+  ],
+  sierra: [
+    [1, 0, 5 / 32],
+    [2, 0, 3 / 32],
+    [-2, 1, 2 / 32],
+    [-1, 1, 4 / 32],
+    [0, 1, 5 / 32],
+    [1, 1, 4 / 32],
+    [2, 1, 2 / 32],
+    [-1, 2, 2 / 32],
+    [0, 2, 3 / 32],
+    [1, 2, 2 / 32],
+  ],
+  "sierra-lite": [
+    [1, 0, 2 / 4],
+    [-1, 1, 1 / 4],
+    [0, 1, 1 / 4],
+  ],
+};
+
+// Apply error-diffusion dithering with palette quantization
+// Works with any palette and any kernel from DITHER_KERNELS. With serpentine
+// scanning odd rows run right-to-left (kernel mirrored), which avoids the
+// diagonal "worm" artifacts of always scanning in one direction
+function applyErrorDiffusion(
   data,
   width,
   height,
   colorArray,
-  findClosestColor
+  findClosestColor = createNearestColorIndex(colorArray),
+  kernel = DITHER_KERNELS["floyd-steinberg"],
+  serpentine = false
 ) {
   const ditheredData = new Uint8ClampedArray(data);
 
+  // Quantization error of the current pixel
+  let errR = 0;
+  let errG = 0;
+  let errB = 0;
+
+  // Distribute error to a neighboring pixel
+  // Defined once rather than per pixel - this loop is hot on large images
+  const distributeError = (x1, y1, weight) => {
+    if (x1 >= 0 && x1 < width && y1 >= 0 && y1 < height) {
+      const idx = (y1 * width + x1) * 4;
+      if (ditheredData[idx + 3] >= 128) {
+        ditheredData[idx] = Math.max(
+          0,
+          Math.min(255, ditheredData[idx] + errR * weight)
+        );
+        ditheredData[idx + 1] = Math.max(
+          0,
+          Math.min(255, ditheredData[idx + 1] + errG * weight)
+        );
+        ditheredData[idx + 2] = Math.max(
+          0,
+          Math.min(255, ditheredData[idx + 2] + errB * weight)
+        );
+      }
+    }
+  };
+
   for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
+    const reverse = serpentine && y % 2 === 1;
+    const direction = reverse ? -1 : 1;
+
+    for (let step = 0; step < width; step++) {
+      const x = reverse ? width - 1 - step : step;
       const i = (y * width + x) * 4;
       if (ditheredData[i + 3] < 128) continue;
 
@@ -379,42 +468,155 @@ function applyFloydSteinbergDithering(
       ditheredData[i + 2] = newB;
 
       // Calculate quantization error
-      const errR = oldR - newR;
-      const errG = oldG - newG;
-      const errB = oldB - newB;
+      errR = oldR - newR;
+      errG = oldG - newG;
+      errB = oldB - newB;
 
-      // Distribute error to neighboring pixels (Floyd-Steinberg weights)
-      const distributeError = (x1, y1, weight) => {
-        if (x1 >= 0 && x1 < width && y1 >= 0 && y1 < height) {
-          const idx = (y1 * width + x1) * 4;
-          if (ditheredData[idx + 3] >= 128) {
-            ditheredData[idx] = Math.max(
-              0,
-              Math.min(255, ditheredData[idx] + errR * weight)
-            );
-            ditheredData[idx + 1] = Math.max(
-              0,
-              Math.min(255, ditheredData[idx + 1] + errG * weight)
-            );
-            ditheredData[idx + 2] = Math.max(
-              0,
-              Math.min(255, ditheredData[idx + 2] + errB * weight)
-            );
-          }
-        }
-      };
+      for (let k = 0; k < kernel.length; k++) {
+        const offset = kernel[k];
+        distributeError(x + offset[0] * direction, y + offset[1], offset[2]);
+      }
+    }
+  }
+
+  return ditheredData;
+}
+
+// Apply Floyd-Steinberg dithering with palette quantization
+// This is a general dithering function that works with any palette
+// findClosestColor defaults to a nearest-color index over colorArray
+function applyFloydSteinbergDithering(
+  data,
+  width,
+  height,
+  colorArray,
+  findClosestColor
+) {
+  return applyErrorDiffusion(
+    data,
+    width,
+    height,
+    colorArray,
+    findClosestColor,
+    DITHER_KERNELS["floyd-steinberg"]
+  );
+}
+
+// Threshold maps for ordered dithering, built on first use
+const ORDERED_DITHER_MAPS = {
+  "bayer-2": () => bayerThresholdMap(2),
+  "bayer-4": () => bayerThresholdMap(4),
+  "bayer-8": () => bayerThresholdMap(8),
+  "blue-noise": blueNoiseThresholdMap,
+};
 
-      // Floyd-Steinberg error distribution pattern
-      distributeError(x + 1, y, 7 / 16); // Right
-      distributeError(x - 1, y + 1, 3 / 16); // Bottom-left
-      distributeError(x, y + 1, 5 / 16); // Bottom
-      distributeError(x + 1, y + 1, 1 / 16); // Bottom-right
+// Typical gap between neighboring palette colors: the mean distance (largest
+// channel difference) from each distinct color to its nearest neighbor.
+// Ordered dithering nudges pixels by up to half of this, so a black & white
+// palette gets the full 0-255 range and a 256-color palette a small jitter
+function paletteSpread(colorArray) {
+  const colors = [];
+  const seen = new Set();
+  for (const { r, g, b } of colorArray) {
+    const key = (r << 16) | (g << 8) | b;
+    if (!seen.has(key)) {
+      seen.add(key);
+      colors.push([r, g, b]);
+    }
+  }
+  if (colors.length < 2) return 0;
+
+  let total = 0;
+  for (const [r, g, b] of colors) {
+    let nearest = Infinity;
+    for (const [r2, g2, b2] of colors) {
+      const distance = Math.max(
+        Math.abs(r - r2),
+        Math.abs(g - g2),
+        Math.abs(b - b2)
+      );
+      if (distance > 0 && distance < nearest) nearest = distance;
+    }
+    total += nearest;
+  }
+  return total / colors.length;
+}
+
+// Apply ordered dithering with palette quantization
+// Each pixel is offset by the tiled threshold map before matching, so the
+// result depends only on the pixel itself and its position: no crawling
+// worms, and a change in one pixel never ripples into the rest
+function applyOrderedDithering(
+  data,
+  width,
+  height,
+  colorArray,
+  findClosestColor = createNearestColorIndex(colorArray),
+  thresholdMap = bayerThresholdMap(4)
+) {
+  const ditheredData = new Uint8ClampedArray(data);
+  const { size, thresholds } = thresholdMap;
+  const spread = paletteSpread(colorArray);
+
+  for (let y = 0; y < height; y++) {
+    const row = (y % size) * size;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (ditheredData[i + 3] < 128) continue;
+
+      const bias = thresholds[row + (x % size)] * spread;
+      const r = Math.max(0, Math.min(255, Math.round(data[i] + bias)));
+      const g = Math.max(0, Math.min(255, Math.round(data[i + 1] + bias)));
+      const b = Math.max(0, Math.min(255, Math.round(data[i + 2] + bias)));
+
+      const paletteColor = colorArray[findClosestColor(r, g, b)];
+      ditheredData[i] = paletteColor.r;
+      ditheredData[i + 1] = paletteColor.g;
+      ditheredData[i + 2] = paletteColor.b;
     }
   }
 
   return ditheredData;
 }
 
+// Dither to a palette with the algorithm chosen in options
+// options.ditherAlgorithm names a DITHER_KERNELS entry (Floyd-Steinberg
+// by default) or an ordered mode ("bayer-2", "bayer-4", "bayer-8",
+// "blue-noise"); options.serpentine enables serpentine scanning for kernels
+function applyDithering(
+  data,
+  width,
+  height,
+  colorArray,
+  findClosestColor,
+  options = {}
+) {
+  const orderedMap = ORDERED_DITHER_MAPS[options.ditherAlgorithm];
+  if (orderedMap) {
+    return applyOrderedDithering(
+      data,
+      width,
+      height,
+      colorArray,
+      findClosestColor,
+      orderedMap()
+    );
+  }
+
+  const kernel =
+    DITHER_KERNELS[options.ditherAlgorithm] ||
+    DITHER_KERNELS["floyd-steinberg"];
+  return applyErrorDiffusion(
+    data,
+    width,
+    height,
+    colorArray,
+    findClosestColor,
+    kernel,
+    Boolean(options.serpentine)
+  );
+}
+
 // Apply Floyd-Steinberg dithering for 4-bit (backward compatibility)
 function applyDithering4Bit(data, width, height) {
   // For backward compatibility, we'll use a simple quantization
@@ -473,65 +675,201 @@ function applyDithering4Bit(data, width, height) {
   return ditheredData;
 }
 
-// Build 8-bit palette and color matching function using Median Cut
-function build8BitPalette(data) {
-  // Use Median Cut algorithm to generate adaptive 256-color palette
-  const colorArray = medianCutQuantize(data, 256);
+// Generate an adaptive palette of maxColors entries
+// strategy: "median-cut" (default), "octree", "wu" or "kmeans" (median cut
+// refined by k-means). Transparent pixels are ignored.
+function generatePalette(data, maxColors, strategy = "median-cut") {
+  if (strategy === "octree" || strategy === "wu") {
+    const histogram = buildColorHistogram(data);
+    if (histogram.length === 0) {
+      return finishPalette([], maxColors);
+    }
+    const quantize = strategy === "octree" ? octreeQuantize : wuQuantize;
+    return finishPalette(quantize(histogram, maxColors), maxColors);
+  }
 
-  // Find closest color function using perceptual distance
-  const findClosestColor = (r, g, b) => {
-    let minDist = Infinity;
-    let bestIndex = 0;
+  if (strategy === "kmeans") {
+    const histogram = buildColorHistogram(data);
+    const seed = medianCutQuantize(data, maxColors, histogram);
+    if (histogram.length === 0) return seed;
+    return kMeansRefine(histogram, seed);
+  }
 
-    for (let i = 0; i < colorArray.length; i++) {
-      const pr = colorArray[i].r;
-      const pg = colorArray[i].g;
-      const pb = colorArray[i].b;
-      // Use perceptual distance for better color matching
-      const dist = perceptualDistance(r, g, b, pr, pg, pb);
+  return medianCutQuantize(data, maxColors);
+}
 
-      if (dist < minDist) {
-        minDist = dist;
-        bestIndex = i;
-      }
-    }
+// Build a palette of paletteSize entries: options.palette (a fixed list of
+// { r, g, b }) if given, else a grayscale ramp or an adaptive palette
+// With options.transparency "index" and transparent pixels present, index 0
+// is reserved for them and the image gets the remaining entries
+function buildPalette(data, paletteSize, options) {
+  const reserve =
+    options.transparency === "index" && hasTransparentPixels(data);
+  const size = reserve ? paletteSize - 1 : paletteSize;
+
+  let palette;
+  if (options.palette && options.palette.length > 0) {
+    palette = buildFixedPalette(options.palette, size);
+  } else if (options.grayscale) {
+    palette = buildGrayscalePalette(options.grayscale, size);
+  } else {
+    // Median Cut unless options.paletteStrategy picks another quantizer
+    const colorArray = generatePalette(data, size, options.paletteStrategy);
+    // Find closest color by perceptual distance (cached nearest-color index)
+    palette = {
+      colorArray,
+      findClosestColor: createNearestColorIndex(colorArray),
+    };
+  }
 
-    return bestIndex;
-  };
+  return reserve
+    ? reserveTransparentIndex(palette, parseHexColor(options.background))
+    : palette;
+}
+
+// Build 8-bit palette and color matching function
+// Pass options.palette or options.grayscale (e.g. 4 or 16) for a fixed one
+function build8BitPalette(data, options = {}) {
+  return buildPalette(data, 256, options);
+}
+
+// Build 4-bit palette and color matching function
+// Pass options.palette or options.grayscale (e.g. 4 or 16) for a fixed one
+function build4BitPalette(data, options = {}) {
+  return buildPalette(data, 16, options);
+}
+
+// Use a fixed palette (e.g. a device's hardware colors) as given
+// Colors past paletteSize are dropped; unused slots repeat the first color
+// and are never matched, so no color the device lacks sneaks in
+function buildFixedPalette(colors, paletteSize) {
+  const usable = colors
+    .slice(0, paletteSize)
+    .map(({ r, g, b }) => ({ r, g, b }));
+  const findClosestColor = createNearestColorIndex(usable);
+
+  const colorArray = usable.slice();
+  while (colorArray.length < paletteSize) {
+    colorArray.push(usable[0]);
+  }
 
   return { colorArray, findClosestColor };
 }
 
-// Build 4-bit palette and color matching function using Median Cut
-function build4BitPalette(data) {
-  // Use Median Cut algorithm to generate adaptive 16-color palette
-  const colorArray = medianCutQuantize(data, 16);
+// Put a dedicated transparent entry (shown as background) at index 0
+// Opaque pixels are matched against the rest of the palette only
+function reserveTransparentIndex({ colorArray, findClosestColor }, background) {
+  return {
+    colorArray: [background, ...colorArray],
+    findClosestColor: (r, g, b) => findClosestColor(r, g, b) + 1,
+  };
+}
 
-  // Find closest color function using perceptual distance
-  const findClosestColor = (r, g, b) => {
-    let minDist = Infinity;
-    let bestIndex = 0;
+// Parse a "#rrggbb" color (as from <input type="color">) into { r, g, b }
+// Anything else falls back to white, the default background for e-ink
+function parseHexColor(hex) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(hex || "");
+  const value = match ? parseInt(match[1], 16) : 0xffffff;
+  return { r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff };
+}
 
-    for (let i = 0; i < colorArray.length; i++) {
-      const pr = colorArray[i].r;
-      const pg = colorArray[i].g;
-      const pb = colorArray[i].b;
-      // Use perceptual distance for better color matching
-      const dist = perceptualDistance(r, g, b, pr, pg, pb);
+function hasTransparentPixels(data) {
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 128) return true;
+  }
+  return false;
+}
 
-      if (dist < minDist) {
-        minDist = dist;
-        bestIndex = i;
-      }
-    }
+// Alpha-blend every pixel that isn't fully opaque onto the background
+// (matte) color, "#rrggbb", white by default. Anti-aliased edges blend
+// smoothly instead of snapping to the background or keeping dark fringes.
+// With keepTransparent, pixels below alpha 128 are left for a dedicated
+// transparent index. Returns data itself when there is nothing to blend.
+function compositeOntoBackground(data, background, keepTransparent = false) {
+  const { r, g, b } = parseHexColor(background);
+  let composited = data;
 
-    return bestIndex;
-  };
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3];
+    if (alpha === 255 || (keepTransparent && alpha < 128)) continue;
+
+    if (composited === data) composited = new Uint8ClampedArray(data);
+    const coverage = alpha / 255;
+    composited[i] = Math.round(data[i] * coverage + r * (1 - coverage));
+    composited[i + 1] = Math.round(data[i + 1] * coverage + g * (1 - coverage));
+    composited[i + 2] = Math.round(data[i + 2] * coverage + b * (1 - coverage));
+    composited[i + 3] = 255;
+  }
+
+  return composited;
+}
+
+// Handle transparent pixels for palettized output per options.transparency:
+// "flatten" (default) composites everything onto options.background;
+// "index" does the same for partly transparent pixels but leaves those
+// below alpha 128 for buildPalette to give a dedicated index
+function resolveTransparency(data, options = {}) {
+  return compositeOntoBackground(
+    data,
+    options.background,
+    options.transparency === "index"
+  );
+}
+
+// Relative luminance using Rec. 601 weights (0-255 range)
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+// Build 1-bit black & white palette and threshold-based color matching
+// Pixels at or above the luminance threshold map to white (index 1)
+function build1BitPalette(threshold = 128) {
+  const colorArray = [
+    { r: 0, g: 0, b: 0 },
+    { r: 255, g: 255, b: 255 },
+  ];
+
+  const findClosestColor = (r, g, b) =>
+    luminance(r, g, b) >= threshold ? 1 : 0;
 
   return { colorArray, findClosestColor };
 }
 
+// Build a fixed grayscale ramp (black to white) for gray-level e-ink panels
+// Unused palette slots are filled with black; matching is by luminance so
+// every pixel lands on one of the gray levels the panel can actually show
+function buildGrayscalePalette(levels, paletteSize) {
+  levels = Math.max(2, Math.min(levels, paletteSize));
+
+  const colorArray = [];
+  for (let i = 0; i < levels; i++) {
+    const value = Math.round((i * 255) / (levels - 1));
+    colorArray.push({ r: value, g: value, b: value });
+  }
+  while (colorArray.length < paletteSize) {
+    colorArray.push({ r: 0, g: 0, b: 0 });
+  }
+
+  const findClosestColor = (r, g, b) =>
+    Math.min(levels - 1, Math.round((luminance(r, g, b) * (levels - 1)) / 255));
+
+  return { colorArray, findClosestColor };
+}
+
+// Palette index of every pixel (transparent pixels get entry 0)
+function indexPixels(data, findClosestColor) {
+  const pixelIndices = new Uint8Array(data.length / 4);
+  for (let p = 0; p < pixelIndices.length; p++) {
+    const i = p * 4;
+    if (data[i + 3] >= 128) {
+      pixelIndices[p] = findClosestColor(data[i], data[i + 1], data[i + 2]);
+    }
+  }
+  return pixelIndices;
+}
+
 // Convert ImageData to quantized ImageData using palette
+// Transparent pixels show palette entry 0, as they do in the encoded file
 function quantizeImageData(imageData, colorArray, findClosestColor) {
   const width = imageData.width;
   const height = imageData.height;
@@ -543,10 +881,10 @@ function quantizeImageData(imageData, colorArray, findClosestColor) {
       const i = (y * width + x) * 4;
 
       if (data[i + 3] < 128) {
-        quantizedData.data[i] = 0;
-        quantizedData.data[i + 1] = 0;
-        quantizedData.data[i + 2] = 0;
-        quantizedData.data[i + 3] = data[i + 3];
+        quantizedData.data[i] = colorArray[0].r;
+        quantizedData.data[i + 1] = colorArray[0].g;
+        quantizedData.data[i + 2] = colorArray[0].b;
+        quantizedData.data[i + 3] = 255;
       } else {
         const r = data[i];
         const g = data[i + 1];
@@ -565,16 +903,78 @@ function quantizeImageData(imageData, colorArray, findClosestColor) {
   return quantizedData;
 }
 
+// 4x4 Bayer threshold matrix for ordered dithering (values 0-15)
+const BAYER_4X4 = bayerMatrix(4);
+
+// Reduce an 8-bit channel to the given bit depth, with optional dither bias
+function quantizeChannel(value, bits, bias = 0) {
+  const max = (1 << bits) - 1;
+  return Math.max(0, Math.min(max, Math.round((value * max) / 255 + bias)));
+}
+
+// Expand a reduced channel back to 8 bits by bit replication (how readers
+// display it), e.g. 5-bit 31 -> 255 and 5-bit 16 -> 132
+function expandChannel(value, bits) {
+  return (value << (8 - bits)) | (value >> (2 * bits - 8));
+}
+
+// Quantize RGBA data to packed 16-bit pixels (RGB565 or RGB555)
+// Ordered dithering nudges each pixel by a Bayer threshold before rounding,
+// which hides banding without the drift of error diffusion
+function quantizeTo16Bit(data, width, height, pixelFormat = "565", dither) {
+  const greenBits = pixelFormat === "555" ? 5 : 6;
+  const pixels = new Uint16Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const bias = dither ? (BAYER_4X4[y & 3][x & 3] + 0.5) / 16 - 0.5 : 0;
+      const r = quantizeChannel(data[i], 5, bias);
+      const g = quantizeChannel(data[i + 1], greenBits, bias);
+      const b = quantizeChannel(data[i + 2], 5, bias);
+      pixels[y * width + x] = (r << (5 + greenBits)) | (g << 5) | b;
+    }
+  }
+
+  return pixels;
+}
+
+// Unpack a 16-bit pixel into 8-bit RGB
+function unpack16BitPixel(pixel, pixelFormat = "565") {
+  const greenBits = pixelFormat === "555" ? 5 : 6;
+  return {
+    r: expandChannel((pixel >> (5 + greenBits)) & 0x1f, 5),
+    g: expandChannel((pixel >> 5) & ((1 << greenBits) - 1), greenBits),
+    b: expandChannel(pixel & 0x1f, 5),
+  };
+}
+
 // Export shared helpers for use in preview.js
 export {
   build8BitPalette,
   build4BitPalette,
+  build1BitPalette,
   quantizeImageData,
+  indexPixels,
+  compositeOntoBackground,
+  resolveTransparency,
   applyDithering4Bit,
   applyFloydSteinbergDithering,
+  applyErrorDiffusion,
+  applyOrderedDithering,
+  applyDithering,
+  DITHER_KERNELS,
+  quantizeTo16Bit,
+  unpack16BitPixel,
 };
 
-export function encodeBMP(imageData) {
+// options.rowOrder "bottom-up" stores the bottom row first with a positive
+// height, as some device firmware expects; the default is top-down
+function bottomUp(options) {
+  return options.rowOrder === "bottom-up";
+}
+
+export function encodeBMP(imageData, options = {}) {
   const width = imageData.width;
   const height = imageData.height;
   const data = imageData.data;
@@ -598,7 +998,7 @@ export function encodeBMP(imageData) {
   // DIB Header - BITMAPINFOHEADER (40 bytes)
   view.setUint32(14, 40, true); // DIB header size
   view.setInt32(18, width, true); // Width
-  view.setInt32(22, -height, true); // Height (negative = top-down)
+  view.setInt32(22, bottomUp(options) ? height : -height, true); // Height (negative = top-down)
   view.setUint16(26, 1, true); // Planes
   view.setUint16(28, 24, true); // Bits per pixel (24-bit)
   view.setUint32(30, 0, true); // Compression (0 = BI_RGB, no compression)
@@ -612,7 +1012,8 @@ export function encodeBMP(imageData) {
   let offset = 54;
   const padding = rowSize - width * 3;
 
-  for (let y = 0; y < height; y++) {
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
     for (let x = 0; x < width; x++) {
       const i = (y * width + x) * 4;
       // BMP uses BGR order instead of RGB
@@ -630,22 +1031,160 @@ export function encodeBMP(imageData) {
   return new Blob([buffer], { type: "image/bmp" });
 }
 
-export function encodeBMP8Bit(imageData, dither = false) {
+// 16-bit output: RGB555 is plain BI_RGB, RGB565 needs BI_BITFIELDS masks
+// stored right after the BITMAPINFOHEADER
+export function encodeBMP16Bit(imageData, dither = false, options = {}) {
   const width = imageData.width;
   const height = imageData.height;
-  let data = imageData.data;
+  const pixelFormat = options.pixelFormat === "555" ? "555" : "565";
+
+  const pixels = quantizeTo16Bit(
+    imageData.data,
+    width,
+    height,
+    pixelFormat,
+    dither
+  );
+
+  const maskSize = pixelFormat === "565" ? 12 : 0; // 3 DWORD channel masks
+  const rowSize = Math.floor((16 * width + 31) / 32) * 4;
+  const pixelArraySize = rowSize * height;
+  const fileSize = 54 + maskSize + pixelArraySize;
+
+  // Create buffer for BMP file
+  const buffer = new ArrayBuffer(fileSize);
+  const view = new DataView(buffer);
+
+  // BMP File Header (14 bytes)
+  view.setUint8(0, 0x42); // 'B'
+  view.setUint8(1, 0x4d); // 'M'
+  view.setUint32(2, fileSize, true); // File size
+  view.setUint32(6, 0, true); // Reserved
+  view.setUint32(10, 54 + maskSize, true); // Pixel data offset
+
+  // DIB Header - BITMAPINFOHEADER (40 bytes)
+  view.setUint32(14, 40, true); // DIB header size
+  view.setInt32(18, width, true); // Width
+  view.setInt32(22, bottomUp(options) ? height : -height, true); // Height (negative = top-down)
+  view.setUint16(26, 1, true); // Planes
+  view.setUint16(28, 16, true); // Bits per pixel (16-bit)
+  view.setUint32(30, maskSize ? 3 : 0, true); // BI_BITFIELDS or BI_RGB (555)
+  view.setUint32(34, pixelArraySize, true); // Image size
+  view.setInt32(38, 2835, true); // X pixels per meter (~72 DPI)
+  view.setInt32(42, 2835, true); // Y pixels per meter (~72 DPI)
+  view.setUint32(46, 0, true); // Colors in palette (none)
+  view.setUint32(50, 0, true); // Important colors (0 = all)
+
+  // Channel masks (RGB565 only)
+  if (maskSize) {
+    view.setUint32(54, 0xf800, true); // Red mask
+    view.setUint32(58, 0x07e0, true); // Green mask
+    view.setUint32(62, 0x001f, true); // Blue mask
+  }
+
+  // Pixel data (little-endian 16-bit words with row padding)
+  let offset = 54 + maskSize;
+  const padding = rowSize - width * 2;
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
+    for (let x = 0; x < width; x++) {
+      view.setUint16(offset, pixels[y * width + x], true);
+      offset += 2;
+    }
+    // Add row padding
+    for (let p = 0; p < padding; p++) {
+      view.setUint8(offset++, 0);
+    }
+  }
+
+  return new Blob([buffer], { type: "image/bmp" });
+}
+
+// 32-bit BGRA with alpha, using a BITMAPV5HEADER (default) or BITMAPV4HEADER
+// BI_BITFIELDS channel masks tell readers where each channel lives so the
+// alpha byte is honored instead of being treated as padding
+export function encodeBMP32Bit(imageData, options = {}) {
+  const width = imageData.width;
+  const height = imageData.height;
+  const data = imageData.data;
+
+  const dibHeaderSize = options.headerVersion === 4 ? 108 : 124;
+  const pixelDataOffset = 14 + dibHeaderSize;
+  const pixelArraySize = width * height * 4; // 32-bit rows never need padding
+  const fileSize = pixelDataOffset + pixelArraySize;
+
+  // Create buffer for BMP file (header fields not set below stay zero)
+  const buffer = new ArrayBuffer(fileSize);
+  const view = new DataView(buffer);
+
+  // BMP File Header (14 bytes)
+  view.setUint8(0, 0x42); // 'B'
+  view.setUint8(1, 0x4d); // 'M'
+  view.setUint32(2, fileSize, true); // File size
+  view.setUint32(6, 0, true); // Reserved
+  view.setUint32(10, pixelDataOffset, true); // Pixel data offset
+
+  // DIB Header - BITMAPINFOHEADER fields
+  view.setUint32(14, dibHeaderSize, true); // DIB header size
+  view.setInt32(18, width, true); // Width
+  view.setInt32(22, bottomUp(options) ? height : -height, true); // Height (negative = top-down)
+  view.setUint16(26, 1, true); // Planes
+  view.setUint16(28, 32, true); // Bits per pixel (32-bit)
+  view.setUint32(30, 3, true); // Compression (3 = BI_BITFIELDS)
+  view.setUint32(34, pixelArraySize, true); // Image size
+  view.setInt32(38, 2835, true); // X pixels per meter (~72 DPI)
+  view.setInt32(42, 2835, true); // Y pixels per meter (~72 DPI)
+  view.setUint32(46, 0, true); // Colors in palette (none)
+  view.setUint32(50, 0, true); // Important colors (0 = all)
+
+  // BITMAPV4HEADER fields
+  view.setUint32(54, 0x00ff0000, true); // Red mask
+  view.setUint32(58, 0x0000ff00, true); // Green mask
+  view.setUint32(62, 0x000000ff, true); // Blue mask
+  view.setUint32(66, 0xff000000, true); // Alpha mask
+  view.setUint32(70, 0x73524742, true); // Color space ('sRGB')
+  // 74..109: CIEXYZ endpoints, 110..121: gamma (unused for sRGB, left zero)
+
+  // BITMAPV5HEADER fields
+  if (dibHeaderSize === 124) {
+    view.setUint32(122, 4, true); // Intent (LCS_GM_IMAGES)
+    view.setUint32(126, 0, true); // Profile data offset
+    view.setUint32(130, 0, true); // Profile size
+    view.setUint32(134, 0, true); // Reserved
+  }
+
+  // Pixel data (BGRA, straight alpha)
+  let offset = pixelDataOffset;
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
+    for (let i = y * width * 4; i < (y + 1) * width * 4; i += 4) {
+      view.setUint8(offset++, data[i + 2]); // Blue
+      view.setUint8(offset++, data[i + 1]); // Green
+      view.setUint8(offset++, data[i]); // Red
+      view.setUint8(offset++, data[i + 3]); // Alpha
+    }
+  }
+
+  return new Blob([buffer], { type: "image/bmp" });
+}
+
+export function encodeBMP8Bit(imageData, dither = false, options = {}) {
+  const width = imageData.width;
+  const height = imageData.height;
+  let data = resolveTransparency(imageData.data, options);
 
   // Use shared palette building function
-  const { colorArray, findClosestColor } = build8BitPalette(data);
+  const { colorArray, findClosestColor } = build8BitPalette(data, options);
 
   // Apply dithering if requested
   if (dither) {
-    data = applyFloydSteinbergDithering(
+    data = applyDithering(
       data,
       width,
       height,
       colorArray,
-      findClosestColor
+      findClosestColor,
+      options
     );
     // Create new ImageData with dithered data
     const ditheredImageData = new ImageData(width, height);
@@ -653,22 +1192,11 @@ export function encodeBMP8Bit(imageData, dither = false) {
     data = ditheredImageData.data;
   }
 
-  // Create pixel index array
-  const pixelIndices = new Uint8Array(width * height);
+  const pixelIndices = indexPixels(data, findClosestColor);
 
-  // Assign pixel indices
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const i = (y * width + x) * 4;
-      if (data[i + 3] < 128) {
-        pixelIndices[y * width + x] = 0; // Transparent -> use first palette entry
-      } else {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        pixelIndices[y * width + x] = findClosestColor(r, g, b);
-      }
-    }
+  // Run-length encoded output (BI_RLE8)
+  if (options.rle) {
+    return encodeRLEBMP(width, height, 8, colorArray, pixelIndices);
   }
 
   // Calculate sizes
@@ -691,7 +1219,7 @@ export function encodeBMP8Bit(imageData, dither = false) {
   // DIB Header - BITMAPINFOHEADER (40 bytes)
   view.setUint32(14, 40, true); // DIB header size
   view.setInt32(18, width, true); // Width
-  view.setInt32(22, -height, true); // Height (negative = top-down)
+  view.setInt32(22, bottomUp(options) ? height : -height, true); // Height (negative = top-down)
   view.setUint16(26, 1, true); // Planes
   view.setUint16(28, 8, true); // Bits per pixel (8-bit)
   view.setUint32(30, 0, true); // Compression (0 = BI_RGB)
@@ -713,7 +1241,8 @@ export function encodeBMP8Bit(imageData, dither = false) {
 
   // Pixel data (8-bit indices with row padding)
   const padding = rowSize - width;
-  for (let y = 0; y < height; y++) {
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
     for (let x = 0; x < width; x++) {
       view.setUint8(offset++, pixelIndices[y * width + x]);
     }
@@ -726,33 +1255,52 @@ export function encodeBMP8Bit(imageData, dither = false) {
   return new Blob([buffer], { type: "image/bmp" });
 }
 
-export function encodeBMP4Bit(imageData, aggressive = false) {
+export function encodeBMP4Bit(imageData, aggressive = false, options = {}) {
   const width = imageData.width;
   const height = imageData.height;
-  let processedData = imageData.data;
+  let processedData = resolveTransparency(imageData.data, options);
 
   // Build palette first
-  const { colorArray, findClosestColor } = build4BitPalette(processedData);
+  const { colorArray, findClosestColor } = build4BitPalette(
+    processedData,
+    options
+  );
 
   // Apply dithering if aggressive (using proper palette-based dithering)
   if (aggressive) {
-    processedData = applyFloydSteinbergDithering(
+    processedData = applyDithering(
       processedData,
       width,
       height,
       colorArray,
-      findClosestColor
+      findClosestColor,
+      options
     );
     // Create new ImageData with dithered data
     const tempImageData = new ImageData(width, height);
     tempImageData.data.set(processedData);
-    return encodeBMP4BitFromData(tempImageData, colorArray, findClosestColor);
+    return encodeBMP4BitFromData(
+      tempImageData,
+      colorArray,
+      findClosestColor,
+      options
+    );
   } else {
-    return encodeBMP4BitFromData(imageData, colorArray, findClosestColor);
+    return encodeBMP4BitFromData(
+      { width, height, data: processedData },
+      colorArray,
+      findClosestColor,
+      options
+    );
   }
 }
 
-function encodeBMP4BitFromData(imageData, colorArray, findClosestColor) {
+function encodeBMP4BitFromData(
+  imageData,
+  colorArray,
+  findClosestColor,
+  options = {}
+) {
   const width = imageData.width;
   const height = imageData.height;
   const data = imageData.data;
@@ -764,21 +1312,11 @@ function encodeBMP4BitFromData(imageData, colorArray, findClosestColor) {
     findClosestColor = palette.findClosestColor;
   }
 
-  // Create pixel index array
-  const pixelIndices = new Uint8Array(width * height);
+  const pixelIndices = indexPixels(data, findClosestColor);
 
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      const i = (y * width + x) * 4;
-      if (data[i + 3] < 128) {
-        pixelIndices[y * width + x] = 0;
-      } else {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-        pixelIndices[y * width + x] = findClosestColor(r, g, b);
-      }
-    }
+  // Run-length encoded output (BI_RLE4)
+  if (options.rle) {
+    return encodeRLEBMP(width, height, 4, colorArray, pixelIndices);
   }
 
   // Calculate sizes for 4-bit BMP
@@ -801,7 +1339,7 @@ function encodeBMP4BitFromData(imageData, colorArray, findClosestColor) {
   // DIB Header
   view.setUint32(14, 40, true);
   view.setInt32(18, width, true);
-  view.setInt32(22, -height, true);
+  view.setInt32(22, bottomUp(options) ? height : -height, true);
   view.setUint16(26, 1, true);
   view.setUint16(28, 4, true); // 4 bits per pixel
   view.setUint32(30, 0, true);
@@ -823,7 +1361,8 @@ function encodeBMP4BitFromData(imageData, colorArray, findClosestColor) {
 
   // Pixel data (4-bit packed: 2 pixels per byte)
   const padding = rowSize - Math.ceil(width / 2);
-  for (let y = 0; y < height; y++) {
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
     let byteOffset = 0;
     for (let x = 0; x < width; x += 2) {
       const idx1 = pixelIndices[y * width + x];
@@ -840,3 +1379,246 @@ function encodeBMP4BitFromData(imageData, colorArray, findClosestColor) {
 
   return new Blob([buffer], { type: "image/bmp" });
 }
+
+export function encodeBMP1Bit(imageData, dither = false, options = {}) {
+  const width = imageData.width;
+  const height = imageData.height;
+  // Two fixed colors leave no room for a transparent index: always flatten
+  let data = compositeOntoBackground(imageData.data, options.background);
+
+  // Fixed black & white palette with adjustable threshold
+  const { colorArray, findClosestColor } = build1BitPalette(options.threshold);
+
+  // Apply dithering if requested (threshold still decides each pixel)
+  if (dither) {
+    data = applyDithering(
+      data,
+      width,
+      height,
+      colorArray,
+      findClosestColor,
+      options
+    );
+  }
+
+  // Create pixel index array
+  const pixelIndices = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      if (data[i + 3] < 128) {
+        pixelIndices[y * width + x] = 0;
+      } else {
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        pixelIndices[y * width + x] = findClosestColor(r, g, b);
+      }
+    }
+  }
+
+  // Calculate sizes for 1-bit BMP
+  const paletteSize = 2 * 4; // 2 colors * 4 bytes each
+  const rowSize = Math.floor((width + 31) / 32) * 4; // 1-bit, padded to 4 bytes
+  const pixelArraySize = rowSize * height;
+  const fileSize = 54 + paletteSize + pixelArraySize;
+
+  // Create buffer
+  const buffer = new ArrayBuffer(fileSize);
+  const view = new DataView(buffer);
+
+  // BMP File Header
+  view.setUint8(0, 0x42); // 'B'
+  view.setUint8(1, 0x4d); // 'M'
+  view.setUint32(2, fileSize, true);
+  view.setUint32(6, 0, true);
+  view.setUint32(10, 54 + paletteSize, true);
+
+  // DIB Header
+  view.setUint32(14, 40, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, bottomUp(options) ? height : -height, true);
+  view.setUint16(26, 1, true);
+  view.setUint16(28, 1, true); // 1 bit per pixel
+  view.setUint32(30, 0, true);
+  view.setUint32(34, pixelArraySize, true);
+  view.setInt32(38, 2835, true);
+  view.setInt32(42, 2835, true);
+  view.setUint32(46, 2, true); // Colors in palette
+  view.setUint32(50, 2, true);
+
+  // Color palette (2 entries)
+  let offset = 54;
+  for (let i = 0; i < 2; i++) {
+    const color = colorArray[i];
+    view.setUint8(offset++, color.b);
+    view.setUint8(offset++, color.g);
+    view.setUint8(offset++, color.r);
+    view.setUint8(offset++, 0); // Reserved
+  }
+
+  // Pixel data (1-bit packed: 8 pixels per byte, leftmost pixel in the high bit)
+  const padding = rowSize - Math.ceil(width / 8);
+  for (let row = 0; row < height; row++) {
+    const y = bottomUp(options) ? height - 1 - row : row;
+    for (let x = 0; x < width; x += 8) {
+      let packed = 0;
+      for (let bit = 0; bit < 8 && x + bit < width; bit++) {
+        packed |= pixelIndices[y * width + x + bit] << (7 - bit);
+      }
+      view.setUint8(offset++, packed);
+    }
+    // Add row padding
+    for (let p = 0; p < padding; p++) {
+      view.setUint8(offset++, 0);
+    }
+  }
+
+  return new Blob([buffer], { type: "image/bmp" });
+}
+
+// Calculate the size of an uncompressed (BI_RGB) BMP file in bytes
+export function calculateBMPSize(width, height, bitsPerPixel, options = {}) {
+  // 32-bit output uses a BITMAPV5HEADER, everything else BITMAPINFOHEADER
+  // (plus channel masks for RGB565)
+  let headerSize = bitsPerPixel === 32 ? 14 + 124 : 54;
+  if (bitsPerPixel === 16 && options.pixelFormat !== "555") {
+    headerSize += 12;
+  }
+  const paletteSize = bitsPerPixel <= 8 ? (1 << bitsPerPixel) * 4 : 0;
+  const rowSize = Math.floor((bitsPerPixel * width + 31) / 32) * 4;
+  return headerSize + paletteSize + rowSize * height;
+}
+
+// Find how many pixels starting at x repeat the same index (up to max)
+function runLength(row, x, max) {
+  let run = 1;
+  while (x + run < row.length && run < max && row[x + run] === row[x]) {
+    run++;
+  }
+  return run;
+}
+
+// Run-length encode one row of palette indices (BI_RLE8 or BI_RLE4)
+// Runs of 2+ pixels use encoded mode: [count, index]
+// Stretches without runs of 3+ use absolute mode: [0, count, indices...]
+// padded to a 16-bit boundary (absolute mode needs at least 3 pixels)
+function encodeRLERow(row, bitsPerPixel, bytes) {
+  const width = row.length;
+  const packIndex = (index) =>
+    bitsPerPixel === 4 ? (index << 4) | index : index;
+  let x = 0;
+
+  while (x < width) {
+    const run = runLength(row, x, 255);
+    if (run >= 2) {
+      bytes.push(run, packIndex(row[x]));
+      x += run;
+      continue;
+    }
+
+    // Collect literal pixels until the next run of 3 or more
+    let end = x + 1;
+    while (end < width && end - x < 255 && runLength(row, end, 3) < 3) {
+      end++;
+    }
+    const count = end - x;
+
+    if (count < 3) {
+      // Too short for absolute mode - encode each pixel as a run of 1
+      for (let i = x; i < end; i++) {
+        bytes.push(1, packIndex(row[i]));
+      }
+    } else if (bitsPerPixel === 8) {
+      bytes.push(0, count);
+      for (let i = x; i < end; i++) {
+        bytes.push(row[i]);
+      }
+      if (count % 2 === 1) {
+        bytes.push(0); // Pad to 16-bit boundary
+      }
+    } else {
+      bytes.push(0, count);
+      for (let i = x; i < end; i += 2) {
+        const next = i + 1 < end ? row[i + 1] : 0;
+        bytes.push((row[i] << 4) | next);
+      }
+      if (Math.ceil(count / 2) % 2 === 1) {
+        bytes.push(0); // Pad to 16-bit boundary
+      }
+    }
+    x = end;
+  }
+}
+
+// Run-length encode every row of palette indices, with end of line and
+// end of bitmap markers
+// RLE bitmaps must be stored bottom-up, so rows are written last to first
+function encodeRLEPixels(width, height, bitsPerPixel, pixelIndices) {
+  const bytes = [];
+  for (let y = height - 1; y >= 0; y--) {
+    const row = pixelIndices.subarray(y * width, (y + 1) * width);
+    encodeRLERow(row, bitsPerPixel, bytes);
+    if (y > 0) {
+      bytes.push(0, 0); // End of line
+    }
+  }
+  bytes.push(0, 1); // End of bitmap
+  return bytes;
+}
+
+// Size of the BI_RLE8 / BI_RLE4 BMP holding these palette indices
+export function calculateRLEBMPSize(width, height, bitsPerPixel, pixelIndices) {
+  const bytes = encodeRLEPixels(width, height, bitsPerPixel, pixelIndices);
+  return 54 + (1 << bitsPerPixel) * 4 + bytes.length;
+}
+
+// Encode palette indices as a BI_RLE8 / BI_RLE4 compressed BMP
+function encodeRLEBMP(width, height, bitsPerPixel, colorArray, pixelIndices) {
+  const bytes = encodeRLEPixels(width, height, bitsPerPixel, pixelIndices);
+
+  const colorCount = 1 << bitsPerPixel;
+  const paletteSize = colorCount * 4;
+  const pixelArraySize = bytes.length;
+  const fileSize = 54 + paletteSize + pixelArraySize;
+
+  // Create buffer
+  const buffer = new ArrayBuffer(fileSize);
+  const view = new DataView(buffer);
+
+  // BMP File Header
+  view.setUint8(0, 0x42); // 'B'
+  view.setUint8(1, 0x4d); // 'M'
+  view.setUint32(2, fileSize, true);
+  view.setUint32(6, 0, true);
+  view.setUint32(10, 54 + paletteSize, true);
+
+  // DIB Header
+  view.setUint32(14, 40, true);
+  view.setInt32(18, width, true);
+  view.setInt32(22, height, true); // Positive = bottom-up (required for RLE)
+  view.setUint16(26, 1, true);
+  view.setUint16(28, bitsPerPixel, true);
+  view.setUint32(30, bitsPerPixel === 8 ? 1 : 2, true); // BI_RLE8 / BI_RLE4
+  view.setUint32(34, pixelArraySize, true); // Compressed size
+  view.setInt32(38, 2835, true);
+  view.setInt32(42, 2835, true);
+  view.setUint32(46, colorCount, true); // Colors in palette
+  view.setUint32(50, colorCount, true);
+
+  // Color palette
+  let offset = 54;
+  for (let i = 0; i < colorCount; i++) {
+    const color = colorArray[i] || { r: 0, g: 0, b: 0 };
+    view.setUint8(offset++, color.b);
+    view.setUint8(offset++, color.g);
+    view.setUint8(offset++, color.r);
+    view.setUint8(offset++, 0); // Reserved
+  }
+
+  // Compressed pixel data
+  new Uint8Array(buffer, offset).set(bytes);
+
+  return new Blob([buffer], { type: "image/bmp" });
+}
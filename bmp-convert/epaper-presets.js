@@ -0,0 +1,56 @@
+// Built-in output presets for common e-paper panels
+// Each preset picks the compression level (bit depth), the panel's fixed
+// hardware palette and the dithering that suits it. Colors are the nominal
+// values panel drivers expect, which map each one to an ink.
+
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+const RED = { r: 255, g: 0, b: 0 };
+const YELLOW = { r: 255, g: 255, b: 0 };
+const GREEN = { r: 0, g: 255, b: 0 };
+const BLUE = { r: 0, g: 0, b: 255 };
+const ORANGE = { r: 255, g: 128, b: 0 };
+
+export const EPAPER_PRESETS = [
+  {
+    id: "bw",
+    name: "2-color B/W",
+    level: "1-dithered",
+    palette: [BLACK, WHITE],
+    ditherAlgorithm: "floyd-steinberg",
+  },
+  {
+    id: "bwr",
+    name: "3-color B/W/Red",
+    level: "4-aggressive",
+    palette: [BLACK, WHITE, RED],
+    ditherAlgorithm: "floyd-steinberg",
+  },
+  {
+    id: "bwy",
+    name: "3-color B/W/Yellow",
+    level: "4-aggressive",
+    palette: [BLACK, WHITE, YELLOW],
+    ditherAlgorithm: "floyd-steinberg",
+  },
+  {
+    // Few, strongly saturated inks: Atkinson's partial error diffusion
+    // keeps flat areas clean instead of speckling them with every ink
+    id: "acep",
+    name: "7-color ACeP",
+    level: "4-aggressive",
+    palette: [BLACK, WHITE, GREEN, BLUE, RED, YELLOW, ORANGE],
+    ditherAlgorithm: "atkinson",
+  },
+  {
+    id: "spectra6",
+    name: "Spectra 6",
+    level: "4-aggressive",
+    palette: [BLACK, WHITE, YELLOW, RED, BLUE, GREEN],
+    ditherAlgorithm: "atkinson",
+  },
+];
+
+export function getEpaperPreset(id) {
+  return EPAPER_PRESETS.find((preset) => preset.id === id) || null;
+}
@@ -0,0 +1,82 @@
+// EXIF orientation of JPEG files - phones store photos as the sensor saw
+// them and record how to turn them upright in the Orientation tag (0x0112)
+
+const ORIENTATION_TAG = 0x0112;
+
+// Find the Orientation entry in a JPEG's APP1 Exif segment: the offset of
+// its value in the file and the TIFF byte order, or null
+function findOrientation(view) {
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) {
+    return null; // Not a JPEG (no SOI marker)
+  }
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    if (view.getUint8(offset) !== 0xff) return null;
+    const marker = view.getUint8(offset + 1);
+    if (marker === 0xff) {
+      offset++; // Fill byte
+      continue;
+    }
+    // Metadata segments all come before the image data
+    if (marker === 0xda || marker === 0xd9) return null;
+
+    const length = view.getUint16(offset + 2);
+    const end = Math.min(view.byteLength, offset + 2 + length);
+    if (
+      marker === 0xe1 &&
+      end - offset >= 18 &&
+      view.getUint32(offset + 4) === 0x45786966 && // "Exif"
+      view.getUint16(offset + 8) === 0
+    ) {
+      return findOrientationInTIFF(view, offset + 10, end);
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// Look through IFD0 of the TIFF structure inside an Exif segment
+function findOrientationInTIFF(view, tiff, end) {
+  const byteOrder = view.getUint16(tiff);
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) return null;
+  const littleEndian = byteOrder === 0x4949;
+
+  const directory = tiff + view.getUint32(tiff + 4, littleEndian);
+  if (directory + 2 > end) return null;
+  const count = view.getUint16(directory, littleEndian);
+
+  for (let i = 0; i < count; i++) {
+    const entry = directory + 2 + i * 12;
+    if (entry + 12 > end) return null;
+    if (view.getUint16(entry, littleEndian) === ORIENTATION_TAG) {
+      // A single SHORT, stored in the entry's value field
+      return view.getUint16(entry + 2, littleEndian) === 3
+        ? { offset: entry + 8, littleEndian }
+        : null;
+    }
+  }
+  return null;
+}
+
+// Orientation (1-8) from a JPEG's EXIF data; 1 when it has none
+export function readExifOrientation(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const entry = findOrientation(view);
+  if (!entry) return 1;
+
+  const orientation = view.getUint16(entry.offset, entry.littleEndian);
+  return orientation >= 1 && orientation <= 8 ? orientation : 1;
+}
+
+// Copy of a JPEG with its orientation reset to 1, so browsers that honor
+// EXIF orientation decode the stored pixels as they are
+export function clearExifOrientation(arrayBuffer) {
+  const copy = arrayBuffer.slice(0);
+  const view = new DataView(copy);
+  const entry = findOrientation(view);
+  if (entry) {
+    view.setUint16(entry.offset, 1, entry.littleEndian);
+  }
+  return copy;
+}
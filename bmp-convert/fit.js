@@ -0,0 +1,203 @@
+// Fitting a source image into the target size: which part of the source is
+// drawn where on the target canvas
+//   cover   - fill the target, cropping the overflow (CSS object-fit: cover)
+//   contain - show the whole image, letterboxed/pillarboxed
+//   stretch - fill the target, ignoring the aspect ratio
+//   none    - no scaling, cropped or padded around the anchor
+// The crop position anchors the image: "top" keeps the top edge, etc.
+// A crop region ({ x, y, width, height } in source pixels, e.g. dragged and
+// zoomed on the original) replaces the whole source when given.
+
+export const FIT_MODES = ["cover", "contain", "stretch", "none"];
+
+// Smallest crop region side, in source pixels
+const MIN_CROP_SIZE = 8;
+
+// Horizontal/vertical anchor (0 = left/top, 1 = right/bottom)
+function anchorFor(position) {
+  switch (position) {
+    case "top":
+      return { x: 0.5, y: 0 };
+    case "bottom":
+      return { x: 0.5, y: 1 };
+    case "left":
+      return { x: 0, y: 0.5 };
+    case "right":
+      return { x: 1, y: 0.5 };
+    case "center":
+    default:
+      return { x: 0.5, y: 0.5 };
+  }
+}
+
+// Calculate the source rectangle and where it lands on the target
+// Returns { sourceX, sourceY, sourceWidth, sourceHeight, destX, destY,
+// destWidth, destHeight }; the destination may extend past the target for
+// "none", which the canvas clips when drawing
+export function calculateCropParams(
+  sourceWidth,
+  sourceHeight,
+  targetWidth,
+  targetHeight,
+  position = "center",
+  fit = "cover",
+  region = null
+) {
+  if (region) {
+    const crop = calculateCropParams(
+      region.width,
+      region.height,
+      targetWidth,
+      targetHeight,
+      position,
+      fit
+    );
+    return {
+      ...crop,
+      sourceX: region.x + crop.sourceX,
+      sourceY: region.y + crop.sourceY,
+    };
+  }
+
+  const fullTarget = {
+    destX: 0,
+    destY: 0,
+    destWidth: targetWidth,
+    destHeight: targetHeight,
+  };
+
+  // Early return if no cropping needed
+  if (
+    (sourceWidth === targetWidth && sourceHeight === targetHeight) ||
+    fit === "stretch"
+  ) {
+    return {
+      sourceX: 0,
+      sourceY: 0,
+      sourceWidth,
+      sourceHeight,
+      ...fullTarget,
+    };
+  }
+
+  const anchor = anchorFor(position);
+
+  if (fit === "contain" || fit === "none") {
+    const scale =
+      fit === "none"
+        ? 1
+        : Math.min(targetWidth / sourceWidth, targetHeight / sourceHeight);
+    const destWidth = sourceWidth * scale;
+    const destHeight = sourceHeight * scale;
+
+    return {
+      sourceX: 0,
+      sourceY: 0,
+      sourceWidth,
+      sourceHeight,
+      destX: (targetWidth - destWidth) * anchor.x,
+      destY: (targetHeight - destHeight) * anchor.y,
+      destWidth,
+      destHeight,
+    };
+  }
+
+  // Calculate scale to cover (like CSS object-fit: cover)
+  const scale = Math.max(
+    targetWidth / sourceWidth,
+    targetHeight / sourceHeight
+  );
+
+  const excessWidth = sourceWidth * scale - targetWidth;
+  const excessHeight = sourceHeight * scale - targetHeight;
+
+  // Convert back to source image coordinates
+  return {
+    sourceX: (excessWidth * anchor.x) / scale,
+    sourceY: (excessHeight * anchor.y) / scale,
+    sourceWidth: targetWidth / scale,
+    sourceHeight: targetHeight / scale,
+    ...fullTarget,
+  };
+}
+
+// Whether the fitted image leaves parts of the target uncovered
+export function leavesBorders(crop, targetWidth, targetHeight) {
+  return (
+    crop.destX > 0 ||
+    crop.destY > 0 ||
+    crop.destX + crop.destWidth < targetWidth ||
+    crop.destY + crop.destHeight < targetHeight
+  );
+}
+
+// The cover crop window for a position, as a crop region
+export function defaultCropRegion(
+  sourceWidth,
+  sourceHeight,
+  targetWidth,
+  targetHeight,
+  position = "center"
+) {
+  const crop = calculateCropParams(
+    sourceWidth,
+    sourceHeight,
+    targetWidth,
+    targetHeight,
+    position
+  );
+  return {
+    x: crop.sourceX,
+    y: crop.sourceY,
+    width: crop.sourceWidth,
+    height: crop.sourceHeight,
+  };
+}
+
+// Keep a crop region inside the source
+function clampCropRegion(region, sourceWidth, sourceHeight) {
+  return {
+    ...region,
+    x: Math.min(Math.max(region.x, 0), sourceWidth - region.width),
+    y: Math.min(Math.max(region.y, 0), sourceHeight - region.height),
+  };
+}
+
+// Move a crop region by (dx, dy) source pixels
+export function panCropRegion(region, dx, dy, sourceWidth, sourceHeight) {
+  return clampCropRegion(
+    { ...region, x: region.x + dx, y: region.y + dy },
+    sourceWidth,
+    sourceHeight
+  );
+}
+
+// Scale a crop region by factor (< 1 zooms in) around the source point
+// (anchorX, anchorY), keeping its aspect ratio; it grows at most to the
+// largest window that fits the source
+export function zoomCropRegion(
+  region,
+  factor,
+  anchorX,
+  anchorY,
+  sourceWidth,
+  sourceHeight
+) {
+  const aspect = region.width / region.height;
+  const maxWidth = Math.min(sourceWidth, sourceHeight * aspect);
+  const minWidth = Math.min(maxWidth, MIN_CROP_SIZE * Math.max(1, aspect));
+  const width = Math.min(maxWidth, Math.max(minWidth, region.width * factor));
+  const scale = width / region.width;
+
+  return clampCropRegion(
+    {
+      ...region,
+      x: anchorX - (anchorX - region.x) * scale,
+      y: anchorY - (anchorY - region.y) * scale,
+      width,
+      height: width / aspect,
+    },
+    sourceWidth,
+    sourceHeight
+  );
+}
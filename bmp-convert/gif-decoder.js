@@ -0,0 +1,329 @@
+// GIF decoding - parses every frame of a (possibly animated) GIF so any
+// frame can be picked for conversion; browsers only ever draw the first
+// Frames are parsed up front but only decompressed and composited (honoring
+// each frame's disposal method) when one is rendered.
+
+// Frame disposal methods from the Graphic Control Extension
+const DISPOSE_BACKGROUND = 2;
+const DISPOSE_PREVIOUS = 3;
+
+// Same limit the UI enforces for any image it loads
+const MAX_DIMENSION = 10000;
+
+function readColorTable(bytes, offset, size) {
+  if (offset + size * 3 > bytes.length) {
+    throw new Error("GIF file is truncated (incomplete color table)");
+  }
+  const colors = [];
+  for (let i = 0; i < size; i++) {
+    const o = offset + i * 3;
+    colors.push([bytes[o], bytes[o + 1], bytes[o + 2]]);
+  }
+  return colors;
+}
+
+// Concatenate a run of data sub-blocks; returns the data and the offset
+// after the block terminator
+function readSubBlocks(bytes, offset) {
+  const chunks = [];
+  let length = 0;
+  while (offset < bytes.length && bytes[offset] !== 0) {
+    const size = bytes[offset];
+    chunks.push(bytes.subarray(offset + 1, offset + 1 + size));
+    length += size;
+    offset += 1 + size;
+  }
+  if (offset >= bytes.length) {
+    throw new Error("GIF file is truncated (unterminated data block)");
+  }
+
+  const data = new Uint8Array(length);
+  let position = 0;
+  for (const chunk of chunks) {
+    data.set(chunk, position);
+    position += chunk.length;
+  }
+  return { data, next: offset + 1 };
+}
+
+// Parse the logical screen and every frame's descriptor and compressed data
+export function parseGIF(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const signature = String.fromCharCode(...bytes.subarray(0, 6));
+  if (signature !== "GIF87a" && signature !== "GIF89a") {
+    throw new Error("Not a GIF file (missing 'GIF87a' or 'GIF89a' signature)");
+  }
+  if (bytes.length < 13) {
+    throw new Error("GIF file is truncated (incomplete screen descriptor)");
+  }
+
+  const view = new DataView(arrayBuffer);
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  if (width === 0 || height === 0) {
+    throw new Error(`Invalid GIF dimensions: ${width}x${height}`);
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(
+      `GIF dimensions too large: ${width}x${height} (max ${MAX_DIMENSION}px)`
+    );
+  }
+
+  const packed = bytes[10];
+  let offset = 13;
+  let globalPalette = null;
+  if (packed & 0x80) {
+    const size = 2 << (packed & 0x07);
+    globalPalette = readColorTable(bytes, offset, size);
+    offset += size * 3;
+  }
+
+  const frames = [];
+  let control = null; // Graphic Control Extension for the next frame
+  while (offset < bytes.length) {
+    const introducer = bytes[offset++];
+
+    if (introducer === 0x3b) {
+      break; // Trailer
+    }
+
+    if (introducer === 0x21) {
+      const label = bytes[offset++];
+      if (label === 0xf9 && bytes[offset] >= 4) {
+        const flags = bytes[offset + 1];
+        control = {
+          disposal: (flags >> 2) & 0x07,
+          delay: view.getUint16(offset + 2, true) * 10,
+          transparentIndex: flags & 0x01 ? bytes[offset + 4] : -1,
+        };
+      }
+      offset = readSubBlocks(bytes, offset).next;
+      continue;
+    }
+
+    if (introducer !== 0x2c) {
+      // Anything else is corruption; keep the frames read so far
+      if (frames.length > 0) break;
+      throw new Error("Invalid GIF file (unknown block type)");
+    }
+
+    if (offset + 10 > bytes.length) {
+      throw new Error("GIF file is truncated (incomplete image descriptor)");
+    }
+    const frame = {
+      left: view.getUint16(offset, true),
+      top: view.getUint16(offset + 2, true),
+      width: view.getUint16(offset + 4, true),
+      height: view.getUint16(offset + 6, true),
+      interlaced: (bytes[offset + 8] & 0x40) !== 0,
+      palette: null,
+      disposal: control ? control.disposal : 0,
+      delay: control ? control.delay : 0,
+      transparentIndex: control ? control.transparentIndex : -1,
+    };
+    // Frames are decoded whole, so one reaching past the screen could ask
+    // for billions of pixels that are never shown
+    if (frame.left + frame.width > width || frame.top + frame.height > height) {
+      if (frames.length > 0) break;
+      throw new Error(
+        `Invalid GIF frame: ${frame.width}x${frame.height} at ` +
+          `${frame.left},${frame.top} extends past the ${width}x${height} screen`
+      );
+    }
+    const framePacked = bytes[offset + 8];
+    offset += 9;
+    if (framePacked & 0x80) {
+      const size = 2 << (framePacked & 0x07);
+      frame.palette = readColorTable(bytes, offset, size);
+      offset += size * 3;
+    }
+
+    frame.minCodeSize = bytes[offset++];
+    if (frame.minCodeSize < 2 || frame.minCodeSize > 11) {
+      throw new Error(`Invalid GIF LZW code size: ${frame.minCodeSize}`);
+    }
+    const { data, next } = readSubBlocks(bytes, offset);
+    frame.data = data;
+    offset = next;
+
+    frames.push(frame);
+    control = null;
+  }
+
+  if (frames.length === 0) {
+    throw new Error("GIF file has no frames");
+  }
+  return { width, height, globalPalette, frames };
+}
+
+// Decompress GIF LZW data (variable-width codes, least significant bit
+// first) into pixelCount color indices; missing or corrupt data leaves
+// index 0 from there on
+function decodeLZW(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const prefix = new Uint16Array(4096);
+  const suffix = new Uint8Array(4096);
+  const stack = new Uint8Array(4097);
+  const output = new Uint8Array(pixelCount);
+  for (let i = 0; i < clearCode; i++) {
+    suffix[i] = i;
+  }
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let previous = -1;
+  let first = 0; // First index of the previous code's string
+  let bits = 0;
+  let bitCount = 0;
+  let position = 0;
+  let out = 0;
+
+  while (out < pixelCount) {
+    while (bitCount < codeSize) {
+      if (position >= data.length) return output;
+      bits |= data[position++] << bitCount;
+      bitCount += 8;
+    }
+    const code = bits & ((1 << codeSize) - 1);
+    bits >>>= codeSize;
+    bitCount -= codeSize;
+
+    if (code === clearCode) {
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      previous = -1;
+      continue;
+    }
+    if (code === endCode) break;
+    // Codes from beyond the table (or a string code before any string) can
+    // only come from corrupt data
+    if (code > nextCode || (previous === -1 && code > endCode)) break;
+
+    if (previous === -1) {
+      output[out++] = suffix[code];
+      previous = code;
+      first = suffix[code];
+      continue;
+    }
+
+    // Walk the code's string backwards onto the stack; a code not in the
+    // table yet is the previous string plus its own first index
+    let top = 0;
+    let current = code;
+    if (code >= nextCode) {
+      stack[top++] = first;
+      current = previous;
+    }
+    while (current > endCode) {
+      if (top >= 4096) return output; // A cycle in the table
+      stack[top++] = suffix[current];
+      current = prefix[current];
+    }
+    first = suffix[current];
+    stack[top++] = first;
+
+    if (nextCode < 4096) {
+      prefix[nextCode] = previous;
+      suffix[nextCode] = first;
+      nextCode++;
+      if (nextCode === 1 << codeSize && codeSize < 12) {
+        codeSize++;
+      }
+    }
+    previous = code;
+
+    while (top > 0 && out < pixelCount) {
+      output[out++] = stack[--top];
+    }
+  }
+  return output;
+}
+
+// Row order of an interlaced frame: every 8th row from 0, every 8th from
+// 4, every 4th from 2, then every 2nd from 1
+function interlacedRows(height) {
+  const rows = [];
+  for (const [start, step] of [
+    [0, 8],
+    [4, 8],
+    [2, 4],
+    [1, 2],
+  ]) {
+    for (let y = start; y < height; y += step) {
+      rows.push(y);
+    }
+  }
+  return rows;
+}
+
+function drawFrame(pixels, gif, frame) {
+  const palette = frame.palette || gif.globalPalette;
+  if (!palette) {
+    throw new Error("GIF frame has no color table");
+  }
+
+  const indices = decodeLZW(
+    frame.data,
+    frame.minCodeSize,
+    frame.width * frame.height
+  );
+  const rows = frame.interlaced ? interlacedRows(frame.height) : null;
+
+  for (let row = 0; row < frame.height; row++) {
+    const y = frame.top + (rows ? rows[row] : row);
+    if (y >= gif.height) continue;
+    for (let x = 0; x < frame.width; x++) {
+      const index = indices[row * frame.width + x];
+      if (index === frame.transparentIndex || frame.left + x >= gif.width) {
+        continue;
+      }
+      const color = palette[index] || [0, 0, 0];
+      const o = (y * gif.width + frame.left + x) * 4;
+      pixels[o] = color[0];
+      pixels[o + 1] = color[1];
+      pixels[o + 2] = color[2];
+      pixels[o + 3] = 255;
+    }
+  }
+}
+
+// Clear a frame's rectangle back to transparent, as browsers do for the
+// "restore to background" disposal
+function clearFrame(pixels, gif, frame) {
+  const right = Math.min(gif.width, frame.left + frame.width);
+  const bottom = Math.min(gif.height, frame.top + frame.height);
+  for (let y = frame.top; y < bottom; y++) {
+    pixels.fill(
+      0,
+      (y * gif.width + frame.left) * 4,
+      (y * gif.width + right) * 4
+    );
+  }
+}
+
+// Composite frames 0..index of a parsed GIF; returns the ImageData shown
+// while frame index is on screen
+export function renderGIFFrame(gif, index) {
+  if (index < 0 || index >= gif.frames.length) {
+    throw new Error(`GIF frame ${index} out of range`);
+  }
+
+  const pixels = new Uint8ClampedArray(gif.width * gif.height * 4);
+  for (let i = 0; i <= index; i++) {
+    const frame = gif.frames[i];
+    const previous =
+      frame.disposal === DISPOSE_PREVIOUS && i < index ? pixels.slice() : null;
+    drawFrame(pixels, gif, frame);
+
+    if (i < index) {
+      if (frame.disposal === DISPOSE_BACKGROUND) {
+        clearFrame(pixels, gif, frame);
+      } else if (previous) {
+        pixels.set(previous);
+      }
+    }
+  }
+
+  return new ImageData(pixels, gif.width, gif.height);
+}
@@ -8,6 +8,15 @@ export function escapeHtml(text) {
 }
 
 export function downloadBMP(blob, fileName) {
+  downloadFile(blob, fileName, "bmp");
+
+  // Return file size for notification
+  const sizeMB = (blob.size / (1024 * 1024)).toFixed(2);
+  return sizeMB;
+}
+
+// Save a Blob as <base name of fileName>.<extension>
+export function downloadFile(blob, fileName, extension) {
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -21,7 +30,7 @@ export function downloadBMP(blob, fileName) {
     // Limit length
     baseName = baseName.substring(0, 100);
   }
-  a.download = `${baseName}.bmp`;
+  a.download = `${baseName}.${extension}`;
   document.body.appendChild(a);
   a.click();
   document.body.removeChild(a);
@@ -31,10 +40,14 @@ export function downloadBMP(blob, fileName) {
   requestAnimationFrame(() => {
     setTimeout(() => URL.revokeObjectURL(url), 1000);
   });
+}
 
-  // Return file size for notification
-  const sizeMB = (blob.size / (1024 * 1024)).toFixed(2);
-  return sizeMB;
+// Format a byte count for display (e.g. "~376 KB", "~1.1 MB")
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `~${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `~${Math.max(1, Math.round(bytes / 1024))} KB`;
 }
 
 let notificationTimeout = null;
@@ -0,0 +1,285 @@
+// Loading input files into something canvas can draw
+// BMP, TIFF and GIF go through our own decoders (browsers can't decode the
+// first two, and only ever draw the first GIF frame); SVG is kept as a
+// vector image; everything else is whatever createImageBitmap can decode.
+// JPEGs are turned upright according to their EXIF orientation.
+import { decodeBMP } from "./decoder.js";
+import { decodeTIFF } from "./tiff-decoder.js";
+import { parseGIF, renderGIFFrame } from "./gif-decoder.js";
+import { readExifOrientation, clearExifOrientation } from "./exif.js";
+import {
+  EXIF_ORIENTATIONS,
+  isNoOrientation,
+  orientedSize,
+  orientImageData,
+} from "./orientation.js";
+
+// SVG images drawn by loadImageFile, rasterized at whatever size they're
+// drawn at instead of being scaled from their intrinsic size
+const vectorImages = new WeakSet();
+
+// Size given to SVGs with neither width/height nor a viewBox (the CSS
+// default for replaced elements)
+const DEFAULT_SVG_WIDTH = 300;
+const DEFAULT_SVG_HEIGHT = 150;
+
+// Files may come without a MIME type, so extensions count too
+const FORMAT_PATTERNS = {
+  BMP: { type: /^image\/(bmp|x-ms-bmp)$/, extension: /\.bmp$/i },
+  TIFF: { type: /^image\/tiff$/, extension: /\.tiff?$/i },
+  GIF: { type: /^image\/gif$/, extension: /\.gif$/i },
+  JPEG: { type: /^image\/(jpeg|jpg|pjpeg)$/, extension: /\.jpe?g$/i },
+  SVG: { type: /^image\/svg\+xml$/, extension: /\.svg$/i },
+};
+
+function isFormat(file, format) {
+  const pattern = FORMAT_PATTERNS[format];
+  return pattern.type.test(file.type) || pattern.extension.test(file.name);
+}
+
+// Any image type: the browser gets to try formats we don't know
+export function isSupportedImageFile(file) {
+  return (
+    file.type.startsWith("image/") ||
+    /\.(png|jpe?g|webp|gif|avif|svg|bmp|tiff?)$/i.test(file.name)
+  );
+}
+
+export function isVectorImage(image) {
+  return vectorImages.has(image);
+}
+
+function readFile(file, method) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error("Failed to read file"));
+    reader[method](file);
+  });
+}
+
+// Draw ImageData (or anything drawable) onto a new canvas
+function toCanvas(source) {
+  const canvas = document.createElement("canvas");
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const context = canvas.getContext("2d");
+  if (source instanceof ImageData) {
+    context.putImageData(source, 0, 0);
+  } else {
+    context.drawImage(source, 0, 0);
+  }
+  return canvas;
+}
+
+// Decode a file with one of our own decoders, naming the format on failure
+async function decodeWith(file, decode, formatName) {
+  const buffer = await readFile(file, "readAsArrayBuffer");
+  try {
+    return decode(buffer);
+  } catch (error) {
+    throw new Error(`Failed to decode ${formatName}: ${error.message}`);
+  }
+}
+
+// Intrinsic size of an <svg> element: its width/height attributes in
+// pixels, or its viewBox size (keeping the aspect ratio when only one of
+// width and height is given)
+export function svgIntrinsicSize(svg) {
+  const pixels = (value) => {
+    const match = /^\s*(\d*\.?\d+)\s*(px)?\s*$/.exec(value || "");
+    return match ? parseFloat(match[1]) : null;
+  };
+  let width = pixels(svg.getAttribute("width"));
+  let height = pixels(svg.getAttribute("height"));
+
+  const viewBox = (svg.getAttribute("viewBox") || "")
+    .trim()
+    .split(/[\s,]+/)
+    .map(Number);
+  if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) {
+    const ratio = viewBox[2] / viewBox[3];
+    if (!width && !height) {
+      width = viewBox[2];
+      height = viewBox[3];
+    } else if (!width) {
+      width = height * ratio;
+    } else if (!height) {
+      height = width / ratio;
+    }
+  }
+
+  return {
+    width: Math.max(1, Math.round(width || DEFAULT_SVG_WIDTH)),
+    height: Math.max(1, Math.round(height || DEFAULT_SVG_HEIGHT)),
+  };
+}
+
+// Load an SVG as an <img> with an explicit pixel size, so every browser
+// reports the same intrinsic size and can draw it at any scale
+async function loadSVG(file) {
+  const text = await readFile(file, "readAsText");
+  const doc = new DOMParser().parseFromString(text, "image/svg+xml");
+  const svg = doc.documentElement;
+  if (svg.nodeName !== "svg" || doc.querySelector("parsererror")) {
+    throw new Error("Failed to decode SVG: not a valid SVG document");
+  }
+
+  const { width, height } = svgIntrinsicSize(svg);
+  svg.setAttribute("width", width);
+  svg.setAttribute("height", height);
+  const src =
+    "data:image/svg+xml;charset=utf-8," +
+    encodeURIComponent(new XMLSerializer().serializeToString(svg));
+
+  const img = await loadImageElement(src);
+  vectorImages.add(img);
+  return { image: img, src, formatName: "SVG" };
+}
+
+function loadImageElement(src) {
+  const img = new Image();
+  return new Promise((resolve, reject) => {
+    img.onload = () => resolve(img);
+    img.onerror = () =>
+      reject(new Error("Failed to load image. Please try another file."));
+    img.src = src;
+  });
+}
+
+// Name of a browser-decoded format, from the MIME type or extension
+function formatNameOf(file) {
+  const subtype = file.type.split("/")[1];
+  const extension = /\.([^.]+)$/.exec(file.name);
+  return (subtype || (extension ? extension[1] : "image")).toUpperCase();
+}
+
+// Load an image file: resolves to { image, src, formatName, gif,
+// exifOrientation }, where image is an <img> or <canvas>, src a URL showing
+// it, gif the parsed GIF when it has more than one frame to pick from, and
+// exifOrientation the orientation a JPEG was stored with
+export async function loadImageFile(file) {
+  if (isFormat(file, "BMP")) {
+    const canvas = toCanvas(await decodeWith(file, decodeBMP, "BMP"));
+    return { image: canvas, src: canvas.toDataURL(), formatName: "BMP" };
+  }
+
+  if (isFormat(file, "TIFF")) {
+    const canvas = toCanvas(await decodeWith(file, decodeTIFF, "TIFF"));
+    return { image: canvas, src: canvas.toDataURL(), formatName: "TIFF" };
+  }
+
+  if (isFormat(file, "GIF")) {
+    const gif = await decodeWith(file, parseGIF, "GIF");
+    const canvas = toCanvas(renderGIFFrame(gif, 0));
+    return {
+      image: canvas,
+      src: canvas.toDataURL(),
+      formatName: "GIF",
+      gif: gif.frames.length > 1 ? gif : null,
+    };
+  }
+
+  if (isFormat(file, "SVG")) {
+    return loadSVG(file);
+  }
+
+  // The browser decodes JPEGs as stored; our own EXIF reader turns them
+  // upright, so no browser ends up rotating them twice
+  if (isFormat(file, "JPEG")) {
+    const buffer = await readFile(file, "readAsArrayBuffer");
+    const exifOrientation = readExifOrientation(buffer);
+    const stored = await decodeInBrowser(
+      new Blob([clearExifOrientation(buffer)], { type: "image/jpeg" }),
+      "JPEG"
+    );
+    const canvas = toCanvas(
+      exifOrientation === 1
+        ? stored
+        : orientImageData(
+            toCanvas(stored)
+              .getContext("2d")
+              .getImageData(0, 0, stored.width, stored.height),
+            EXIF_ORIENTATIONS[exifOrientation]
+          )
+    );
+    return {
+      image: canvas,
+      src: canvas.toDataURL(),
+      formatName: "JPEG",
+      exifOrientation,
+    };
+  }
+
+  // WebP, AVIF, PNG and anything else the browser can decode
+  const image = await decodeInBrowser(file, formatNameOf(file));
+  const canvas = toCanvas(image);
+  return {
+    image: canvas,
+    src: canvas.toDataURL(),
+    formatName: formatNameOf(file),
+  };
+}
+
+// Decode a file (or blob) with the browser's own decoders
+async function decodeInBrowser(blob, formatName) {
+  if (typeof createImageBitmap === "function") {
+    let bitmap;
+    try {
+      bitmap = await createImageBitmap(blob);
+    } catch (error) {
+      throw new Error(`This browser can't decode ${formatName} images.`);
+    }
+    const canvas = toCanvas(bitmap);
+    bitmap.close();
+    return canvas;
+  }
+  return loadImageElement(await readFile(blob, "readAsDataURL"));
+}
+
+// Rotate and flip a loaded image (src is the URL showing it); resolves to
+// { image, src }. SVGs are wrapped in a transformed SVG and stay vector.
+export async function orientImage(image, src, orientation) {
+  if (isNoOrientation(orientation)) {
+    return { image, src };
+  }
+
+  const { width, height } = orientedSize(
+    image.width,
+    image.height,
+    orientation
+  );
+  if (isVectorImage(image)) {
+    const transform = [
+      `translate(${width / 2} ${height / 2})`,
+      `scale(${orientation.flipH ? -1 : 1} ${orientation.flipV ? -1 : 1})`,
+      `rotate(${orientation.rotate})`,
+      `translate(${-image.width / 2} ${-image.height / 2})`,
+    ].join(" ");
+    // The data URL is percent-encoded, so it can't break out of the quotes
+    const wrapper =
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}">` +
+      `<image width="${image.width}" height="${image.height}" transform="${transform}" xlink:href="${src}"/>` +
+      "</svg>";
+    const orientedSrc =
+      "data:image/svg+xml;charset=utf-8," + encodeURIComponent(wrapper);
+    const img = await loadImageElement(orientedSrc);
+    vectorImages.add(img);
+    return { image: img, src: orientedSrc };
+  }
+
+  const source = toCanvas(image);
+  const canvas = toCanvas(
+    orientImageData(
+      source.getContext("2d").getImageData(0, 0, source.width, source.height),
+      orientation
+    )
+  );
+  return { image: canvas, src: canvas.toDataURL() };
+}
+
+// Draw one frame of a parsed GIF onto a canvas
+export function loadGIFFrame(gif, index) {
+  const canvas = toCanvas(renderGIFFrame(gif, index));
+  return { image: canvas, src: canvas.toDataURL() };
+}
@@ -0,0 +1,164 @@
+// BMP inspection - reports header fields, layout and spec violations
+import { parseBMPHeader, readPalette, decodeBMP } from "./decoder.js";
+
+const DIB_HEADER_NAMES = {
+  12: "BITMAPCOREHEADER",
+  40: "BITMAPINFOHEADER",
+  52: "BITMAPV2INFOHEADER",
+  56: "BITMAPV3INFOHEADER",
+  64: "OS22XBITMAPHEADER",
+  108: "BITMAPV4HEADER",
+  124: "BITMAPV5HEADER",
+};
+
+const VALID_BIT_DEPTHS = [1, 2, 4, 8, 16, 24, 32];
+
+// Inspect a BMP file (ArrayBuffer) without assuming it is well-formed
+// Returns { byteLength, fileHeader, header, palette, layout, imageData, issues }
+// where issues is a list of { level: "error" | "warning", message }
+export function inspectBMP(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const issues = [];
+  const error = (message) => issues.push({ level: "error", message });
+  const warning = (message) => issues.push({ level: "warning", message });
+
+  const report = {
+    byteLength: view.byteLength,
+    fileHeader: null,
+    header: null,
+    palette: [],
+    layout: null,
+    imageData: null,
+    issues,
+  };
+
+  if (view.byteLength >= 14) {
+    report.fileHeader = {
+      signature: String.fromCharCode(view.getUint8(0), view.getUint8(1)),
+      fileSize: view.getUint32(2, true),
+      reserved1: view.getUint16(6, true),
+      reserved2: view.getUint16(8, true),
+      pixelDataOffset: view.getUint32(10, true),
+    };
+  }
+
+  let header;
+  try {
+    header = parseBMPHeader(arrayBuffer);
+  } catch (e) {
+    error(e.message);
+    return report;
+  }
+  report.header = header;
+  header.dibHeaderName =
+    DIB_HEADER_NAMES[header.dibHeaderSize] || "Unknown header";
+
+  const { fileHeader } = report;
+  const { width, height, bitsPerPixel, compression } = header;
+  const isRLE = compression === 1 || compression === 2;
+
+  // File header checks
+  if (fileHeader.fileSize !== view.byteLength) {
+    warning(
+      `File size field is ${fileHeader.fileSize} bytes but the file is ${view.byteLength} bytes`
+    );
+  }
+  if (fileHeader.reserved1 !== 0 || fileHeader.reserved2 !== 0) {
+    warning("Reserved file header fields are not zero");
+  }
+
+  // DIB header checks
+  if (!DIB_HEADER_NAMES[header.dibHeaderSize]) {
+    warning(`Unusual DIB header size: ${header.dibHeaderSize} bytes`);
+  }
+  if (width <= 0 || height <= 0) {
+    error(`Invalid dimensions: ${width} × ${height}`);
+  }
+  if (header.planes !== 1) {
+    error(`Planes must be 1, found ${header.planes}`);
+  }
+  if (!VALID_BIT_DEPTHS.includes(bitsPerPixel)) {
+    error(`Invalid bit depth: ${bitsPerPixel} bits per pixel`);
+  } else if (bitsPerPixel === 2) {
+    warning("2-bit bitmaps are only supported by Windows CE readers");
+  }
+
+  // Compression checks
+  if (compression === 4 || compression === 5) {
+    error(
+      `Unsupported compression: ${header.compressionName} (embedded JPEG/PNG)`
+    );
+  } else if (compression > 6) {
+    error(`Unknown compression type: ${compression}`);
+  } else if (compression === 1 && bitsPerPixel !== 8) {
+    error(`BI_RLE8 requires 8 bits per pixel, found ${bitsPerPixel}`);
+  } else if (compression === 2 && bitsPerPixel !== 4) {
+    error(`BI_RLE4 requires 4 bits per pixel, found ${bitsPerPixel}`);
+  } else if (
+    (compression === 3 || compression === 6) &&
+    bitsPerPixel !== 16 &&
+    bitsPerPixel !== 32
+  ) {
+    error(`${header.compressionName} requires 16 or 32 bits per pixel`);
+  }
+  if (isRLE && header.topDown) {
+    error("RLE bitmaps must be bottom-up (positive height)");
+  }
+  if (isRLE && header.imageSize === 0) {
+    error("Image size field must be set for compressed bitmaps");
+  }
+
+  // Palette checks
+  if (bitsPerPixel <= 8 && header.colorsUsed > 1 << bitsPerPixel) {
+    error(
+      `Palette declares ${
+        header.colorsUsed
+      } colors but ${bitsPerPixel}-bit allows at most ${1 << bitsPerPixel}`
+    );
+  }
+  const paletteEnd =
+    header.paletteOffset + header.paletteCount * header.paletteEntrySize;
+  if (header.paletteCount > 0 && paletteEnd > fileHeader.pixelDataOffset) {
+    error(
+      `Pixel data offset (${fileHeader.pixelDataOffset}) overlaps the palette, which ends at byte ${paletteEnd}`
+    );
+  }
+  report.palette = readPalette(view, header);
+
+  // Pixel data layout
+  const pixelArraySize = isRLE ? header.imageSize : header.rowSize * height;
+  report.layout = {
+    rowStride: header.rowSize,
+    rowPadding: header.rowSize - Math.ceil((bitsPerPixel * width) / 8),
+    pixelArraySize,
+    rowOrder: header.topDown ? "Top-down" : "Bottom-up",
+  };
+
+  if (fileHeader.pixelDataOffset >= view.byteLength) {
+    error(
+      `Pixel data offset (${fileHeader.pixelDataOffset}) is past the end of the file`
+    );
+  } else if (fileHeader.pixelDataOffset + pixelArraySize > view.byteLength) {
+    error(
+      `Pixel data is truncated: expected ${pixelArraySize} bytes, found ${
+        view.byteLength - fileHeader.pixelDataOffset
+      }`
+    );
+  }
+  if (!isRLE && header.imageSize !== 0 && header.imageSize !== pixelArraySize) {
+    warning(
+      `Image size field is ${header.imageSize} bytes but rows need ${pixelArraySize} bytes`
+    );
+  }
+
+  // Finally, try to decode the pixels
+  try {
+    report.imageData = decodeBMP(arrayBuffer);
+  } catch (e) {
+    if (!issues.some((issue) => issue.level === "error")) {
+      error(`Pixel data could not be decoded: ${e.message}`);
+    }
+  }
+
+  return report;
+}
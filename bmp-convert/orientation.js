@@ -0,0 +1,86 @@
+// Rotating and flipping images in right angles
+// An orientation is { rotate, flipH, flipV }: a clockwise rotation of 0,
+// 90, 180 or 270 degrees, then flips along the rotated image's axes.
+
+export const NO_ORIENTATION = { rotate: 0, flipH: false, flipV: false };
+
+// What turns an image stored with each EXIF orientation upright
+export const EXIF_ORIENTATIONS = {
+  1: NO_ORIENTATION,
+  2: { rotate: 0, flipH: true, flipV: false },
+  3: { rotate: 180, flipH: false, flipV: false },
+  4: { rotate: 0, flipH: false, flipV: true },
+  5: { rotate: 90, flipH: true, flipV: false }, // Transpose
+  6: { rotate: 90, flipH: false, flipV: false },
+  7: { rotate: 270, flipH: true, flipV: false }, // Transverse
+  8: { rotate: 270, flipH: false, flipV: false },
+};
+
+export function isNoOrientation(orientation) {
+  return (
+    orientation.rotate % 360 === 0 && !orientation.flipH && !orientation.flipV
+  );
+}
+
+// Size of a width x height image after orienting it
+export function orientedSize(width, height, orientation) {
+  return orientation.rotate % 180 === 0
+    ? { width, height }
+    : { width: height, height: width };
+}
+
+// Where a region ({ x, y, width, height }) of a width x height image
+// oriented as from lands when the source is oriented as to instead; null
+// when the two differ by a quarter turn, as the image changes shape
+export function reorientRegion(region, width, height, from, to) {
+  const turn = (((to.rotate - from.rotate) % 360) + 360) % 360;
+  if (turn % 180 !== 0) return null;
+
+  // A half turn is a horizontal plus a vertical flip
+  const halfTurn = turn === 180;
+  const mirrorX = (from.flipH !== to.flipH) !== halfTurn;
+  const mirrorY = (from.flipV !== to.flipV) !== halfTurn;
+  return {
+    x: mirrorX ? width - region.x - region.width : region.x,
+    y: mirrorY ? height - region.y - region.height : region.y,
+    width: region.width,
+    height: region.height,
+  };
+}
+
+// Rotate and flip ImageData; pixels are moved, never resampled
+export function orientImageData(imageData, orientation) {
+  const { width, height, data } = imageData;
+  const rotate = ((orientation.rotate % 360) + 360) % 360;
+  const size = orientedSize(width, height, { rotate });
+  const output = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < size.height; y++) {
+    // Undo the flips, then the rotation, to find the source pixel
+    const ry = orientation.flipV ? size.height - 1 - y : y;
+    for (let x = 0; x < size.width; x++) {
+      const rx = orientation.flipH ? size.width - 1 - x : x;
+      let sx = rx;
+      let sy = ry;
+      if (rotate === 90) {
+        sx = ry;
+        sy = height - 1 - rx;
+      } else if (rotate === 180) {
+        sx = width - 1 - rx;
+        sy = height - 1 - ry;
+      } else if (rotate === 270) {
+        sx = width - 1 - ry;
+        sy = rx;
+      }
+
+      const i = (sy * width + sx) * 4;
+      const o = (y * size.width + x) * 4;
+      output[o] = data[i];
+      output[o + 1] = data[i + 1];
+      output[o + 2] = data[i + 2];
+      output[o + 3] = data[i + 3];
+    }
+  }
+
+  return new ImageData(output, size.width, size.height);
+}
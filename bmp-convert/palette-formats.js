@@ -0,0 +1,197 @@
+// Palette file formats: GIMP .gpl, Adobe .act, JASC .pal and hex lists
+// Parsers return [{ r, g, b }] (at most 256 colors) and throw on files they
+// can't make sense of; formatters turn a color array back into file contents
+
+const MAX_COLORS = 256;
+
+function stripBOM(text) {
+  return text.replace(/^\uFEFF/, "");
+}
+
+// Parse an "R G B" triple of decimal channel values, or null
+function parseTriple(line) {
+  const match = /^\s*(\d{1,3})\s+(\d{1,3})\s+(\d{1,3})(?:\s|$)/.exec(line);
+  if (!match) return null;
+  const [r, g, b] = match.slice(1, 4).map(Number);
+  if (r > 255 || g > 255 || b > 255) return null;
+  return { r, g, b };
+}
+
+function checkColors(colors, formatName) {
+  if (colors.length === 0) {
+    throw new Error(`${formatName} palette has no colors`);
+  }
+  if (colors.length > MAX_COLORS) {
+    throw new Error(
+      `${formatName} palette has ${colors.length} colors (max ${MAX_COLORS})`
+    );
+  }
+  return colors;
+}
+
+// GIMP palette: "GIMP Palette" header, optional Name:/Columns: lines,
+// # comments, then one "R G B [name]" line per color
+export function parseGPL(text) {
+  const lines = stripBOM(text).split(/\r?\n/);
+  if (!/^GIMP Palette/.test(lines[0])) {
+    throw new Error("Not a GIMP palette (missing 'GIMP Palette' header)");
+  }
+
+  const colors = [];
+  for (const line of lines.slice(1)) {
+    if (/^\s*(#|$)/.test(line) || /^(Name|Columns):/.test(line)) continue;
+    const color = parseTriple(line);
+    if (!color) {
+      throw new Error(`Invalid GIMP palette line: ${line.trim()}`);
+    }
+    colors.push(color);
+  }
+  return checkColors(colors, "GIMP");
+}
+
+// JASC (Paint Shop Pro) palette: "JASC-PAL", version "0100", color count,
+// then one "R G B" line per color
+export function parseJASCPal(text) {
+  const lines = stripBOM(text)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== "");
+  if (lines[0] !== "JASC-PAL") {
+    throw new Error("Not a JASC palette (missing 'JASC-PAL' header)");
+  }
+
+  const count = parseInt(lines[2], 10);
+  if (!(count > 0) || lines.length < count + 3) {
+    throw new Error("JASC palette is truncated or has an invalid color count");
+  }
+
+  const colors = [];
+  for (const line of lines.slice(3, 3 + count)) {
+    const color = parseTriple(line);
+    if (!color) {
+      throw new Error(`Invalid JASC palette line: ${line}`);
+    }
+    colors.push(color);
+  }
+  return checkColors(colors, "JASC");
+}
+
+// Adobe Color Table: 256 RGB triples (768 bytes), optionally followed by a
+// big-endian color count and transparent index (772 bytes)
+export function parseACT(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (bytes.length !== 768 && bytes.length !== 772) {
+    throw new Error(
+      `Not an Adobe Color Table (${bytes.length} bytes, expected 768 or 772)`
+    );
+  }
+
+  let count = MAX_COLORS;
+  if (bytes.length === 772) {
+    const storedCount = (bytes[768] << 8) | bytes[769];
+    if (storedCount > 0 && storedCount <= MAX_COLORS) count = storedCount;
+  }
+
+  const colors = [];
+  for (let i = 0; i < count; i++) {
+    colors.push({ r: bytes[i * 3], g: bytes[i * 3 + 1], b: bytes[i * 3 + 2] });
+  }
+  return colors;
+}
+
+// Hex list (e.g. Lospec .hex): one RRGGBB color per line, "#" optional;
+// Paint.NET style AARRGGBB entries and ";" comments are accepted too
+export function parseHexList(text) {
+  const colors = [];
+  for (const rawLine of stripBOM(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/;.*$/, "").trim();
+    if (line === "") continue;
+
+    const match = /^#?(?:[0-9a-f]{2})?([0-9a-f]{6})$/i.exec(line);
+    if (!match) {
+      throw new Error(`Invalid hex color: ${line}`);
+    }
+    const value = parseInt(match[1], 16);
+    colors.push({ r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff });
+  }
+  return checkColors(colors, "Hex");
+}
+
+// Parse a palette file, picking the format from its extension and contents
+export function parsePaletteFile(fileName, buffer) {
+  if (/\.act$/i.test(fileName)) {
+    return parseACT(buffer);
+  }
+
+  const text = new TextDecoder().decode(buffer);
+  const header = stripBOM(text).trimStart();
+  if (header.startsWith("GIMP Palette")) {
+    return parseGPL(text);
+  }
+  if (header.startsWith("JASC-PAL")) {
+    return parseJASCPal(text);
+  }
+  if (/\.pal$/i.test(fileName) && buffer.byteLength === 768) {
+    // Raw 768-byte .pal files are the same layout as .act
+    return parseACT(buffer);
+  }
+  return parseHexList(text);
+}
+
+export function formatGPL(colors, name = "bmp-convert") {
+  const channel = (value) => String(value).padStart(3);
+  const lines = ["GIMP Palette", `Name: ${name}`, "Columns: 16", "#"];
+  for (const color of colors) {
+    const { r, g, b } = color;
+    lines.push(
+      `${channel(r)} ${channel(g)} ${channel(b)}\t${toHexColor(color)}`
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+export function formatJASCPal(colors) {
+  const lines = ["JASC-PAL", "0100", String(colors.length)];
+  for (const { r, g, b } of colors) {
+    lines.push(`${r} ${g} ${b}`);
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// 772-byte table: unused entries are black, and the trailer records the
+// real color count with no transparent index (0xFFFF)
+export function formatACT(colors) {
+  const bytes = new Uint8Array(772);
+  const count = Math.min(colors.length, MAX_COLORS);
+  for (let i = 0; i < count; i++) {
+    bytes[i * 3] = colors[i].r;
+    bytes[i * 3 + 1] = colors[i].g;
+    bytes[i * 3 + 2] = colors[i].b;
+  }
+  bytes[768] = count >> 8;
+  bytes[769] = count & 0xff;
+  bytes[770] = 0xff;
+  bytes[771] = 0xff;
+  return bytes;
+}
+
+export function formatHexList(colors) {
+  return colors.map((color) => toHexColor(color).slice(1)).join("\n") + "\n";
+}
+
+// "#rrggbb" for a { r, g, b } color
+export function toHexColor({ r, g, b }) {
+  return "#" + ((r << 16) | (g << 8) | b).toString(16).padStart(6, "0");
+}
+
+// Export formats by id: file extension, MIME type and formatter
+export const PALETTE_EXPORT_FORMATS = {
+  gpl: { extension: "gpl", mimeType: "text/plain", format: formatGPL },
+  act: {
+    extension: "act",
+    mimeType: "application/octet-stream",
+    format: formatACT,
+  },
+  pal: { extension: "pal", mimeType: "text/plain", format: formatJASCPal },
+  hex: { extension: "hex", mimeType: "text/plain", format: formatHexList },
+};
@@ -2,8 +2,14 @@
 import {
   build8BitPalette,
   build4BitPalette,
+  build1BitPalette,
   quantizeImageData,
-  applyFloydSteinbergDithering,
+  indexPixels,
+  compositeOntoBackground,
+  resolveTransparency,
+  applyDithering,
+  quantizeTo16Bit,
+  unpack16BitPixel,
 } from "./encoder.js";
 
 // Preview generation functions - return quantized ImageData for display
@@ -16,63 +22,114 @@ export function generatePreview24Bit(imageData) {
   );
 }
 
-export function generatePreview8Bit(imageData, dither = false) {
-  // Create a copy of the image data to avoid modifying the original
-  const imageDataCopy = new ImageData(
+export function generatePreview32Bit(imageData) {
+  // 32-bit keeps every channel including alpha, so the preview is a plain copy
+  return new ImageData(
     new Uint8ClampedArray(imageData.data),
     imageData.width,
     imageData.height
   );
+}
 
-  const { colorArray, findClosestColor } = build8BitPalette(imageDataCopy.data);
+export function generatePreview16Bit(imageData, dither = false, options = {}) {
+  const width = imageData.width;
+  const height = imageData.height;
+  const pixelFormat = options.pixelFormat === "555" ? "555" : "565";
+
+  const pixels = quantizeTo16Bit(
+    imageData.data,
+    width,
+    height,
+    pixelFormat,
+    dither
+  );
+
+  // Expand back to 8-bit channels the way a BMP reader would
+  const previewImageData = new ImageData(width, height);
+  for (let i = 0; i < pixels.length; i++) {
+    const color = unpack16BitPixel(pixels[i], pixelFormat);
+    previewImageData.data[i * 4] = color.r;
+    previewImageData.data[i * 4 + 1] = color.g;
+    previewImageData.data[i * 4 + 2] = color.b;
+    previewImageData.data[i * 4 + 3] = imageData.data[i * 4 + 3];
+  }
+
+  return previewImageData;
+}
+
+// Palettized (8-bit or 4-bit) preview, along with the palette and the
+// per-pixel indices the encoder would write for it
+export function generatePalettizedPreview(
+  imageData,
+  bitsPerPixel,
+  dither = false,
+  options = {}
+) {
+  const width = imageData.width;
+  const height = imageData.height;
+  // Copy, as dithering works in place
+  let data = new Uint8ClampedArray(
+    resolveTransparency(imageData.data, options)
+  );
+
+  const build = bitsPerPixel === 8 ? build8BitPalette : build4BitPalette;
+  const { colorArray, findClosestColor } = build(data, options);
 
-  let processedData = imageDataCopy.data;
   if (dither) {
-    processedData = applyFloydSteinbergDithering(
-      processedData,
-      imageDataCopy.width,
-      imageDataCopy.height,
-      colorArray,
-      findClosestColor
+    data = new Uint8ClampedArray(
+      applyDithering(data, width, height, colorArray, findClosestColor, options)
     );
-    const ditheredImageData = new ImageData(
-      imageDataCopy.width,
-      imageDataCopy.height
-    );
-    ditheredImageData.data.set(processedData);
-    return quantizeImageData(ditheredImageData, colorArray, findClosestColor);
   }
 
-  return quantizeImageData(imageDataCopy, colorArray, findClosestColor);
+  // Transparent pixels show palette entry 0, as they do in the encoded file
+  const pixelIndices = indexPixels(data, findClosestColor);
+  const preview = new ImageData(width, height);
+  for (let p = 0; p < pixelIndices.length; p++) {
+    const color = colorArray[pixelIndices[p]];
+    const i = p * 4;
+    preview.data[i] = color.r;
+    preview.data[i + 1] = color.g;
+    preview.data[i + 2] = color.b;
+    preview.data[i + 3] = data[i + 3] < 128 ? 255 : data[i + 3];
+  }
+
+  return { imageData: preview, colorArray, pixelIndices };
 }
 
-export function generatePreview4Bit(imageData, aggressive = false) {
-  // Create a copy of the image data to avoid modifying the original
-  const imageDataCopy = new ImageData(
-    new Uint8ClampedArray(imageData.data),
-    imageData.width,
-    imageData.height
-  );
+export function generatePreview8Bit(imageData, dither = false, options = {}) {
+  return generatePalettizedPreview(imageData, 8, dither, options).imageData;
+}
+
+export function generatePreview4Bit(
+  imageData,
+  aggressive = false,
+  options = {}
+) {
+  return generatePalettizedPreview(imageData, 4, aggressive, options).imageData;
+}
 
-  const width = imageDataCopy.width;
-  const height = imageDataCopy.height;
-  let processedData = imageDataCopy.data;
+export function generatePreview1Bit(imageData, dither = false, options = {}) {
+  const width = imageData.width;
+  const height = imageData.height;
+  // Always flattened, matching the encoder
+  let processedData = new Uint8ClampedArray(
+    compositeOntoBackground(imageData.data, options.background)
+  );
 
-  // Build palette first
-  const { colorArray, findClosestColor } = build4BitPalette(processedData);
+  const { colorArray, findClosestColor } = build1BitPalette(options.threshold);
 
-  // Apply dithering if aggressive
-  if (aggressive) {
-    processedData = applyFloydSteinbergDithering(
+  // Apply dithering if requested
+  if (dither) {
+    processedData = applyDithering(
       processedData,
       width,
       height,
       colorArray,
-      findClosestColor
+      findClosestColor,
+      options
     );
   }
 
-  // Use processed data for quantization
   const processedImageData = new ImageData(width, height);
   processedImageData.data.set(processedData);
 
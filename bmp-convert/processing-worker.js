@@ -0,0 +1,45 @@
+// Web Worker entry point - runs processing jobs off the main thread
+// Pixel buffers are transferred (not copied) in both directions
+import { runJob } from "./processing.js";
+
+self.onmessage = async (e) => {
+  const { id, type, width, height, buffer, level, options } = e.data;
+
+  try {
+    const imageData = new ImageData(
+      new Uint8ClampedArray(buffer),
+      width,
+      height
+    );
+    const result = runJob(
+      { type, imageData, level, options },
+      (stage, progress) =>
+        self.postMessage({ id, type: "progress", stage, progress })
+    );
+
+    if (type === "preview" || type === "resample") {
+      const { data } = result.imageData;
+      self.postMessage(
+        {
+          id,
+          type: "result",
+          width: result.imageData.width,
+          height: result.imageData.height,
+          buffer: data.buffer,
+          estimatedSize: result.estimatedSize,
+        },
+        [data.buffer]
+      );
+    } else if (type === "palette") {
+      self.postMessage({ id, type: "result", colors: result.colors });
+    } else {
+      const bmpBuffer = await result.blob.arrayBuffer();
+      self.postMessage({ id, type: "result", buffer: bmpBuffer }, [bmpBuffer]);
+    }
+  } catch (error) {
+    self.postMessage({ id, type: "error", message: error.message });
+  }
+};
+
+// Tell the page the module loaded, so it knows transfers are safe
+self.postMessage({ type: "ready" });
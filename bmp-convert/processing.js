@@ -0,0 +1,233 @@
+// Compression level dispatch shared by the main thread and the worker
+// Maps a compression select value ("24", "8-dithered", ...) to the matching
+// preview generator and encoder so both always agree
+import {
+  encodeBMP,
+  encodeBMP32Bit,
+  encodeBMP16Bit,
+  encodeBMP8Bit,
+  encodeBMP4Bit,
+  encodeBMP1Bit,
+  calculateBMPSize,
+  calculateRLEBMPSize,
+  compositeOntoBackground,
+  resolveTransparency,
+  build8BitPalette,
+  build4BitPalette,
+  build1BitPalette,
+} from "./encoder.js";
+import {
+  generatePreview24Bit,
+  generatePreview32Bit,
+  generatePreview16Bit,
+  generatePreview8Bit,
+  generatePreview4Bit,
+  generatePreview1Bit,
+  generatePalettizedPreview,
+} from "./preview.js";
+import { resampleImageData } from "./resample.js";
+import { applyAdjustments, hasAdjustments } from "./adjustments.js";
+
+// 24-bit and 16-bit output has no alpha, so blend onto the background
+// (matte) color first; palettized encoders do this themselves, honoring
+// options.transparency, and 32-bit keeps alpha as it is
+function withoutAlpha(imageData, options) {
+  const data = compositeOntoBackground(imageData.data, options.background);
+  if (data === imageData.data) return imageData;
+  return { width: imageData.width, height: imageData.height, data };
+}
+
+// Generate the preview ImageData for a compression level
+export function generatePreview(imageData, level, options = {}) {
+  switch (level) {
+    case "32":
+      return generatePreview32Bit(imageData);
+    case "24":
+      return generatePreview24Bit(withoutAlpha(imageData, options));
+    case "16":
+      return generatePreview16Bit(
+        withoutAlpha(imageData, options),
+        false,
+        options
+      );
+    case "16-dithered":
+      return generatePreview16Bit(
+        withoutAlpha(imageData, options),
+        true,
+        options
+      );
+    case "8":
+      return generatePreview8Bit(imageData, false, options);
+    case "8-dithered":
+      return generatePreview8Bit(imageData, true, options);
+    case "4":
+      return generatePreview4Bit(imageData, false, options);
+    case "4-aggressive":
+      return generatePreview4Bit(imageData, true, options);
+    case "1":
+      return generatePreview1Bit(imageData, false, options);
+    case "1-dithered":
+      return generatePreview1Bit(imageData, true, options);
+    default:
+      return generatePreview8Bit(imageData);
+  }
+}
+
+// Encode ImageData to a BMP Blob for a compression level
+export function encodeImage(imageData, level, options = {}) {
+  switch (level) {
+    case "32":
+      return encodeBMP32Bit(imageData, options);
+    case "24":
+      return encodeBMP(withoutAlpha(imageData, options), options);
+    case "16":
+      return encodeBMP16Bit(withoutAlpha(imageData, options), false, options);
+    case "16-dithered":
+      return encodeBMP16Bit(withoutAlpha(imageData, options), true, options);
+    case "8":
+      return encodeBMP8Bit(imageData, false, options);
+    case "8-dithered":
+      return encodeBMP8Bit(imageData, true, options);
+    case "4":
+      return encodeBMP4Bit(imageData, false, options);
+    case "4-aggressive":
+      return encodeBMP4Bit(imageData, true, options);
+    case "1":
+      return encodeBMP1Bit(imageData, false, options);
+    case "1-dithered":
+      return encodeBMP1Bit(imageData, true, options);
+    default:
+      return encodeBMP8Bit(imageData);
+  }
+}
+
+function isRLE(level, options) {
+  const bitsPerPixel = parseInt(level);
+  return Boolean(options.rle) && (bitsPerPixel === 8 || bitsPerPixel === 4);
+}
+
+// The preview for a level, plus the palette indices behind it for RLE
+// output (null otherwise), whose size depends on them
+function generatePreviewAndIndices(imageData, level, options) {
+  if (!isRLE(level, options)) {
+    return {
+      preview: generatePreview(imageData, level, options),
+      pixelIndices: null,
+    };
+  }
+  const dither = level === "8-dithered" || level === "4-aggressive";
+  const { imageData: preview, pixelIndices } = generatePalettizedPreview(
+    imageData,
+    parseInt(level),
+    dither,
+    options
+  );
+  return { preview, pixelIndices };
+}
+
+// Estimate the output file size for the current settings
+// RLE output has to be quantized to know its size (pass the preview's
+// pixelIndices to skip that); everything else is exact
+export function estimateFileSize(
+  imageData,
+  level,
+  options = {},
+  pixelIndices = null
+) {
+  if (isRLE(level, options)) {
+    return calculateRLEBMPSize(
+      imageData.width,
+      imageData.height,
+      parseInt(level),
+      pixelIndices ||
+        generatePreviewAndIndices(imageData, level, options).pixelIndices
+    );
+  }
+  const bitsPerPixel = parseInt(level);
+  return calculateBMPSize(
+    imageData.width,
+    imageData.height,
+    bitsPerPixel,
+    options
+  );
+}
+
+// The palette a palettized level writes into the file, as [{ r, g, b }]
+// (same transparency handling and palette building as the encoders)
+export function computePalette(imageData, level, options = {}) {
+  const bitsPerPixel = parseInt(level);
+  if (bitsPerPixel === 1) {
+    return build1BitPalette(options.threshold).colorArray;
+  }
+  if (bitsPerPixel !== 8 && bitsPerPixel !== 4) {
+    throw new Error(`${bitsPerPixel}-bit output has no palette`);
+  }
+
+  const data = resolveTransparency(imageData.data, options);
+  const build = bitsPerPixel === 8 ? build8BitPalette : build4BitPalette;
+  return build(data, options).colorArray;
+}
+
+// Run a job: { type: "preview" | "encode" | "palette" | "resample",
+// imageData, level, options }. Preview jobs return { imageData,
+// estimatedSize }, encode jobs { blob }, palette jobs { colors } and resample
+// jobs (options: { width, height, filter, crop }) { imageData }
+// Preview, encode and palette jobs first apply options.adjustments, so all
+// three see the same pixels
+// onProgress(stage, fraction) is called as each stage starts
+export function runJob(job, onProgress = () => {}) {
+  const { type, level, options } = job;
+  let { imageData } = job;
+
+  if (
+    (type === "preview" || type === "encode" || type === "palette") &&
+    options &&
+    hasAdjustments(options.adjustments)
+  ) {
+    onProgress("Adjusting image", 0);
+    imageData = applyAdjustments(imageData, options.adjustments);
+  }
+
+  if (type === "preview") {
+    onProgress("Generating preview", 0);
+    const { preview, pixelIndices } = generatePreviewAndIndices(
+      imageData,
+      level,
+      options
+    );
+    // RLE sizes come from the preview's own indices, not a second encode
+    onProgress("Estimating file size", 0.75);
+    const estimatedSize = estimateFileSize(
+      imageData,
+      level,
+      options,
+      pixelIndices
+    );
+    onProgress("Done", 1);
+    return { imageData: preview, estimatedSize };
+  }
+
+  if (type === "encode") {
+    onProgress("Encoding BMP", 0);
+    const blob = encodeImage(imageData, level, options);
+    onProgress("Done", 1);
+    return { blob };
+  }
+
+  if (type === "palette") {
+    onProgress("Building palette", 0);
+    const colors = computePalette(imageData, level, options);
+    onProgress("Done", 1);
+    return { colors };
+  }
+
+  if (type === "resample") {
+    onProgress("Resampling", 0);
+    const { width, height, filter, crop } = options;
+    const resampled = resampleImageData(imageData, width, height, filter, crop);
+    onProgress("Done", 1);
+    return { imageData: resampled };
+  }
+
+  throw new Error(`Unknown job type: ${type}`);
+}
@@ -0,0 +1,378 @@
+// Palette generators (color quantizers) besides median cut
+// Each takes a color histogram and returns up to maxColors { r, g, b }
+// entries; all are deterministic so previews and encodes always match
+import { createNearestColorIndex } from "./color-index.js";
+
+// Collect the unique opaque colors of RGBA data with their pixel counts
+// Returns [{ r, g, b, count }] in order of first appearance
+export function buildColorHistogram(data) {
+  const colorMap = new Map();
+  const colors = [];
+
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue; // Skip transparent pixels
+
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    const key = (r << 16) | (g << 8) | b;
+
+    let color = colorMap.get(key);
+    if (!color) {
+      color = { r, g, b, count: 0 };
+      colorMap.set(key, color);
+      colors.push(color);
+    }
+    color.count++;
+  }
+
+  return colors;
+}
+
+// Pad a generated palette with black up to maxColors
+export function finishPalette(colors, maxColors) {
+  const palette = colors.slice(0, maxColors);
+  while (palette.length < maxColors) {
+    palette.push({ r: 0, g: 0, b: 0 });
+  }
+  return palette;
+}
+
+// Mean color of accumulated sums, rounded to integers
+function averageColor(sumR, sumG, sumB, count) {
+  return {
+    r: Math.round(sumR / count),
+    g: Math.round(sumG / count),
+    b: Math.round(sumB / count),
+  };
+}
+
+// Octree quantization
+// Colors are inserted into an 8-level tree (one level per bit of R, G and
+// B), then the deepest, least-used branches are folded into their parents
+// until no more than maxColors leaves remain
+export function octreeQuantize(histogram, maxColors) {
+  const root = { children: null, sumR: 0, sumG: 0, sumB: 0, count: 0 };
+  const levels = Array.from({ length: 8 }, () => []); // Branch nodes by depth
+
+  for (const { r, g, b, count } of histogram) {
+    let node = root;
+    for (let depth = 0; depth < 8; depth++) {
+      node.sumR += r * count;
+      node.sumG += g * count;
+      node.sumB += b * count;
+      node.count += count;
+
+      const shift = 7 - depth;
+      const child =
+        (((r >> shift) & 1) << 2) |
+        (((g >> shift) & 1) << 1) |
+        ((b >> shift) & 1);
+      if (!node.children) {
+        node.children = new Array(8).fill(null);
+        levels[depth].push(node);
+      }
+      if (!node.children[child]) {
+        node.children[child] = {
+          children: null,
+          sumR: 0,
+          sumG: 0,
+          sumB: 0,
+          count: 0,
+        };
+      }
+      node = node.children[child];
+    }
+    node.sumR += r * count;
+    node.sumG += g * count;
+    node.sumB += b * count;
+    node.count += count;
+  }
+
+  let leafCount = histogram.length;
+  for (let depth = 7; depth >= 0 && leafCount > maxColors; depth--) {
+    // Fold the least-used branches first; stable sort keeps ties in order
+    const branches = levels[depth].slice().sort((a, b) => a.count - b.count);
+    for (const node of branches) {
+      if (leafCount <= maxColors) break;
+      const childCount = node.children.filter(Boolean).length;
+      node.children = null;
+      leafCount -= childCount - 1;
+    }
+  }
+
+  const palette = [];
+  const collectLeaves = (node) => {
+    if (!node.children) {
+      if (node.count > 0) {
+        palette.push(averageColor(node.sumR, node.sumG, node.sumB, node.count));
+      }
+      return;
+    }
+    node.children.forEach((child) => child && collectLeaves(child));
+  };
+  if (histogram.length > 0) collectLeaves(root);
+  return palette;
+}
+
+// Wu's color quantizer (Graphics Gems II, "Efficient Statistical
+// Computations for Optimal Color Quantization")
+// Colors are binned into a 32x32x32 grid; boxes are split where the split
+// removes the most variance, using cumulative moments so every candidate
+// cut is evaluated in constant time
+const WU_SIDE = 33; // 32 bins plus a zero border for the cumulative sums
+
+function wuIndex(r, g, b) {
+  return (r * WU_SIDE + g) * WU_SIDE + b;
+}
+
+// Sum of a moment over a box (r0, g0, b0 exclusive)
+function wuVolume(box, m) {
+  return (
+    m[wuIndex(box.r1, box.g1, box.b1)] -
+    m[wuIndex(box.r1, box.g1, box.b0)] -
+    m[wuIndex(box.r1, box.g0, box.b1)] +
+    m[wuIndex(box.r1, box.g0, box.b0)] -
+    m[wuIndex(box.r0, box.g1, box.b1)] +
+    m[wuIndex(box.r0, box.g1, box.b0)] +
+    m[wuIndex(box.r0, box.g0, box.b1)] -
+    m[wuIndex(box.r0, box.g0, box.b0)]
+  );
+}
+
+// Part of wuVolume that doesn't depend on the cut position along axis
+function wuBottom(box, axis, m) {
+  if (axis === "r") {
+    return (
+      -m[wuIndex(box.r0, box.g1, box.b1)] +
+      m[wuIndex(box.r0, box.g1, box.b0)] +
+      m[wuIndex(box.r0, box.g0, box.b1)] -
+      m[wuIndex(box.r0, box.g0, box.b0)]
+    );
+  }
+  if (axis === "g") {
+    return (
+      -m[wuIndex(box.r1, box.g0, box.b1)] +
+      m[wuIndex(box.r1, box.g0, box.b0)] +
+      m[wuIndex(box.r0, box.g0, box.b1)] -
+      m[wuIndex(box.r0, box.g0, box.b0)]
+    );
+  }
+  return (
+    -m[wuIndex(box.r1, box.g1, box.b0)] +
+    m[wuIndex(box.r1, box.g0, box.b0)] +
+    m[wuIndex(box.r0, box.g1, box.b0)] -
+    m[wuIndex(box.r0, box.g0, box.b0)]
+  );
+}
+
+// Part of wuVolume for the lower half of a cut at position along axis
+function wuTop(box, axis, position, m) {
+  if (axis === "r") {
+    return (
+      m[wuIndex(position, box.g1, box.b1)] -
+      m[wuIndex(position, box.g1, box.b0)] -
+      m[wuIndex(position, box.g0, box.b1)] +
+      m[wuIndex(position, box.g0, box.b0)]
+    );
+  }
+  if (axis === "g") {
+    return (
+      m[wuIndex(box.r1, position, box.b1)] -
+      m[wuIndex(box.r1, position, box.b0)] -
+      m[wuIndex(box.r0, position, box.b1)] +
+      m[wuIndex(box.r0, position, box.b0)]
+    );
+  }
+  return (
+    m[wuIndex(box.r1, box.g1, position)] -
+    m[wuIndex(box.r1, box.g0, position)] -
+    m[wuIndex(box.r0, box.g1, position)] +
+    m[wuIndex(box.r0, box.g0, position)]
+  );
+}
+
+export function wuQuantize(histogram, maxColors) {
+  if (histogram.length === 0) return [];
+
+  const size = WU_SIDE ** 3;
+  const wt = new Float64Array(size);
+  const mr = new Float64Array(size);
+  const mg = new Float64Array(size);
+  const mb = new Float64Array(size);
+  const m2 = new Float64Array(size);
+
+  for (const { r, g, b, count } of histogram) {
+    const i = wuIndex((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+    wt[i] += count;
+    mr[i] += r * count;
+    mg[i] += g * count;
+    mb[i] += b * count;
+    m2[i] += (r * r + g * g + b * b) * count;
+  }
+
+  // Turn the histogram into cumulative moments
+  for (const m of [wt, mr, mg, mb, m2]) {
+    for (let r = 1; r < WU_SIDE; r++) {
+      const area = new Float64Array(WU_SIDE);
+      for (let g = 1; g < WU_SIDE; g++) {
+        let line = 0;
+        for (let b = 1; b < WU_SIDE; b++) {
+          const i = wuIndex(r, g, b);
+          line += m[i];
+          area[b] += line;
+          m[i] = m[wuIndex(r - 1, g, b)] + area[b];
+        }
+      }
+    }
+  }
+
+  const variance = (box) => {
+    const dr = wuVolume(box, mr);
+    const dg = wuVolume(box, mg);
+    const db = wuVolume(box, mb);
+    return (
+      wuVolume(box, m2) - (dr * dr + dg * dg + db * db) / wuVolume(box, wt)
+    );
+  };
+
+  // Best cut along one axis: maximizes the summed squared means of both halves
+  const maximize = (box, axis, first, last, whole) => {
+    const baseR = wuBottom(box, axis, mr);
+    const baseG = wuBottom(box, axis, mg);
+    const baseB = wuBottom(box, axis, mb);
+    const baseW = wuBottom(box, axis, wt);
+    let max = 0;
+    let cut = -1;
+
+    for (let i = first; i < last; i++) {
+      const halfR = baseR + wuTop(box, axis, i, mr);
+      const halfG = baseG + wuTop(box, axis, i, mg);
+      const halfB = baseB + wuTop(box, axis, i, mb);
+      const halfW = baseW + wuTop(box, axis, i, wt);
+      if (halfW === 0) continue;
+      const restW = whole.w - halfW;
+      if (restW === 0) continue;
+
+      const restR = whole.r - halfR;
+      const restG = whole.g - halfG;
+      const restB = whole.b - halfB;
+      const score =
+        (halfR * halfR + halfG * halfG + halfB * halfB) / halfW +
+        (restR * restR + restG * restG + restB * restB) / restW;
+      if (score > max) {
+        max = score;
+        cut = i;
+      }
+    }
+    return { max, cut };
+  };
+
+  // Split box in two (box keeps the lower half); false if it can't be split
+  const split = (box) => {
+    const whole = {
+      r: wuVolume(box, mr),
+      g: wuVolume(box, mg),
+      b: wuVolume(box, mb),
+      w: wuVolume(box, wt),
+    };
+    const cuts = {
+      r: maximize(box, "r", box.r0 + 1, box.r1, whole),
+      g: maximize(box, "g", box.g0 + 1, box.g1, whole),
+      b: maximize(box, "b", box.b0 + 1, box.b1, whole),
+    };
+
+    let axis = "b";
+    if (cuts.r.max >= cuts.g.max && cuts.r.max >= cuts.b.max) {
+      axis = "r";
+    } else if (cuts.g.max >= cuts.r.max && cuts.g.max >= cuts.b.max) {
+      axis = "g";
+    }
+    const { cut } = cuts[axis];
+    if (cut < 0) return null;
+
+    const upper = { ...box };
+    box[axis + "1"] = cut;
+    upper[axis + "0"] = cut;
+    return upper;
+  };
+
+  const volume = (box) =>
+    (box.r1 - box.r0) * (box.g1 - box.g0) * (box.b1 - box.b0);
+  const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32 }];
+  const variances = [0];
+  let next = 0;
+
+  while (boxes.length < maxColors) {
+    const upper = split(boxes[next]);
+    if (upper) {
+      boxes.push(upper);
+      variances[next] = volume(boxes[next]) > 1 ? variance(boxes[next]) : 0;
+      variances.push(volume(upper) > 1 ? variance(upper) : 0);
+    } else {
+      variances[next] = 0;
+    }
+
+    // Split the box with the most variance next; stop when none is left
+    next = 0;
+    for (let i = 1; i < boxes.length; i++) {
+      if (variances[i] > variances[next]) next = i;
+    }
+    if (variances[next] <= 0) break;
+  }
+
+  const palette = [];
+  for (const box of boxes) {
+    const weight = wuVolume(box, wt);
+    if (weight > 0) {
+      palette.push(
+        averageColor(
+          wuVolume(box, mr),
+          wuVolume(box, mg),
+          wuVolume(box, mb),
+          weight
+        )
+      );
+    }
+  }
+  return palette;
+}
+
+// K-means refinement of an existing palette
+// Each round assigns every histogram color to its nearest palette entry
+// (same perceptual metric as encoding) and moves each entry to the mean of
+// its colors. Entries with no colors stay where they are.
+export function kMeansRefine(histogram, palette, iterations = 6) {
+  let centroids = palette.map(({ r, g, b }) => ({ r, g, b }));
+
+  for (let round = 0; round < iterations; round++) {
+    const findClosestColor = createNearestColorIndex(centroids);
+    const sums = centroids.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+
+    for (const { r, g, b, count } of histogram) {
+      const sum = sums[findClosestColor(r, g, b)];
+      sum.r += r * count;
+      sum.g += g * count;
+      sum.b += b * count;
+      sum.count += count;
+    }
+
+    let moved = false;
+    centroids = centroids.map((centroid, i) => {
+      const sum = sums[i];
+      if (sum.count === 0) return centroid;
+      const mean = averageColor(sum.r, sum.g, sum.b, sum.count);
+      if (
+        mean.r !== centroid.r ||
+        mean.g !== centroid.g ||
+        mean.b !== centroid.b
+      ) {
+        moved = true;
+      }
+      return mean;
+    });
+    if (!moved) break;
+  }
+
+  return centroids;
+}
@@ -0,0 +1,197 @@
+// Pure-JS image resampling, so scaling doesn't depend on the browser's
+// drawImage quality (which aliases badly on big downscales)
+// Separable two-pass filtering on premultiplied alpha: each output pixel is
+// a normalized weighted sum of the source pixels under the filter kernel,
+// widened by the scale factor when downscaling. Pure arithmetic, so output
+// is identical on every engine.
+
+function sinc(x) {
+  if (x === 0) return 1;
+  const px = Math.PI * x;
+  return Math.sin(px) / px;
+}
+
+// Kernel functions over source pixel distance, and their support radius
+export const RESAMPLE_FILTERS = {
+  nearest: { support: 0.5, kernel: () => 1 },
+  bilinear: { support: 1, kernel: (x) => Math.max(0, 1 - Math.abs(x)) },
+  // Catmull-Rom cubic (a = -0.5): sharp, with little ringing
+  bicubic: {
+    support: 2,
+    kernel: (x) => {
+      const t = Math.abs(x);
+      if (t < 1) return 1.5 * t * t * t - 2.5 * t * t + 1;
+      if (t < 2) return -0.5 * t * t * t + 2.5 * t * t - 4 * t + 2;
+      return 0;
+    },
+  },
+  lanczos3: {
+    support: 3,
+    kernel: (x) => (Math.abs(x) < 3 ? sinc(x) * sinc(x / 3) : 0),
+  },
+  // Area averaging: weights are computed from pixel coverage instead
+  box: { support: 0.5, kernel: null },
+};
+
+// For each output pixel along one axis: the first source index it reads and
+// the normalized weights of the source pixels from there on
+function computeWeights(sourceSize, start, length, outputSize, filterName) {
+  const filter = RESAMPLE_FILTERS[filterName];
+  const scale = length / outputSize;
+  const filterScale = Math.max(1, scale);
+  const contributions = [];
+
+  for (let i = 0; i < outputSize; i++) {
+    const center = start + (i + 0.5) * scale;
+
+    if (filterName === "nearest") {
+      const index = Math.min(sourceSize - 1, Math.max(0, Math.floor(center)));
+      contributions.push({ first: index, weights: [1] });
+      continue;
+    }
+
+    let low;
+    let high;
+    if (filterName === "box") {
+      // Output pixel footprint, at least one source pixel wide
+      const half = filterScale / 2;
+      low = center - half;
+      high = center + half;
+    } else {
+      const support = filter.support * filterScale;
+      low = center - support;
+      high = center + support;
+    }
+
+    const first = Math.max(0, Math.floor(low));
+    const last = Math.min(sourceSize - 1, Math.ceil(high) - 1);
+    const weights = [];
+    let total = 0;
+
+    for (let j = first; j <= last; j++) {
+      const weight =
+        filterName === "box"
+          ? Math.max(0, Math.min(j + 1, high) - Math.max(j, low))
+          : filter.kernel((j + 0.5 - center) / filterScale);
+      weights.push(weight);
+      total += weight;
+    }
+
+    if (total === 0) {
+      // Footprint entirely outside the image: repeat the nearest edge pixel
+      const index = Math.min(sourceSize - 1, Math.max(0, Math.floor(center)));
+      contributions.push({ first: index, weights: [1] });
+      continue;
+    }
+    contributions.push({ first, weights: weights.map((w) => w / total) });
+  }
+
+  return contributions;
+}
+
+// Resample the crop rectangle { sourceX, sourceY, sourceWidth, sourceHeight }
+// of imageData (default: all of it) to width x height with the named filter
+// Pixels outside the crop still feed the kernel near its edges; pixels past
+// the image edges don't.
+export function resampleImageData(
+  imageData,
+  width,
+  height,
+  filterName = "lanczos3",
+  crop = null
+) {
+  if (!RESAMPLE_FILTERS[filterName]) {
+    throw new Error(`Unknown resampling filter: ${filterName}`);
+  }
+
+  const { width: sourceWidth, height: sourceHeight, data } = imageData;
+  const area = crop || {
+    sourceX: 0,
+    sourceY: 0,
+    sourceWidth,
+    sourceHeight,
+  };
+
+  const columns = computeWeights(
+    sourceWidth,
+    area.sourceX,
+    area.sourceWidth,
+    width,
+    filterName
+  );
+  const rows = computeWeights(
+    sourceHeight,
+    area.sourceY,
+    area.sourceHeight,
+    height,
+    filterName
+  );
+
+  // Only the source rows some output row reads need the horizontal pass
+  const firstRow = rows[0].first;
+  const lastRow = Math.max(
+    ...rows.map((row) => row.first + row.weights.length - 1)
+  );
+
+  // Horizontal pass: premultiplied RGBA per (source row, output column)
+  const rowCount = lastRow - firstRow + 1;
+  const horizontal = new Float32Array(rowCount * width * 4);
+  for (let y = firstRow; y <= lastRow; y++) {
+    const rowOffset = y * sourceWidth;
+    const outOffset = (y - firstRow) * width;
+
+    for (let x = 0; x < width; x++) {
+      const { first, weights } = columns[x];
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+
+      for (let k = 0; k < weights.length; k++) {
+        const i = (rowOffset + first + k) * 4;
+        const alphaWeight = weights[k] * data[i + 3];
+        r += data[i] * alphaWeight;
+        g += data[i + 1] * alphaWeight;
+        b += data[i + 2] * alphaWeight;
+        a += alphaWeight;
+      }
+
+      const o = (outOffset + x) * 4;
+      horizontal[o] = r;
+      horizontal[o + 1] = g;
+      horizontal[o + 2] = b;
+      horizontal[o + 3] = a;
+    }
+  }
+
+  // Vertical pass, then back from premultiplied alpha
+  const output = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const { first, weights } = rows[y];
+
+    for (let x = 0; x < width; x++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+
+      for (let k = 0; k < weights.length; k++) {
+        const i = ((first - firstRow + k) * width + x) * 4;
+        r += horizontal[i] * weights[k];
+        g += horizontal[i + 1] * weights[k];
+        b += horizontal[i + 2] * weights[k];
+        a += horizontal[i + 3] * weights[k];
+      }
+
+      const o = (y * width + x) * 4;
+      if (a > 0) {
+        output[o] = Math.round(r / a);
+        output[o + 1] = Math.round(g / a);
+        output[o + 2] = Math.round(b / a);
+      }
+      output[o + 3] = Math.round(a);
+    }
+  }
+
+  return new ImageData(output, width, height);
+}
@@ -1,20 +1,70 @@
 // Main application logic and UI handlers
-import { escapeHtml, downloadBMP, showNotification } from "./helpers.js";
-import { encodeBMP, encodeBMP8Bit, encodeBMP4Bit } from "./encoder.js";
 import {
-  generatePreview24Bit,
-  generatePreview8Bit,
-  generatePreview4Bit,
-} from "./preview.js";
+  escapeHtml,
+  downloadBMP,
+  downloadFile,
+  showNotification,
+  formatFileSize,
+} from "./helpers.js";
+import {
+  isSupportedImageFile,
+  isVectorImage,
+  loadImageFile,
+  loadGIFFrame,
+  orientImage,
+} from "./image-loader.js";
+import { NO_ORIENTATION, reorientRegion } from "./orientation.js";
+import { inspectBMP } from "./inspector.js";
+import { runProcessingJob, cancelJob, isAbortError } from "./worker-client.js";
+import {
+  parsePaletteFile,
+  toHexColor,
+  PALETTE_EXPORT_FORMATS,
+} from "./palette-formats.js";
+import { EPAPER_PRESETS, getEpaperPreset } from "./epaper-presets.js";
+import {
+  DEFAULT_PROFILE_ID,
+  getAllProfiles,
+  findProfile,
+  searchProfiles,
+  saveCustomProfile,
+  deleteCustomProfile,
+} from "./device-profiles.js";
+import {
+  calculateCropParams,
+  leavesBorders,
+  defaultCropRegion,
+  panCropRegion,
+  zoomCropRegion,
+} from "./fit.js";
+import { collectDroppedFiles, collectInputFiles, outputPath } from "./batch.js";
+import { createZip } from "./zip.js";
+import {
+  DEFAULT_ADJUSTMENTS,
+  applyAdjustments,
+  hasAdjustments,
+} from "./adjustments.js";
+import {
+  fitScale,
+  clampOffset,
+  zoomOffset,
+  stepZoom,
+  differenceHeatmap,
+} from "./compare.js";
 
 // DOM Elements
 const dropZone = document.getElementById("dropZone");
 const fileInput = document.getElementById("fileInput");
+const folderInput = document.getElementById("folderInput");
+const folderBtn = document.getElementById("folderBtn");
 const preview = document.getElementById("preview");
 const previewSection = document.getElementById("previewSection");
 const convertBtn = document.getElementById("convertBtn");
 const clearBtn = document.getElementById("clearBtn");
 const imageInfo = document.getElementById("imageInfo");
+const gifFrameOption = document.getElementById("gifFrameOption");
+const gifFrame = document.getElementById("gifFrame");
+const gifFrameValue = document.getElementById("gifFrameValue");
 const notification = document.getElementById("notification");
 const notificationText = document.getElementById("notificationText");
 const notificationIcon = document.getElementById("notificationIcon");
@@ -22,25 +72,170 @@ const canvas = document.getElementById("canvas");
 const ctx = canvas.getContext("2d");
 const previewCanvas = document.getElementById("previewCanvas");
 const previewCtx = previewCanvas.getContext("2d");
+const previewProgress = document.getElementById("previewProgress");
+const previewProgressText = document.getElementById("previewProgressText");
+const previewProgressBar = document.getElementById("previewProgressBar");
 const cropOriginal = document.getElementById("cropOriginal");
-const cropXteink = document.getElementById("cropXteink");
+const cropDevice = document.getElementById("cropDevice");
 const cropCustom = document.getElementById("cropCustom");
+const deviceProfileInputs = document.getElementById("deviceProfileInputs");
+const deviceSearch = document.getElementById("deviceSearch");
+const deviceProfile = document.getElementById("deviceProfile");
+const deviceProfileSummary = document.getElementById("deviceProfileSummary");
+const deleteProfileBtn = document.getElementById("deleteProfileBtn");
 const customCropInputs = document.getElementById("customCropInputs");
 const customWidth = document.getElementById("customWidth");
 const customHeight = document.getElementById("customHeight");
+const customRowOrder = document.getElementById("customRowOrder");
+const customProfileName = document.getElementById("customProfileName");
+const saveProfileBtn = document.getElementById("saveProfileBtn");
 const cropPositionSelector = document.getElementById("cropPositionSelector");
 const cropPositionButtons = document.querySelectorAll(".crop-position-btn");
+const cropStage = document.getElementById("cropStage");
+const cropWindow = document.getElementById("cropWindow");
+const cropHint = document.getElementById("cropHint");
+const resetCropBtn = document.getElementById("resetCropBtn");
+const cropPositionLabel = document.getElementById("cropPositionLabel");
+const cropPositionGrid = document.getElementById("cropPositionGrid");
+const fitMode = document.getElementById("fitMode");
+const letterboxOption = document.getElementById("letterboxOption");
+const letterboxFill = document.getElementById("letterboxFill");
+const letterboxColorOption = document.getElementById("letterboxColorOption");
+const letterboxColor = document.getElementById("letterboxColor");
+const resampleFilter = document.getElementById("resampleFilter");
+const rotation = document.getElementById("rotation");
+const flipHorizontal = document.getElementById("flipHorizontal");
+const flipVertical = document.getElementById("flipVertical");
+const autoLevels = document.getElementById("autoLevels");
+const equalize = document.getElementById("equalize");
+const resetAdjustmentsBtn = document.getElementById("resetAdjustmentsBtn");
+const displayPreset = document.getElementById("displayPreset");
+const epaperPresetGroup = document.getElementById("epaperPresetGroup");
 const compressionLevel = document.getElementById("compressionLevel");
 const compressionHelp = document.getElementById("compressionHelp");
 const compressionHelpText = document.getElementById("compressionHelpText");
+const thresholdOption = document.getElementById("thresholdOption");
+const thresholdInput = document.getElementById("thresholdInput");
+const thresholdValue = document.getElementById("thresholdValue");
+const ditherOption = document.getElementById("ditherOption");
+const ditherAlgorithm = document.getElementById("ditherAlgorithm");
+const serpentineOption = document.getElementById("serpentineOption");
+const serpentineScan = document.getElementById("serpentineScan");
+const grayscaleOption = document.getElementById("grayscaleOption");
+const grayscaleLevels = document.getElementById("grayscaleLevels");
+const paletteStrategyOption = document.getElementById("paletteStrategyOption");
+const paletteStrategy = document.getElementById("paletteStrategy");
+const fixedPaletteOption = document.getElementById("fixedPaletteOption");
+const fixedPaletteName = document.getElementById("fixedPaletteName");
+const fixedPaletteSwatches = document.getElementById("fixedPaletteSwatches");
+const loadPaletteBtn = document.getElementById("loadPaletteBtn");
+const clearPaletteBtn = document.getElementById("clearPaletteBtn");
+const paletteFileInput = document.getElementById("paletteFileInput");
+const paletteExportFormat = document.getElementById("paletteExportFormat");
+const exportPaletteBtn = document.getElementById("exportPaletteBtn");
+const rleOption = document.getElementById("rleOption");
+const transparencyOption = document.getElementById("transparencyOption");
+const transparencyMode = document.getElementById("transparencyMode");
+const backgroundOption = document.getElementById("backgroundOption");
+const backgroundColor = document.getElementById("backgroundColor");
+const pixelFormatOption = document.getElementById("pixelFormatOption");
+const pixelFormat = document.getElementById("pixelFormat");
+const rleCompression = document.getElementById("rleCompression");
 const tabOriginal = document.getElementById("tabOriginal");
 const tabPreview = document.getElementById("tabPreview");
 const tabContentOriginal = document.getElementById("tabContentOriginal");
 const tabContentPreview = document.getElementById("tabContentPreview");
+const tabCompare = document.getElementById("tabCompare");
+const tabContentCompare = document.getElementById("tabContentCompare");
+const compareMode = document.getElementById("compareMode");
+const compareZoom = document.getElementById("compareZoom");
+const compareHeatmap = document.getElementById("compareHeatmap");
+const compareViewport = document.getElementById("compareViewport");
+const compareCanvas = document.getElementById("compareCanvas");
+const compareCtx = compareCanvas ? compareCanvas.getContext("2d") : null;
+const compareDivider = document.getElementById("compareDivider");
+const compareLabel = document.getElementById("compareLabel");
+const compareInfo = document.getElementById("compareInfo");
+const modeConvert = document.getElementById("modeConvert");
+const modeInspect = document.getElementById("modeInspect");
+const convertDropCard = document.getElementById("convertDropCard");
+const inspectSection = document.getElementById("inspectSection");
+const inspectDropZone = document.getElementById("inspectDropZone");
+const inspectFileInput = document.getElementById("inspectFileInput");
+const inspectorReport = document.getElementById("inspectorReport");
+const batchSection = document.getElementById("batchSection");
+const batchSummary = document.getElementById("batchSummary");
+const batchList = document.getElementById("batchList");
+const batchConvertBtn = document.getElementById("batchConvertBtn");
+const batchStopBtn = document.getElementById("batchStopBtn");
+const batchDownloadBtn = document.getElementById("batchDownloadBtn");
+const batchClearBtn = document.getElementById("batchClearBtn");
+
+// Blurred letterbox borders shrink the image by this factor, then scale it
+// back up
+const BLUR_DOWNSCALE = 24;
+
+// Security: limits on source and target images to prevent memory exhaustion
+const MAX_DIMENSION = 10000;
+const MAX_PIXELS = 250000000; // ~250MP
+
+// Longest side of the batch queue thumbnails
+const THUMBNAIL_SIZE = 64;
+
+// Opacity of the difference heatmap over the converted image
+const HEATMAP_OPACITY = 0.85;
+// Wheel distance per compare zoom step (a mouse wheel notch is about 100)
+const COMPARE_WHEEL_STEP = 50;
+
+// Adjustment sliders, by DEFAULT_ADJUSTMENTS key, with their value labels
+const adjustmentSliders = [
+  ["brightness", (value) => `${value}`],
+  ["contrast", (value) => `${value}`],
+  ["gamma", (value) => value.toFixed(2)],
+  ["saturation", (value) => `${value}`],
+  ["sharpenAmount", (value) => `${value}%`],
+  ["sharpenRadius", (value) => `${value.toFixed(1)} px`],
+  ["sharpenThreshold", (value) => `${value}`],
+].map(([key, format]) => ({
+  key,
+  format,
+  input: document.getElementById(key),
+  label: document.getElementById(`${key}Value`),
+}));
 
 // State
 let currentImage = null;
 let currentFileName = null;
+let currentGIF = null; // Parsed animated GIF whose frames can be picked
+// Image (and its URL) as loaded, before the rotate/flip controls apply;
+// currentImage is the oriented copy
+let sourceImage = null;
+let sourceSrc = null;
+let orientationRequest = 0; // Latest applyOrientation call
+let currentOrientation = NO_ORIENTATION; // What currentImage was made with
+let estimatedSize = null; // Bytes, measured from the last preview
+let fixedPalette = null; // { name, colors } loaded from a palette file
+let deviceProfiles = []; // Built-in profiles followed by saved custom ones
+// Crop window dragged/zoomed on the original ({ x, y, width, height } in
+// source pixels plus the targetWidth/targetHeight it was made for)
+let cropRegion = null;
+let resampleCache = null; // { image, key, imageData } of the last resample
+// Batch queue: { id, file, path, status, message, thumbnail, overrides,
+// output } per file; overrides holds pinned settings, output the BMP bytes
+let batchItems = [];
+let nextBatchId = 1;
+let batchRunning = false;
+let batchStopRequested = false;
+let editingBatchId = null; // Queue item loaded into the editor
+// Compare tab: zoom ("fit" or view pixels per image pixel), where the
+// image's top-left corner sits in the view, and the divider (0-1 across)
+let compareView = { zoom: "fit", x: 0, y: 0, divider: 0.5 };
+// What the last preview was quantized from (the processing canvas with its
+// adjustments applied) and its heatmap, made when the compare tab needs them
+let compareAdjustments = null;
+let compareOriginal = null;
+let heatmapCache = null; // { canvas, meanDifference }
+let progressTimer = null;
 
 // Initialize - ensure DOM is ready (though modules are deferred)
 if (document.readyState === "loading") {
@@ -50,10 +245,10 @@ if (document.readyState === "loading") {
 }
 
 function init() {
-  // Reset crop options to default (Xteink) on page load
+  // Reset crop options to default (device profile) on page load
   // This prevents browsers from remembering the "custom" selection after refresh
-  if (cropXteink) {
-    cropXteink.checked = true;
+  if (cropDevice) {
+    cropDevice.checked = true;
   }
   if (cropCustom) {
     cropCustom.checked = false;
@@ -65,8 +260,18 @@ function init() {
   if (customCropInputs) {
     customCropInputs.style.display = "none";
   }
+  if (deviceProfile) {
+    deviceProfiles = getAllProfiles();
+    if (deviceSearch) {
+      deviceSearch.value = "";
+    }
+    renderDeviceProfiles(DEFAULT_PROFILE_ID);
+  }
   // Set initial crop position selector visibility
   handleCropOptionChange();
+  handleFitModeChange();
+  // Browsers may restore the dithering select after refresh
+  updateSerpentineVisibility();
 
   setupEventListeners();
 }
@@ -123,10 +328,21 @@ function setupEventListeners() {
   // File input change
   fileInput.addEventListener("change", (e) => {
     if (e.target.files.length > 0) {
-      handleFile(e.target.files[0]);
+      handleIncomingFiles(collectInputFiles(e.target.files));
     }
   });
 
+  // Folder picker: every image in the folder goes into the batch queue
+  if (folderBtn && folderInput) {
+    folderBtn.addEventListener("click", () => folderInput.click());
+    folderInput.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) {
+        addFilesToBatch(collectInputFiles(e.target.files));
+      }
+      folderInput.value = "";
+    });
+  }
+
   // Drag and drop
   dropZone.addEventListener("dragover", (e) => {
     e.preventDefault();
@@ -137,13 +353,23 @@ function setupEventListeners() {
     dropZone.classList.remove("dragover");
   });
 
-  dropZone.addEventListener("drop", (e) => {
+  dropZone.addEventListener("drop", async (e) => {
     e.preventDefault();
     dropZone.classList.remove("dragover");
 
-    const files = e.dataTransfer.files;
-    if (files.length > 0) {
-      handleFile(files[0]);
+    try {
+      const files = await collectDroppedFiles(e.dataTransfer);
+      if (files.length > 0) {
+        handleIncomingFiles(files);
+      }
+    } catch (error) {
+      showNotification(
+        "Failed to read dropped files: " + error.message,
+        "error",
+        notificationText,
+        notificationIcon,
+        notification
+      );
     }
   });
 
@@ -153,6 +379,32 @@ function setupEventListeners() {
   // Clear button
   clearBtn.addEventListener("click", clearImage);
 
+  // Animated GIF frame picker (compositing a late frame replays the ones
+  // before it, so wait for the slider to settle)
+  if (gifFrame) {
+    const debouncedSelect = debounce(selectGIFFrame, 150);
+    gifFrame.addEventListener("input", () => {
+      renderGIFFrameLabel();
+      debouncedSelect();
+    });
+  }
+
+  // Rotate and flip controls
+  for (const control of [rotation, flipHorizontal, flipVertical]) {
+    if (control) {
+      control.addEventListener("change", handleOrientationChange);
+    }
+  }
+
+  // Batch queue
+  if (batchList) {
+    batchList.addEventListener("click", handleBatchListClick);
+    batchConvertBtn.addEventListener("click", convertBatch);
+    batchDownloadBtn.addEventListener("click", downloadBatchZip);
+    batchStopBtn.addEventListener("click", stopBatch);
+    batchClearBtn.addEventListener("click", clearBatch);
+  }
+
   // Tab switching
   if (tabOriginal) {
     tabOriginal.addEventListener("click", () => switchTab("original"));
@@ -160,26 +412,65 @@ function setupEventListeners() {
   if (tabPreview) {
     tabPreview.addEventListener("click", () => switchTab("preview"));
   }
+  if (tabCompare) {
+    tabCompare.addEventListener("click", () => switchTab("compare"));
+  }
 
-  // Crop option radio buttons
+  // Original/converted comparison
+  if (compareViewport && compareCanvas) {
+    setupCompareInteraction();
+  }
+
+  // Crop option radio buttons (handleCropOptionChange updates the preview)
   if (cropOriginal) {
-    cropOriginal.addEventListener("change", () => {
-      handleCropOptionChange();
+    cropOriginal.addEventListener("change", handleCropOptionChange);
+  }
+  if (cropDevice) {
+    cropDevice.addEventListener("change", handleCropOptionChange);
+  }
+  if (cropCustom) {
+    cropCustom.addEventListener("change", handleCropOptionChange);
+  }
+
+  // Fit mode and letterbox fill
+  if (fitMode) {
+    fitMode.addEventListener("change", () => {
+      handleFitModeChange();
       updatePreview();
     });
   }
-  if (cropXteink) {
-    cropXteink.addEventListener("change", () => {
-      handleCropOptionChange();
+  if (letterboxFill) {
+    letterboxFill.addEventListener("change", () => {
+      handleFitModeChange();
       updatePreview();
     });
   }
-  if (cropCustom) {
-    cropCustom.addEventListener("change", () => {
-      handleCropOptionChange();
-      updatePreview();
+  if (letterboxColor) {
+    letterboxColor.addEventListener("input", debounce(updatePreview, 150));
+  }
+  if (resampleFilter) {
+    resampleFilter.addEventListener("change", updatePreview);
+  }
+
+  // Device profile picker
+  if (deviceSearch) {
+    deviceSearch.addEventListener("input", () => {
+      const previousId = deviceProfile.value;
+      renderDeviceProfiles(previousId);
+      if (deviceProfile.value !== previousId) {
+        applyDeviceProfile();
+      }
     });
   }
+  if (deviceProfile) {
+    deviceProfile.addEventListener("change", applyDeviceProfile);
+  }
+  if (deleteProfileBtn) {
+    deleteProfileBtn.addEventListener("click", deleteDeviceProfile);
+  }
+  if (saveProfileBtn) {
+    saveProfileBtn.addEventListener("click", saveDeviceProfile);
+  }
 
   // Custom dimension inputs
   if (customWidth) {
@@ -192,11 +483,118 @@ function setupEventListeners() {
   // Compression level change handler
   if (compressionLevel) {
     compressionLevel.addEventListener("change", (e) => {
+      clearDisplayPreset();
       handleCompressionLevelChange();
       // updatePreview is called inside handleCompressionLevelChange
     });
   }
 
+  // 1-bit threshold slider
+  if (thresholdInput) {
+    const debouncedUpdate = debounce(updatePreview, 150);
+    thresholdInput.addEventListener("input", () => {
+      if (thresholdValue) {
+        thresholdValue.textContent = thresholdInput.value;
+      }
+      debouncedUpdate();
+    });
+  }
+
+  // Tone and color adjustments (sliders wait until they settle)
+  const debouncedAdjust = debounce(updatePreview, 150);
+  for (const slider of adjustmentSliders) {
+    if (!slider.input) continue;
+    slider.input.addEventListener("input", () => {
+      renderAdjustmentLabels();
+      debouncedAdjust();
+    });
+  }
+  if (autoLevels) {
+    autoLevels.addEventListener("change", updatePreview);
+  }
+  if (equalize) {
+    equalize.addEventListener("change", updatePreview);
+  }
+  if (resetAdjustmentsBtn) {
+    resetAdjustmentsBtn.addEventListener("click", resetAdjustments);
+  }
+
+  // Dithering algorithm and scan order
+  if (ditherAlgorithm) {
+    ditherAlgorithm.addEventListener("change", () => {
+      clearDisplayPreset();
+      updateSerpentineVisibility();
+      updatePreview();
+    });
+  }
+  if (serpentineScan) {
+    serpentineScan.addEventListener("change", updatePreview);
+  }
+
+  // Grayscale mode select
+  if (grayscaleLevels) {
+    grayscaleLevels.addEventListener("change", updatePreview);
+  }
+
+  // Fixed palette import / palette export
+  if (loadPaletteBtn && paletteFileInput) {
+    loadPaletteBtn.addEventListener("click", () => paletteFileInput.click());
+    paletteFileInput.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) {
+        loadPaletteFile(e.target.files[0]);
+      }
+      // Allow loading the same file again after clearing it
+      paletteFileInput.value = "";
+    });
+  }
+  if (clearPaletteBtn) {
+    clearPaletteBtn.addEventListener("click", () => {
+      clearDisplayPreset();
+      setFixedPalette(null);
+    });
+  }
+
+  // E-paper display presets
+  if (displayPreset && epaperPresetGroup) {
+    epaperPresetGroup.innerHTML = EPAPER_PRESETS.map(
+      (preset) =>
+        `<option value="${preset.id}">${escapeHtml(preset.name)}</option>`
+    ).join("");
+    updateDisplayPresetOptions();
+    displayPreset.addEventListener("change", () =>
+      applyDisplayPreset(displayPreset.value)
+    );
+  }
+  if (exportPaletteBtn) {
+    exportPaletteBtn.addEventListener("click", exportPalette);
+  }
+
+  // Transparent pixel handling
+  if (transparencyMode) {
+    transparencyMode.addEventListener("change", () => {
+      renderFixedPalette();
+      updatePreview();
+    });
+  }
+  if (backgroundColor) {
+    backgroundColor.addEventListener("input", updatePreview);
+  }
+
+  // Adaptive palette generator select
+  if (paletteStrategy) {
+    paletteStrategy.addEventListener("change", updatePreview);
+  }
+
+  // 16-bit pixel format select
+  if (pixelFormat) {
+    pixelFormat.addEventListener("change", updatePreview);
+  }
+
+  // RLE compression toggle
+  if (rleCompression) {
+    rleCompression.addEventListener("change", updatePreview);
+  }
+
   // Crop position button handlers
   if (cropPositionButtons && cropPositionButtons.length > 0) {
     cropPositionButtons.forEach((btn) => {
@@ -205,27 +603,90 @@ function setupEventListeners() {
         cropPositionButtons.forEach((b) => b.classList.remove("active"));
         // Add active class to clicked button
         btn.classList.add("active");
+        // The position replaces a dragged crop window
+        cropRegion = null;
         updatePreview();
       });
     });
   }
+
+  // Interactive crop on the original image
+  if (cropStage && cropWindow) {
+    setupCropInteraction();
+  }
+  if (resetCropBtn) {
+    resetCropBtn.addEventListener("click", () => {
+      cropRegion = null;
+      updatePreview();
+    });
+  }
+
+  // Convert / inspect mode switch
+  if (modeConvert && modeInspect) {
+    modeConvert.addEventListener("click", () => switchMode("convert"));
+    modeInspect.addEventListener("click", () => switchMode("inspect"));
+  }
+
+  // Inspector drop zone
+  if (inspectDropZone && inspectFileInput) {
+    inspectDropZone.addEventListener("click", (e) => {
+      e.preventDefault();
+      inspectFileInput.click();
+    });
+
+    inspectFileInput.addEventListener("change", (e) => {
+      if (e.target.files.length > 0) {
+        inspectFile(e.target.files[0]);
+      }
+    });
+
+    inspectDropZone.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      inspectDropZone.classList.add("dragover");
+    });
+
+    inspectDropZone.addEventListener("dragleave", () => {
+      inspectDropZone.classList.remove("dragover");
+    });
+
+    inspectDropZone.addEventListener("drop", (e) => {
+      e.preventDefault();
+      inspectDropZone.classList.remove("dragover");
+      if (e.dataTransfer.files.length > 0) {
+        inspectFile(e.dataTransfer.files[0]);
+      }
+    });
+  }
+}
+
+function switchMode(mode) {
+  const inspecting = mode === "inspect";
+  modeConvert.classList.toggle("active", !inspecting);
+  modeInspect.classList.toggle("active", inspecting);
+  convertDropCard.style.display = inspecting ? "none" : "";
+  inspectSection.style.display = inspecting ? "flex" : "none";
+  previewSection.style.display = !inspecting && currentImage ? "flex" : "none";
 }
 
 function switchTab(tabName) {
-  if (tabName === "original") {
-    tabOriginal?.classList.add("active");
-    tabPreview?.classList.remove("active");
-    tabContentOriginal?.classList.add("active");
-    tabContentPreview?.classList.remove("active");
-  } else if (tabName === "preview") {
-    tabOriginal?.classList.remove("active");
-    tabPreview?.classList.add("active");
-    tabContentOriginal?.classList.remove("active");
-    tabContentPreview?.classList.add("active");
+  const tabs = {
+    original: [tabOriginal, tabContentOriginal],
+    preview: [tabPreview, tabContentPreview],
+    compare: [tabCompare, tabContentCompare],
+  };
+  for (const [name, [button, content]] of Object.entries(tabs)) {
+    button?.classList.toggle("active", name === tabName);
+    content?.classList.toggle("active", name === tabName);
+  }
+
+  if (tabName === "preview") {
     // Generate preview when switching to preview tab if not already generated
     if (currentImage) {
       updatePreview();
     }
+  } else if (tabName === "compare") {
+    // The viewport only has a size once it's shown
+    renderCompare();
   }
 }
 
@@ -240,391 +701,1627 @@ function debounce(func, wait) {
 
 function handleCropOptionChange() {
   const isCustom = cropCustom && cropCustom.checked;
-  const isXteink = cropXteink && cropXteink.checked;
-  const showCropPosition = isCustom || isXteink;
+  const isDevice = cropDevice && cropDevice.checked;
+  const showCropPosition = isCustom || isDevice;
 
+  if (deviceProfileInputs) {
+    deviceProfileInputs.style.display = isDevice ? "flex" : "none";
+  }
   if (customCropInputs) {
     customCropInputs.style.display = isCustom ? "flex" : "none";
   }
   if (cropPositionSelector) {
     cropPositionSelector.style.display = showCropPosition ? "block" : "none";
   }
-}
 
-// Get selected crop position from active button
-function getSelectedCropPosition() {
-  if (!cropPositionButtons || cropPositionButtons.length === 0) {
-    return "center";
+  if (isDevice) {
+    applyDeviceProfile();
+  } else {
+    restrictCompressionLevels(null);
+    handleCompressionLevelChange();
   }
-  const activeButton = Array.from(cropPositionButtons).find((btn) =>
-    btn.classList.contains("active")
-  );
-  return activeButton ? activeButton.dataset.position : "center";
 }
 
-// Calculate crop parameters for cover-style cropping with position selection
-function calculateCropParams(
-  sourceWidth,
-  sourceHeight,
-  targetWidth,
-  targetHeight,
-  position = "center"
-) {
-  // Early return if no cropping needed
-  if (sourceWidth === targetWidth && sourceHeight === targetHeight) {
-    return {
-      sourceX: 0,
-      sourceY: 0,
-      sourceWidth,
-      sourceHeight,
-    };
+// Selected device profile, or null when resizing by other means
+function getSelectedProfile() {
+  if (!cropDevice || !cropDevice.checked || !deviceProfile) {
+    return null;
   }
+  return findProfile(deviceProfiles, deviceProfile.value);
+}
 
-  // Calculate scale to cover (like CSS object-fit: cover)
-  const scale = Math.max(
-    targetWidth / sourceWidth,
-    targetHeight / sourceHeight
+// Fill the device picker with the profiles matching the search box,
+// keeping selectedId selected when it still matches
+function renderDeviceProfiles(selectedId) {
+  const matches = searchProfiles(
+    deviceProfiles,
+    deviceSearch ? deviceSearch.value : ""
   );
+  const options = (profiles) =>
+    profiles
+      .map(
+        (profile) =>
+          `<option value="${escapeHtml(profile.id)}">${escapeHtml(
+            profile.name
+          )} (${profile.width}×${profile.height})</option>`
+      )
+      .join("");
+
+  const builtIn = matches.filter((profile) => !profile.custom);
+  const custom = matches.filter((profile) => profile.custom);
+  deviceProfile.innerHTML =
+    matches.length === 0
+      ? `<option value="" disabled>No matching devices</option>`
+      : options(builtIn) +
+        (custom.length > 0
+          ? `<optgroup label="Saved profiles">${options(custom)}</optgroup>`
+          : "");
+
+  if (matches.some((profile) => profile.id === selectedId)) {
+    deviceProfile.value = selectedId;
+  }
+}
+
+// Use the selected device: its bit depths limit the compression levels and
+// its recommended palette (an e-paper preset id) is applied
+function applyDeviceProfile() {
+  const profile = getSelectedProfile();
+
+  if (deviceProfileSummary) {
+    deviceProfileSummary.textContent = profile
+      ? `${profile.orientation}, ${profile.bitDepths.join("/")}-bit, ${
+          profile.rowOrder
+        } rows`
+      : "";
+  }
+  if (deleteProfileBtn) {
+    deleteProfileBtn.style.display =
+      profile && profile.custom ? "flex" : "none";
+  }
 
-  const scaledWidth = sourceWidth * scale;
-  const scaledHeight = sourceHeight * scale;
-  const excessWidth = scaledWidth - targetWidth;
-  const excessHeight = scaledHeight - targetHeight;
+  restrictCompressionLevels(profile ? profile.bitDepths : null);
+  if (profile && getEpaperPreset(profile.palette) && displayPreset) {
+    displayPreset.value = profile.palette;
+    applyDisplayPreset(profile.palette);
+  } else {
+    // Refreshes option visibility and the preview
+    handleCompressionLevelChange();
+  }
+}
 
-  // Calculate crop offsets based on position
-  let cropX = excessWidth / 2; // Default: center
-  let cropY = excessHeight / 2; // Default: center
+// Disable compression levels the device can't read (null enables them
+// all) and move off a disabled level to the device's preferred depth
+function restrictCompressionLevels(bitDepths) {
+  if (!compressionLevel) return;
 
-  switch (position) {
-    case "top":
-      cropX = excessWidth / 2;
-      cropY = 0;
-      break;
-    case "bottom":
-      cropX = excessWidth / 2;
-      cropY = excessHeight;
-      break;
-    case "left":
-      cropX = 0;
-      cropY = excessHeight / 2;
-      break;
-    case "right":
-      cropX = excessWidth;
-      cropY = excessHeight / 2;
-      break;
-    case "center":
-    default:
-      // Already set above
-      break;
+  const options = Array.from(compressionLevel.options);
+  for (const option of options) {
+    option.disabled =
+      bitDepths !== null && !bitDepths.includes(parseInt(option.value));
   }
 
-  // Convert back to source image coordinates
-  return {
-    sourceX: cropX / scale,
-    sourceY: cropY / scale,
-    sourceWidth: targetWidth / scale,
-    sourceHeight: targetHeight / scale,
-  };
+  if (compressionLevel.selectedOptions[0]?.disabled) {
+    const preferred = options.find(
+      (option) => parseInt(option.value) === bitDepths[0]
+    );
+    compressionLevel.value = preferred.value;
+    clearDisplayPreset();
+  }
+  updateDisplayPresetOptions();
 }
 
-function handleCompressionLevelChange() {
-  if (!compressionLevel || !compressionHelp || !compressionHelpText) {
-    return;
-  }
+// Whether the compression select offers level (a device profile may have
+// disabled it)
+function isCompressionLevelEnabled(level) {
+  const option = Array.from(compressionLevel.options).find(
+    (option) => option.value === level
+  );
+  return Boolean(option) && !option.disabled;
+}
 
-  const selectedValue = compressionLevel.value;
-  const helpTexts = {
-    24: {
-      title: "24-bit",
-      description:
-        "Highest quality, no compression. Best for preserving exact colors.",
-      size: "~1.1 MB",
-    },
-    8: {
-      title: "8-bit (standard)",
-      description:
-        "Standard quality with color palette. Good balance of quality and file size.",
-      size: "~376 KB",
-    },
-    "8-dithered": {
-      title: "8-bit (dithered)",
-      description:
-        "8-bit with dithering for smoother gradients. Better visual quality than standard 8-bit.",
-      size: "~350 KB",
-    },
-    4: {
-      title: "4-bit",
-      description:
-        "Smaller file size with reduced colors. Suitable for simple images.",
-      size: "~188 KB",
-    },
-    "4-aggressive": {
-      title: "4-bit (aggressive)",
-      description:
-        "Maximum compression. Smallest file size, may reduce quality.",
-      size: "~150 KB",
-    },
-  };
+// Disable the display presets whose compression level is disabled
+function updateDisplayPresetOptions() {
+  if (!epaperPresetGroup) return;
 
-  const helpInfo = helpTexts[selectedValue];
-  if (helpInfo) {
-    compressionHelpText.innerHTML = `
-      <strong>${helpInfo.title}:</strong> ${helpInfo.description}<br>
-      <span style="opacity: 0.8; font-size: 0.9em;">Estimated size: ${helpInfo.size}</span>
-    `;
-    compressionHelp.style.display = "block";
-  } else {
-    compressionHelp.style.display = "none";
+  for (const option of epaperPresetGroup.querySelectorAll("option")) {
+    const preset = getEpaperPreset(option.value);
+    option.disabled = !preset || !isCompressionLevelEnabled(preset.level);
   }
-
-  // Update preview when compression changes
-  if (currentImage) {
-    updatePreview();
+  if (displayPreset.selectedOptions[0]?.disabled) {
+    clearDisplayPreset();
   }
 }
 
-function handleFile(file) {
-  // Validate file type
-  if (!file.type.match(/image\/(png|jpeg|jpg)/)) {
-    showNotification(
-      "Please upload a PNG or JPEG file",
-      "error",
-      notificationText,
-      notificationIcon,
-      notification
-    );
-    return;
-  }
+// Store the custom width/height/row order under the given name
+function saveDeviceProfile() {
+  try {
+    const profile = saveCustomProfile({
+      name: customProfileName ? customProfileName.value : "",
+      width: parseInt(customWidth.value),
+      height: parseInt(customHeight.value),
+      rowOrder: customRowOrder ? customRowOrder.value : "top-down",
+      palette:
+        displayPreset && displayPreset.value !== "custom"
+          ? displayPreset.value
+          : null,
+    });
 
-  // Validate file size (max 50MB)
-  const maxSize = 50 * 1024 * 1024;
-  if (file.size > maxSize) {
+    deviceProfiles = getAllProfiles();
+    if (customProfileName) {
+      customProfileName.value = "";
+    }
+    if (deviceSearch) {
+      deviceSearch.value = "";
+    }
+    renderDeviceProfiles(profile.id);
+    cropDevice.checked = true;
+    handleCropOptionChange();
     showNotification(
-      "File is too large. Maximum size is 50MB",
-      "error",
+      `Saved device profile "${profile.name}"`,
+      "success",
       notificationText,
       notificationIcon,
       notification
     );
-    return;
-  }
-
-  // Validate filename (prevent path traversal attempts)
-  if (
-    file.name.includes("..") ||
-    file.name.includes("/") ||
-    file.name.includes("\\")
-  ) {
+  } catch (error) {
     showNotification(
-      "Invalid filename. Please use a valid image file.",
+      "Failed to save profile: " + error.message,
       "error",
       notificationText,
       notificationIcon,
       notification
     );
-    return;
   }
+}
 
-  // Store filename
-  currentFileName = file.name;
+function deleteDeviceProfile() {
+  const profile = getSelectedProfile();
+  if (!profile || !profile.custom) return;
 
-  const reader = new FileReader();
+  deleteCustomProfile(profile.id);
+  deviceProfiles = getAllProfiles();
+  renderDeviceProfiles(DEFAULT_PROFILE_ID);
+  applyDeviceProfile();
+}
 
-  reader.onload = (e) => {
-    const img = new Image();
-
-    img.onload = () => {
-      // Security: Validate image dimensions to prevent memory exhaustion
-      const MAX_DIMENSION = 10000; // Reasonable limit
-      if (img.width > MAX_DIMENSION || img.height > MAX_DIMENSION) {
-        showNotification(
-          `Image dimensions too large. Maximum is ${MAX_DIMENSION}px on any side.`,
-          "error",
-          notificationText,
-          notificationIcon,
-          notification
-        );
-        return;
-      }
+// Output size for the selected resize option, whatever the image: null
+// width/height stand for the image's own, and the whole result is null
+// when the chosen device search has no match
+function getSelectedSize() {
+  if (cropDevice && cropDevice.checked) {
+    const profile = getSelectedProfile();
+    return profile ? { width: profile.width, height: profile.height } : null;
+  }
+  if (cropCustom && cropCustom.checked) {
+    return {
+      width: parseInt(customWidth.value) || null,
+      height: parseInt(customHeight.value) || null,
+    };
+  }
+  return { width: null, height: null };
+}
 
-      // Security: Check total pixel count to prevent memory exhaustion
-      const MAX_PIXELS = 250000000; // ~250MP (reasonable limit for processing)
-      if (img.width * img.height > MAX_PIXELS) {
-        showNotification(
-          "Image is too large. Please resize before converting.",
-          "error",
-          notificationText,
-          notificationIcon,
-          notification
-        );
-        return;
-      }
+function resolveTargetSize(image, size) {
+  return {
+    width: size.width || image.width,
+    height: size.height || image.height,
+  };
+}
 
-      currentImage = img;
-      preview.src = e.target.result;
-      previewSection.style.display = "flex";
-
-      // Display image info with filename (safely escaped)
-      const fileSizeKB = (file.size / 1024).toFixed(2);
-      imageInfo.innerHTML = `
-            <div><strong>File:</strong> ${escapeHtml(file.name)}</div>
-            <div><strong>Dimensions:</strong> ${img.width} × ${
-        img.height
-      }px</div>
-            <div><strong>Size:</strong> ${fileSizeKB} KB</div>
-            <div><strong>Format:</strong> ${escapeHtml(
-              file.type.split("/")[1].toUpperCase()
-            )}</div>
-        `;
-
-      // Show compression help text for currently selected option
-      handleCompressionLevelChange();
+// Output size of the current image, or null when the chosen device search
+// has no match
+function getTargetDimensions() {
+  const size = getSelectedSize();
+  return size ? resolveTargetSize(currentImage, size) : null;
+}
 
-      // Generate initial preview
-      updatePreview();
+// Why a target size can't be encoded, or null when it can
+function targetSizeError(width, height) {
+  if (
+    width > MAX_DIMENSION ||
+    height > MAX_DIMENSION ||
+    width * height > MAX_PIXELS
+  ) {
+    return "Target dimensions are too large. Please use smaller dimensions.";
+  }
+  if (
+    width <= 0 ||
+    height <= 0 ||
+    !Number.isInteger(width) ||
+    !Number.isInteger(height)
+  ) {
+    return "Invalid dimensions. Please enter positive integers.";
+  }
+  return null;
+}
 
-      showNotification(
-        "Image loaded successfully!",
-        "success",
-        notificationText,
-        notificationIcon,
-        notification
-      );
-    };
+// BMP row order: the device's, the custom setting's, or top-down
+function getSelectedRowOrder() {
+  const profile = getSelectedProfile();
+  if (profile) {
+    return profile.rowOrder;
+  }
+  if (cropCustom && cropCustom.checked && customRowOrder) {
+    return customRowOrder.value;
+  }
+  return "top-down";
+}
 
-    img.onerror = () => {
-      showNotification(
-        "Failed to load image. Please try another file.",
-        "error",
-        notificationText,
-        notificationIcon,
-        notification
+// Border fill applies to modes that can leave borders; stretch fills the
+// whole target, so the position buttons don't apply to it
+function handleFitModeChange() {
+  const fit = fitMode ? fitMode.value : "cover";
+  const letterboxed = fit === "contain" || fit === "none";
+
+  if (letterboxOption) {
+    letterboxOption.style.display = letterboxed ? "flex" : "none";
+  }
+  if (letterboxColorOption) {
+    letterboxColorOption.style.display =
+      letterboxed && letterboxFill.value === "color" ? "flex" : "none";
+  }
+  if (cropPositionLabel) {
+    cropPositionLabel.textContent =
+      fit === "cover" ? "Crop Position" : "Position";
+    cropPositionLabel.style.display = fit === "stretch" ? "none" : "";
+  }
+  if (cropPositionGrid) {
+    cropPositionGrid.style.display = fit === "stretch" ? "none" : "";
+  }
+}
+
+// Get selected crop position from active button
+function getSelectedCropPosition() {
+  if (!cropPositionButtons || cropPositionButtons.length === 0) {
+    return "center";
+  }
+  const activeButton = Array.from(cropPositionButtons).find((btn) =>
+    btn.classList.contains("active")
+  );
+  return activeButton ? activeButton.dataset.position : "center";
+}
+
+// Get 1-bit luminance threshold from slider
+function getSelectedThreshold() {
+  const value = thresholdInput ? parseInt(thresholdInput.value) : 128;
+  return Number.isInteger(value) ? value : 128;
+}
+
+// Get grayscale level count (0 = adaptive color palette)
+function getSelectedGrayscaleLevels() {
+  const value = grayscaleLevels ? parseInt(grayscaleLevels.value) : 0;
+  return Number.isInteger(value) ? value : 0;
+}
+
+// Collect encoder/preview options from the settings controls
+function getEncodingOptions() {
+  return {
+    threshold: getSelectedThreshold(),
+    grayscale: getSelectedGrayscaleLevels(),
+    rle: rleCompression ? rleCompression.checked : false,
+    pixelFormat: pixelFormat ? pixelFormat.value : "565",
+    ditherAlgorithm: ditherAlgorithm
+      ? ditherAlgorithm.value
+      : "floyd-steinberg",
+    serpentine: serpentineScan ? serpentineScan.checked : false,
+    paletteStrategy: paletteStrategy ? paletteStrategy.value : "median-cut",
+    palette: fixedPalette ? fixedPalette.colors : null,
+    transparency: transparencyMode ? transparencyMode.value : "flatten",
+    background: backgroundColor ? backgroundColor.value : "#ffffff",
+    rowOrder: getSelectedRowOrder(),
+    adjustments: getSelectedAdjustments(),
+  };
+}
+
+// Adjustments applied before quantization, as set on the controls
+function getSelectedAdjustments() {
+  const adjustments = { ...DEFAULT_ADJUSTMENTS };
+  for (const { key, input } of adjustmentSliders) {
+    if (input) {
+      adjustments[key] = parseFloat(input.value);
+    }
+  }
+  adjustments.autoLevels = autoLevels ? autoLevels.checked : false;
+  adjustments.equalize = equalize ? equalize.value : "none";
+  return adjustments;
+}
+
+function renderAdjustmentLabels() {
+  for (const { input, label, format } of adjustmentSliders) {
+    if (input && label) {
+      label.textContent = format(parseFloat(input.value));
+    }
+  }
+}
+
+function resetAdjustments() {
+  for (const { key, input } of adjustmentSliders) {
+    if (input) {
+      input.value = DEFAULT_ADJUSTMENTS[key];
+    }
+  }
+  if (autoLevels) {
+    autoLevels.checked = false;
+  }
+  if (equalize) {
+    equalize.value = "none";
+  }
+  renderAdjustmentLabels();
+  updatePreview();
+}
+
+function getSelectedOrientation() {
+  return {
+    rotate: rotation ? parseInt(rotation.value) : 0,
+    flipH: flipHorizontal ? flipHorizontal.checked : false,
+    flipV: flipVertical ? flipVertical.checked : false,
+  };
+}
+
+// Everything a conversion depends on, read from the controls once so a
+// batch (or a file's pinned settings) doesn't change as they are edited
+function getConversionSettings() {
+  return {
+    orientation: getSelectedOrientation(),
+    size: getSelectedSize(),
+    position: getSelectedCropPosition(),
+    fit: fitMode ? fitMode.value : "cover",
+    cropRegion,
+    filter: resampleFilter ? resampleFilter.value : "browser",
+    letterboxFill: letterboxFill ? letterboxFill.value : "color",
+    letterboxColor: letterboxColor ? letterboxColor.value : "#ffffff",
+    level: compressionLevel ? compressionLevel.value : "8",
+    options: getEncodingOptions(),
+  };
+}
+
+// Serpentine scanning only applies to error-diffusion kernels
+function updateSerpentineVisibility() {
+  if (!serpentineOption || !ditherAlgorithm) return;
+  const ordered =
+    ditherAlgorithm.value.startsWith("bayer") ||
+    ditherAlgorithm.value === "blue-noise";
+  serpentineOption.style.display = ordered ? "none" : "flex";
+}
+
+// Read a .gpl / .act / .pal / hex list file and use it as the fixed palette
+async function loadPaletteFile(file) {
+  try {
+    const colors = parsePaletteFile(file.name, await file.arrayBuffer());
+    clearDisplayPreset();
+    setFixedPalette({ name: file.name, colors });
+    const capacity = fixedPaletteCapacity();
+    const truncated = capacity !== null && colors.length > capacity;
+    showNotification(
+      truncated
+        ? `Loaded ${colors.length}-color palette; only the first ${capacity} fit this bit depth`
+        : `Loaded ${colors.length}-color palette`,
+      truncated ? "info" : "success",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  } catch (error) {
+    showNotification(
+      "Failed to load palette: " + error.message,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+}
+
+// Switch between a fixed palette ({ name, colors }) and adaptive (null)
+// Palette generator and color mode don't apply while a fixed palette is set
+function setFixedPalette(palette, refresh = true) {
+  fixedPalette = palette;
+
+  renderFixedPalette();
+  if (clearPaletteBtn) {
+    clearPaletteBtn.style.display = palette ? "flex" : "none";
+  }
+  if (paletteStrategy) {
+    paletteStrategy.disabled = Boolean(palette);
+  }
+  if (grayscaleLevels) {
+    grayscaleLevels.disabled = Boolean(palette);
+  }
+
+  if (refresh) {
+    updatePreview();
+  }
+}
+
+// How many fixed palette colors the selected level can write: 16 at 4-bit
+// and 256 at 8-bit, one less when an index is kept for transparent pixels
+// (null for levels without a palette)
+function fixedPaletteCapacity() {
+  const level = compressionLevel ? compressionLevel.value : "8";
+  const size = level.startsWith("8") ? 256 : level.startsWith("4") ? 16 : null;
+  if (size === null) return null;
+  return transparencyMode && transparencyMode.value === "index"
+    ? size - 1
+    : size;
+}
+
+// Show the fixed palette's name and swatches, fading the colors past what
+// the current level can write (the encoder drops them)
+function renderFixedPalette() {
+  const capacity = fixedPaletteCapacity();
+  const total = fixedPalette ? fixedPalette.colors.length : 0;
+  const truncated = capacity !== null && total > capacity;
+
+  if (fixedPaletteName) {
+    fixedPaletteName.textContent = !fixedPalette
+      ? "None (adaptive)"
+      : truncated
+      ? `${fixedPalette.name} (first ${capacity} of ${total} colors used)`
+      : `${fixedPalette.name} (${total} colors)`;
+    fixedPaletteName.title = fixedPaletteName.textContent;
+  }
+  if (fixedPaletteSwatches) {
+    fixedPaletteSwatches.innerHTML = fixedPalette
+      ? fixedPalette.colors
+          .map((color, index) => {
+            const hex = toHexColor(color);
+            return truncated && index >= capacity
+              ? `<span class="palette-swatch unused" style="background: ${hex}" title="${index}: ${hex} (not used at this bit depth)"></span>`
+              : `<span class="palette-swatch" style="background: ${hex}" title="${index}: ${hex}"></span>`;
+          })
+          .join("")
+      : "";
+    fixedPaletteSwatches.style.display = fixedPalette ? "grid" : "none";
+  }
+}
+
+// Apply an e-paper preset: bit depth, fixed palette and dithering
+// "custom" leaves the current settings as they are
+function applyDisplayPreset(id) {
+  const preset = getEpaperPreset(id);
+  if (!preset) return;
+  // Never select a level the device profile has disabled
+  if (!isCompressionLevelEnabled(preset.level)) {
+    clearDisplayPreset();
+    showNotification(
+      `The selected device can't read the ${preset.name} preset's bit depth`,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+
+  compressionLevel.value = preset.level;
+  if (ditherAlgorithm) {
+    ditherAlgorithm.value = preset.ditherAlgorithm;
+    updateSerpentineVisibility();
+  }
+  setFixedPalette({ name: preset.name, colors: preset.palette }, false);
+  // Refreshes option visibility and the preview
+  handleCompressionLevelChange();
+}
+
+// Settings changed by hand no longer match the chosen preset
+function clearDisplayPreset() {
+  if (displayPreset) {
+    displayPreset.value = "custom";
+  }
+}
+
+// Download the palette the current settings write into the BMP (adaptive
+// or fixed) in the chosen palette file format
+async function exportPalette() {
+  if (!currentImage) {
+    showNotification(
+      "Load an image first to compute its palette",
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+
+  const format = PALETTE_EXPORT_FORMATS[paletteExportFormat.value];
+  try {
+    // The processing canvas holds the image as the last preview drew it
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const { colors } = await runProcessingJob("palette", {
+      type: "palette",
+      imageData,
+      level: compressionLevel ? compressionLevel.value : "8",
+      options: getEncodingOptions(),
+    });
+
+    const name = (currentFileName || "converted").replace(/\.[^/.]+$/, "");
+    const blob = new Blob([format.format(colors, name)], {
+      type: format.mimeType,
+    });
+    // With its extension on, so downloadFile doesn't cut at a dot in name
+    downloadFile(blob, `${name}-palette.${format.extension}`, format.extension);
+  } catch (error) {
+    showNotification(
+      "Failed to export palette: " + error.message,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+}
+
+function handleCompressionLevelChange() {
+  if (!compressionLevel) {
+    return;
+  }
+
+  const selectedValue = compressionLevel.value;
+
+  // Threshold only applies to 1-bit output
+  if (thresholdOption) {
+    thresholdOption.style.display =
+      selectedValue === "1" || selectedValue === "1-dithered" ? "flex" : "none";
+  }
+
+  // Dithering algorithm applies to dithered palettized output
+  // (16-bit dithering always uses its own 4x4 Bayer matrix)
+  if (ditherOption) {
+    ditherOption.style.display = [
+      "8-dithered",
+      "4-aggressive",
+      "1-dithered",
+    ].includes(selectedValue)
+      ? "block"
+      : "none";
+  }
+
+  // Grayscale ramps and RLE only apply to palettized 4-bit and 8-bit output
+  const isPalettized =
+    selectedValue.startsWith("8") || selectedValue.startsWith("4");
+  if (grayscaleOption) {
+    grayscaleOption.style.display = isPalettized ? "flex" : "none";
+  }
+  if (paletteStrategyOption) {
+    paletteStrategyOption.style.display = isPalettized ? "flex" : "none";
+  }
+  if (fixedPaletteOption) {
+    fixedPaletteOption.style.display = isPalettized ? "flex" : "none";
+  }
+  if (rleOption) {
+    rleOption.style.display = isPalettized ? "flex" : "none";
+  }
+
+  // A dedicated transparent index only fits 4-bit and 8-bit palettes;
+  // every level without alpha blends onto the background color
+  if (transparencyOption) {
+    transparencyOption.style.display = isPalettized ? "flex" : "none";
+  }
+  if (backgroundOption) {
+    backgroundOption.style.display = selectedValue === "32" ? "none" : "flex";
+  }
+
+  // Pixel format only applies to 16-bit output
+  if (pixelFormatOption) {
+    pixelFormatOption.style.display = selectedValue.startsWith("16")
+      ? "flex"
+      : "none";
+  }
+
+  // Size estimate from the previous settings no longer applies
+  estimatedSize = null;
+  renderCompressionHelp();
+  renderFixedPalette();
+
+  // Update preview when compression changes
+  if (currentImage) {
+    updatePreview();
+  }
+}
+
+function renderCompressionHelp() {
+  if (!compressionLevel || !compressionHelp || !compressionHelpText) {
+    return;
+  }
+
+  const selectedValue = compressionLevel.value;
+  const helpTexts = {
+    32: {
+      title: "32-bit",
+      description:
+        "Full color with an alpha channel, so transparency is preserved. Largest file size.",
+      size: "~1.5 MB",
+    },
+    24: {
+      title: "24-bit",
+      description:
+        "Highest quality, no compression. Best for preserving exact colors.",
+      size: "~1.1 MB",
+    },
+    16: {
+      title: "16-bit",
+      description:
+        "High color for microcontroller displays (RGB565 or RGB555). Half the size of 24-bit.",
+      size: "~750 KB",
+    },
+    "16-dithered": {
+      title: "16-bit (dithered)",
+      description:
+        "16-bit with ordered dithering to hide banding in smooth gradients.",
+      size: "~750 KB",
+    },
+    8: {
+      title: "8-bit (standard)",
+      description:
+        "Standard quality with color palette. Good balance of quality and file size.",
+      size: "~376 KB",
+    },
+    "8-dithered": {
+      title: "8-bit (dithered)",
+      description:
+        "8-bit with dithering for smoother gradients. Better visual quality than standard 8-bit.",
+      size: "~350 KB",
+    },
+    4: {
+      title: "4-bit",
+      description:
+        "Smaller file size with reduced colors. Suitable for simple images.",
+      size: "~188 KB",
+    },
+    "4-aggressive": {
+      title: "4-bit (aggressive)",
+      description:
+        "Maximum compression. Smallest file size, may reduce quality.",
+      size: "~150 KB",
+    },
+    1: {
+      title: "1-bit (black & white)",
+      description:
+        "Pure black and white using the threshold below. Best for line art and text on e-ink.",
+      size: "~47 KB",
+    },
+    "1-dithered": {
+      title: "1-bit (dithered)",
+      description:
+        "Black and white with dithering to simulate gray tones. Best for photos on e-ink.",
+      size: "~47 KB",
+    },
+  };
+
+  const helpInfo = helpTexts[selectedValue];
+  if (helpInfo) {
+    // Prefer the size measured for the current image over the 480×800 default
+    const size =
+      estimatedSize !== null ? formatFileSize(estimatedSize) : helpInfo.size;
+    compressionHelpText.innerHTML = `
+      <strong>${helpInfo.title}:</strong> ${helpInfo.description}<br>
+      <span style="opacity: 0.8; font-size: 0.9em;">Estimated size: ${size}</span>
+    `;
+    compressionHelp.style.display = "block";
+  } else {
+    compressionHelp.style.display = "none";
+  }
+}
+
+// Why a file can't be converted, or null when it can
+function validateImageFile(file) {
+  // Validate file type (files may come without a MIME type)
+  if (!isSupportedImageFile(file)) {
+    return "Please upload an image file (PNG, JPEG, WebP, GIF, AVIF, SVG, BMP or TIFF)";
+  }
+
+  // Validate file size (max 50MB)
+  const maxSize = 50 * 1024 * 1024;
+  if (file.size > maxSize) {
+    return "File is too large. Maximum size is 50MB";
+  }
+
+  // Validate filename (prevent path traversal attempts)
+  if (
+    file.name.includes("..") ||
+    file.name.includes("/") ||
+    file.name.includes("\\")
+  ) {
+    return "Invalid filename. Please use a valid image file.";
+  }
+  return null;
+}
+
+// Why a loaded image is too big to process, or null
+function imageSizeError(img) {
+  if (img.width > MAX_DIMENSION || img.height > MAX_DIMENSION) {
+    return `Image dimensions too large. Maximum is ${MAX_DIMENSION}px on any side.`;
+  }
+  if (img.width * img.height > MAX_PIXELS) {
+    return "Image is too large. Please resize before converting.";
+  }
+  return null;
+}
+
+async function handleFile(file) {
+  const error = validateImageFile(file);
+  if (error) {
+    showNotification(
+      error,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+
+  // Store filename
+  currentFileName = file.name;
+
+  try {
+    const { image, src, formatName, gif, exifOrientation } =
+      await loadImageFile(file);
+    await showLoadedImage(image, src, file, formatName, exifOrientation);
+    setGIFFrames(gif);
+  } catch (error) {
+    showNotification(
+      error.message,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+}
+
+// Validate a loaded image and make it the current image
+async function showLoadedImage(img, src, file, formatName, exifOrientation) {
+  const sizeError = imageSizeError(img);
+  if (sizeError) {
+    showNotification(
+      sizeError,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+
+  sourceImage = img;
+  sourceSrc = src;
+  currentImage = null;
+  cropRegion = null;
+  compareView.zoom = "fit";
+  await applyOrientation();
+  previewSection.style.display = "flex";
+
+  // Display image info with filename (safely escaped)
+  const fileSizeKB = (file.size / 1024).toFixed(2);
+  imageInfo.innerHTML = `
+        <div><strong>File:</strong> ${escapeHtml(file.name)}</div>
+        <div><strong>Dimensions:</strong> <span class="image-dimensions"></span></div>
+        <div><strong>Size:</strong> ${fileSizeKB} KB</div>
+        <div><strong>Format:</strong> ${escapeHtml(formatName)}</div>
+    `;
+  if (exifOrientation > 1) {
+    imageInfo.innerHTML += `
+        <div><strong>EXIF orientation:</strong> ${exifOrientation} (turned upright)</div>
+    `;
+  }
+  renderImageDimensions();
+
+  // Show compression help text for currently selected option
+  handleCompressionLevelChange();
+
+  // Generate initial preview
+  updatePreview();
+
+  showNotification(
+    "Image loaded successfully!",
+    "success",
+    notificationText,
+    notificationIcon,
+    notification
+  );
+}
+
+function clearImage() {
+  cancelJob("preview");
+  // The queue stays; only the file it had in the editor is gone
+  if (editingBatchId !== null) {
+    editingBatchId = null;
+    renderBatchQueue();
+  }
+  setGIFFrames(null);
+  hidePreviewProgress();
+  currentImage = null;
+  sourceImage = null;
+  sourceSrc = null;
+  currentFileName = null;
+  cropRegion = null;
+  resampleCache = null;
+  compareOriginal = null;
+  heatmapCache = null;
+  compareView.zoom = "fit";
+  renderCropWindow();
+  preview.src = "";
+  fileInput.value = "";
+  previewSection.style.display = "none";
+  imageInfo.innerHTML = "";
+  previewCanvas.width = 0;
+  previewCanvas.height = 0;
+  // Reset to preview tab (default)
+  switchTab("preview");
+}
+
+// Show the frame picker for an animated GIF, or hide it (gif null)
+function setGIFFrames(gif) {
+  currentGIF = gif || null;
+  if (!gifFrameOption) return;
+
+  gifFrameOption.style.display = currentGIF ? "flex" : "none";
+  if (currentGIF) {
+    gifFrame.max = currentGIF.frames.length - 1;
+    gifFrame.value = 0;
+    renderGIFFrameLabel();
+  }
+}
+
+function renderGIFFrameLabel() {
+  if (!currentGIF) return;
+  gifFrameValue.textContent = `${parseInt(gifFrame.value) + 1} of ${
+    currentGIF.frames.length
+  }`;
+}
+
+// Make the picked GIF frame the current image; the crop window stays, as
+// every frame has the same size
+async function selectGIFFrame() {
+  if (!currentGIF) return;
+
+  try {
+    const { image, src } = loadGIFFrame(currentGIF, parseInt(gifFrame.value));
+    sourceImage = image;
+    sourceSrc = src;
+    await applyOrientation();
+    updatePreview();
+  } catch (error) {
+    showNotification(
+      "Failed to decode GIF frame: " + error.message,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+}
+
+// Rotate and flip the loaded image as the orientation controls say,
+// making the result the current image; after flips and half turns the
+// crop window moves with the pixels it framed, quarter turns reset it
+async function applyOrientation() {
+  const request = ++orientationRequest;
+  const source = sourceImage;
+  if (!source) return;
+
+  try {
+    const orientation = getSelectedOrientation();
+    const { image, src } = await orientImage(source, sourceSrc, orientation);
+    // A newer image or orientation was picked in the meantime
+    if (request !== orientationRequest || source !== sourceImage) return;
+
+    cropRegion =
+      cropRegion &&
+      currentImage &&
+      currentImage.width === image.width &&
+      currentImage.height === image.height
+        ? reorientRegion(
+            cropRegion,
+            image.width,
+            image.height,
+            currentOrientation,
+            orientation
+          )
+        : null;
+    currentImage = image;
+    currentOrientation = orientation;
+    resampleCache = null;
+    preview.src = src;
+    renderImageDimensions();
+    renderCropWindow();
+  } catch (error) {
+    showNotification(
+      "Failed to rotate image: " + error.message,
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+}
+
+// Size of the image being converted in the image info, noting the loaded
+// size when a quarter turn swapped it
+function renderImageDimensions() {
+  const dimensions = imageInfo.querySelector(".image-dimensions");
+  if (!dimensions || !currentImage) return;
+
+  dimensions.textContent = `${currentImage.width} × ${currentImage.height}px`;
+  if (currentImage.width !== sourceImage.width) {
+    dimensions.textContent += ` (rotated from ${sourceImage.width} × ${sourceImage.height}px)`;
+  }
+}
+
+async function handleOrientationChange() {
+  await applyOrientation();
+  updatePreview();
+}
+
+// Render an image at the target size with the given conversion settings
+// (fit mode, crop position, resampling filter); returns its ImageData
+// Resampling runs as a job on the given worker channel, so a newer job on
+// that channel cancels it
+async function renderTargetImage(image, target, settings, channel) {
+  const { width: targetWidth, height: targetHeight } = target;
+  const output = document.createElement("canvas");
+  output.width = targetWidth;
+  output.height = targetHeight;
+  const targetCtx = output.getContext("2d");
+
+  // Get crop position (only if not original size)
+  const needsCropping =
+    targetWidth !== image.width || targetHeight !== image.height;
+  const position = needsCropping ? settings.position : "center";
+
+  // Calculate and apply crop
+  const crop = calculateCropParams(
+    image.width,
+    image.height,
+    targetWidth,
+    targetHeight,
+    position,
+    settings.fit,
+    matchingCropRegion(
+      settings.cropRegion,
+      settings.fit,
+      targetWidth,
+      targetHeight
+    )
+  );
+
+  if (leavesBorders(crop, targetWidth, targetHeight)) {
+    fillBorders(targetCtx, image, settings, targetWidth, targetHeight);
+  }
+
+  // Vector images are rasterized straight at the target resolution
+  if (settings.filter === "browser" || !needsCropping || isVectorImage(image)) {
+    targetCtx.drawImage(
+      image,
+      crop.sourceX,
+      crop.sourceY,
+      crop.sourceWidth,
+      crop.sourceHeight,
+      crop.destX,
+      crop.destY,
+      crop.destWidth,
+      crop.destHeight
+    );
+  } else {
+    const resampled = await getResampledImage(
+      image,
+      crop,
+      settings.filter,
+      channel
+    );
+    // Drawn via a canvas so it composites over the letterbox fill
+    const scratch = document.createElement("canvas");
+    scratch.width = resampled.width;
+    scratch.height = resampled.height;
+    scratch.getContext("2d").putImageData(resampled, 0, 0);
+    targetCtx.drawImage(
+      scratch,
+      Math.round(crop.destX),
+      Math.round(crop.destY)
+    );
+  }
+
+  return targetCtx.getImageData(0, 0, targetWidth, targetHeight);
+}
+
+// Scale the crop to its (rounded) destination size with the pure-JS
+// resampler; the last result is reused while only encoding settings change
+async function getResampledImage(image, crop, filter, channel) {
+  const source = {
+    sourceX: crop.sourceX,
+    sourceY: crop.sourceY,
+    sourceWidth: crop.sourceWidth,
+    sourceHeight: crop.sourceHeight,
+  };
+  const width = Math.max(1, Math.round(crop.destWidth));
+  const height = Math.max(1, Math.round(crop.destHeight));
+  const key = JSON.stringify({ source, width, height, filter });
+  if (
+    resampleCache &&
+    resampleCache.image === image &&
+    resampleCache.key === key
+  ) {
+    return resampleCache.imageData;
+  }
+
+  const original = document.createElement("canvas");
+  original.width = image.width;
+  original.height = image.height;
+  const originalCtx = original.getContext("2d");
+  originalCtx.drawImage(image, 0, 0);
+
+  const { imageData } = await runProcessingJob(
+    channel,
+    {
+      type: "resample",
+      imageData: originalCtx.getImageData(
+        0,
+        0,
+        original.width,
+        original.height
+      ),
+      options: { width, height, filter, crop: source },
+    },
+    channel === "preview" ? updatePreviewProgress : undefined
+  );
+  // Batch files are only rendered once, so they don't evict the editor's
+  if (channel !== "batch") {
+    resampleCache = { image, key, imageData };
+  }
+  return imageData;
+}
+
+// Fill the letterbox borders: a solid color, or a blurred copy of the image
+// scaled to cover (drawn tiny, then scaled back up)
+function fillBorders(targetCtx, image, settings, targetWidth, targetHeight) {
+  if (settings.letterboxFill !== "blur") {
+    targetCtx.fillStyle = settings.letterboxColor;
+    targetCtx.fillRect(0, 0, targetWidth, targetHeight);
+    return;
+  }
+
+  const cover = calculateCropParams(
+    image.width,
+    image.height,
+    targetWidth,
+    targetHeight
+  );
+  const small = document.createElement("canvas");
+  small.width = Math.max(1, Math.round(targetWidth / BLUR_DOWNSCALE));
+  small.height = Math.max(1, Math.round(targetHeight / BLUR_DOWNSCALE));
+  const smallCtx = small.getContext("2d");
+  smallCtx.imageSmoothingQuality = "high";
+  smallCtx.drawImage(
+    image,
+    cover.sourceX,
+    cover.sourceY,
+    cover.sourceWidth,
+    cover.sourceHeight,
+    0,
+    0,
+    small.width,
+    small.height
+  );
+
+  targetCtx.imageSmoothingQuality = "high";
+  targetCtx.drawImage(small, 0, 0, targetWidth, targetHeight);
+}
+
+// A dragged crop window applies only to the target size it was made for,
+// and only when the fit mode crops
+function matchingCropRegion(region, fit, targetWidth, targetHeight) {
+  if (
+    !region ||
+    fit !== "cover" ||
+    region.targetWidth !== targetWidth ||
+    region.targetHeight !== targetHeight
+  ) {
+    return null;
+  }
+  return region;
+}
+
+// The dragged crop window, if it applies to this target size
+function getActiveCropRegion(targetWidth, targetHeight) {
+  return matchingCropRegion(
+    cropRegion,
+    fitMode ? fitMode.value : "cover",
+    targetWidth,
+    targetHeight
+  );
+}
+
+// Target size when the crop window can be dragged (cover fit to a
+// different size than the original), or null
+function getEditableCropTarget() {
+  if (!currentImage || (fitMode && fitMode.value !== "cover")) {
+    return null;
+  }
+  const target = getTargetDimensions();
+  if (
+    !target ||
+    (target.width === currentImage.width &&
+      target.height === currentImage.height)
+  ) {
+    return null;
+  }
+  return target;
+}
+
+// The crop window to show and edit: the dragged one or the cover window
+// for the selected position
+function getCropRegion(target) {
+  return (
+    getActiveCropRegion(target.width, target.height) ||
+    defaultCropRegion(
+      currentImage.width,
+      currentImage.height,
+      target.width,
+      target.height,
+      getSelectedCropPosition()
+    )
+  );
+}
+
+// Show the crop window over the original image, in percent so it follows
+// the image's displayed size
+function renderCropWindow() {
+  if (!cropStage || !cropWindow) return;
+
+  const target = getEditableCropTarget();
+  cropStage.classList.toggle("editable", Boolean(target));
+  cropWindow.style.display = target ? "block" : "none";
+  if (cropHint) {
+    cropHint.style.display = target ? "flex" : "none";
+  }
+  if (!target) return;
+
+  const region = getCropRegion(target);
+  cropWindow.style.left = `${(region.x / currentImage.width) * 100}%`;
+  cropWindow.style.top = `${(region.y / currentImage.height) * 100}%`;
+  cropWindow.style.width = `${(region.width / currentImage.width) * 100}%`;
+  cropWindow.style.height = `${(region.height / currentImage.height) * 100}%`;
+}
+
+// Drag to move the crop window, wheel or pinch to zoom it, arrow keys to
+// nudge and +/- to zoom from the keyboard
+function setupCropInteraction() {
+  const pointers = new Map(); // pointerId -> { x, y } in client pixels
+  let pinchDistance = null;
+  const refreshPreview = debounce(updatePreview, 150);
+
+  // Apply change(region, sourceWidth, sourceHeight) to the crop window
+  const editCropRegion = (change) => {
+    const target = getEditableCropTarget();
+    if (!target) return;
+    const region = change(
+      getCropRegion(target),
+      currentImage.width,
+      currentImage.height
+    );
+    cropRegion = {
+      ...region,
+      targetWidth: target.width,
+      targetHeight: target.height,
+    };
+    renderCropWindow();
+    refreshPreview();
+  };
+
+  // Source pixels per displayed pixel of the original
+  const sourceScale = () =>
+    currentImage.width / preview.getBoundingClientRect().width;
+
+  const toSourcePoint = (clientX, clientY) => {
+    const rect = preview.getBoundingClientRect();
+    return {
+      x: ((clientX - rect.left) / rect.width) * currentImage.width,
+      y: ((clientY - rect.top) / rect.height) * currentImage.height,
+    };
+  };
+
+  const zoomAt = (factor, clientX, clientY) => {
+    const anchor = toSourcePoint(clientX, clientY);
+    editCropRegion((region, width, height) =>
+      zoomCropRegion(region, factor, anchor.x, anchor.y, width, height)
+    );
+  };
+
+  cropStage.addEventListener("pointerdown", (e) => {
+    if (!getEditableCropTarget()) return;
+    e.preventDefault();
+    cropStage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    pinchDistance = null;
+    cropWindow.focus({ preventScroll: true });
+  });
+
+  cropStage.addEventListener("pointermove", (e) => {
+    const previous = pointers.get(e.pointerId);
+    if (!previous) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 1) {
+      const scale = sourceScale();
+      const dx = (e.clientX - previous.x) * scale;
+      const dy = (e.clientY - previous.y) * scale;
+      editCropRegion((region, width, height) =>
+        panCropRegion(region, dx, dy, width, height)
       );
+      return;
+    }
+
+    // Pinch: spreading the fingers zooms in (shrinks the window)
+    const [a, b] = Array.from(pointers.values());
+    const distance = Math.hypot(a.x - b.x, a.y - b.y);
+    if (pinchDistance && distance > 0) {
+      zoomAt(pinchDistance / distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+    }
+    pinchDistance = distance;
+  });
+
+  const endPointer = (e) => {
+    pointers.delete(e.pointerId);
+    pinchDistance = null;
+  };
+  cropStage.addEventListener("pointerup", endPointer);
+  cropStage.addEventListener("pointercancel", endPointer);
+
+  cropStage.addEventListener(
+    "wheel",
+    (e) => {
+      if (!getEditableCropTarget()) return;
+      e.preventDefault();
+      zoomAt(Math.exp(e.deltaY * 0.002), e.clientX, e.clientY);
+    },
+    { passive: false }
+  );
+
+  cropWindow.addEventListener("keydown", (e) => {
+    const step = (e.shiftKey ? 10 : 1) * sourceScale();
+    const moves = {
+      ArrowLeft: [-step, 0],
+      ArrowRight: [step, 0],
+      ArrowUp: [0, -step],
+      ArrowDown: [0, step],
     };
+    const zooms = { "+": 0.9, "=": 0.9, "-": 1 / 0.9, _: 1 / 0.9 };
+
+    if (moves[e.key]) {
+      const [dx, dy] = moves[e.key];
+      editCropRegion((region, width, height) =>
+        panCropRegion(region, dx, dy, width, height)
+      );
+    } else if (zooms[e.key]) {
+      editCropRegion((region, width, height) =>
+        zoomCropRegion(
+          region,
+          zooms[e.key],
+          region.x + region.width / 2,
+          region.y + region.height / 2,
+          width,
+          height
+        )
+      );
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+}
+
+// Sizes for drawing the comparison: the whole view, one pane (half the
+// view side by side), the fit scale and the current scale
+function getCompareLayout() {
+  const viewWidth = compareViewport.clientWidth;
+  const viewHeight = compareViewport.clientHeight;
+  const sideBySide = compareMode ? compareMode.value === "side-by-side" : false;
+  const paneWidth = sideBySide ? viewWidth / 2 : viewWidth;
+  const fit = fitScale(canvas.width, canvas.height, paneWidth, viewHeight);
+  const scale = compareView.zoom === "fit" ? fit : compareView.zoom;
+  return { viewWidth, viewHeight, sideBySide, paneWidth, fit, scale };
+}
+
+// The last preview's input: the processing canvas, adjusted the way the
+// worker adjusted it, so the comparison shows what quantization did
+function getCompareOriginal() {
+  if (compareOriginal) return compareOriginal;
+  if (!hasAdjustments(compareAdjustments)) {
+    compareOriginal = canvas;
+    return canvas;
+  }
+
+  const adjusted = applyAdjustments(
+    ctx.getImageData(0, 0, canvas.width, canvas.height),
+    compareAdjustments
+  );
+  compareOriginal = document.createElement("canvas");
+  compareOriginal.width = adjusted.width;
+  compareOriginal.height = adjusted.height;
+  compareOriginal
+    .getContext("2d")
+    .putImageData(
+      new ImageData(adjusted.data, adjusted.width, adjusted.height),
+      0,
+      0
+    );
+  return compareOriginal;
+}
+
+function getCompareHeatmap() {
+  if (heatmapCache) return heatmapCache;
+
+  const original = getCompareOriginal();
+  const { imageData, meanDifference } = differenceHeatmap(
+    original
+      .getContext("2d")
+      .getImageData(0, 0, original.width, original.height),
+    previewCtx.getImageData(0, 0, previewCanvas.width, previewCanvas.height)
+  );
+  const heatmap = document.createElement("canvas");
+  heatmap.width = imageData.width;
+  heatmap.height = imageData.height;
+  heatmap.getContext("2d").putImageData(imageData, 0, 0);
+  heatmapCache = { canvas: heatmap, meanDifference };
+  return heatmapCache;
+}
+
+// Draw an image (and an overlay on top of it) into one part of the compare
+// view, at the shared zoom and pan; originX is where the pane starts
+function drawComparePane(source, overlay, left, width, originX, scale) {
+  const x = Math.round(originX + compareView.x);
+  const y = Math.round(compareView.y);
+  const drawWidth = source.width * scale;
+  const drawHeight = source.height * scale;
+
+  compareCtx.save();
+  compareCtx.beginPath();
+  compareCtx.rect(left, 0, width, compareViewport.clientHeight);
+  compareCtx.clip();
+  compareCtx.drawImage(source, x, y, drawWidth, drawHeight);
+  if (overlay) {
+    compareCtx.globalAlpha = HEATMAP_OPACITY;
+    compareCtx.drawImage(overlay, x, y, drawWidth, drawHeight);
+  }
+  compareCtx.restore();
+}
+
+// Draw the original and the converted preview into the compare view: split
+// at the divider, or side by side in two panes
+function renderCompare() {
+  if (!compareCtx || !tabContentCompare.classList.contains("active")) return;
+
+  const layout = getCompareLayout();
+  const ratio = window.devicePixelRatio || 1;
+  compareCanvas.width = Math.round(layout.viewWidth * ratio);
+  compareCanvas.height = Math.round(layout.viewHeight * ratio);
+  compareCtx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+  for (const button of compareZoom.querySelectorAll("button")) {
+    button.classList.toggle(
+      "active",
+      button.dataset.zoom === String(compareView.zoom)
+    );
+  }
+
+  // Until the preview catches up with the processing canvas, there's
+  // nothing to compare
+  const ready =
+    currentImage &&
+    previewCanvas.width > 0 &&
+    previewCanvas.width === canvas.width &&
+    previewCanvas.height === canvas.height;
+  compareDivider.style.display = ready && !layout.sideBySide ? "" : "none";
+  if (!ready) {
+    compareInfo.textContent = "";
+    return;
+  }
+
+  const { scale, paneWidth, viewWidth, sideBySide } = layout;
+  compareView.x = clampOffset(compareView.x, canvas.width, scale, paneWidth);
+  compareView.y = clampOffset(
+    compareView.y,
+    canvas.height,
+    scale,
+    layout.viewHeight
+  );
+  // Nearest-neighbour when zoomed in, so every pixel is a sharp block
+  compareCtx.imageSmoothingEnabled = scale < 1;
+
+  const heatmap = compareHeatmap.checked ? getCompareHeatmap() : null;
+  const split = sideBySide ? paneWidth : compareView.divider * viewWidth;
+  drawComparePane(getCompareOriginal(), null, 0, split, 0, scale);
+  drawComparePane(
+    previewCanvas,
+    heatmap && heatmap.canvas,
+    split,
+    viewWidth - split,
+    sideBySide ? paneWidth : 0,
+    scale
+  );
+  if (sideBySide) {
+    compareCtx.fillStyle = "#fff";
+    compareCtx.fillRect(paneWidth - 1, 0, 2, layout.viewHeight);
+  }
+
+  compareDivider.style.left = `${split}px`;
+  compareDivider.setAttribute(
+    "aria-valuenow",
+    Math.round(compareView.divider * 100)
+  );
+  compareLabel.textContent = heatmap ? "Difference" : "Converted";
+  compareInfo.textContent = heatmap
+    ? `Mean difference: ${(heatmap.meanDifference * 100).toFixed(1)}%`
+    : "";
+}
 
-    img.src = e.target.result;
+// Zoom the comparison, keeping the point under (anchorX, anchorY) - pane
+// coordinates, the pane's center by default - in place
+function setCompareZoom(zoom, anchorX, anchorY) {
+  if (!currentImage) return;
+  const layout = getCompareLayout();
+  const newScale = zoom === "fit" ? layout.fit : zoom;
+  compareView.x = zoomOffset(
+    compareView.x,
+    layout.scale,
+    newScale,
+    anchorX ?? layout.paneWidth / 2
+  );
+  compareView.y = zoomOffset(
+    compareView.y,
+    layout.scale,
+    newScale,
+    anchorY ?? layout.viewHeight / 2
+  );
+  compareView.zoom = zoom;
+  renderCompare();
+}
+
+function setupCompareInteraction() {
+  let drag = null; // { pointerId, divider, x, y } of the pointer dragging
+  let wheelDelta = 0;
+
+  const setDivider = (divider) => {
+    compareView.divider = Math.min(1, Math.max(0, divider));
+    renderCompare();
   };
 
-  reader.onerror = () => {
-    showNotification(
-      "Failed to read file",
-      "error",
-      notificationText,
-      notificationIcon,
-      notification
-    );
+  compareViewport.addEventListener("pointerdown", (e) => {
+    if (drag || !currentImage) return;
+    e.preventDefault();
+    compareViewport.setPointerCapture(e.pointerId);
+    drag = {
+      pointerId: e.pointerId,
+      divider: e.target === compareDivider,
+      x: e.clientX,
+      y: e.clientY,
+    };
+    if (drag.divider) {
+      compareDivider.focus({ preventScroll: true });
+    }
+  });
+
+  compareViewport.addEventListener("pointermove", (e) => {
+    if (!drag || e.pointerId !== drag.pointerId) return;
+    if (drag.divider) {
+      const rect = compareViewport.getBoundingClientRect();
+      setDivider((e.clientX - rect.left) / rect.width);
+      return;
+    }
+    // Panning moves both images together
+    compareView.x += e.clientX - drag.x;
+    compareView.y += e.clientY - drag.y;
+    drag.x = e.clientX;
+    drag.y = e.clientY;
+    renderCompare();
+  });
+
+  const endDrag = (e) => {
+    if (drag && e.pointerId === drag.pointerId) {
+      drag = null;
+    }
   };
+  compareViewport.addEventListener("pointerup", endDrag);
+  compareViewport.addEventListener("pointercancel", endDrag);
 
-  reader.readAsDataURL(file);
-}
+  compareViewport.addEventListener(
+    "wheel",
+    (e) => {
+      if (!currentImage) return;
+      e.preventDefault();
+      // Trackpads send many small deltas; step once per notch's worth
+      wheelDelta += e.deltaY;
+      if (Math.abs(wheelDelta) < COMPARE_WHEEL_STEP) return;
+      const direction = wheelDelta < 0 ? 1 : -1;
+      wheelDelta = 0;
+
+      const layout = getCompareLayout();
+      const rect = compareViewport.getBoundingClientRect();
+      let anchorX = e.clientX - rect.left;
+      if (layout.sideBySide && anchorX >= layout.paneWidth) {
+        anchorX -= layout.paneWidth;
+      }
+      const scale = stepZoom(layout.scale, direction, layout.fit);
+      setCompareZoom(
+        scale === layout.fit ? "fit" : scale,
+        anchorX,
+        e.clientY - rect.top
+      );
+    },
+    { passive: false }
+  );
 
-function clearImage() {
-  currentImage = null;
-  currentFileName = null;
-  preview.src = "";
-  fileInput.value = "";
-  previewSection.style.display = "none";
-  imageInfo.innerHTML = "";
-  previewCanvas.width = 0;
-  previewCanvas.height = 0;
-  // Reset to preview tab (default)
-  switchTab("preview");
+  compareDivider.addEventListener("keydown", (e) => {
+    const step = e.shiftKey ? 0.1 : 0.02;
+    const moves = {
+      ArrowLeft: compareView.divider - step,
+      ArrowRight: compareView.divider + step,
+      Home: 0,
+      End: 1,
+    };
+    if (!(e.key in moves)) return;
+    e.preventDefault();
+    setDivider(moves[e.key]);
+  });
+
+  compareZoom.addEventListener("click", (e) => {
+    const button = e.target.closest("button[data-zoom]");
+    if (!button) return;
+    const { zoom } = button.dataset;
+    setCompareZoom(zoom === "fit" ? "fit" : parseInt(zoom));
+  });
+
+  compareMode.addEventListener("change", renderCompare);
+  compareHeatmap.addEventListener("change", renderCompare);
+  window.addEventListener("resize", debounce(renderCompare, 100));
 }
 
-function updatePreview() {
+async function updatePreview() {
+  renderCropWindow();
   if (!currentImage) return;
 
   try {
     // Determine target dimensions based on crop option
-    let targetWidth = currentImage.width;
-    let targetHeight = currentImage.height;
-
-    if (cropXteink && cropXteink.checked) {
-      targetWidth = 480;
-      targetHeight = 800;
-    } else if (cropCustom && cropCustom.checked) {
-      targetWidth = parseInt(customWidth.value) || currentImage.width;
-      targetHeight = parseInt(customHeight.value) || currentImage.height;
-    }
+    const settings = getConversionSettings();
+    if (!settings.size) return;
+    const target = resolveTargetSize(currentImage, settings.size);
 
     // Validate dimensions
-    if (
-      targetWidth <= 0 ||
-      targetHeight <= 0 ||
-      !Number.isInteger(targetWidth) ||
-      !Number.isInteger(targetHeight)
-    ) {
+    if (targetSizeError(target.width, target.height)) {
       return;
     }
 
-    // Set canvas dimensions for processing
-    canvas.width = targetWidth;
-    canvas.height = targetHeight;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Get crop position (only if not original size)
-    const needsCropping =
-      targetWidth !== currentImage.width ||
-      targetHeight !== currentImage.height;
-    const position = needsCropping ? getSelectedCropPosition() : "center";
-
-    // Calculate and apply crop
-    const crop = calculateCropParams(
-      currentImage.width,
-      currentImage.height,
-      targetWidth,
-      targetHeight,
-      position
-    );
-
-    ctx.drawImage(
+    // Starting a new preview cancels the one still running
+    showPreviewProgress();
+    const imageData = await renderTargetImage(
       currentImage,
-      crop.sourceX,
-      crop.sourceY,
-      crop.sourceWidth,
-      crop.sourceHeight,
-      0,
-      0,
-      targetWidth,
-      targetHeight
+      target,
+      settings,
+      "preview"
     );
 
-    // Get image data
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Generate preview based on compression level
-    let previewImageData;
-    const level = compressionLevel ? compressionLevel.value : "24";
+    // Keep the processing canvas in step with the preview (palette export
+    // reads it); the job below takes over imageData's buffer
+    canvas.width = target.width;
+    canvas.height = target.height;
+    ctx.putImageData(imageData, 0, 0);
 
-    switch (level) {
-      case "24":
-        previewImageData = generatePreview24Bit(imageData);
-        break;
-      case "8":
-        previewImageData = generatePreview8Bit(imageData);
-        break;
-      case "8-dithered":
-        previewImageData = generatePreview8Bit(imageData, true);
-        break;
-      case "4":
-        previewImageData = generatePreview4Bit(imageData, false);
-        break;
-      case "4-aggressive":
-        previewImageData = generatePreview4Bit(imageData, true);
-        break;
-      default:
-        previewImageData = generatePreview8Bit(imageData);
-        break;
-    }
+    // Generate preview based on compression level, off the main thread
+    const { level, options } = settings;
 
-    // Ensure we have a fresh ImageData object (not a reference)
-    // Create a new ImageData to avoid any potential caching issues
-    const freshImageData = new ImageData(
-      new Uint8ClampedArray(previewImageData.data),
-      previewImageData.width,
-      previewImageData.height
+    const result = await runProcessingJob(
+      "preview",
+      { type: "preview", imageData, level, options },
+      updatePreviewProgress
     );
-    previewImageData = freshImageData;
+    hidePreviewProgress();
+    const previewImageData = result.imageData;
+
+    // Refresh the size estimate shown in the compression help
+    estimatedSize = result.estimatedSize;
+    renderCompressionHelp();
 
     // Set preview canvas dimensions (this clears the canvas)
     // Force a change to ensure browser updates
@@ -655,12 +2352,40 @@ function updatePreview() {
     // Force reflow
     void previewCanvas.offsetHeight;
     previewCanvas.style.visibility = wasVisible ? "visible" : "";
+
+    // The compare tab shows this preview against what it was made from
+    compareAdjustments = options.adjustments;
+    compareOriginal = null;
+    heatmapCache = null;
+    renderCompare();
   } catch (error) {
+    // A newer preview replaced this one and now owns the progress indicator
+    if (isAbortError(error)) return;
+    hidePreviewProgress();
     console.error("Preview generation error:", error);
   }
 }
 
-function convertToBMP() {
+// Show the preview progress indicator, unless the job finishes quickly
+function showPreviewProgress() {
+  clearTimeout(progressTimer);
+  updatePreviewProgress("Generating preview", 0);
+  progressTimer = setTimeout(() => {
+    previewProgress.style.display = "flex";
+  }, 150);
+}
+
+function updatePreviewProgress(stage, progress) {
+  previewProgressText.textContent = `${stage}… ${Math.round(progress * 100)}%`;
+  previewProgressBar.value = progress;
+}
+
+function hidePreviewProgress() {
+  clearTimeout(progressTimer);
+  previewProgress.style.display = "none";
+}
+
+async function convertToBMP() {
   if (!currentImage) return;
 
   convertBtn.disabled = true;
@@ -674,28 +2399,10 @@ function convertToBMP() {
 
   try {
     // Determine target dimensions based on crop option
-    let targetWidth = currentImage.width;
-    let targetHeight = currentImage.height;
-
-    if (cropXteink && cropXteink.checked) {
-      targetWidth = 480;
-      targetHeight = 800;
-    } else if (cropCustom && cropCustom.checked) {
-      targetWidth = parseInt(customWidth.value) || currentImage.width;
-      targetHeight = parseInt(customHeight.value) || currentImage.height;
-    }
-    // If original, keep current dimensions
-
-    // Security: Validate target dimensions before setting canvas
-    const MAX_DIMENSION = 10000;
-    const MAX_PIXELS = 250000000;
-    if (
-      targetWidth > MAX_DIMENSION ||
-      targetHeight > MAX_DIMENSION ||
-      targetWidth * targetHeight > MAX_PIXELS
-    ) {
+    const settings = getConversionSettings();
+    if (!settings.size) {
       showNotification(
-        "Target dimensions are too large. Please use smaller dimensions.",
+        "No device matches the search. Please pick a device profile.",
         "error",
         notificationText,
         notificationIcon,
@@ -704,15 +2411,13 @@ function convertToBMP() {
       convertBtn.disabled = false;
       return;
     }
+    const target = resolveTargetSize(currentImage, settings.size);
 
-    if (
-      targetWidth <= 0 ||
-      targetHeight <= 0 ||
-      !Number.isInteger(targetWidth) ||
-      !Number.isInteger(targetHeight)
-    ) {
+    // Security: Validate target dimensions before setting canvas
+    const sizeError = targetSizeError(target.width, target.height);
+    if (sizeError) {
       showNotification(
-        "Invalid dimensions. Please enter positive integers.",
+        sizeError,
         "error",
         notificationText,
         notificationIcon,
@@ -722,65 +2427,21 @@ function convertToBMP() {
       return;
     }
 
-    // Set canvas dimensions
-    canvas.width = targetWidth;
-    canvas.height = targetHeight;
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-    // Get crop position (only if not original size)
-    const needsCropping =
-      targetWidth !== currentImage.width ||
-      targetHeight !== currentImage.height;
-    const position = needsCropping ? getSelectedCropPosition() : "center";
-
-    // Calculate and apply crop
-    const crop = calculateCropParams(
-      currentImage.width,
-      currentImage.height,
-      targetWidth,
-      targetHeight,
-      position
-    );
-
-    ctx.drawImage(
+    // Use manual BMP encoder (browsers don't natively support image/bmp format)
+    const imageData = await renderTargetImage(
       currentImage,
-      crop.sourceX,
-      crop.sourceY,
-      crop.sourceWidth,
-      crop.sourceHeight,
-      0,
-      0,
-      targetWidth,
-      targetHeight
+      target,
+      settings,
+      "encode"
     );
 
-    // Use manual BMP encoder (browsers don't natively support image/bmp format)
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-
-    // Choose encoding based on compression level
-    let bmpBlob;
-    const level = compressionLevel ? compressionLevel.value : "8";
-
-    switch (level) {
-      case "24":
-        bmpBlob = encodeBMP(imageData);
-        break;
-      case "8":
-        bmpBlob = encodeBMP8Bit(imageData);
-        break;
-      case "8-dithered":
-        bmpBlob = encodeBMP8Bit(imageData, true);
-        break;
-      case "4":
-        bmpBlob = encodeBMP4Bit(imageData, false);
-        break;
-      case "4-aggressive":
-        bmpBlob = encodeBMP4Bit(imageData, true);
-        break;
-      default:
-        bmpBlob = encodeBMP8Bit(imageData);
-        break;
-    }
+    // Choose encoding based on compression level, encoded in the worker
+    const { blob: bmpBlob } = await runProcessingJob("encode", {
+      type: "encode",
+      imageData,
+      level: settings.level,
+      options: settings.options,
+    });
 
     const sizeMB = downloadBMP(bmpBlob, currentFileName);
     showNotification(
@@ -803,6 +2464,490 @@ function convertToBMP() {
   }
 }
 
+// A single file opens in the editor; several files (or any file while a
+// queue exists) go into the batch queue
+function handleIncomingFiles(entries) {
+  if (entries.length === 1 && batchItems.length === 0) {
+    editingBatchId = null;
+    handleFile(entries[0].file);
+    return;
+  }
+  addFilesToBatch(entries);
+}
+
+function addFilesToBatch(entries) {
+  const added = [];
+  let skipped = 0;
+  for (const { file, path } of entries) {
+    if (validateImageFile(file)) {
+      skipped++;
+      continue;
+    }
+    added.push({
+      id: nextBatchId++,
+      file,
+      path,
+      status: "queued",
+      message: "",
+      thumbnail: null,
+      overrides: null,
+      output: null,
+    });
+  }
+
+  if (skipped > 0) {
+    showNotification(
+      `Skipped ${skipped} file${
+        skipped === 1 ? "" : "s"
+      } that can't be converted`,
+      "info",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  }
+  if (added.length === 0) return;
+
+  batchItems.push(...added);
+  // Settings are previewed on a queued file until another is picked
+  if (!currentImage) {
+    editBatchItem(added[0].id);
+  }
+  renderBatchQueue();
+  createThumbnails(added);
+}
+
+// Load the queued files one at a time for their thumbnails, so a big
+// folder doesn't decode every image at once
+async function createThumbnails(items) {
+  for (const item of items) {
+    if (!batchItems.includes(item)) continue;
+    try {
+      const { image } = await loadImageFile(item.file);
+      const scale = Math.min(
+        1,
+        THUMBNAIL_SIZE / Math.max(image.width, image.height)
+      );
+      const thumbnail = document.createElement("canvas");
+      thumbnail.width = Math.max(1, Math.round(image.width * scale));
+      thumbnail.height = Math.max(1, Math.round(image.height * scale));
+      thumbnail
+        .getContext("2d")
+        .drawImage(image, 0, 0, thumbnail.width, thumbnail.height);
+      item.thumbnail = thumbnail.toDataURL();
+      if (item.status === "queued") {
+        item.message = `${image.width} × ${image.height}px`;
+      }
+    } catch (error) {
+      item.status = "error";
+      item.message = error.message;
+    }
+    renderBatchQueue();
+  }
+}
+
+function renderBatchQueue() {
+  if (!batchSection) return;
+
+  batchSection.style.display = batchItems.length > 0 ? "" : "none";
+  const done = batchItems.filter((item) => item.status === "done").length;
+  batchSummary.textContent =
+    `${batchItems.length} file${batchItems.length === 1 ? "" : "s"}, ` +
+    `${done} converted. Files without pinned settings use the current settings.`;
+
+  const statusLabels = {
+    queued: "Queued",
+    converting: "Converting…",
+    done: "Done",
+    error: "Failed",
+  };
+  batchList.innerHTML = batchItems
+    .map((item) => {
+      const status = escapeHtml(
+        item.message
+          ? `${statusLabels[item.status]} · ${item.message}`
+          : statusLabels[item.status]
+      );
+      const editing = item.id === editingBatchId ? " editing" : "";
+      const thumbnail = item.thumbnail
+        ? `<img class="batch-thumb" src="${item.thumbnail}" alt="" />`
+        : `<span class="batch-thumb"></span>`;
+      const badge = item.overrides
+        ? `<span class="batch-badge">Pinned</span>`
+        : "";
+      // The file being converted keeps the settings it started with
+      const busy = item.status === "converting" ? " disabled" : "";
+      const pinButton = item.overrides
+        ? `<button class="btn-clear" type="button" data-action="unpin"${busy}>Unpin</button>`
+        : `<button class="btn-clear" type="button" data-action="pin"${busy}>Pin settings</button>`;
+      return `
+        <li class="batch-item${editing}" data-id="${item.id}">
+          ${thumbnail}
+          <div class="batch-details">
+            <span class="batch-name">${escapeHtml(item.path)}</span>
+            <span class="batch-status ${item.status}">${status}</span>
+          </div>
+          ${badge}
+          <div class="batch-item-actions">
+            <button class="btn-clear" type="button" data-action="edit">Edit</button>
+            ${pinButton}
+            <button class="btn-clear" type="button" data-action="remove" aria-label="Remove"${busy}>×</button>
+          </div>
+        </li>`;
+    })
+    .join("");
+
+  batchConvertBtn.disabled = batchRunning;
+  batchStopBtn.style.display = batchRunning ? "" : "none";
+  batchDownloadBtn.disabled = batchRunning || done === 0;
+}
+
+function handleBatchListClick(e) {
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+  const id = Number(button.closest(".batch-item").dataset.id);
+
+  switch (button.dataset.action) {
+    case "edit":
+      editBatchItem(id);
+      break;
+    case "pin":
+      pinBatchSettings(id);
+      break;
+    case "unpin":
+      setBatchOverrides(id, null);
+      break;
+    case "remove":
+      batchItems = batchItems.filter((item) => item.id !== id);
+      if (id === editingBatchId) {
+        editingBatchId = null;
+      }
+      renderBatchQueue();
+      break;
+  }
+}
+
+// Load a queued file into the editor to preview the settings on it
+function editBatchItem(id) {
+  const item = batchItems.find((item) => item.id === id);
+  if (!item) return;
+  editingBatchId = id;
+  renderBatchQueue();
+  handleFile(item.file);
+}
+
+// Give a file its own copy of the current settings
+function pinBatchSettings(id) {
+  const settings = getConversionSettings();
+  if (!settings.size) {
+    showNotification(
+      "No device matches the search. Please pick a device profile.",
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+  // A dragged crop window belongs to the image in the editor
+  if (id !== editingBatchId) {
+    settings.cropRegion = null;
+  }
+  setBatchOverrides(id, settings);
+}
+
+function setBatchOverrides(id, overrides) {
+  const item = batchItems.find((item) => item.id === id);
+  if (!item || item.status === "converting") return;
+  item.overrides = overrides;
+  // A converted file no longer matches its settings
+  if (item.status === "done") {
+    item.status = "queued";
+    item.message = "";
+    item.output = null;
+  }
+  renderBatchQueue();
+}
+
+// Convert every queued file, one at a time on the "batch" worker channel,
+// then download them all as one ZIP
+async function convertBatch() {
+  if (batchRunning || batchItems.length === 0) return;
+
+  const defaults = getConversionSettings();
+  if (!defaults.size) {
+    showNotification(
+      "No device matches the search. Please pick a device profile.",
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+  // A dragged crop window belongs to the image in the editor
+  defaults.cropRegion = null;
+
+  batchRunning = true;
+  batchStopRequested = false;
+  for (const item of batchItems) {
+    item.status = "queued";
+    item.message = "";
+    item.output = null;
+  }
+  renderBatchQueue();
+
+  for (const item of batchItems.slice()) {
+    if (batchStopRequested) break;
+    if (!batchItems.includes(item)) continue;
+
+    item.status = "converting";
+    renderBatchQueue();
+    try {
+      const settings = item.overrides || defaults;
+      const loaded = await loadImageFile(item.file);
+      const { image } = await orientImage(
+        loaded.image,
+        loaded.src,
+        settings.orientation
+      );
+      const target = resolveTargetSize(image, settings.size);
+      const sizeError =
+        imageSizeError(image) || targetSizeError(target.width, target.height);
+      if (sizeError) {
+        throw new Error(sizeError);
+      }
+
+      const imageData = await renderTargetImage(
+        image,
+        target,
+        settings,
+        "batch"
+      );
+      const { blob } = await runProcessingJob("batch", {
+        type: "encode",
+        imageData,
+        level: settings.level,
+        options: settings.options,
+      });
+      item.output = new Uint8Array(await blob.arrayBuffer());
+      item.status = "done";
+      item.message = formatFileSize(blob.size);
+    } catch (error) {
+      if (isAbortError(error)) {
+        item.status = "queued";
+        break;
+      }
+      // One bad file doesn't stop the rest
+      item.status = "error";
+      item.message = error.message;
+    }
+    renderBatchQueue();
+  }
+
+  batchRunning = false;
+  renderBatchQueue();
+
+  const done = batchItems.filter((item) => item.status === "done").length;
+  const failed = batchItems.filter((item) => item.status === "error").length;
+  if (batchStopRequested || done === 0) {
+    showNotification(
+      batchStopRequested
+        ? `Batch stopped after ${done} file${done === 1 ? "" : "s"}`
+        : "No files could be converted",
+      batchStopRequested ? "info" : "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+    return;
+  }
+
+  downloadBatchZip();
+  showNotification(
+    failed > 0
+      ? `Converted ${done} files, ${failed} failed`
+      : `Converted ${done} file${done === 1 ? "" : "s"}`,
+    failed > 0 ? "error" : "success",
+    notificationText,
+    notificationIcon,
+    notification
+  );
+}
+
+// Store every converted file in a ZIP, keeping dropped folders as folders
+function downloadBatchZip() {
+  const usedPaths = new Set();
+  const entries = batchItems
+    .filter((item) => item.status === "done")
+    .map((item) => ({
+      name: outputPath(item.path, usedPaths),
+      data: item.output,
+    }));
+  if (entries.length === 0) return;
+
+  downloadFile(createZip(entries), "bmp-convert-batch", "zip");
+}
+
+function stopBatch() {
+  if (!batchRunning) return;
+  batchStopRequested = true;
+  cancelJob("batch");
+}
+
+function clearBatch() {
+  stopBatch();
+  batchItems = [];
+  editingBatchId = null;
+  renderBatchQueue();
+}
+
+// Read a BMP file and show its inspection report
+function inspectFile(file) {
+  const reader = new FileReader();
+
+  reader.onload = (e) => {
+    renderInspectorReport(inspectBMP(e.target.result), file.name);
+  };
+
+  reader.onerror = () => {
+    showNotification(
+      "Failed to read file",
+      "error",
+      notificationText,
+      notificationIcon,
+      notification
+    );
+  };
+
+  reader.readAsArrayBuffer(file);
+}
+
+function inspectorTable(rows) {
+  return `<table class="inspector-table">${rows
+    .map(
+      ([label, value]) =>
+        `<tr><th>${label}</th><td>${escapeHtml(String(value))}</td></tr>`
+    )
+    .join("")}</table>`;
+}
+
+function toHex(value, digits = 8) {
+  return "0x" + value.toString(16).padStart(digits, "0");
+}
+
+function renderInspectorReport(report, fileName) {
+  const { fileHeader, header, palette, layout, imageData, issues } = report;
+  const sections = [];
+
+  const issueItems = issues.length
+    ? issues
+        .map(
+          (issue) =>
+            `<li class="${issue.level}"><strong>${
+              issue.level === "error" ? "Error" : "Warning"
+            }:</strong> ${escapeHtml(issue.message)}</li>`
+        )
+        .join("")
+    : "<li>No problems found</li>";
+  sections.push(`
+    <div class="inspector-section">
+      <h3 class="card-heading">${escapeHtml(fileName)}</h3>
+      <ul class="inspector-issues">${issueItems}</ul>
+    </div>`);
+
+  if (fileHeader) {
+    sections.push(`
+    <div class="inspector-section">
+      <h4 class="settings-label">File Header</h4>
+      ${inspectorTable([
+        ["Signature", fileHeader.signature],
+        ["File size field", `${fileHeader.fileSize} bytes`],
+        ["Actual file size", `${report.byteLength} bytes`],
+        ["Reserved", `${fileHeader.reserved1}, ${fileHeader.reserved2}`],
+        ["Pixel data offset", fileHeader.pixelDataOffset],
+      ])}
+    </div>`);
+  }
+
+  if (header) {
+    const rows = [
+      [
+        "Header type",
+        `${header.dibHeaderName} (${header.dibHeaderSize} bytes)`,
+      ],
+      ["Dimensions", `${header.width} × ${header.height}`],
+      ["Planes", header.planes],
+      ["Bits per pixel", header.bitsPerPixel],
+      ["Compression", `${header.compressionName} (${header.compression})`],
+      ["Image size field", `${header.imageSize} bytes`],
+      [
+        "Resolution",
+        `${header.xPixelsPerMeter} × ${header.yPixelsPerMeter} px/m`,
+      ],
+      ["Colors used", header.colorsUsed],
+      ["Important colors", header.importantColors],
+    ];
+    if (header.masks) {
+      rows.push(
+        ["Red mask", toHex(header.masks.red)],
+        ["Green mask", toHex(header.masks.green)],
+        ["Blue mask", toHex(header.masks.blue)],
+        ["Alpha mask", toHex(header.masks.alpha)]
+      );
+    }
+    sections.push(`
+    <div class="inspector-section">
+      <h4 class="settings-label">DIB Header</h4>
+      ${inspectorTable(rows)}
+    </div>`);
+  }
+
+  if (layout) {
+    sections.push(`
+    <div class="inspector-section">
+      <h4 class="settings-label">Pixel Data Layout</h4>
+      ${inspectorTable([
+        ["Row stride", `${layout.rowStride} bytes`],
+        ["Row padding", `${layout.rowPadding} bytes`],
+        ["Pixel array size", `${layout.pixelArraySize} bytes`],
+        ["Row order", layout.rowOrder],
+      ])}
+    </div>`);
+  }
+
+  if (palette.length > 0) {
+    const swatches = palette
+      .map(({ r, g, b }, index) => {
+        const hex = "#" + toHex((r << 16) | (g << 8) | b, 6).slice(2);
+        return `<span class="palette-swatch" style="background: ${hex}" title="${index}: ${hex}"></span>`;
+      })
+      .join("");
+    sections.push(`
+    <div class="inspector-section">
+      <h4 class="settings-label">Palette (${palette.length} colors)</h4>
+      <div class="palette-swatches">${swatches}</div>
+    </div>`);
+  }
+
+  if (imageData) {
+    sections.push(`
+    <div class="inspector-section">
+      <h4 class="settings-label">Decoded Image</h4>
+      <canvas id="inspectorCanvas"></canvas>
+    </div>`);
+  }
+
+  inspectorReport.innerHTML = sections.join("");
+
+  if (imageData) {
+    const inspectorCanvas = document.getElementById("inspectorCanvas");
+    inspectorCanvas.width = imageData.width;
+    inspectorCanvas.height = imageData.height;
+    inspectorCanvas.getContext("2d").putImageData(imageData, 0, 0);
+  }
+}
+
 // Prevent default drag behavior on the whole document, but only for drag events
 // Don't interfere with click events
 document.addEventListener("dragover", (e) => {
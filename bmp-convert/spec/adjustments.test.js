@@ -0,0 +1,140 @@
+// Unit tests for the tone and color adjustments applied before quantization
+import { describe, it, expect } from "vitest";
+import {
+  DEFAULT_ADJUSTMENTS,
+  applyAdjustments,
+  hasAdjustments,
+} from "../adjustments.js";
+
+// Helper function to create test ImageData
+function createTestImageData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0;
+      data[i + 1] = pixel.g ?? 0;
+      data[i + 2] = pixel.b ?? 0;
+      data[i + 3] = pixel.a ?? 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const gray = (value) => ({ r: value, g: value, b: value });
+
+function channel(imageData, offset = 0) {
+  return Array.from(imageData.data).filter((_, i) => i % 4 === offset);
+}
+
+describe("hasAdjustments", () => {
+  it("should only report settings that change pixels", () => {
+    expect(hasAdjustments(undefined)).toBe(false);
+    expect(hasAdjustments(DEFAULT_ADJUSTMENTS)).toBe(false);
+    expect(hasAdjustments({ sharpenRadius: 3 })).toBe(false);
+    expect(hasAdjustments({ gamma: 2 })).toBe(true);
+    expect(hasAdjustments({ equalize: "clahe" })).toBe(true);
+  });
+});
+
+describe("applyAdjustments", () => {
+  const ramp = createTestImageData(5, 1, (x) => gray(x * 60)); // 0-240
+
+  it("should return the image untouched without adjustments", () => {
+    expect(applyAdjustments(ramp, DEFAULT_ADJUSTMENTS)).toBe(ramp);
+  });
+
+  it("should shift brightness and spread contrast around the midpoint", () => {
+    expect(channel(applyAdjustments(ramp, { brightness: 10 }))).toEqual([
+      26, 86, 146, 206, 255,
+    ]);
+
+    const contrasted = channel(applyAdjustments(ramp, { contrast: 50 }));
+    expect(contrasted[0]).toBe(0);
+    expect(contrasted[2]).toBeCloseTo(120 + (120 - 128) * 1.5, -1);
+    expect(contrasted[4]).toBe(255);
+    expect(channel(applyAdjustments(ramp, { contrast: -100 }))).toEqual([
+      128, 128, 128, 128, 128,
+    ]);
+  });
+
+  it("should lighten midtones with gamma above 1 and keep the ends", () => {
+    const image = createTestImageData(3, 1, (x) => gray([0, 64, 255][x]));
+    const [black, mid, white] = channel(applyAdjustments(image, { gamma: 2 }));
+
+    expect([black, white]).toEqual([0, 255]);
+    expect(mid).toBe(Math.round(255 * Math.sqrt(64 / 255)));
+  });
+
+  it("should desaturate to the pixel's luma and keep alpha", () => {
+    const image = createTestImageData(1, 1, () => ({
+      r: 200,
+      g: 100,
+      b: 50,
+      a: 90,
+    }));
+    const result = applyAdjustments(image, { saturation: -100 });
+    const luma = Math.round(0.299 * 200 + 0.587 * 100 + 0.114 * 50);
+
+    expect(Array.from(result.data)).toEqual([luma, luma, luma, 90]);
+    expect(Array.from(image.data)).toEqual([200, 100, 50, 90]);
+  });
+
+  it("should stretch the tonal range with auto levels", () => {
+    const dull = createTestImageData(4, 1, (x) => gray(100 + x * 20));
+    expect(channel(applyAdjustments(dull, { autoLevels: true }))).toEqual([
+      0, 85, 170, 255,
+    ]);
+
+    // A flat image has no range to stretch
+    const flat = createTestImageData(3, 1, () => gray(77));
+    expect(channel(applyAdjustments(flat, { autoLevels: true }))).toEqual([
+      77, 77, 77,
+    ]);
+  });
+
+  it("should spread tones evenly with histogram equalization", () => {
+    // Mostly dark pixels, one bright one
+    const image = createTestImageData(4, 1, (x) => gray([10, 12, 14, 200][x]));
+    expect(channel(applyAdjustments(image, { equalize: "histogram" }))).toEqual(
+      [0, 85, 170, 255]
+    );
+  });
+
+  it("should equalize locally with CLAHE, without seams", () => {
+    // Left half dark, right half bright, each with faint detail
+    const image = createTestImageData(32, 32, (x, y) =>
+      gray((x < 16 ? 40 : 200) + ((x + y) % 2) * 4)
+    );
+    const result = applyAdjustments(image, { equalize: "clahe" });
+    const at = (x, y) => result.data[(y * 32 + x) * 4];
+
+    // Detail in both halves gets more contrast
+    expect(Math.abs(at(4, 4) - at(5, 4))).toBeGreaterThan(4);
+    expect(Math.abs(at(27, 4) - at(28, 4))).toBeGreaterThan(4);
+    // Neighboring rows inside one half change smoothly
+    for (let y = 1; y < 32; y++) {
+      expect(Math.abs(at(8, y) - at(8, y - 1))).toBeLessThan(40);
+    }
+    // Hue shifts are avoided: gray stays gray
+    expect(channel(result, 1)).toEqual(channel(result, 0));
+  });
+
+  it("should sharpen edges with an unsharp mask above the threshold", () => {
+    const edge = createTestImageData(8, 1, (x) => gray(x < 4 ? 100 : 150));
+    const sharpened = channel(applyAdjustments(edge, { sharpenAmount: 100 }));
+
+    // Overshoot on both sides of the edge, flat areas untouched
+    expect(sharpened[3]).toBeLessThan(100);
+    expect(sharpened[4]).toBeGreaterThan(150);
+    expect(sharpened[0]).toBe(100);
+    expect(sharpened[7]).toBe(150);
+
+    const thresholded = applyAdjustments(edge, {
+      sharpenAmount: 100,
+      sharpenThreshold: 60,
+    });
+    expect(channel(thresholded)).toEqual(channel(edge));
+  });
+});
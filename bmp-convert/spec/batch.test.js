@@ -0,0 +1,105 @@
+// Unit tests for batch file collection and ZIP naming
+import { describe, it, expect } from "vitest";
+import {
+  collectDroppedFiles,
+  collectInputFiles,
+  outputPath,
+} from "../batch.js";
+
+// Minimal stand-ins for the File System entry API of a drop
+function fileEntry(fullPath) {
+  return {
+    isFile: true,
+    isDirectory: false,
+    fullPath,
+    file: (resolve) => resolve({ name: fullPath.split("/").pop() }),
+  };
+}
+
+function directoryEntry(fullPath, children) {
+  return {
+    isFile: false,
+    isDirectory: true,
+    fullPath,
+    createReader: () => {
+      // Entries come back in chunks, then an empty list
+      const chunks = [children.slice(0, 1), children.slice(1), []];
+      return { readEntries: (resolve) => resolve(chunks.shift()) };
+    },
+  };
+}
+
+describe("collectDroppedFiles", () => {
+  it("should descend into dropped folders, keeping their paths", async () => {
+    const folder = directoryEntry("/wallpapers", [
+      fileEntry("/wallpapers/beach.png"),
+      directoryEntry("/wallpapers/night", [
+        fileEntry("/wallpapers/night/moon.jpg"),
+      ]),
+      fileEntry("/wallpapers/forest.bmp"),
+    ]);
+    const files = await collectDroppedFiles({
+      items: [
+        { kind: "file", webkitGetAsEntry: () => folder },
+        { kind: "file", webkitGetAsEntry: () => fileEntry("/single.png") },
+        { kind: "string" },
+      ],
+      files: [],
+    });
+
+    expect(files.map((entry) => entry.path)).toEqual([
+      "wallpapers/beach.png",
+      "wallpapers/night/moon.jpg",
+      "wallpapers/forest.bmp",
+      "single.png",
+    ]);
+    expect(files[1].file.name).toBe("moon.jpg");
+  });
+
+  it("should fall back to the plain file list", async () => {
+    const file = { name: "photo.jpg" };
+    const files = await collectDroppedFiles({ files: [file] });
+
+    expect(files).toEqual([{ file, path: "photo.jpg" }]);
+  });
+});
+
+describe("collectInputFiles", () => {
+  it("should use the relative path of folder picks", () => {
+    const files = collectInputFiles([
+      { name: "a.png", webkitRelativePath: "album/a.png" },
+      { name: "b.png", webkitRelativePath: "" },
+    ]);
+
+    expect(files.map((entry) => entry.path)).toEqual(["album/a.png", "b.png"]);
+  });
+});
+
+describe("outputPath", () => {
+  it("should swap the extension for .bmp and keep folders", () => {
+    const used = new Set();
+
+    expect(outputPath("photo.jpeg", used)).toBe("photo.bmp");
+    expect(outputPath("album/summer/beach.PNG", used)).toBe(
+      "album/summer/beach.bmp"
+    );
+  });
+
+  it("should not let paths escape the archive root", () => {
+    const used = new Set();
+
+    expect(outputPath("../../etc/passwd.png", used)).toBe("etc/passwd.bmp");
+    expect(outputPath("/abs\\win\\path.png", used)).toBe("abs/win/path.bmp");
+    expect(outputPath("bad:na*me?.png", used)).toBe("bad_na_me_.bmp");
+    expect(outputPath("..", used)).toBe("converted.bmp");
+  });
+
+  it("should number clashing names, ignoring case", () => {
+    const used = new Set();
+
+    expect(outputPath("cat.png", used)).toBe("cat.bmp");
+    expect(outputPath("cat.jpg", used)).toBe("cat (2).bmp");
+    expect(outputPath("CAT.bmp", used)).toBe("CAT (3).bmp");
+    expect(outputPath("pets/cat.png", used)).toBe("pets/cat.bmp");
+  });
+});
@@ -0,0 +1,60 @@
+// Benchmarks for nearest palette color lookup
+// Run with: npm run bench
+import { bench, describe } from "vitest";
+import {
+  createNearestColorIndex,
+  findClosestColorLinear,
+} from "../color-index.js";
+import { build8BitPalette, applyFloydSteinbergDithering } from "../encoder.js";
+
+// Photo-like test image: smooth gradients plus noise, so there are many
+// distinct colors but also plenty of repeats (like a real photo)
+function createPhotoLikeData(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  let seed = 1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+      const noise = (seed >>> 28) - 8;
+      const i = (y * width + x) * 4;
+      data[i] = (x * 255) / width + noise;
+      data[i + 1] = (y * 255) / height + noise;
+      data[i + 2] = ((x + y) * 127) / (width + height) + noise;
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+// 480x800 is the Xteink X4 screen size
+const width = 480;
+const height = 800;
+const data = createPhotoLikeData(width, height);
+const { colorArray } = build8BitPalette(data);
+
+describe("quantize 480x800 to 256 colors", () => {
+  bench("linear search", () => {
+    for (let i = 0; i < data.length; i += 4) {
+      findClosestColorLinear(colorArray, data[i], data[i + 1], data[i + 2]);
+    }
+  });
+
+  bench("nearest-color index", () => {
+    const findClosestColor = createNearestColorIndex(colorArray);
+    for (let i = 0; i < data.length; i += 4) {
+      findClosestColor(data[i], data[i + 1], data[i + 2]);
+    }
+  });
+});
+
+describe("Floyd-Steinberg dither 480x800 to 256 colors", () => {
+  bench("linear search", () => {
+    applyFloydSteinbergDithering(data, width, height, colorArray, (r, g, b) =>
+      findClosestColorLinear(colorArray, r, g, b)
+    );
+  });
+
+  bench("nearest-color index", () => {
+    applyFloydSteinbergDithering(data, width, height, colorArray);
+  });
+});
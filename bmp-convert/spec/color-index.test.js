@@ -0,0 +1,96 @@
+// Unit tests for the nearest palette color index
+import { describe, it, expect } from "vitest";
+import {
+  createNearestColorIndex,
+  findClosestColorLinear,
+} from "../color-index.js";
+
+// Small deterministic PRNG so failures are reproducible
+function createRandom(seed) {
+  return () => {
+    seed = (Math.imul(seed, 1664525) + 1013904223) >>> 0;
+    return seed / 0x100000000;
+  };
+}
+
+function randomPalette(random, size) {
+  const palette = [];
+  for (let i = 0; i < size; i++) {
+    palette.push({
+      r: Math.floor(random() * 256),
+      g: Math.floor(random() * 256),
+      b: Math.floor(random() * 256),
+    });
+  }
+  return palette;
+}
+
+describe("createNearestColorIndex", () => {
+  it("should match the linear search for random palettes", () => {
+    const random = createRandom(42);
+
+    for (const size of [1, 2, 16, 37, 256]) {
+      const palette = randomPalette(random, size);
+      const findClosestColor = createNearestColorIndex(palette);
+
+      for (let i = 0; i < 5000; i++) {
+        const r = Math.floor(random() * 256);
+        const g = Math.floor(random() * 256);
+        const b = Math.floor(random() * 256);
+        expect(findClosestColor(r, g, b)).toBe(
+          findClosestColorLinear(palette, r, g, b)
+        );
+      }
+    }
+  });
+
+  it("should pick the lowest index among duplicate colors", () => {
+    // Median cut pads palettes with repeated black entries
+    const palette = [
+      { r: 0, g: 0, b: 0 },
+      { r: 200, g: 10, b: 10 },
+      { r: 0, g: 0, b: 0 },
+      { r: 200, g: 10, b: 10 },
+      { r: 0, g: 0, b: 0 },
+    ];
+    const findClosestColor = createNearestColorIndex(palette);
+
+    expect(findClosestColor(5, 5, 5)).toBe(0);
+    expect(findClosestColor(190, 20, 0)).toBe(1);
+  });
+
+  it("should break distance ties the same way as the linear search", () => {
+    // Query is exactly halfway between two grays
+    const palette = [
+      { r: 100, g: 100, b: 100 },
+      { r: 50, g: 50, b: 50 },
+      { r: 150, g: 150, b: 150 },
+    ];
+    const findClosestColor = createNearestColorIndex(palette);
+
+    expect(findClosestColor(125, 125, 125)).toBe(0);
+    expect(findClosestColor(75, 75, 75)).toBe(0);
+    expect(findClosestColorLinear(palette, 75, 75, 75)).toBe(0);
+  });
+
+  it("should return cached results consistently", () => {
+    const palette = randomPalette(createRandom(7), 64);
+    const findClosestColor = createNearestColorIndex(palette);
+    const colors = [
+      [12, 200, 33],
+      [255, 255, 255],
+      [0, 0, 0],
+      [12, 200, 33],
+    ];
+
+    const first = colors.map(([r, g, b]) => findClosestColor(r, g, b));
+    const second = colors.map(([r, g, b]) => findClosestColor(r, g, b));
+
+    expect(second).toEqual(first);
+    expect(first[3]).toBe(first[0]);
+  });
+
+  it("should return index 0 for an empty palette", () => {
+    expect(createNearestColorIndex([])(10, 20, 30)).toBe(0);
+  });
+});
@@ -0,0 +1,137 @@
+// Unit tests for the comparison view geometry and difference heatmap
+import { describe, it, expect } from "vitest";
+import {
+  COMPARE_ZOOM_LEVELS,
+  fitScale,
+  clampOffset,
+  zoomOffset,
+  stepZoom,
+  differenceHeatmap,
+} from "../compare.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+function solid(width, height, [r, g, b, a = 255]) {
+  const image = new ImageData(width, height);
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data.set([r, g, b, a], i);
+  }
+  return image;
+}
+
+describe("fitScale", () => {
+  it("should fit the whole image without enlarging it", () => {
+    expect(fitScale(800, 480, 400, 400)).toBe(0.5);
+    expect(fitScale(480, 800, 600, 400)).toBe(0.5);
+    expect(fitScale(100, 50, 600, 400)).toBe(1);
+  });
+});
+
+describe("clampOffset", () => {
+  it("should center an image smaller than the view", () => {
+    expect(clampOffset(-500, 100, 2, 400)).toBe(100);
+  });
+
+  it("should keep a larger image covering the view", () => {
+    // 800 view pixels wide in a 400 pixel view: offsets from -400 to 0
+    expect(clampOffset(50, 100, 8, 400)).toBe(0);
+    expect(clampOffset(-1000, 100, 8, 400)).toBe(-400);
+    expect(clampOffset(-120, 100, 8, 400)).toBe(-120);
+  });
+});
+
+describe("zoomOffset", () => {
+  it("should keep the image point under the anchor in place", () => {
+    const offset = -30;
+    const anchor = 90;
+    const imageX = (anchor - offset) / 2; // At 2:1
+
+    const zoomed = zoomOffset(offset, 2, 8, anchor);
+    expect(zoomed + imageX * 8).toBe(anchor);
+    expect(zoomOffset(zoomed, 8, 2, anchor)).toBe(offset);
+  });
+});
+
+describe("stepZoom", () => {
+  it("should step through the fit scale and the zoom levels", () => {
+    expect(COMPARE_ZOOM_LEVELS).toEqual([1, 2, 4, 8]);
+
+    const steps = [0.4];
+    for (let i = 0; i < 5; i++) {
+      steps.push(stepZoom(steps[steps.length - 1], 1, 0.4));
+    }
+    expect(steps).toEqual([0.4, 1, 2, 4, 8, 8]);
+
+    expect(stepZoom(8, -1, 0.4)).toBe(4);
+    expect(stepZoom(1, -1, 0.4)).toBe(0.4);
+    expect(stepZoom(0.4, -1, 0.4)).toBe(0.4);
+  });
+
+  it("should treat a 1:1 fit as the first level", () => {
+    expect(stepZoom(1, 1, 1)).toBe(2);
+    expect(stepZoom(2, -1, 1)).toBe(1);
+  });
+});
+
+describe("differenceHeatmap", () => {
+  it("should be black where the images match and brightest at full difference", () => {
+    const original = solid(2, 1, [0, 0, 0]);
+    original.data.set([255, 255, 255, 255], 4);
+    const converted = solid(2, 1, [0, 0, 0]);
+    converted.data.set([0, 0, 0, 0], 4);
+
+    const { imageData, meanDifference } = differenceHeatmap(
+      original,
+      converted
+    );
+    expect(Array.from(imageData.data.slice(0, 4))).toEqual([0, 0, 0, 255]);
+    expect(Array.from(imageData.data.slice(4, 8))).toEqual([
+      255, 255, 255, 255,
+    ]);
+    expect(meanDifference).toBeCloseTo(0.5);
+  });
+
+  it("should grow brighter with the difference", () => {
+    const original = solid(1, 1, [100, 100, 100]);
+    const brightness = (value) => {
+      const { data } = differenceHeatmap(
+        original,
+        solid(1, 1, [value, value, value])
+      ).imageData;
+      return data[0] + data[1] + data[2];
+    };
+
+    expect(brightness(110)).toBeGreaterThan(0);
+    expect(brightness(140)).toBeGreaterThan(brightness(110));
+    expect(brightness(220)).toBeGreaterThan(brightness(140));
+  });
+
+  it("should ignore color under full transparency", () => {
+    const { meanDifference } = differenceHeatmap(
+      solid(1, 1, [255, 0, 0, 0]),
+      solid(1, 1, [0, 0, 255, 0])
+    );
+    expect(meanDifference).toBe(0);
+  });
+
+  it("should reject images of different sizes", () => {
+    expect(() =>
+      differenceHeatmap(solid(2, 2, [0, 0, 0]), solid(2, 1, [0, 0, 0]))
+    ).toThrow("same size");
+  });
+});
@@ -0,0 +1,409 @@
+// Unit tests for the BMP decoder
+// Every encoder's output is decoded again and compared to its preview
+import { describe, it, expect } from "vitest";
+import { decodeBMP, parseBMPHeader } from "../decoder.js";
+import {
+  encodeBMP,
+  encodeBMP32Bit,
+  encodeBMP16Bit,
+  encodeBMP8Bit,
+  encodeBMP4Bit,
+  encodeBMP1Bit,
+} from "../encoder.js";
+import {
+  generatePreview16Bit,
+  generatePreview8Bit,
+  generatePreview4Bit,
+  generatePreview1Bit,
+} from "../preview.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// Helper function to create test ImageData
+function createTestImageData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0; // Red
+      data[i + 1] = pixel.g ?? 0; // Green
+      data[i + 2] = pixel.b ?? 0; // Blue
+      data[i + 3] = pixel.a ?? 255; // Alpha
+    }
+  }
+  return { width, height, data };
+}
+
+// Colorful test image with flat areas (so RLE has runs) and noise
+function createPhotoLikeImage(width, height) {
+  return createTestImageData(width, height, (x, y) =>
+    x < width / 3
+      ? { r: 240, g: 240, b: 230 }
+      : { r: (x * 23 + y * 7) % 256, g: (y * 31) % 256, b: (x * y) % 256 }
+  );
+}
+
+// Build a BMP file by hand: 14-byte file header + given DIB/palette/pixels
+function buildBMP(dibAndPalette, pixels) {
+  const pixelDataOffset = 14 + dibAndPalette.length;
+  const bytes = new Uint8Array(pixelDataOffset + pixels.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, 0x42);
+  view.setUint8(1, 0x4d);
+  view.setUint32(2, bytes.length, true);
+  view.setUint32(10, pixelDataOffset, true);
+  bytes.set(dibAndPalette, 14);
+  bytes.set(pixels, pixelDataOffset);
+  return bytes.buffer;
+}
+
+// 40-byte BITMAPINFOHEADER
+function infoHeader(width, height, bitsPerPixel, compression, imageSize = 0) {
+  const bytes = new Uint8Array(40);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 40, true);
+  view.setInt32(4, width, true);
+  view.setInt32(8, height, true);
+  view.setUint16(12, 1, true);
+  view.setUint16(14, bitsPerPixel, true);
+  view.setUint32(16, compression, true);
+  view.setUint32(20, imageSize, true);
+  return Array.from(bytes);
+}
+
+function pixelAt(imageData, x, y) {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 4));
+}
+
+describe("decodeBMP round-trips", () => {
+  const imageData = createPhotoLikeImage(21, 9);
+
+  it("should decode 24-bit output losslessly", async () => {
+    const decoded = decodeBMP(await encodeBMP(imageData).arrayBuffer());
+
+    expect(decoded.width).toBe(21);
+    expect(decoded.height).toBe(9);
+    expect(decoded.data).toEqual(imageData.data);
+  });
+
+  it("should decode 32-bit V5 and V4 output with alpha", async () => {
+    const transparent = createTestImageData(5, 3, (x, y) => ({
+      r: x * 50,
+      g: y * 80,
+      b: 7,
+      a: (x + y) * 30,
+    }));
+
+    for (const headerVersion of [4, 5]) {
+      const blob = encodeBMP32Bit(transparent, { headerVersion });
+      const decoded = decodeBMP(await blob.arrayBuffer());
+      expect(decoded.data).toEqual(transparent.data);
+    }
+  });
+
+  it("should decode 16-bit RGB565 and RGB555 output", async () => {
+    for (const pixelFormat of ["565", "555"]) {
+      for (const dither of [false, true]) {
+        const options = { pixelFormat };
+        const blob = encodeBMP16Bit(imageData, dither, options);
+        const decoded = decodeBMP(await blob.arrayBuffer());
+        const preview = generatePreview16Bit(imageData, dither, options);
+        expect(decoded.data).toEqual(preview.data);
+      }
+    }
+  });
+
+  it("should decode 8-bit output, plain and RLE8", async () => {
+    for (const dither of [false, true]) {
+      for (const rle of [false, true]) {
+        const blob = encodeBMP8Bit(imageData, dither, { rle });
+        const decoded = decodeBMP(await blob.arrayBuffer());
+        const preview = generatePreview8Bit(imageData, dither);
+        expect(decoded.data).toEqual(preview.data);
+      }
+    }
+  });
+
+  it("should decode 4-bit output, plain and RLE4", async () => {
+    for (const dither of [false, true]) {
+      for (const rle of [false, true]) {
+        const blob = encodeBMP4Bit(imageData, dither, { rle });
+        const decoded = decodeBMP(await blob.arrayBuffer());
+        const preview = generatePreview4Bit(imageData, dither);
+        expect(decoded.data).toEqual(preview.data);
+      }
+    }
+  });
+
+  it("should decode 4-bit grayscale output", async () => {
+    const options = { grayscale: 4, rle: true };
+    const blob = encodeBMP4Bit(imageData, true, options);
+    const decoded = decodeBMP(await blob.arrayBuffer());
+    const preview = generatePreview4Bit(imageData, true, options);
+    expect(decoded.data).toEqual(preview.data);
+  });
+
+  it("should decode output dithered with kernels and ordered maps", async () => {
+    const cases = [
+      [encodeBMP8Bit, generatePreview8Bit],
+      [encodeBMP4Bit, generatePreview4Bit],
+      [encodeBMP1Bit, generatePreview1Bit],
+    ];
+
+    for (const ditherAlgorithm of [
+      "atkinson",
+      "stucki",
+      "sierra-lite",
+      "bayer-2",
+      "bayer-8",
+      "blue-noise",
+    ]) {
+      for (const [encode, generatePreview] of cases) {
+        const options = { ditherAlgorithm, serpentine: true };
+        const blob = encode(imageData, true, options);
+        const decoded = decodeBMP(await blob.arrayBuffer());
+        const preview = generatePreview(imageData, true, options);
+        expect(decoded.data).toEqual(preview.data);
+      }
+    }
+  });
+
+  it("should decode output with each palette strategy", async () => {
+    for (const paletteStrategy of ["octree", "wu", "kmeans"]) {
+      for (const dither of [false, true]) {
+        const options = { paletteStrategy };
+        const blob8 = encodeBMP8Bit(imageData, dither, options);
+        const blob4 = encodeBMP4Bit(imageData, dither, options);
+
+        expect(decodeBMP(await blob8.arrayBuffer()).data).toEqual(
+          generatePreview8Bit(imageData, dither, options).data
+        );
+        expect(decodeBMP(await blob4.arrayBuffer()).data).toEqual(
+          generatePreview4Bit(imageData, dither, options).data
+        );
+      }
+    }
+  });
+
+  it("should decode transparent pixels the way the preview shows them", async () => {
+    const transparent = createTestImageData(6, 4, (x, y) => ({
+      r: x * 40,
+      g: 200,
+      b: y * 60,
+      a: (x + y) % 3 === 0 ? 0 : 255,
+    }));
+    const cases = [
+      [encodeBMP8Bit, generatePreview8Bit],
+      [encodeBMP4Bit, generatePreview4Bit],
+      [encodeBMP1Bit, generatePreview1Bit],
+    ];
+
+    for (const transparency of ["flatten", "index"]) {
+      for (const [encode, generatePreview] of cases) {
+        for (const dither of [false, true]) {
+          const options = { transparency, background: "#e0e0ff" };
+          const blob = encode(transparent, dither, options);
+          const decoded = decodeBMP(await blob.arrayBuffer());
+          const preview = generatePreview(transparent, dither, options);
+          expect(decoded.data).toEqual(preview.data);
+        }
+      }
+    }
+  });
+
+  it("should decode output quantized to a fixed palette", async () => {
+    const palette = [
+      { r: 15, g: 56, b: 15 },
+      { r: 48, g: 98, b: 48 },
+      { r: 139, g: 172, b: 15 },
+      { r: 155, g: 188, b: 15 },
+    ];
+
+    for (const dither of [false, true]) {
+      const options = { palette, ditherAlgorithm: "atkinson" };
+      const blob8 = encodeBMP8Bit(imageData, dither, options);
+      const blob4 = encodeBMP4Bit(imageData, dither, options);
+
+      expect(decodeBMP(await blob8.arrayBuffer()).data).toEqual(
+        generatePreview8Bit(imageData, dither, options).data
+      );
+      expect(decodeBMP(await blob4.arrayBuffer()).data).toEqual(
+        generatePreview4Bit(imageData, dither, options).data
+      );
+    }
+  });
+
+  it("should decode 1-bit output", async () => {
+    for (const dither of [false, true]) {
+      const options = { threshold: 110 };
+      const blob = encodeBMP1Bit(imageData, dither, options);
+      const decoded = decodeBMP(await blob.arrayBuffer());
+      const preview = generatePreview1Bit(imageData, dither, options);
+      expect(decoded.data).toEqual(preview.data);
+    }
+  });
+});
+
+describe("decodeBMP row order", () => {
+  const imageData = createPhotoLikeImage(13, 7);
+
+  it("should decode bottom-up output like top-down output", async () => {
+    const encoders = [
+      (options) => encodeBMP(imageData, options),
+      (options) => encodeBMP32Bit(imageData, options),
+      (options) => encodeBMP16Bit(imageData, true, options),
+      (options) => encodeBMP8Bit(imageData, true, options),
+      (options) => encodeBMP4Bit(imageData, true, options),
+      (options) => encodeBMP1Bit(imageData, true, options),
+    ];
+
+    for (const encode of encoders) {
+      const topDown = await encode({}).arrayBuffer();
+      const bottomUp = await encode({ rowOrder: "bottom-up" }).arrayBuffer();
+
+      // Positive height marks bottom-up rows
+      expect(new DataView(topDown).getInt32(22, true)).toBe(-7);
+      expect(new DataView(bottomUp).getInt32(22, true)).toBe(7);
+      expect(decodeBMP(bottomUp).data).toEqual(decodeBMP(topDown).data);
+    }
+  });
+});
+
+describe("decodeBMP variants", () => {
+  it("should decode bottom-up 24-bit files", () => {
+    // 1x2 image: bottom row (stored first) blue, top row red
+    const buffer = buildBMP(
+      infoHeader(1, 2, 24, 0),
+      [255, 0, 0, 0, 0, 0, 255, 0]
+    );
+    const decoded = decodeBMP(buffer);
+
+    expect(pixelAt(decoded, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(decoded, 0, 1)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("should decode OS/2 BITMAPCOREHEADER files with 3-byte palettes", () => {
+    const core = [12, 0, 0, 0, 2, 0, 1, 0, 1, 0, 1, 0];
+    const palette = [0, 0, 255, 0, 255, 0]; // Red, green (BGR triples)
+    const buffer = buildBMP([...core, ...palette], [0b01000000, 0, 0, 0]);
+    const decoded = decodeBMP(buffer);
+
+    expect(pixelAt(decoded, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(decoded, 1, 0)).toEqual([0, 255, 0, 255]);
+  });
+
+  it("should decode 2-bit palettized files", () => {
+    const palette = [
+      ...[0, 0, 0, 0],
+      ...[85, 85, 85, 0],
+      ...[170, 170, 170, 0],
+      ...[255, 255, 255, 0],
+    ];
+    const buffer = buildBMP(
+      [...infoHeader(4, -1, 2, 0), ...palette],
+      [0b00011011, 0, 0, 0]
+    );
+    const decoded = decodeBMP(buffer);
+
+    expect([0, 1, 2, 3].map((x) => pixelAt(decoded, x, 0)[0])).toEqual([
+      0, 85, 170, 255,
+    ]);
+  });
+
+  it("should decode 16-bit BI_BITFIELDS masks trailing a 40-byte header", () => {
+    const masks = [0x00, 0xf8, 0, 0, 0xe0, 0x07, 0, 0, 0x1f, 0, 0, 0];
+    const buffer = buildBMP(
+      [...infoHeader(2, -1, 16, 3), ...masks],
+      [0x00, 0xf8, 0x1f, 0x00]
+    );
+    const header = parseBMPHeader(buffer);
+    const decoded = decodeBMP(buffer);
+
+    expect(header.compressionName).toBe("BI_BITFIELDS");
+    expect(header.masks.green).toBe(0x07e0);
+    expect(pixelAt(decoded, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(decoded, 1, 0)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("should treat 32-bit BI_RGB files as opaque", () => {
+    const buffer = buildBMP(infoHeader(1, 1, 32, 0), [1, 2, 3, 0]);
+    expect(pixelAt(decodeBMP(buffer), 0, 0)).toEqual([3, 2, 1, 255]);
+  });
+
+  it("should handle RLE8 delta escapes and leave skipped pixels transparent", () => {
+    const palette = [0, 0, 0, 0, 255, 255, 255, 0];
+    // Row 0 (bottom): 1 white pixel, delta (+2, +1), 1 white pixel, EOB
+    const rle = [1, 1, 0, 2, 2, 1, 1, 1, 0, 1];
+    const buffer = buildBMP(
+      [...infoHeader(4, 2, 8, 1, rle.length), ...palette],
+      rle
+    );
+    const decoded = decodeBMP(buffer);
+
+    expect(pixelAt(decoded, 0, 1)).toEqual([255, 255, 255, 255]);
+    expect(pixelAt(decoded, 1, 1)[3]).toBe(0);
+    expect(pixelAt(decoded, 3, 0)).toEqual([255, 255, 255, 255]);
+    expect(pixelAt(decoded, 0, 0)[3]).toBe(0);
+  });
+
+  it("should alternate nibbles in RLE4 encoded runs", () => {
+    const palette = [
+      ...[0, 0, 0, 0],
+      ...[255, 255, 255, 0],
+      ...new Array(14 * 4).fill(0),
+    ];
+    const rle = [5, 0x10, 0, 1];
+    const buffer = buildBMP(
+      [...infoHeader(5, 1, 4, 2, rle.length), ...palette],
+      rle
+    );
+    const decoded = decodeBMP(buffer);
+
+    expect([0, 1, 2, 3, 4].map((x) => pixelAt(decoded, x, 0)[0])).toEqual([
+      255, 0, 255, 0, 255,
+    ]);
+  });
+});
+
+describe("decodeBMP errors", () => {
+  it("should reject files without a BM signature", () => {
+    const buffer = new Uint8Array(64).buffer;
+    expect(() => decodeBMP(buffer)).toThrow(/signature/);
+  });
+
+  it("should reject truncated pixel data", () => {
+    const buffer = buildBMP(infoHeader(4, 4, 24, 0), [0, 0, 0]);
+    expect(() => decodeBMP(buffer)).toThrow(/truncated/);
+  });
+
+  it("should reject RLE data without an end-of-bitmap escape", () => {
+    const palette = [0, 0, 0, 0, 255, 255, 255, 0];
+    const buffer = buildBMP(
+      [...infoHeader(2, 1, 8, 1), ...palette],
+      [2, 1, 0, 0]
+    );
+    expect(() => decodeBMP(buffer)).toThrow(/end-of-bitmap/);
+  });
+
+  it("should reject unsupported compression", () => {
+    const buffer = buildBMP(infoHeader(1, 1, 24, 4), [0, 0, 0, 0]);
+    expect(() => decodeBMP(buffer)).toThrow(/BI_JPEG/);
+  });
+});
@@ -0,0 +1,182 @@
+// Unit tests for the device profile registry
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  BUILT_IN_PROFILES,
+  DEFAULT_PROFILE_ID,
+  normalizeProfile,
+  loadCustomProfiles,
+  saveCustomProfile,
+  deleteCustomProfile,
+  getAllProfiles,
+  findProfile,
+  searchProfiles,
+} from "../device-profiles.js";
+import { getEpaperPreset } from "../epaper-presets.js";
+
+// In-memory stand-in for localStorage
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    items,
+  };
+}
+
+describe("BUILT_IN_PROFILES", () => {
+  it("should have unique ids and include the default Xteink profile", () => {
+    const ids = BUILT_IN_PROFILES.map((profile) => profile.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(findProfile(BUILT_IN_PROFILES, DEFAULT_PROFILE_ID)).toMatchObject({
+      width: 480,
+      height: 800,
+      rowOrder: "top-down",
+    });
+  });
+
+  it("should leave every compression level open on the default profile", () => {
+    const profile = findProfile(BUILT_IN_PROFILES, DEFAULT_PROFILE_ID);
+
+    expect(profile.bitDepths[0]).toBe(24);
+    expect([...profile.bitDepths].sort((a, b) => a - b)).toEqual([
+      1, 4, 8, 16, 24, 32,
+    ]);
+  });
+
+  it("should already be in normalized form", () => {
+    for (const profile of BUILT_IN_PROFILES) {
+      expect(normalizeProfile(profile)).toEqual({ ...profile, custom: false });
+    }
+  });
+
+  it("should recommend known presets that fit the supported bit depths", () => {
+    for (const profile of BUILT_IN_PROFILES.filter((p) => p.palette)) {
+      const preset = getEpaperPreset(profile.palette);
+
+      expect(preset).not.toBeNull();
+      expect(profile.bitDepths).toContain(parseInt(preset.level));
+    }
+  });
+});
+
+describe("normalizeProfile", () => {
+  it("should derive the id and orientation and default the rest", () => {
+    expect(
+      normalizeProfile({ name: ' My Frame 7" ', width: 800, height: 480 })
+    ).toEqual({
+      id: "custom-my-frame-7",
+      name: 'My Frame 7"',
+      width: 800,
+      height: 480,
+      orientation: "landscape",
+      bitDepths: [32, 24, 16, 8, 4, 1],
+      palette: null,
+      rowOrder: "top-down",
+      custom: false,
+    });
+  });
+
+  it("should reject missing names, bad sizes and unknown bit depths", () => {
+    expect(() => normalizeProfile({ name: "", width: 1, height: 1 })).toThrow(
+      "name"
+    );
+    expect(() => normalizeProfile({ name: "A", width: 0, height: 10 })).toThrow(
+      "Width"
+    );
+    expect(() =>
+      normalizeProfile({ name: "A", width: 10, height: 1.5 })
+    ).toThrow("Height");
+    expect(() =>
+      normalizeProfile({ name: "A", width: 10, height: 10001 })
+    ).toThrow("Height");
+    expect(() =>
+      normalizeProfile({ name: "A", width: 10, height: 10, bitDepths: [2] })
+    ).toThrow("bit depth");
+  });
+});
+
+describe("custom profiles", () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+  });
+
+  it("should save, replace and delete profiles", () => {
+    const saved = saveCustomProfile(
+      { name: "Frame", width: 600, height: 448, rowOrder: "bottom-up" },
+      storage
+    );
+    expect(saved).toMatchObject({ id: "custom-frame", custom: true });
+    expect(loadCustomProfiles(storage)).toEqual([saved]);
+
+    saveCustomProfile({ name: "Frame", width: 640, height: 480 }, storage);
+    expect(loadCustomProfiles(storage).map((p) => p.width)).toEqual([640]);
+
+    deleteCustomProfile("custom-frame", storage);
+    expect(loadCustomProfiles(storage)).toEqual([]);
+  });
+
+  it("should list custom profiles after the built-in ones", () => {
+    saveCustomProfile({ name: "Frame", width: 600, height: 448 }, storage);
+    const profiles = getAllProfiles(storage);
+
+    expect(profiles.slice(0, BUILT_IN_PROFILES.length)).toEqual(
+      BUILT_IN_PROFILES
+    );
+    expect(profiles.at(-1).id).toBe("custom-frame");
+  });
+
+  it("should never save under a built-in profile's id", () => {
+    const saved = saveCustomProfile(
+      { id: DEFAULT_PROFILE_ID, name: "X", width: 1, height: 1 },
+      storage
+    );
+
+    expect(saved.id).toBe("custom-x");
+  });
+
+  it("should not let similar names replace each other", () => {
+    saveCustomProfile({ name: "My Device", width: 600, height: 448 }, storage);
+
+    expect(() =>
+      saveCustomProfile({ name: "my-device", width: 1, height: 1 }, storage)
+    ).toThrow('"My Device"');
+    expect(loadCustomProfiles(storage).map((p) => p.width)).toEqual([600]);
+  });
+
+  it("should reject names with nothing to make an id from", () => {
+    expect(() =>
+      saveCustomProfile({ name: "!!!", width: 1, height: 1 }, storage)
+    ).toThrow("letter or digit");
+    expect(loadCustomProfiles(storage)).toEqual([]);
+  });
+
+  it("should skip unreadable or invalid stored data", () => {
+    storage.setItem("bmp-convert.deviceProfiles", "not json");
+    expect(loadCustomProfiles(storage)).toEqual([]);
+
+    storage.setItem(
+      "bmp-convert.deviceProfiles",
+      JSON.stringify([
+        { name: "Good", width: 10, height: 20 },
+        { name: "Bad", width: -1, height: 20 },
+      ])
+    );
+    expect(loadCustomProfiles(storage).map((p) => p.name)).toEqual(["Good"]);
+  });
+});
+
+describe("searchProfiles", () => {
+  it("should match every word against name and resolution", () => {
+    const ids = (query) =>
+      searchProfiles(BUILT_IN_PROFILES, query).map((p) => p.id);
+
+    expect(ids("")).toHaveLength(BUILT_IN_PROFILES.length);
+    expect(ids("XTEINK")).toEqual(["xteink-x4"]);
+    expect(ids("7.3 acep")).toEqual(["waveshare-7in3f"]);
+    expect(ids("600x448")).toEqual(["waveshare-5in65f"]);
+    expect(ids("waveshare portrait")).toEqual([]);
+  });
+});
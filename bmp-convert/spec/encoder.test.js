@@ -1,6 +1,23 @@
 // Unit tests for BMP encoder functions
 import { describe, it, expect, beforeEach } from "vitest";
-import { encodeBMP, encodeBMP8Bit, encodeBMP4Bit } from "../encoder.js";
+import {
+  encodeBMP,
+  encodeBMP32Bit,
+  encodeBMP16Bit,
+  encodeBMP8Bit,
+  encodeBMP4Bit,
+  encodeBMP1Bit,
+  calculateBMPSize,
+  build8BitPalette,
+  build4BitPalette,
+  build1BitPalette,
+  compositeOntoBackground,
+  applyFloydSteinbergDithering,
+  applyErrorDiffusion,
+  applyOrderedDithering,
+  applyDithering,
+  DITHER_KERNELS,
+} from "../encoder.js";
 
 // Helper function to create test ImageData
 function createTestImageData(width, height, pixelGenerator) {
@@ -153,6 +170,178 @@ describe("encodeBMP (24-bit)", () => {
   });
 });
 
+describe("encodeBMP16Bit", () => {
+  it("should write RGB565 with BI_BITFIELDS masks by default", async () => {
+    const imageData = createTestImageData(3, 2, () => ({
+      r: 255,
+      g: 255,
+      b: 255,
+    }));
+    const blob = encodeBMP16Bit(imageData);
+    const header = await readBMPHeader(blob);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    // Row size = floor((16*3 + 31)/32)*4 = 8 bytes (6 data + 2 padding)
+    expect(header.bitsPerPixel).toBe(16);
+    expect(header.compression).toBe(3); // BI_BITFIELDS
+    expect(header.dibHeaderSize).toBe(40);
+    expect(header.pixelDataOffset).toBe(54 + 12);
+    expect(header.fileSize).toBe(54 + 12 + 8 * 2);
+    expect(header.fileSize).toBe(calculateBMPSize(3, 2, 16));
+    expect(view.getUint32(54, true)).toBe(0xf800); // Red mask
+    expect(view.getUint32(58, true)).toBe(0x07e0); // Green mask
+    expect(view.getUint32(62, true)).toBe(0x001f); // Blue mask
+  });
+
+  it("should write RGB555 as plain BI_RGB", async () => {
+    const imageData = createTestImageData(2, 2, () => ({
+      r: 255,
+      g: 255,
+      b: 255,
+    }));
+    const blob = encodeBMP16Bit(imageData, false, { pixelFormat: "555" });
+    const header = await readBMPHeader(blob);
+
+    expect(header.compression).toBe(0); // BI_RGB
+    expect(header.pixelDataOffset).toBe(54);
+    expect(header.fileSize).toBe(54 + 4 * 2);
+    expect(header.fileSize).toBe(
+      calculateBMPSize(2, 2, 16, { pixelFormat: "555" })
+    );
+  });
+
+  it("should pack channels into 565 and 555 words", async () => {
+    const imageData = createTestImageData(
+      4,
+      1,
+      (x) =>
+        [
+          { r: 255, g: 0, b: 0 },
+          { r: 0, g: 255, b: 0 },
+          { r: 0, g: 0, b: 255 },
+          { r: 132, g: 130, b: 8 },
+        ][x]
+    );
+
+    const rgb565 = new DataView(
+      await encodeBMP16Bit(imageData).arrayBuffer(),
+      54 + 12
+    );
+    expect(rgb565.getUint16(0, true)).toBe(0xf800);
+    expect(rgb565.getUint16(2, true)).toBe(0x07e0);
+    expect(rgb565.getUint16(4, true)).toBe(0x001f);
+    expect(rgb565.getUint16(6, true)).toBe((16 << 11) | (32 << 5) | 1);
+
+    const rgb555 = new DataView(
+      await encodeBMP16Bit(imageData, false, {
+        pixelFormat: "555",
+      }).arrayBuffer(),
+      54
+    );
+    expect(rgb555.getUint16(0, true)).toBe(0x7c00);
+    expect(rgb555.getUint16(2, true)).toBe(0x03e0);
+    expect(rgb555.getUint16(4, true)).toBe(0x001f);
+  });
+
+  it("should use ordered dithering to break up flat in-between colors", async () => {
+    // 4 sits between 5-bit levels 0 (0) and 1 (8.2)
+    const imageData = createTestImageData(4, 4, () => ({ r: 4, g: 0, b: 0 }));
+
+    const plain = new DataView(await encodeBMP16Bit(imageData).arrayBuffer());
+    const dithered = new DataView(
+      await encodeBMP16Bit(imageData, true).arrayBuffer()
+    );
+
+    const redLevels = (view) => {
+      const levels = new Set();
+      for (let i = 0; i < 16; i++) {
+        levels.add(view.getUint16(54 + 12 + i * 2, true) >> 11);
+      }
+      return levels;
+    };
+
+    expect(redLevels(plain).size).toBe(1);
+    expect(redLevels(dithered)).toEqual(new Set([0, 1]));
+  });
+});
+
+describe("encodeBMP32Bit", () => {
+  it("should write a BITMAPV5HEADER with BI_BITFIELDS masks", async () => {
+    const imageData = createTestImageData(3, 2, () => ({
+      r: 10,
+      g: 20,
+      b: 30,
+      a: 40,
+    }));
+    const blob = encodeBMP32Bit(imageData);
+    const header = await readBMPHeader(blob);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    expect(header.signature).toBe("BM");
+    expect(header.dibHeaderSize).toBe(124);
+    expect(header.pixelDataOffset).toBe(14 + 124);
+    expect(header.fileSize).toBe(14 + 124 + 3 * 2 * 4);
+    expect(header.width).toBe(3);
+    expect(header.height).toBe(-2); // Top-down
+    expect(header.bitsPerPixel).toBe(32);
+    expect(header.compression).toBe(3); // BI_BITFIELDS
+    expect(header.imageSize).toBe(3 * 2 * 4);
+    expect(header.colorsInPalette).toBe(0);
+
+    expect(view.getUint32(54, true)).toBe(0x00ff0000); // Red mask
+    expect(view.getUint32(58, true)).toBe(0x0000ff00); // Green mask
+    expect(view.getUint32(62, true)).toBe(0x000000ff); // Blue mask
+    expect(view.getUint32(66, true)).toBe(0xff000000); // Alpha mask
+    expect(view.getUint32(70, true)).toBe(0x73524742); // 'sRGB'
+    expect(view.getUint32(122, true)).toBe(4); // LCS_GM_IMAGES
+    expect(view.getUint32(126, true)).toBe(0); // No embedded profile
+    expect(view.getUint32(130, true)).toBe(0);
+  });
+
+  it("should write a BITMAPV4HEADER when requested", async () => {
+    const imageData = createTestImageData(1, 1, () => ({
+      r: 1,
+      g: 2,
+      b: 3,
+      a: 4,
+    }));
+    const blob = encodeBMP32Bit(imageData, { headerVersion: 4 });
+    const header = await readBMPHeader(blob);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    expect(header.dibHeaderSize).toBe(108);
+    expect(header.pixelDataOffset).toBe(14 + 108);
+    expect(header.fileSize).toBe(14 + 108 + 4);
+    expect(view.getUint32(66, true)).toBe(0xff000000); // Alpha mask
+    expect(view.getUint8(122)).toBe(3); // Blue (first pixel byte)
+  });
+
+  it("should encode pixel data in BGRA order and keep alpha", async () => {
+    const imageData = createTestImageData(2, 1, (x) =>
+      x === 0
+        ? { r: 255, g: 128, b: 64, a: 255 }
+        : { r: 100, g: 200, b: 50, a: 0 }
+    );
+    const blob = encodeBMP32Bit(imageData);
+
+    const buffer = await blob.arrayBuffer();
+    const pixels = Array.from(new Uint8Array(buffer, 14 + 124));
+
+    expect(pixels).toEqual([64, 128, 255, 255, 50, 200, 100, 0]);
+  });
+
+  it("should match calculateBMPSize", () => {
+    const imageData = createTestImageData(5, 3, () => ({}));
+    expect(encodeBMP32Bit(imageData).size).toBe(calculateBMPSize(5, 3, 32));
+  });
+});
+
 describe("encodeBMP8Bit", () => {
   it("should create a valid BMP file", async () => {
     const imageData = createTestImageData(2, 2, () => ({
@@ -390,6 +579,797 @@ describe("encodeBMP4Bit", () => {
   });
 });
 
+describe("Grayscale palettes", () => {
+  it("should write a 4-level gray ramp into the 4-bit palette", async () => {
+    const imageData = createTestImageData(4, 1, (x) => ({
+      r: x * 80,
+      g: 0,
+      b: 255 - x * 80,
+    }));
+    const blob = encodeBMP4Bit(imageData, false, { grayscale: 4 });
+    const header = await readBMPHeader(blob);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    expect(header.bitsPerPixel).toBe(4);
+    expect(header.colorsInPalette).toBe(16);
+
+    const expectedLevels = [0, 85, 170, 255];
+    expectedLevels.forEach((level, i) => {
+      expect(view.getUint8(54 + i * 4)).toBe(level); // Blue
+      expect(view.getUint8(54 + i * 4 + 1)).toBe(level); // Green
+      expect(view.getUint8(54 + i * 4 + 2)).toBe(level); // Red
+    });
+  });
+
+  it("should only use the gray levels in 4-bit pixel data", async () => {
+    const imageData = createTestImageData(16, 4, (x, y) => ({
+      r: x * 16,
+      g: y * 60,
+      b: 128,
+    }));
+    const blob = encodeBMP4Bit(imageData, false, { grayscale: 4 });
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const pixelDataOffset = 54 + 16 * 4;
+
+    for (let i = 0; i < (16 * 4) / 2; i++) {
+      const byte = view.getUint8(pixelDataOffset + i);
+      expect(byte >> 4).toBeLessThan(4);
+      expect(byte & 0xf).toBeLessThan(4);
+    }
+  });
+
+  it("should map luminance to the nearest gray level", async () => {
+    const imageData = createTestImageData(4, 1, (x) => {
+      const value = [10, 90, 160, 250][x];
+      return { r: value, g: value, b: value };
+    });
+    const blob = encodeBMP8Bit(imageData, false, { grayscale: 4 });
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const pixelDataOffset = 54 + 256 * 4;
+
+    expect(view.getUint8(pixelDataOffset)).toBe(0);
+    expect(view.getUint8(pixelDataOffset + 1)).toBe(1);
+    expect(view.getUint8(pixelDataOffset + 2)).toBe(2);
+    expect(view.getUint8(pixelDataOffset + 3)).toBe(3);
+  });
+
+  it("should write a 16-level gray ramp into the 8-bit palette", async () => {
+    const imageData = createTestImageData(2, 2, () => ({
+      r: 128,
+      g: 128,
+      b: 128,
+    }));
+    const blob = encodeBMP8Bit(imageData, false, { grayscale: 16 });
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    for (let i = 0; i < 16; i++) {
+      expect(view.getUint8(54 + i * 4)).toBe(i * 17);
+    }
+  });
+});
+
+describe("encodeBMP1Bit", () => {
+  it("should use 1 bit per pixel with a 2-color palette", async () => {
+    const imageData = createTestImageData(4, 4, () => ({
+      r: 200,
+      g: 200,
+      b: 200,
+      a: 255,
+    }));
+    const blob = encodeBMP1Bit(imageData);
+    const header = await readBMPHeader(blob);
+
+    expect(header.signature).toBe("BM");
+    expect(header.bitsPerPixel).toBe(1);
+    expect(header.colorsInPalette).toBe(2);
+    expect(header.pixelDataOffset).toBe(54 + 2 * 4);
+  });
+
+  it("should write a black and white palette", async () => {
+    const imageData = createTestImageData(1, 1, () => ({ r: 0, g: 0, b: 0 }));
+    const blob = encodeBMP1Bit(imageData);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+
+    // Index 0: black (BGR + reserved)
+    expect(view.getUint32(54, true)).toBe(0x00000000);
+    // Index 1: white
+    expect(view.getUint32(58, true)).toBe(0x00ffffff);
+  });
+
+  it("should pack 8 pixels per byte with the leftmost pixel in the high bit", async () => {
+    // 10 pixels: white, black alternating
+    // Row size = floor((10 + 31)/32)*4 = 4 bytes (2 data + 2 padding)
+    const imageData = createTestImageData(10, 1, (x) =>
+      x % 2 === 0 ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 }
+    );
+    const blob = encodeBMP1Bit(imageData);
+    const header = await readBMPHeader(blob);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const pixelDataOffset = 54 + 2 * 4;
+
+    expect(header.fileSize).toBe(pixelDataOffset + 4);
+    expect(view.getUint8(pixelDataOffset)).toBe(0b10101010);
+    expect(view.getUint8(pixelDataOffset + 1)).toBe(0b10000000);
+    expect(view.getUint8(pixelDataOffset + 2)).toBe(0); // Padding
+    expect(view.getUint8(pixelDataOffset + 3)).toBe(0); // Padding
+  });
+
+  it("should respect the luminance threshold", async () => {
+    const imageData = createTestImageData(1, 1, () => ({
+      r: 100,
+      g: 100,
+      b: 100,
+    }));
+    const pixelDataOffset = 54 + 2 * 4;
+
+    const dark = await encodeBMP1Bit(imageData, false, {
+      threshold: 128,
+    }).arrayBuffer();
+    const light = await encodeBMP1Bit(imageData, false, {
+      threshold: 64,
+    }).arrayBuffer();
+
+    expect(new DataView(dark).getUint8(pixelDataOffset) >> 7).toBe(0);
+    expect(new DataView(light).getUint8(pixelDataOffset) >> 7).toBe(1);
+  });
+
+  it("should dither mid-gray into a mix of black and white", async () => {
+    const imageData = createTestImageData(8, 8, () => ({
+      r: 128,
+      g: 128,
+      b: 128,
+    }));
+    const blob = encodeBMP1Bit(imageData, true);
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const pixelDataOffset = 54 + 2 * 4;
+
+    let whitePixels = 0;
+    for (let y = 0; y < 8; y++) {
+      const byte = view.getUint8(pixelDataOffset + y * 4);
+      for (let bit = 0; bit < 8; bit++) {
+        whitePixels += (byte >> bit) & 1;
+      }
+    }
+
+    // Roughly half the pixels should be white
+    expect(whitePixels).toBeGreaterThan(20);
+    expect(whitePixels).toBeLessThan(44);
+  });
+
+  it("should handle transparent pixels", async () => {
+    const imageData = createTestImageData(1, 1, () => ({
+      r: 255,
+      g: 255,
+      b: 255,
+      a: 0,
+    }));
+    const onWhite = new DataView(await encodeBMP1Bit(imageData).arrayBuffer());
+    const onBlack = new DataView(
+      await encodeBMP1Bit(imageData, false, {
+        background: "#000000",
+      }).arrayBuffer()
+    );
+
+    // Transparent pixels take the background color (white by default)
+    expect(onWhite.getUint8(54 + 2 * 4) >> 7).toBe(1);
+    expect(onBlack.getUint8(54 + 2 * 4) >> 7).toBe(0);
+  });
+});
+
+// Helper to decode BI_RLE8 / BI_RLE4 pixel data into rows of palette indices
+// (top row first), failing on malformed escapes
+async function decodeRLEIndices(blob) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const width = view.getInt32(18, true);
+  const height = view.getInt32(22, true);
+  const bitsPerPixel = view.getUint16(28, true);
+  const end = view.getUint32(10, true) + view.getUint32(34, true);
+
+  const rows = Array.from({ length: height }, () => []);
+  let offset = view.getUint32(10, true);
+  let y = height - 1; // Bottom-up
+
+  while (offset < end) {
+    const count = view.getUint8(offset++);
+    const value = view.getUint8(offset++);
+
+    if (count > 0) {
+      // Encoded mode
+      for (let i = 0; i < count; i++) {
+        rows[y].push(
+          bitsPerPixel === 8 ? value : i % 2 === 0 ? value >> 4 : value & 0xf
+        );
+      }
+    } else if (value === 0) {
+      // End of line
+      expect(rows[y].length).toBe(width);
+      y--;
+    } else if (value === 1) {
+      // End of bitmap
+      expect(rows[y].length).toBe(width);
+      expect(y).toBe(0);
+      expect(offset).toBe(end);
+      return rows;
+    } else if (value === 2) {
+      throw new Error("Unexpected delta escape");
+    } else {
+      // Absolute mode
+      const byteCount = bitsPerPixel === 8 ? value : Math.ceil(value / 2);
+      for (let i = 0; i < value; i++) {
+        if (bitsPerPixel === 8) {
+          rows[y].push(view.getUint8(offset + i));
+        } else {
+          const byte = view.getUint8(offset + (i >> 1));
+          rows[y].push(i % 2 === 0 ? byte >> 4 : byte & 0xf);
+        }
+      }
+      offset += byteCount + (byteCount % 2);
+    }
+  }
+
+  throw new Error("Missing end of bitmap");
+}
+
+describe("RLE compression", () => {
+  it("should write BI_RLE8 bottom-up headers", async () => {
+    const imageData = createTestImageData(8, 4, () => ({
+      r: 10,
+      g: 20,
+      b: 30,
+    }));
+    const blob = encodeBMP8Bit(imageData, false, { rle: true });
+    const header = await readBMPHeader(blob);
+
+    expect(header.bitsPerPixel).toBe(8);
+    expect(header.compression).toBe(1); // BI_RLE8
+    expect(header.height).toBe(4); // Positive = bottom-up
+    expect(header.pixelDataOffset).toBe(54 + 256 * 4);
+    expect(header.fileSize).toBe(blob.size);
+    expect(header.imageSize).toBe(blob.size - header.pixelDataOffset);
+  });
+
+  it("should write BI_RLE4 bottom-up headers", async () => {
+    const imageData = createTestImageData(8, 4, () => ({
+      r: 10,
+      g: 20,
+      b: 30,
+    }));
+    const blob = encodeBMP4Bit(imageData, false, { rle: true });
+    const header = await readBMPHeader(blob);
+
+    expect(header.bitsPerPixel).toBe(4);
+    expect(header.compression).toBe(2); // BI_RLE4
+    expect(header.height).toBe(4);
+    expect(header.pixelDataOffset).toBe(54 + 16 * 4);
+    expect(header.fileSize).toBe(blob.size);
+  });
+
+  it("should encode runs and end-of-line/end-of-bitmap escapes", async () => {
+    // Two rows of 6 identical pixels -> one run per row
+    const imageData = createTestImageData(6, 2, () => ({
+      r: 0,
+      g: 0,
+      b: 0,
+    }));
+    const blob = encodeBMP8Bit(imageData, false, { rle: true });
+
+    const buffer = await blob.arrayBuffer();
+    const bytes = new Uint8Array(buffer, 54 + 256 * 4);
+
+    expect(Array.from(bytes)).toEqual([6, 0, 0, 0, 6, 0, 0, 1]);
+  });
+
+  it("should round-trip 8-bit pixel indices", async () => {
+    const width = 37;
+    const height = 9;
+    const imageData = createTestImageData(width, height, (x, y) =>
+      x < 12
+        ? { r: 255, g: 0, b: 0 }
+        : y % 3 === 0
+        ? { r: x * 6, g: y * 20, b: 100 }
+        : { r: (x % 2) * 255, g: 255, b: 0 }
+    );
+    const plain = await encodeBMP8Bit(imageData).arrayBuffer();
+    const rows = await decodeRLEIndices(
+      encodeBMP8Bit(imageData, false, { rle: true })
+    );
+
+    const view = new DataView(plain);
+    const rowSize = Math.floor((8 * width + 31) / 32) * 4;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        expect(rows[y][x]).toBe(view.getUint8(54 + 256 * 4 + y * rowSize + x));
+      }
+    }
+  });
+
+  it("should round-trip 4-bit pixel indices", async () => {
+    const width = 23;
+    const height = 7;
+    const imageData = createTestImageData(width, height, (x, y) =>
+      x > 15
+        ? { r: 0, g: 0, b: 255 }
+        : { r: (x * 40) % 256, g: (y * 70) % 256, b: 0 }
+    );
+    const plain = await encodeBMP4Bit(imageData).arrayBuffer();
+    const rows = await decodeRLEIndices(
+      encodeBMP4Bit(imageData, false, { rle: true })
+    );
+
+    const view = new DataView(plain);
+    const rowSize = Math.floor((4 * width + 31) / 32) * 4;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const byte = view.getUint8(54 + 16 * 4 + y * rowSize + (x >> 1));
+        expect(rows[y][x]).toBe(x % 2 === 0 ? byte >> 4 : byte & 0xf);
+      }
+    }
+  });
+
+  it("should be much smaller than uncompressed for flat images", async () => {
+    const imageData = createTestImageData(480, 800, (x, y) =>
+      y < 400 ? { r: 255, g: 255, b: 255 } : { r: 0, g: 0, b: 0 }
+    );
+    const plain = encodeBMP4Bit(imageData);
+    const rle = encodeBMP4Bit(imageData, false, { rle: true });
+
+    expect(plain.size).toBe(calculateBMPSize(480, 800, 4));
+    expect(rle.size).toBeLessThan(plain.size / 10);
+  });
+});
+
+describe("Error-diffusion dithering", () => {
+  // Horizontal gray ramp: dithered to black & white it shows each kernel's pattern
+  const ramp = createTestImageData(16, 8, (x) => ({
+    r: x * 16,
+    g: x * 16,
+    b: x * 16,
+  }));
+  const { colorArray, findClosestColor } = build1BitPalette();
+
+  it("should define kernels that diffuse the whole error (Atkinson 3/4)", () => {
+    for (const [name, kernel] of Object.entries(DITHER_KERNELS)) {
+      const total = kernel.reduce((sum, [, , weight]) => sum + weight, 0);
+      expect(total).toBeCloseTo(name === "atkinson" ? 0.75 : 1, 10);
+
+      // Error only flows to pixels that haven't been visited yet
+      for (const [dx, dy] of kernel) {
+        expect(dy > 0 || (dy === 0 && dx > 0)).toBe(true);
+      }
+    }
+  });
+
+  it("should default to Floyd-Steinberg", () => {
+    const expected = applyFloydSteinbergDithering(
+      ramp.data,
+      16,
+      8,
+      colorArray,
+      findClosestColor
+    );
+
+    expect(
+      applyDithering(ramp.data, 16, 8, colorArray, findClosestColor)
+    ).toEqual(expected);
+    expect(
+      applyDithering(ramp.data, 16, 8, colorArray, findClosestColor, {
+        ditherAlgorithm: "unknown",
+      })
+    ).toEqual(expected);
+  });
+
+  it("should produce a different pattern for each kernel", () => {
+    const patterns = new Set(
+      Object.keys(DITHER_KERNELS).map((ditherAlgorithm) =>
+        applyDithering(ramp.data, 16, 8, colorArray, findClosestColor, {
+          ditherAlgorithm,
+        }).join()
+      )
+    );
+
+    expect(patterns.size).toBe(Object.keys(DITHER_KERNELS).length);
+  });
+
+  it("should only output palette colors", () => {
+    for (const ditherAlgorithm of Object.keys(DITHER_KERNELS)) {
+      const data = applyDithering(
+        ramp.data,
+        16,
+        8,
+        colorArray,
+        findClosestColor,
+        { ditherAlgorithm, serpentine: true }
+      );
+      for (let i = 0; i < data.length; i += 4) {
+        expect([0, 255]).toContain(data[i]);
+      }
+    }
+  });
+
+  it("should mirror the kernel on reversed rows with serpentine scanning", () => {
+    // Row 0 is black (no error); row 1 is flat gray and scanned
+    // right-to-left, so its pattern is the forward pattern reversed
+    const image = createTestImageData(9, 2, (x, y) =>
+      y === 0 ? { r: 0, g: 0, b: 0 } : { r: 100, g: 100, b: 100 }
+    );
+    const kernel = DITHER_KERNELS["floyd-steinberg"];
+
+    const forward = applyErrorDiffusion(
+      image.data,
+      9,
+      2,
+      colorArray,
+      findClosestColor,
+      kernel,
+      false
+    );
+    const serpentine = applyErrorDiffusion(
+      image.data,
+      9,
+      2,
+      colorArray,
+      findClosestColor,
+      kernel,
+      true
+    );
+
+    const row = (data, x) => data[(9 + x) * 4];
+    for (let x = 0; x < 9; x++) {
+      expect(row(serpentine, x)).toBe(row(forward, 8 - x));
+    }
+  });
+});
+
+describe("Ordered dithering", () => {
+  const { colorArray, findClosestColor } = build1BitPalette();
+  const ORDERED = ["bayer-2", "bayer-4", "bayer-8", "blue-noise"];
+
+  it("should reproduce the average gray level in black & white", () => {
+    for (const level of [64, 128, 192]) {
+      const gray = createTestImageData(32, 32, () => ({
+        r: level,
+        g: level,
+        b: level,
+      }));
+      for (const ditherAlgorithm of ORDERED) {
+        const data = applyDithering(
+          gray.data,
+          32,
+          32,
+          colorArray,
+          findClosestColor,
+          { ditherAlgorithm }
+        );
+        let white = 0;
+        for (let i = 0; i < data.length; i += 4) {
+          if (data[i] === 255) white++;
+        }
+        expect(white / (32 * 32)).toBeCloseTo(level / 255, 1);
+      }
+    }
+  });
+
+  it("should only change the edited pixel when one pixel changes", () => {
+    const image = createTestImageData(16, 16, (x, y) => ({
+      r: x * 16,
+      g: y * 16,
+      b: 100,
+    }));
+    const edited = createTestImageData(16, 16, (x, y) =>
+      x === 5 && y === 5
+        ? { r: 255, g: 255, b: 255 }
+        : { r: x * 16, g: y * 16, b: 100 }
+    );
+
+    for (const ditherAlgorithm of ORDERED) {
+      const options = { ditherAlgorithm };
+      const before = applyDithering(
+        image.data,
+        16,
+        16,
+        colorArray,
+        findClosestColor,
+        options
+      );
+      const after = applyDithering(
+        edited.data,
+        16,
+        16,
+        colorArray,
+        findClosestColor,
+        options
+      );
+
+      for (let i = 0; i < before.length; i += 4) {
+        if (i === (5 * 16 + 5) * 4) continue;
+        expect(after[i]).toBe(before[i]);
+      }
+    }
+  });
+
+  it("should tile the threshold map across the image", () => {
+    const gray = createTestImageData(8, 8, () => ({ r: 100, g: 100, b: 100 }));
+    const data = applyOrderedDithering(
+      gray.data,
+      8,
+      8,
+      colorArray,
+      findClosestColor
+    );
+
+    // Default 4x4 Bayer map: the pattern repeats every 4 pixels
+    for (let y = 0; y < 4; y++) {
+      for (let x = 0; x < 4; x++) {
+        const i = (y * 8 + x) * 4;
+        expect(data[i + 16]).toBe(data[i]);
+        expect(data[i + 4 * 8 * 4]).toBe(data[i]);
+      }
+    }
+  });
+
+  it("should leave transparent pixels untouched", () => {
+    const image = createTestImageData(2, 1, (x) => ({
+      r: 90,
+      g: 90,
+      b: 90,
+      a: x === 0 ? 0 : 255,
+    }));
+    const data = applyDithering(
+      image.data,
+      2,
+      1,
+      colorArray,
+      findClosestColor,
+      {
+        ditherAlgorithm: "blue-noise",
+      }
+    );
+
+    expect(Array.from(data.slice(0, 4))).toEqual([90, 90, 90, 0]);
+  });
+});
+
+describe("Fixed palettes", () => {
+  // 7-color ACeP e-paper
+  const ACEP = [
+    { r: 0, g: 0, b: 0 },
+    { r: 255, g: 255, b: 255 },
+    { r: 0, g: 255, b: 0 },
+    { r: 0, g: 0, b: 255 },
+    { r: 255, g: 0, b: 0 },
+    { r: 255, g: 255, b: 0 },
+    { r: 255, g: 128, b: 0 },
+  ];
+  const photo = createTestImageData(16, 16, (x, y) => ({
+    r: x * 16,
+    g: y * 16,
+    b: 255 - x * 8,
+  }));
+  const isAcep = ({ r, g, b }) =>
+    ACEP.some((c) => c.r === r && c.g === g && c.b === b);
+
+  it("should use the given colors in order instead of an adaptive palette", () => {
+    const { colorArray, findClosestColor } = build4BitPalette(photo.data, {
+      palette: ACEP,
+    });
+
+    expect(colorArray.slice(0, 7)).toEqual(ACEP);
+    // Unused slots repeat the first color rather than adding new ones
+    expect(colorArray.slice(7).every(isAcep)).toBe(true);
+    expect(findClosestColor(250, 120, 10)).toBe(6);
+  });
+
+  it("should take precedence over grayscale ramps", () => {
+    const { colorArray } = build8BitPalette(photo.data, {
+      palette: ACEP,
+      grayscale: 4,
+    });
+
+    expect(colorArray.every(isAcep)).toBe(true);
+  });
+
+  it("should only write palette colors, dithered or not", async () => {
+    for (const ditherAlgorithm of ["floyd-steinberg", "bayer-4"]) {
+      const data = applyDithering(
+        photo.data,
+        16,
+        16,
+        ACEP,
+        build4BitPalette(photo.data, { palette: ACEP }).findClosestColor,
+        { ditherAlgorithm }
+      );
+      for (let i = 0; i < data.length; i += 4) {
+        expect(isAcep({ r: data[i], g: data[i + 1], b: data[i + 2] })).toBe(
+          true
+        );
+      }
+    }
+
+    const blob = encodeBMP8Bit(photo, false, { palette: ACEP });
+    const view = new DataView(await blob.arrayBuffer());
+    const offset = 54 + 256 * 4;
+    for (let i = 0; i < 256; i++) {
+      expect(view.getUint8(offset + i)).toBeLessThan(7);
+    }
+  });
+
+  it("should keep only as many colors as the bit depth holds", () => {
+    const many = Array.from({ length: 20 }, (_, i) => ({ r: i, g: i, b: i }));
+    const { colorArray } = build4BitPalette(photo.data, { palette: many });
+
+    expect(colorArray).toEqual(many.slice(0, 16));
+  });
+
+  it("should shift the palette after a dedicated transparent index", () => {
+    const withHole = createTestImageData(2, 1, (x) => ({ a: x ? 255 : 0 }));
+    const { colorArray, findClosestColor } = build4BitPalette(withHole.data, {
+      palette: ACEP,
+      transparency: "index",
+      background: "#ffffff",
+    });
+
+    expect(colorArray[0]).toEqual({ r: 255, g: 255, b: 255 });
+    expect(colorArray.slice(1, 8)).toEqual(ACEP);
+    expect(findClosestColor(0, 0, 0)).toBe(1);
+  });
+});
+
+describe("Transparency", () => {
+  // Helper to read the palette and top-left pixel index of a 4-bit BMP
+  async function read4Bit(blob) {
+    const view = new DataView(await blob.arrayBuffer());
+    const palette = [];
+    for (let i = 0; i < 16; i++) {
+      const offset = 54 + i * 4;
+      palette.push({
+        r: view.getUint8(offset + 2),
+        g: view.getUint8(offset + 1),
+        b: view.getUint8(offset),
+      });
+    }
+    return { palette, firstIndex: view.getUint8(54 + 64) >> 4 };
+  }
+
+  // Sixteen distinct light colors with a transparent top-left pixel
+  const lightImage = createTestImageData(16, 1, (x) => ({
+    r: 128 + x * 8,
+    g: 255 - x * 4,
+    b: 200,
+    a: x === 0 ? 0 : 255,
+  }));
+
+  it("should composite transparent pixels onto the background color", () => {
+    const data = compositeOntoBackground(lightImage.data, "#ff8000");
+
+    expect(Array.from(data.slice(0, 4))).toEqual([255, 128, 0, 255]);
+    expect(Array.from(data.slice(4, 8))).toEqual([136, 251, 200, 255]);
+  });
+
+  it("should alpha-blend partly transparent pixels", () => {
+    const edge = createTestImageData(3, 1, (x) => ({
+      r: 0,
+      g: 0,
+      b: 200,
+      a: [51, 128, 204][x],
+    }));
+
+    // White matte by default: 20%, ~50% and 80% coverage
+    expect(Array.from(compositeOntoBackground(edge.data))).toEqual([
+      204, 204, 244, 255, 127, 127, 227, 255, 51, 51, 211, 255,
+    ]);
+  });
+
+  it("should leave transparent pixels for a dedicated index on request", () => {
+    const edge = createTestImageData(2, 1, (x) => ({ a: x === 0 ? 0 : 128 }));
+    const data = compositeOntoBackground(edge.data, "#ffffff", true);
+
+    expect(Array.from(data)).toEqual([0, 0, 0, 0, 127, 127, 127, 255]);
+  });
+
+  it("should return opaque data unchanged", () => {
+    const opaque = createTestImageData(2, 2, () => ({ r: 10 }));
+
+    expect(compositeOntoBackground(opaque.data, "#ffffff")).toBe(opaque.data);
+  });
+
+  it("should not reserve a black entry for opaque images", () => {
+    const opaque = createTestImageData(16, 1, (x) => ({
+      r: 128 + x * 8,
+      g: 255 - x * 4,
+      b: 200,
+    }));
+    const { colorArray } = build4BitPalette(opaque.data);
+
+    // All sixteen colors fit exactly, with no slot lost to black
+    expect(colorArray).not.toContainEqual({ r: 0, g: 0, b: 0 });
+    expect(new Set(colorArray.map((c) => `${c.r},${c.g},${c.b}`)).size).toBe(
+      16
+    );
+  });
+
+  it("should encode flattened pixels in the background color", async () => {
+    const blob = encodeBMP4Bit(lightImage, false, { background: "#ffffff" });
+    const { palette, firstIndex } = await read4Bit(blob);
+
+    expect(palette[firstIndex]).toEqual({ r: 255, g: 255, b: 255 });
+    expect(palette).not.toContainEqual({ r: 0, g: 0, b: 0 });
+  });
+
+  it("should reserve index 0 only when the image has transparent pixels", () => {
+    const options = { transparency: "index", background: "#00ff00" };
+    const opaque = createTestImageData(4, 4, (x, y) => ({ r: x * 60, g: y }));
+
+    const withAlpha = build8BitPalette(lightImage.data, options);
+    expect(withAlpha.colorArray).toHaveLength(256);
+    expect(withAlpha.colorArray[0]).toEqual({ r: 0, g: 255, b: 0 });
+    // Opaque pixels never match the transparent entry, even its own color
+    expect(withAlpha.findClosestColor(0, 255, 0)).not.toBe(0);
+
+    const withoutAlpha = build8BitPalette(opaque.data, options);
+    expect(withoutAlpha.colorArray[0]).not.toEqual({ r: 0, g: 255, b: 0 });
+  });
+
+  it("should write transparent pixels to the dedicated index", async () => {
+    const blob = encodeBMP4Bit(lightImage, false, {
+      transparency: "index",
+      background: "#123456",
+    });
+    const { palette, firstIndex } = await read4Bit(blob);
+
+    expect(firstIndex).toBe(0);
+    expect(palette[0]).toEqual({ r: 0x12, g: 0x34, b: 0x56 });
+  });
+
+  it("should reserve index 0 in grayscale ramps too", () => {
+    const { colorArray, findClosestColor } = build4BitPalette(lightImage.data, {
+      grayscale: 16,
+      transparency: "index",
+      background: "#ff0000",
+    });
+
+    expect(colorArray[0]).toEqual({ r: 255, g: 0, b: 0 });
+    expect(colorArray[1]).toEqual({ r: 0, g: 0, b: 0 });
+    expect(colorArray[15]).toEqual({ r: 255, g: 255, b: 255 });
+    expect(findClosestColor(0, 0, 0)).toBe(1);
+  });
+
+  it("should always flatten 1-bit output", async () => {
+    const image = createTestImageData(1, 1, () => ({ a: 0 }));
+    const blob = encodeBMP1Bit(image, false, {
+      transparency: "index",
+      background: "#ffffff",
+    });
+    const view = new DataView(await blob.arrayBuffer());
+
+    expect(view.getUint8(54 + 2 * 4) >> 7).toBe(1);
+  });
+});
+
+describe("calculateBMPSize", () => {
+  it("should match the encoders' uncompressed output sizes", () => {
+    expect(calculateBMPSize(1, 1, 24)).toBe(58);
+    expect(calculateBMPSize(480, 800, 24)).toBe(54 + 480 * 3 * 800);
+    expect(calculateBMPSize(480, 800, 8)).toBe(54 + 1024 + 480 * 800);
+    expect(calculateBMPSize(480, 800, 4)).toBe(54 + 64 + 240 * 800);
+    expect(calculateBMPSize(480, 800, 1)).toBe(54 + 8 + 60 * 800);
+  });
+});
+
 describe("Edge cases", () => {
   it("should handle 1x1 pixel image", async () => {
     const imageData = createTestImageData(1, 1, () => ({
@@ -0,0 +1,89 @@
+// Unit tests for the built-in e-paper presets
+import { describe, it, expect } from "vitest";
+import { EPAPER_PRESETS, getEpaperPreset } from "../epaper-presets.js";
+import { DITHER_KERNELS } from "../encoder.js";
+import { encodeImage } from "../processing.js";
+import { decodeBMP } from "../decoder.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// A smooth color sweep touching every ink
+function createSweep(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = (x * 255) / (width - 1);
+      data[i + 1] = (y * 255) / (height - 1);
+      data[i + 2] = 255 - (x * 255) / (width - 1);
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+describe("EPAPER_PRESETS", () => {
+  it("should have unique ids and the expected panels", () => {
+    const ids = EPAPER_PRESETS.map((preset) => preset.id);
+
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(ids).toEqual(["bw", "bwr", "bwy", "acep", "spectra6"]);
+    expect(EPAPER_PRESETS.map((p) => p.palette.length)).toEqual([
+      2, 3, 3, 7, 6,
+    ]);
+  });
+
+  it("should fit each palette in its bit depth with a known dither", () => {
+    for (const preset of EPAPER_PRESETS) {
+      const bitsPerPixel = parseInt(preset.level);
+
+      expect(preset.palette.length).toBeLessThanOrEqual(1 << bitsPerPixel);
+      expect(DITHER_KERNELS[preset.ditherAlgorithm]).toBeDefined();
+    }
+  });
+
+  it("should only produce the panel's inks", async () => {
+    const image = createSweep(24, 12);
+
+    for (const preset of EPAPER_PRESETS) {
+      const blob = encodeImage(image, preset.level, {
+        palette: preset.palette,
+        ditherAlgorithm: preset.ditherAlgorithm,
+      });
+      const { data } = decodeBMP(await blob.arrayBuffer());
+      const inks = new Set(preset.palette.map((c) => `${c.r},${c.g},${c.b}`));
+      const used = new Set();
+      for (let i = 0; i < data.length; i += 4) {
+        used.add(`${data[i]},${data[i + 1]},${data[i + 2]}`);
+      }
+
+      for (const color of used) {
+        expect(inks.has(color)).toBe(true);
+      }
+      // A full sweep should exercise more than one ink
+      expect(used.size).toBeGreaterThan(1);
+    }
+  });
+});
+
+describe("getEpaperPreset", () => {
+  it("should look presets up by id", () => {
+    expect(getEpaperPreset("acep").name).toBe("7-color ACeP");
+    expect(getEpaperPreset("custom")).toBeNull();
+  });
+});
@@ -0,0 +1,86 @@
+// Unit tests for reading and clearing the EXIF orientation of JPEGs
+import { describe, it, expect } from "vitest";
+import { readExifOrientation, clearExifOrientation } from "../exif.js";
+
+function ascii(text) {
+  return Array.from(text, (c) => c.charCodeAt(0));
+}
+
+// A JPEG header with a JFIF segment, then an Exif segment whose IFD0 holds
+// the given [tag, type, value] entries, then the start of the image data
+function buildJPEG(entries, { littleEndian = true } = {}) {
+  const tiffSize = 8 + 2 + entries.length * 12 + 4;
+  const tiff = new DataView(new ArrayBuffer(tiffSize));
+  tiff.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+  tiff.setUint16(2, 42, littleEndian);
+  tiff.setUint32(4, 8, littleEndian);
+  tiff.setUint16(8, entries.length, littleEndian);
+  entries.forEach(([tag, type, value], i) => {
+    const entry = 10 + i * 12;
+    tiff.setUint16(entry, tag, littleEndian);
+    tiff.setUint16(entry + 2, type, littleEndian);
+    tiff.setUint32(entry + 4, 1, littleEndian);
+    tiff.setUint16(entry + 8, value, littleEndian);
+  });
+
+  const soi = [0xff, 0xd8];
+  // Version 1.1, 1:1 pixel density, no thumbnail
+  const jfifFields = [1, 1, 0, 0, 1, 0, 1, 0, 0];
+  const jfif = [0xff, 0xe0, 0, 16, ...ascii("JFIF\0"), ...jfifFields];
+  const exifLength = 2 + 6 + tiffSize;
+  const exif = [0xff, 0xe1, exifLength >> 8, exifLength & 0xff];
+  const sos = [0xff, 0xda, 0, 2];
+  return new Uint8Array([
+    ...soi,
+    ...jfif,
+    ...exif,
+    ...ascii("Exif\0\0"),
+    ...new Uint8Array(tiff.buffer),
+    ...sos,
+  ]).buffer;
+}
+
+describe("readExifOrientation", () => {
+  it("should read the orientation in either byte order", () => {
+    for (let orientation = 1; orientation <= 8; orientation++) {
+      const entries = [
+        [0x010f, 2, 0], // Make, ignored
+        [0x0112, 3, orientation],
+      ];
+      expect(readExifOrientation(buildJPEG(entries))).toBe(orientation);
+      expect(
+        readExifOrientation(buildJPEG(entries, { littleEndian: false }))
+      ).toBe(orientation);
+    }
+  });
+
+  it("should default to 1 without a usable orientation", () => {
+    expect(readExifOrientation(buildJPEG([]))).toBe(1);
+    expect(readExifOrientation(buildJPEG([[0x0112, 3, 9]]))).toBe(1);
+    expect(readExifOrientation(new Uint8Array([0x89, 0x50, 0x4e]).buffer)).toBe(
+      1
+    );
+    // No Exif segment before the image data
+    expect(
+      readExifOrientation(new Uint8Array([0xff, 0xd8, 0xff, 0xda, 0, 2]).buffer)
+    ).toBe(1);
+  });
+});
+
+describe("clearExifOrientation", () => {
+  it("should reset the orientation in a copy", () => {
+    const jpeg = buildJPEG([[0x0112, 3, 6]], { littleEndian: false });
+    const cleared = clearExifOrientation(jpeg);
+
+    expect(readExifOrientation(cleared)).toBe(1);
+    expect(readExifOrientation(jpeg)).toBe(6);
+    expect(cleared.byteLength).toBe(jpeg.byteLength);
+  });
+
+  it("should copy files without an orientation unchanged", () => {
+    const jpeg = buildJPEG([]);
+    expect(new Uint8Array(clearExifOrientation(jpeg))).toEqual(
+      new Uint8Array(jpeg)
+    );
+  });
+});
@@ -0,0 +1,171 @@
+// Unit tests for fitting source images into the target size
+import { describe, it, expect } from "vitest";
+import {
+  calculateCropParams,
+  leavesBorders,
+  defaultCropRegion,
+  panCropRegion,
+  zoomCropRegion,
+} from "../fit.js";
+
+describe("calculateCropParams", () => {
+  it("should use the whole image when the size already matches", () => {
+    for (const fit of ["cover", "contain", "stretch", "none"]) {
+      expect(calculateCropParams(480, 800, 480, 800, "top", fit)).toEqual({
+        sourceX: 0,
+        sourceY: 0,
+        sourceWidth: 480,
+        sourceHeight: 800,
+        destX: 0,
+        destY: 0,
+        destWidth: 480,
+        destHeight: 800,
+      });
+    }
+  });
+
+  it("should crop the overflow in cover mode", () => {
+    // 1600x800 landscape onto a 480x800 portrait screen: scale 1
+    expect(calculateCropParams(1600, 800, 480, 800)).toEqual({
+      sourceX: 560,
+      sourceY: 0,
+      sourceWidth: 480,
+      sourceHeight: 800,
+      destX: 0,
+      destY: 0,
+      destWidth: 480,
+      destHeight: 800,
+    });
+    expect(calculateCropParams(1600, 800, 480, 800, "left").sourceX).toBe(0);
+    expect(calculateCropParams(1600, 800, 480, 800, "right").sourceX).toBe(
+      1120
+    );
+  });
+
+  it("should letterbox the whole image in contain mode", () => {
+    const crop = calculateCropParams(1600, 800, 480, 800, "center", "contain");
+
+    expect(crop).toEqual({
+      sourceX: 0,
+      sourceY: 0,
+      sourceWidth: 1600,
+      sourceHeight: 800,
+      destX: 0,
+      destY: 280,
+      destWidth: 480,
+      destHeight: 240,
+    });
+    expect(leavesBorders(crop, 480, 800)).toBe(true);
+    expect(
+      calculateCropParams(1600, 800, 480, 800, "top", "contain").destY
+    ).toBe(0);
+    expect(
+      calculateCropParams(1600, 800, 480, 800, "bottom", "contain").destY
+    ).toBe(560);
+  });
+
+  it("should pillarbox tall images in contain mode", () => {
+    const crop = calculateCropParams(100, 400, 480, 800, "left", "contain");
+
+    expect(crop).toMatchObject({ destX: 0, destWidth: 200, destHeight: 800 });
+    expect(
+      calculateCropParams(100, 400, 480, 800, "right", "contain").destX
+    ).toBe(280);
+  });
+
+  it("should map the whole image onto the whole target in stretch mode", () => {
+    const crop = calculateCropParams(1600, 800, 480, 800, "left", "stretch");
+
+    expect(crop).toEqual({
+      sourceX: 0,
+      sourceY: 0,
+      sourceWidth: 1600,
+      sourceHeight: 800,
+      destX: 0,
+      destY: 0,
+      destWidth: 480,
+      destHeight: 800,
+    });
+    expect(leavesBorders(crop, 480, 800)).toBe(false);
+  });
+
+  it("should crop to a chosen region instead of the whole source", () => {
+    const region = { x: 100, y: 50, width: 240, height: 400 };
+
+    expect(
+      calculateCropParams(1600, 800, 480, 800, "left", "cover", region)
+    ).toEqual({
+      sourceX: 100,
+      sourceY: 50,
+      sourceWidth: 240,
+      sourceHeight: 400,
+      destX: 0,
+      destY: 0,
+      destWidth: 480,
+      destHeight: 800,
+    });
+  });
+
+  it("should keep the original scale in no-scale mode", () => {
+    // Smaller than the target: padded around the anchor
+    const small = calculateCropParams(100, 50, 480, 800, "center", "none");
+    expect(small).toMatchObject({
+      destX: 190,
+      destY: 375,
+      destWidth: 100,
+      destHeight: 50,
+    });
+    expect(leavesBorders(small, 480, 800)).toBe(true);
+
+    // Larger than the target: overflows past the edges
+    const large = calculateCropParams(1000, 1000, 480, 800, "top", "none");
+    expect(large).toMatchObject({
+      destX: -260,
+      destWidth: 1000,
+      destHeight: 1000,
+    });
+    expect(large.destY).toBeCloseTo(0);
+    expect(leavesBorders(large, 480, 800)).toBe(false);
+  });
+});
+
+describe("crop regions", () => {
+  // 480x800 target on a 1600x800 source: the cover window is 480x800
+  const region = defaultCropRegion(1600, 800, 480, 800);
+
+  it("should start from the cover window for the position", () => {
+    expect(region).toEqual({ x: 560, y: 0, width: 480, height: 800 });
+    expect(defaultCropRegion(1600, 800, 480, 800, "right").x).toBe(1120);
+  });
+
+  it("should pan within the source", () => {
+    expect(panCropRegion(region, 100, 0, 1600, 800).x).toBe(660);
+    expect(panCropRegion(region, -1000, 0, 1600, 800).x).toBe(0);
+    expect(panCropRegion(region, 5000, 50, 1600, 800)).toEqual({
+      ...region,
+      x: 1120,
+      y: 0,
+    });
+  });
+
+  it("should zoom around the anchor keeping the aspect ratio", () => {
+    // Halve the window around its top-left corner
+    const zoomed = zoomCropRegion(region, 0.5, 560, 0, 1600, 800);
+    expect(zoomed).toEqual({ x: 560, y: 0, width: 240, height: 400 });
+
+    // Back out: can't grow past the largest window that fits
+    expect(zoomCropRegion(zoomed, 4, 680, 200, 1600, 800)).toEqual({
+      x: 440,
+      y: 0,
+      width: 480,
+      height: 800,
+    });
+  });
+
+  it("should not zoom in below a few pixels", () => {
+    const tiny = zoomCropRegion(region, 0.0001, 800, 400, 1600, 800);
+
+    expect(tiny.height).toBe(8 / 0.6);
+    expect(tiny.width / tiny.height).toBeCloseTo(0.6);
+  });
+});
@@ -0,0 +1,380 @@
+// Unit tests for the GIF decoder
+import { describe, it, expect } from "vitest";
+import { parseGIF, renderGIFFrame } from "../gif-decoder.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+function packCodes(codes) {
+  const bytes = [];
+  let bits = 0;
+  let bitCount = 0;
+  for (const [code, size] of codes) {
+    bits |= code << bitCount;
+    bitCount += size;
+    while (bitCount >= 8) {
+      bytes.push(bits & 0xff);
+      bits >>>= 8;
+      bitCount -= 8;
+    }
+  }
+  if (bitCount > 0) bytes.push(bits & 0xff);
+  return bytes;
+}
+
+// Standard GIF LZW compression, growing the code size as the table fills
+// and clearing it once it is full
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  const codes = [[clearCode, codeSize]];
+
+  let current = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = current * 256 + indices[i];
+    if (table.has(key)) {
+      current = table.get(key);
+      continue;
+    }
+    codes.push([current, codeSize]);
+    if (nextCode === 4096) {
+      codes.push([clearCode, codeSize]);
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+      table = new Map();
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    current = indices[i];
+  }
+  codes.push([current, codeSize], [endCode, codeSize]);
+  return packCodes(codes);
+}
+
+// The simplest valid stream: a clear code before every index, so the
+// table never grows (checks the decoder independently of lzwEncode)
+function clearCodeEncode(indices, minCodeSize) {
+  const size = minCodeSize + 1;
+  const clearCode = 1 << minCodeSize;
+  const codes = indices.flatMap((index) => [
+    [clearCode, size],
+    [index, size],
+  ]);
+  codes.push([clearCode + 1, size]);
+  return packCodes(codes);
+}
+
+function subBlocks(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const chunk = bytes.slice(i, i + 255);
+    out.push(chunk.length, ...chunk);
+  }
+  out.push(0);
+  return out;
+}
+
+function u16(value) {
+  return [value & 0xff, value >> 8];
+}
+
+// palette: [[r, g, b], ...] with a power-of-two length (at least 2)
+function colorTable(palette) {
+  return palette.flat();
+}
+
+function tableBits(palette) {
+  return Math.log2(palette.length) - 1;
+}
+
+// Build a GIF file; frames default to covering the whole screen
+function buildGIF({ width, height, palette, frames, encode = lzwEncode }) {
+  const bytes = [
+    ...Array.from("GIF89a", (c) => c.charCodeAt(0)),
+    ...u16(width),
+    ...u16(height),
+    0x80 | tableBits(palette),
+    0,
+    0,
+    ...colorTable(palette),
+  ];
+
+  for (const frame of frames) {
+    const {
+      left = 0,
+      top = 0,
+      width: frameWidth = width,
+      height: frameHeight = height,
+      indices,
+      disposal = 0,
+      transparentIndex = -1,
+      interlaced = false,
+      palette: localPalette = null,
+    } = frame;
+
+    bytes.push(
+      0x21,
+      0xf9,
+      4,
+      (disposal << 2) | (transparentIndex >= 0 ? 1 : 0),
+      ...u16(10),
+      Math.max(0, transparentIndex),
+      0
+    );
+    bytes.push(
+      0x2c,
+      ...u16(left),
+      ...u16(top),
+      ...u16(frameWidth),
+      ...u16(frameHeight),
+      (interlaced ? 0x40 : 0) |
+        (localPalette ? 0x80 | tableBits(localPalette) : 0)
+    );
+    if (localPalette) bytes.push(...colorTable(localPalette));
+
+    const minCodeSize = Math.max(2, Math.ceil(Math.log2(palette.length)));
+    bytes.push(minCodeSize, ...subBlocks(encode(indices, minCodeSize)));
+  }
+
+  bytes.push(0x3b);
+  return new Uint8Array(bytes).buffer;
+}
+
+const PALETTE = [
+  [0, 0, 0],
+  [255, 0, 0],
+  [0, 255, 0],
+  [0, 0, 255],
+];
+
+function colors(imageData) {
+  const out = [];
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    const [r, g, b, a] = imageData.data.slice(i, i + 4);
+    out.push(
+      a === 0
+        ? "-"
+        : "KRGB"[
+            PALETTE.findIndex((c) => c[0] === r && c[1] === g && c[2] === b)
+          ]
+    );
+  }
+  return out.join("");
+}
+
+describe("parseGIF", () => {
+  it("should read the screen size and every frame", () => {
+    const gif = parseGIF(
+      buildGIF({
+        width: 3,
+        height: 2,
+        palette: PALETTE,
+        frames: [
+          { indices: [0, 1, 2, 3, 2, 1] },
+          { left: 1, width: 1, height: 1, indices: [3], disposal: 2 },
+        ],
+      })
+    );
+
+    expect([gif.width, gif.height]).toEqual([3, 2]);
+    expect(gif.frames).toHaveLength(2);
+    expect(gif.frames[1]).toMatchObject({
+      left: 1,
+      top: 0,
+      width: 1,
+      height: 1,
+      disposal: 2,
+      delay: 100,
+    });
+  });
+
+  it("should reject files that aren't GIFs", () => {
+    expect(() => parseGIF(new Uint8Array(20).buffer)).toThrow("Not a GIF file");
+  });
+
+  it("should reject frames that reach past the logical screen", () => {
+    const huge = buildGIF({
+      width: 1,
+      height: 1,
+      palette: PALETTE,
+      frames: [{ width: 65535, height: 65535, indices: [0] }],
+    });
+    expect(() => parseGIF(huge)).toThrow("extends past the 1x1 screen");
+
+    // Later bad frames are dropped, keeping the ones before them
+    const gif = parseGIF(
+      buildGIF({
+        width: 2,
+        height: 1,
+        palette: PALETTE,
+        frames: [{ indices: [1, 2] }, { left: 1, width: 2, indices: [3, 3] }],
+      })
+    );
+    expect(gif.frames).toHaveLength(1);
+  });
+});
+
+describe("renderGIFFrame", () => {
+  it("should decode the same pixels from both LZW encodings", () => {
+    const indices = [0, 1, 1, 1, 2, 2, 3, 0, 1, 1, 1, 2];
+    for (const encode of [lzwEncode, clearCodeEncode]) {
+      const gif = parseGIF(
+        buildGIF({
+          width: 4,
+          height: 3,
+          palette: PALETTE,
+          frames: [{ indices }],
+          encode,
+        })
+      );
+
+      expect(colors(renderGIFFrame(gif, 0))).toBe("KRRRGGBKRRRG");
+    }
+  });
+
+  it("should survive code size growth and a full code table", () => {
+    // 256 colors and a long non-repeating sequence fill the 4096-entry table
+    const palette = Array.from({ length: 256 }, (_, i) => [
+      i,
+      255 - i,
+      i ^ 0x5a,
+    ]);
+    const indices = Array.from(
+      { length: 200 * 100 },
+      (_, i) => (i * 7 + ((i * i) >> 5)) & 0xff
+    );
+    const gif = parseGIF(
+      buildGIF({ width: 200, height: 100, palette, frames: [{ indices }] })
+    );
+    const { data } = renderGIFFrame(gif, 0);
+
+    expect(Array.from(data).filter((_, i) => i % 4 === 0)).toEqual(indices);
+  });
+
+  it("should stop at codes from beyond the code table", () => {
+    // 2-bit indices use 3-bit codes: clear (4), 1, then 7 while the next
+    // free code is 6
+    const gif = parseGIF(
+      buildGIF({
+        width: 8,
+        height: 1,
+        palette: PALETTE,
+        frames: [{ indices: [] }],
+        encode: () =>
+          packCodes([
+            [4, 3],
+            [1, 3],
+            [7, 3],
+            [2, 3],
+          ]),
+      })
+    );
+
+    expect(colors(renderGIFFrame(gif, 0))).toBe("R" + "KKKKKKK");
+  });
+
+  it("should finish on corrupt LZW data", () => {
+    const indices = Array.from({ length: 64 }, (_, i) => (i * i) % 4);
+    const valid = new Uint8Array(
+      buildGIF({ width: 8, height: 8, palette: PALETTE, frames: [{ indices }] })
+    );
+    // Flip bits all over the compressed data; every variant must decode
+    // (to whatever) without hanging or throwing
+    const dataStart = valid.indexOf(0x2c) + 11;
+    for (let i = dataStart; i < valid.length - 2; i++) {
+      for (const mask of [0x01, 0x10, 0x80, 0xff]) {
+        const corrupt = valid.slice();
+        corrupt[i] ^= mask;
+        let gif;
+        try {
+          gif = parseGIF(corrupt.buffer);
+        } catch (error) {
+          continue; // A broken block structure is reported as such
+        }
+        expect(renderGIFFrame(gif, 0).data).toHaveLength(8 * 8 * 4);
+      }
+    }
+  });
+
+  it("should reorder interlaced rows", () => {
+    // Rows stored in pass order 0, 4, 2, 1, 3 for a 1x5 image
+    const gif = parseGIF(
+      buildGIF({
+        width: 1,
+        height: 5,
+        palette: PALETTE,
+        frames: [{ indices: [0, 2, 1, 3, 3], interlaced: true }],
+      })
+    );
+
+    expect(colors(renderGIFFrame(gif, 0))).toBe("KBRBG");
+  });
+
+  it("should composite frames with transparency and disposal", () => {
+    const gif = parseGIF(
+      buildGIF({
+        width: 3,
+        height: 1,
+        palette: PALETTE,
+        frames: [
+          { indices: [1, 1, 1] },
+          // Keep: draws over frame 0 except where transparent (index 0)
+          { indices: [2, 0, 2], transparentIndex: 0 },
+          // Restore to previous: frame 3 sees frame 1's result again
+          { left: 1, width: 1, indices: [3], disposal: 3 },
+          { left: 0, width: 1, indices: [3], disposal: 2 },
+          // Frame 3 was cleared to transparent
+          { left: 2, width: 1, indices: [1] },
+        ],
+      })
+    );
+
+    expect(gif.frames.map((_, i) => colors(renderGIFFrame(gif, i)))).toEqual([
+      "RRR",
+      "GRG",
+      "GBG",
+      "BRG",
+      "-RR",
+    ]);
+  });
+
+  it("should use a frame's local color table", () => {
+    const gif = parseGIF(
+      buildGIF({
+        width: 2,
+        height: 1,
+        palette: PALETTE,
+        frames: [
+          {
+            indices: [0, 1],
+            palette: [
+              [0, 0, 255],
+              [0, 255, 0],
+            ],
+          },
+        ],
+      })
+    );
+
+    expect(colors(renderGIFFrame(gif, 0))).toBe("BG");
+    expect(() => renderGIFFrame(gif, 1)).toThrow("out of range");
+  });
+});
@@ -0,0 +1,59 @@
+// Unit tests for input file handling
+import { describe, it, expect } from "vitest";
+import { isSupportedImageFile, svgIntrinsicSize } from "../image-loader.js";
+
+// Stand-in for an <svg> element with the given attributes
+function svgElement(attributes) {
+  return { getAttribute: (name) => attributes[name] ?? null };
+}
+
+describe("isSupportedImageFile", () => {
+  it("should accept any image type and known extensions", () => {
+    const accepted = [
+      { name: "photo.webp", type: "image/webp" },
+      { name: "photo.heic", type: "image/heic" },
+      { name: "scan.TIF", type: "" },
+      { name: "logo.svg", type: "" },
+      { name: "old.bmp", type: "application/octet-stream" },
+    ];
+    for (const file of accepted) {
+      expect(isSupportedImageFile(file)).toBe(true);
+    }
+
+    expect(
+      isSupportedImageFile({ name: "notes.txt", type: "text/plain" })
+    ).toBe(false);
+    expect(isSupportedImageFile({ name: ".DS_Store", type: "" })).toBe(false);
+  });
+});
+
+describe("svgIntrinsicSize", () => {
+  it("should use pixel width and height", () => {
+    expect(
+      svgIntrinsicSize(svgElement({ width: "120", height: "80px" }))
+    ).toEqual({
+      width: 120,
+      height: 80,
+    });
+  });
+
+  it("should fall back to the viewBox, keeping its aspect ratio", () => {
+    expect(svgIntrinsicSize(svgElement({ viewBox: "0 0 24 12" }))).toEqual({
+      width: 24,
+      height: 12,
+    });
+    expect(
+      svgIntrinsicSize(svgElement({ width: "100%", viewBox: "0,0,24,12" }))
+    ).toEqual({ width: 24, height: 12 });
+    expect(
+      svgIntrinsicSize(svgElement({ height: "30", viewBox: "0 0 24 12" }))
+    ).toEqual({ width: 60, height: 30 });
+  });
+
+  it("should default to 300x150 without any size", () => {
+    expect(svgIntrinsicSize(svgElement({ width: "10em" }))).toEqual({
+      width: 300,
+      height: 150,
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// Unit tests for the BMP inspector
+import { describe, it, expect } from "vitest";
+import { inspectBMP } from "../inspector.js";
+import {
+  encodeBMP,
+  encodeBMP32Bit,
+  encodeBMP16Bit,
+  encodeBMP8Bit,
+  encodeBMP4Bit,
+  encodeBMP1Bit,
+} from "../encoder.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// Helper function to create test ImageData
+function createTestImageData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0; // Red
+      data[i + 1] = pixel.g ?? 0; // Green
+      data[i + 2] = pixel.b ?? 0; // Blue
+      data[i + 3] = pixel.a ?? 255; // Alpha
+    }
+  }
+  return { width, height, data };
+}
+
+const imageData = createTestImageData(7, 3, (x, y) => ({
+  r: x * 36,
+  g: y * 120,
+  b: 90,
+}));
+
+async function inspectBlob(blob) {
+  return inspectBMP(await blob.arrayBuffer());
+}
+
+function messages(report, level) {
+  return report.issues
+    .filter((issue) => issue.level === level)
+    .map((issue) => issue.message);
+}
+
+describe("inspectBMP", () => {
+  it("should report no issues for this tool's own output", async () => {
+    const blobs = [
+      encodeBMP(imageData),
+      encodeBMP32Bit(imageData),
+      encodeBMP32Bit(imageData, { headerVersion: 4 }),
+      encodeBMP16Bit(imageData),
+      encodeBMP16Bit(imageData, false, { pixelFormat: "555" }),
+      encodeBMP8Bit(imageData),
+      encodeBMP8Bit(imageData, false, { rle: true }),
+      encodeBMP4Bit(imageData),
+      encodeBMP4Bit(imageData, false, { rle: true }),
+      encodeBMP1Bit(imageData),
+    ];
+
+    for (const blob of blobs) {
+      const report = await inspectBlob(blob);
+      expect(report.issues).toEqual([]);
+      expect(report.imageData.width).toBe(7);
+    }
+  });
+
+  it("should describe headers and row layout", async () => {
+    const report = await inspectBlob(encodeBMP8Bit(imageData));
+
+    expect(report.fileHeader.signature).toBe("BM");
+    expect(report.fileHeader.pixelDataOffset).toBe(54 + 256 * 4);
+    expect(report.header.dibHeaderName).toBe("BITMAPINFOHEADER");
+    expect(report.header.bitsPerPixel).toBe(8);
+    expect(report.header.compressionName).toBe("BI_RGB");
+    expect(report.palette.length).toBe(256);
+    expect(report.layout).toEqual({
+      rowStride: 8,
+      rowPadding: 1,
+      pixelArraySize: 24,
+      rowOrder: "Top-down",
+    });
+  });
+
+  it("should name V5 headers and bitfield compression", async () => {
+    const report = await inspectBlob(encodeBMP32Bit(imageData));
+
+    expect(report.header.dibHeaderName).toBe("BITMAPV5HEADER");
+    expect(report.header.compressionName).toBe("BI_BITFIELDS");
+    expect(report.header.masks.alpha).toBe(0xff000000);
+    expect(report.layout.rowPadding).toBe(0);
+  });
+
+  it("should warn about a wrong file size field", async () => {
+    const buffer = await encodeBMP(imageData).arrayBuffer();
+    new DataView(buffer).setUint32(2, 12345, true);
+    const report = inspectBMP(buffer);
+
+    expect(messages(report, "warning")).toEqual([
+      expect.stringMatching(/File size field is 12345 bytes/),
+    ]);
+    expect(messages(report, "error")).toEqual([]);
+  });
+
+  it("should flag a pixel data offset that overlaps the palette", async () => {
+    const buffer = await encodeBMP4Bit(imageData).arrayBuffer();
+    new DataView(buffer).setUint32(10, 60, true);
+    const report = inspectBMP(buffer);
+
+    expect(messages(report, "error")).toContainEqual(
+      expect.stringMatching(/overlaps the palette/)
+    );
+  });
+
+  it("should flag truncated pixel data", async () => {
+    const buffer = (await encodeBMP(imageData).arrayBuffer()).slice(0, 80);
+    const report = inspectBMP(buffer);
+
+    expect(messages(report, "error")).toContainEqual(
+      expect.stringMatching(/truncated/)
+    );
+    expect(report.imageData).toBeNull();
+  });
+
+  it("should flag top-down RLE bitmaps", async () => {
+    const buffer = await encodeBMP8Bit(imageData, false, {
+      rle: true,
+    }).arrayBuffer();
+    new DataView(buffer).setInt32(22, -3, true);
+    const report = inspectBMP(buffer);
+
+    expect(messages(report, "error")).toContainEqual(
+      expect.stringMatching(/must be bottom-up/)
+    );
+  });
+
+  it("should flag unsupported compression and bad planes", async () => {
+    const buffer = await encodeBMP(imageData).arrayBuffer();
+    const view = new DataView(buffer);
+    view.setUint16(26, 3, true); // Planes
+    view.setUint32(30, 5, true); // BI_PNG
+    const report = inspectBMP(buffer);
+
+    expect(messages(report, "error")).toEqual([
+      "Planes must be 1, found 3",
+      "Unsupported compression: BI_PNG (embedded JPEG/PNG)",
+    ]);
+  });
+
+  it("should report files that are not BMPs", () => {
+    const report = inspectBMP(new Uint8Array([0x89, 0x50, 0x4e, 0x47]).buffer);
+
+    expect(report.header).toBeNull();
+    expect(messages(report, "error")).toEqual([
+      expect.stringMatching(/signature/),
+    ]);
+  });
+});
@@ -0,0 +1,195 @@
+// Unit tests for rotating and flipping ImageData
+import { describe, it, expect } from "vitest";
+import {
+  EXIF_ORIENTATIONS,
+  isNoOrientation,
+  orientedSize,
+  orientImageData,
+  reorientRegion,
+} from "../orientation.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// Rows of single-letter pixel labels, stored in the red channel
+function labelled(rows) {
+  const height = rows.length;
+  const width = rows[0].length;
+  const image = new ImageData(width, height);
+  rows.forEach((row, y) =>
+    Array.from(row).forEach((label, x) => {
+      image.data[(y * width + x) * 4] = label.charCodeAt(0);
+      image.data[(y * width + x) * 4 + 3] = 255;
+    })
+  );
+  return image;
+}
+
+function labels(image) {
+  const rows = [];
+  for (let y = 0; y < image.height; y++) {
+    let row = "";
+    for (let x = 0; x < image.width; x++) {
+      row += String.fromCharCode(image.data[(y * image.width + x) * 4]);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+const orient = (rotate, flipH = false, flipV = false) => ({
+  rotate,
+  flipH,
+  flipV,
+});
+
+describe("orientImageData", () => {
+  const image = labelled(["abc", "def"]);
+
+  it("should rotate clockwise in right angles", () => {
+    expect(labels(orientImageData(image, orient(90)))).toEqual([
+      "da",
+      "eb",
+      "fc",
+    ]);
+    expect(labels(orientImageData(image, orient(180)))).toEqual(["fed", "cba"]);
+    expect(labels(orientImageData(image, orient(270)))).toEqual([
+      "cf",
+      "be",
+      "ad",
+    ]);
+  });
+
+  it("should flip after rotating", () => {
+    expect(labels(orientImageData(image, orient(0, true)))).toEqual([
+      "cba",
+      "fed",
+    ]);
+    expect(labels(orientImageData(image, orient(0, false, true)))).toEqual([
+      "def",
+      "abc",
+    ]);
+    expect(labels(orientImageData(image, orient(90, true)))).toEqual([
+      "ad",
+      "be",
+      "cf",
+    ]);
+  });
+
+  it("should turn every EXIF orientation upright", () => {
+    // How a camera stores the upright image for each orientation
+    const stored = {
+      1: ["abc", "def"],
+      2: ["cba", "fed"],
+      3: ["fed", "cba"],
+      4: ["def", "abc"],
+      5: ["ad", "be", "cf"],
+      6: ["cf", "be", "ad"],
+      7: ["fc", "eb", "da"],
+      8: ["da", "eb", "fc"],
+    };
+    for (const [orientation, rows] of Object.entries(stored)) {
+      expect(
+        labels(orientImageData(labelled(rows), EXIF_ORIENTATIONS[orientation]))
+      ).toEqual(["abc", "def"]);
+    }
+  });
+
+  it("should keep alpha and return to the start after four turns", () => {
+    const translucent = labelled(["ab", "cd"]);
+    translucent.data[3] = 10;
+    let turned = translucent;
+    for (let i = 0; i < 4; i++) {
+      turned = orientImageData(turned, orient(90));
+    }
+
+    expect(Array.from(turned.data)).toEqual(Array.from(translucent.data));
+  });
+});
+
+describe("orientedSize", () => {
+  it("should swap width and height for quarter turns", () => {
+    expect(orientedSize(3, 2, orient(90, true))).toEqual({
+      width: 2,
+      height: 3,
+    });
+    expect(orientedSize(3, 2, orient(180))).toEqual({ width: 3, height: 2 });
+    expect(orientedSize(3, 2, orient(270))).toEqual({ width: 2, height: 3 });
+  });
+});
+
+describe("reorientRegion", () => {
+  const image = labelled(["abcd", "efgh", "ijkl"]);
+
+  // The labels inside a region, in any order
+  const framed = (oriented, { x, y, width, height }) =>
+    labels(oriented)
+      .slice(y, y + height)
+      .map((row) => row.slice(x, x + width))
+      .join("")
+      .split("")
+      .sort()
+      .join("");
+
+  it("should follow the pixels through flips and half turns", () => {
+    const region = { x: 1, y: 0, width: 2, height: 2 };
+    const flips = [
+      [false, false],
+      [true, false],
+      [false, true],
+      [true, true],
+    ];
+    for (const rotate of [0, 90, 180, 270]) {
+      const from = orient(rotate, true);
+      const before = orientImageData(image, from);
+      for (const turn of [0, 180]) {
+        for (const [flipH, flipV] of flips) {
+          const to = orient((rotate + turn) % 360, flipH, flipV);
+          const after = reorientRegion(
+            region,
+            before.width,
+            before.height,
+            from,
+            to
+          );
+
+          expect(framed(orientImageData(image, to), after)).toBe(
+            framed(before, region)
+          );
+        }
+      }
+    }
+  });
+
+  it("should give up on quarter turns", () => {
+    const region = { x: 0, y: 0, width: 1, height: 1 };
+
+    expect(reorientRegion(region, 3, 3, orient(0), orient(90))).toBeNull();
+    expect(
+      reorientRegion(region, 3, 3, orient(90, true), orient(0))
+    ).toBeNull();
+  });
+});
+
+describe("isNoOrientation", () => {
+  it("should only accept the identity", () => {
+    expect(isNoOrientation(EXIF_ORIENTATIONS[1])).toBe(true);
+    expect(isNoOrientation(orient(360))).toBe(true);
+    expect(isNoOrientation(orient(0, true))).toBe(false);
+    expect(isNoOrientation(orient(90))).toBe(false);
+  });
+});
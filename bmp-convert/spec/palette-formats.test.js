@@ -0,0 +1,126 @@
+// Unit tests for palette file import and export
+import { describe, it, expect } from "vitest";
+import {
+  parseGPL,
+  parseJASCPal,
+  parseACT,
+  parseHexList,
+  parsePaletteFile,
+  formatGPL,
+  formatJASCPal,
+  formatACT,
+  formatHexList,
+  toHexColor,
+} from "../palette-formats.js";
+
+// Game Boy greens
+const GREENS = [
+  { r: 15, g: 56, b: 15 },
+  { r: 48, g: 98, b: 48 },
+  { r: 139, g: 172, b: 15 },
+  { r: 155, g: 188, b: 15 },
+];
+
+const encode = (text) => new TextEncoder().encode(text).buffer;
+
+describe("parsers", () => {
+  it("should parse GIMP palettes with names, comments and color names", () => {
+    const text = [
+      "GIMP Palette",
+      "Name: Game Boy",
+      "Columns: 4",
+      "# darkest first",
+      " 15  56  15\tDarkest",
+      " 48  98  48\tDark",
+      "139 172  15",
+      "155 188  15  Lightest",
+      "",
+    ].join("\n");
+
+    expect(parseGPL(text)).toEqual(GREENS);
+  });
+
+  it("should parse JASC palettes", () => {
+    const text =
+      "JASC-PAL\r\n0100\r\n4\r\n15 56 15\r\n48 98 48\r\n139 172 15\r\n155 188 15\r\n";
+
+    expect(parseJASCPal(text)).toEqual(GREENS);
+  });
+
+  it("should parse Adobe color tables with and without a count", () => {
+    const withCount = formatACT(GREENS);
+    expect(parseACT(withCount.buffer)).toEqual(GREENS);
+
+    const plain = withCount.slice(0, 768);
+    const colors = parseACT(plain.buffer);
+    expect(colors).toHaveLength(256);
+    expect(colors.slice(0, 4)).toEqual(GREENS);
+  });
+
+  it("should parse hex lists in several spellings", () => {
+    const text = "; Paint.NET palette\n#0f380f\n306230\nFF8bac0f\n9BBC0F\n";
+
+    expect(parseHexList(text)).toEqual(GREENS);
+  });
+
+  it("should reject malformed files", () => {
+    expect(() => parseGPL("JASC-PAL\n")).toThrow(/Not a GIMP palette/);
+    expect(() => parseGPL("GIMP Palette\n1 2\n")).toThrow(/Invalid GIMP/);
+    expect(() => parseJASCPal("JASC-PAL\n0100\n3\n1 2 3\n")).toThrow(
+      /truncated/
+    );
+    expect(() => parseACT(new ArrayBuffer(100))).toThrow(/768 or 772/);
+    expect(() => parseHexList("#12345\n")).toThrow(/Invalid hex color/);
+    expect(() => parseHexList("\n\n")).toThrow(/no colors/);
+  });
+});
+
+describe("parsePaletteFile", () => {
+  it("should pick the format from the extension and contents", () => {
+    expect(parsePaletteFile("gb.gpl", encode(formatGPL(GREENS)))).toEqual(
+      GREENS
+    );
+    expect(parsePaletteFile("gb.pal", encode(formatJASCPal(GREENS)))).toEqual(
+      GREENS
+    );
+    expect(parsePaletteFile("gb.act", formatACT(GREENS).buffer)).toEqual(
+      GREENS
+    );
+    expect(parsePaletteFile("gb.hex", encode(formatHexList(GREENS)))).toEqual(
+      GREENS
+    );
+  });
+
+  it("should read raw 768-byte .pal files as color tables", () => {
+    const raw = formatACT(GREENS).slice(0, 768).buffer;
+
+    expect(parsePaletteFile("raw.pal", raw).slice(0, 4)).toEqual(GREENS);
+  });
+
+  it("should ignore a byte order mark", () => {
+    const text = "\uFEFF" + formatGPL(GREENS);
+
+    expect(parsePaletteFile("gb.gpl", encode(text))).toEqual(GREENS);
+  });
+});
+
+describe("formatters", () => {
+  it("should write GIMP palettes with a name", () => {
+    const text = formatGPL(GREENS.slice(0, 1), "greens");
+
+    expect(text).toBe(
+      "GIMP Palette\nName: greens\nColumns: 16\n#\n 15  56  15\t#0f380f\n"
+    );
+  });
+
+  it("should record the color count in Adobe color tables", () => {
+    const bytes = formatACT(GREENS);
+
+    expect(bytes).toHaveLength(772);
+    expect(Array.from(bytes.slice(768))).toEqual([0, 4, 0xff, 0xff]);
+  });
+
+  it("should format colors as #rrggbb", () => {
+    expect(toHexColor({ r: 1, g: 171, b: 255 })).toBe("#01abff");
+  });
+});
@@ -3,10 +3,19 @@
 import { describe, it, expect, beforeAll } from "vitest";
 import {
   generatePreview24Bit,
+  generatePreview32Bit,
+  generatePreview16Bit,
   generatePreview8Bit,
   generatePreview4Bit,
+  generatePreview1Bit,
 } from "../preview.js";
-import { encodeBMP, encodeBMP8Bit, encodeBMP4Bit } from "../encoder.js";
+import {
+  encodeBMP,
+  encodeBMP16Bit,
+  encodeBMP8Bit,
+  encodeBMP4Bit,
+  encodeBMP1Bit,
+} from "../encoder.js";
 
 // Polyfill ImageData for Node.js environment
 if (typeof ImageData === "undefined") {
@@ -121,6 +130,39 @@ async function extractBMP4BitColors(blob, imageData) {
   return pixelColors;
 }
 
+// Helper to extract pixel colors from BMP 1-bit
+async function extractBMP1BitColors(blob, imageData) {
+  const buffer = await blob.arrayBuffer();
+  const view = new DataView(buffer);
+  const width = imageData.width;
+  const height = imageData.height;
+
+  // Read palette (starts at offset 54, 2 entries * 4 bytes each)
+  const palette = [];
+  for (let i = 0; i < 2; i++) {
+    const offset = 54 + i * 4;
+    const b = view.getUint8(offset);
+    const g = view.getUint8(offset + 1);
+    const r = view.getUint8(offset + 2);
+    palette.push({ r, g, b });
+  }
+
+  // Read pixel indices (starts after palette, 1-bit packed)
+  const pixelDataOffset = 54 + 2 * 4;
+  const rowSize = Math.floor((width + 31) / 32) * 4;
+
+  const pixelColors = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const byte = view.getUint8(pixelDataOffset + y * rowSize + (x >> 3));
+      const index = (byte >> (7 - (x & 7))) & 1;
+      pixelColors.push(palette[index]);
+    }
+  }
+
+  return pixelColors;
+}
+
 // Helper to extract colors from ImageData
 function extractImageDataColors(imageData) {
   const colors = [];
@@ -169,6 +211,70 @@ describe("generatePreview24Bit", () => {
   });
 });
 
+describe("generatePreview32Bit", () => {
+  it("should keep the alpha channel", () => {
+    const imageData = createTestImageData(2, 1, (x) => ({
+      r: 200,
+      g: 100,
+      b: 50,
+      a: x === 0 ? 0 : 128,
+    }));
+    const preview = generatePreview32Bit(imageData);
+
+    expect(preview.data).toEqual(imageData.data);
+    expect(preview.data).not.toBe(imageData.data);
+  });
+});
+
+describe("generatePreview16Bit", () => {
+  it("should match 16-bit BMP encoding output", async () => {
+    const imageData = createTestImageData(5, 5, (x, y) => ({
+      r: x * 51,
+      g: y * 37,
+      b: (x + y) * 19,
+      a: 255,
+    }));
+
+    for (const pixelFormat of ["565", "555"]) {
+      for (const dither of [false, true]) {
+        const preview = generatePreview16Bit(imageData, dither, {
+          pixelFormat,
+        });
+        const blob = encodeBMP16Bit(imageData, dither, { pixelFormat });
+
+        const buffer = await blob.arrayBuffer();
+        const view = new DataView(buffer);
+        const offset = view.getUint32(10, true);
+        const rowSize = Math.floor((16 * 5 + 31) / 32) * 4;
+        const greenBits = pixelFormat === "565" ? 6 : 5;
+
+        for (let y = 0; y < 5; y++) {
+          for (let x = 0; x < 5; x++) {
+            const word = view.getUint16(offset + y * rowSize + x * 2, true);
+            const i = (y * 5 + x) * 4;
+            const r5 = word >> (5 + greenBits);
+            const b5 = word & 0x1f;
+            expect(preview.data[i]).toBe((r5 << 3) | (r5 >> 2));
+            expect(preview.data[i + 2]).toBe((b5 << 3) | (b5 >> 2));
+          }
+        }
+      }
+    }
+  });
+
+  it("should expand full-intensity channels back to 255", () => {
+    const imageData = createTestImageData(1, 1, () => ({
+      r: 255,
+      g: 255,
+      b: 255,
+      a: 255,
+    }));
+    const preview = generatePreview16Bit(imageData);
+
+    expect(Array.from(preview.data)).toEqual([255, 255, 255, 255]);
+  });
+});
+
 describe("generatePreview8Bit", () => {
   it("should produce quantized colors", () => {
     // Use an image with many colors to ensure quantization occurs
@@ -338,24 +444,9 @@ describe("generatePreview4Bit", () => {
     const previewColors = extractImageDataColors(preview);
     const bmpColors = await extractBMP4BitColors(blob, imageData);
 
-    // For transparent pixels, encoder uses palette index 0
-    // Preview sets RGB to 0,0,0 for transparent pixels (which may differ from palette[0])
-    // So we check that non-transparent pixels match, and transparent pixel uses palette[0] in BMP
-    const buffer = await blob.arrayBuffer();
-    const view = new DataView(buffer);
-    const palette0 = {
-      b: view.getUint8(54),
-      g: view.getUint8(55),
-      r: view.getUint8(56),
-    };
-
-    // BMP should use palette[0] for transparent pixel
-    expect(bmpColors[0].r).toBe(palette0.r);
-    expect(bmpColors[0].g).toBe(palette0.g);
-    expect(bmpColors[0].b).toBe(palette0.b);
-
-    // Non-transparent pixels should match exactly
-    for (let i = 1; i < previewColors.length; i++) {
+    // Transparent pixels are blended onto the background (white by
+    // default) before quantizing, so every pixel should match
+    for (let i = 0; i < previewColors.length; i++) {
       expect(previewColors[i].r).toBe(bmpColors[i].r);
       expect(previewColors[i].g).toBe(bmpColors[i].g);
       expect(previewColors[i].b).toBe(bmpColors[i].b);
@@ -410,6 +501,93 @@ describe("generatePreview4Bit", () => {
   });
 });
 
+describe("Grayscale previews", () => {
+  it("should only show the 4 gray levels", () => {
+    const imageData = createTestImageData(10, 10, (x, y) => ({
+      r: (x * 25) % 256,
+      g: (y * 25) % 256,
+      b: 200,
+      a: 255,
+    }));
+    const preview = generatePreview4Bit(imageData, true, { grayscale: 4 });
+
+    for (const color of extractImageDataColors(preview)) {
+      expect([0, 85, 170, 255]).toContain(color.r);
+      expect(color.g).toBe(color.r);
+      expect(color.b).toBe(color.r);
+    }
+  });
+
+  it("should match grayscale 4-bit and 8-bit BMP encoding output", async () => {
+    const imageData = createTestImageData(6, 6, (x, y) => ({
+      r: (x * 40) % 256,
+      g: (y * 40) % 256,
+      b: ((x + y) * 20) % 256,
+      a: 255,
+    }));
+
+    for (const dither of [false, true]) {
+      const options = { grayscale: 4 };
+      const preview4 = generatePreview4Bit(imageData, dither, options);
+      const blob4 = encodeBMP4Bit(imageData, dither, options);
+      expect(extractImageDataColors(preview4).map(({ a, ...c }) => c)).toEqual(
+        await extractBMP4BitColors(blob4, imageData)
+      );
+
+      const preview8 = generatePreview8Bit(imageData, dither, {
+        grayscale: 16,
+      });
+      const blob8 = encodeBMP8Bit(imageData, dither, { grayscale: 16 });
+      expect(extractImageDataColors(preview8).map(({ a, ...c }) => c)).toEqual(
+        await extractBMP8BitColors(blob8, imageData)
+      );
+    }
+  });
+});
+
+describe("generatePreview1Bit", () => {
+  it("should only produce black and white pixels", () => {
+    const imageData = createTestImageData(10, 10, (x, y) => ({
+      r: (x * 25) % 256,
+      g: (y * 25) % 256,
+      b: 128,
+      a: 255,
+    }));
+    const preview = generatePreview1Bit(imageData, true);
+
+    for (const color of extractImageDataColors(preview)) {
+      expect([0, 255]).toContain(color.r);
+      expect(color.g).toBe(color.r);
+      expect(color.b).toBe(color.r);
+    }
+  });
+
+  it("should match 1-bit BMP encoding output", async () => {
+    const imageData = createTestImageData(13, 5, (x, y) => ({
+      r: (x * 20) % 256,
+      g: (y * 50) % 256,
+      b: ((x + y) * 10) % 256,
+      a: 255,
+    }));
+
+    for (const dither of [false, true]) {
+      const options = { threshold: 100 };
+      const preview = generatePreview1Bit(imageData, dither, options);
+      const blob = encodeBMP1Bit(imageData, dither, options);
+
+      const previewColors = extractImageDataColors(preview);
+      const bmpColors = await extractBMP1BitColors(blob, imageData);
+
+      expect(previewColors.length).toBe(bmpColors.length);
+      for (let i = 0; i < previewColors.length; i++) {
+        expect(previewColors[i].r).toBe(bmpColors[i].r);
+        expect(previewColors[i].g).toBe(bmpColors[i].g);
+        expect(previewColors[i].b).toBe(bmpColors[i].b);
+      }
+    }
+  });
+});
+
 describe("Preview accuracy", () => {
   it("should produce identical output for same input across multiple calls", () => {
     const imageData = createTestImageData(5, 5, () => ({
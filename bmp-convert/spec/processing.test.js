@@ -0,0 +1,279 @@
+// Unit tests for compression level dispatch and job running
+import { describe, it, expect } from "vitest";
+import {
+  generatePreview,
+  encodeImage,
+  estimateFileSize,
+  computePalette,
+  runJob,
+} from "../processing.js";
+import { runProcessingJob, isAbortError } from "../worker-client.js";
+import { decodeBMP } from "../decoder.js";
+import { resampleImageData } from "../resample.js";
+import { applyAdjustments } from "../adjustments.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// Helper function to create test ImageData
+function createTestImageData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0; // Red
+      data[i + 1] = pixel.g ?? 0; // Green
+      data[i + 2] = pixel.b ?? 0; // Blue
+      data[i + 3] = pixel.a ?? 255; // Alpha
+    }
+  }
+  return { width, height, data };
+}
+
+const imageData = createTestImageData(12, 6, (x, y) => ({
+  r: x * 21,
+  g: y * 40,
+  b: (x * y * 7) % 256,
+}));
+
+const LEVELS = [
+  "32",
+  "24",
+  "16",
+  "16-dithered",
+  "8",
+  "8-dithered",
+  "4",
+  "4-aggressive",
+  "1",
+  "1-dithered",
+];
+
+describe("compression level dispatch", () => {
+  it("should produce previews that match the encoded files", async () => {
+    const options = { threshold: 128, grayscale: 0, pixelFormat: "565" };
+
+    for (const level of LEVELS) {
+      const preview = generatePreview(imageData, level, options);
+      const blob = encodeImage(imageData, level, options);
+      const decoded = decodeBMP(await blob.arrayBuffer());
+
+      expect(decoded.data).toEqual(preview.data);
+      expect(estimateFileSize(imageData, level, options)).toBe(blob.size);
+    }
+  });
+
+  it("should use the bit depth implied by each level", async () => {
+    const depths = await Promise.all(
+      LEVELS.map(async (level) => {
+        const blob = encodeImage(imageData, level);
+        return new DataView(await blob.arrayBuffer()).getUint16(28, true);
+      })
+    );
+
+    expect(depths).toEqual([32, 24, 16, 16, 8, 8, 4, 4, 1, 1]);
+  });
+
+  it("should blend onto the background for levels without alpha", async () => {
+    const halfTransparent = createTestImageData(2, 1, () => ({
+      r: 255,
+      a: 128,
+    }));
+    const options = { background: "#0000ff" };
+
+    const preview24 = generatePreview(halfTransparent, "24", options);
+    expect(Array.from(preview24.data.slice(0, 4))).toEqual([128, 0, 127, 255]);
+
+    const preview32 = generatePreview(halfTransparent, "32", options);
+    expect(Array.from(preview32.data.slice(0, 4))).toEqual([255, 0, 0, 128]);
+
+    for (const level of ["24", "16", "8", "4", "1-dithered"]) {
+      const blob = encodeImage(halfTransparent, level, options);
+      const decoded = decodeBMP(await blob.arrayBuffer());
+      expect(decoded.data).toEqual(
+        generatePreview(halfTransparent, level, options).data
+      );
+    }
+  });
+
+  it("should measure RLE output exactly", () => {
+    const options = { rle: true };
+    const size = estimateFileSize(imageData, "8", options);
+
+    expect(size).toBe(encodeImage(imageData, "8", options).size);
+  });
+});
+
+describe("runJob", () => {
+  it("should report progress stages for preview jobs", () => {
+    const stages = [];
+    const result = runJob(
+      { type: "preview", imageData, level: "4", options: {} },
+      (stage, progress) => stages.push([stage, progress])
+    );
+
+    expect(result.imageData.width).toBe(12);
+    expect(result.estimatedSize).toBe(encodeImage(imageData, "4").size);
+    expect(stages.map(([, progress]) => progress)).toEqual([0, 0.75, 1]);
+  });
+
+  it("should return a Blob for encode jobs", () => {
+    const result = runJob({
+      type: "encode",
+      imageData,
+      level: "24",
+      options: {},
+    });
+
+    expect(result.blob.type).toBe("image/bmp");
+  });
+
+  it("should return the palette written into the file for palette jobs", async () => {
+    const { colors } = runJob({
+      type: "palette",
+      imageData,
+      level: "4-aggressive",
+      options: {},
+    });
+    const blob = encodeImage(imageData, "4-aggressive");
+    const view = new DataView(await blob.arrayBuffer());
+    const written = colors.map((_, i) => ({
+      r: view.getUint8(54 + i * 4 + 2),
+      g: view.getUint8(54 + i * 4 + 1),
+      b: view.getUint8(54 + i * 4),
+    }));
+
+    expect(colors).toHaveLength(16);
+    expect(colors).toEqual(written);
+  });
+
+  it("should size RLE previews exactly without encoding them", async () => {
+    const options = {
+      rle: true,
+      transparency: "index",
+      ditherAlgorithm: "atkinson",
+    };
+
+    for (const level of ["8", "8-dithered", "4", "4-aggressive"]) {
+      const preview = runJob({ type: "preview", imageData, level, options });
+      const { blob } = runJob({ type: "encode", imageData, level, options });
+      const decoded = decodeBMP(await blob.arrayBuffer());
+
+      expect(preview.estimatedSize).toBe(blob.size);
+      expect(decoded.data).toEqual(preview.imageData.data);
+    }
+  });
+
+  it("should apply adjustments before previewing, encoding and building palettes", async () => {
+    const options = {
+      adjustments: { contrast: 40, gamma: 1.5, sharpenAmount: 100 },
+    };
+    const adjusted = applyAdjustments(imageData, options.adjustments);
+
+    for (const level of ["24", "8-dithered", "1-dithered"]) {
+      const preview = runJob({ type: "preview", imageData, level, options });
+      const { blob } = runJob({ type: "encode", imageData, level, options });
+      const decoded = decodeBMP(await blob.arrayBuffer());
+
+      expect(preview.imageData.data).toEqual(
+        generatePreview(adjusted, level, options).data
+      );
+      expect(decoded.data).toEqual(preview.imageData.data);
+    }
+
+    const { colors } = runJob({
+      type: "palette",
+      imageData,
+      level: "8",
+      options,
+    });
+    expect(colors).toEqual(computePalette(adjusted, "8", options));
+  });
+
+  it("should only compute palettes for palettized levels", () => {
+    expect(computePalette(imageData, "1")).toEqual([
+      { r: 0, g: 0, b: 0 },
+      { r: 255, g: 255, b: 255 },
+    ]);
+    expect(() => computePalette(imageData, "24")).toThrow(/has no palette/);
+  });
+
+  it("should scale the crop rectangle for resample jobs", () => {
+    const crop = { sourceX: 0, sourceY: 0, sourceWidth: 6, sourceHeight: 4 };
+    const { imageData: resampled } = runJob({
+      type: "resample",
+      imageData,
+      options: { width: 3, height: 2, filter: "box", crop },
+    });
+
+    expect(resampled.width).toBe(3);
+    expect(resampled.height).toBe(2);
+    expect(resampled.data).toEqual(
+      resampleImageData(imageData, 3, 2, "box", crop).data
+    );
+  });
+
+  it("should reject unknown job types", () => {
+    expect(() => runJob({ type: "resize", imageData })).toThrow(
+      /Unknown job type/
+    );
+  });
+});
+
+describe("runProcessingJob", () => {
+  // Node has no Worker, so these exercise the main-thread fallback
+  it("should cancel a stale job when a newer one starts on the channel", async () => {
+    const request = { type: "preview", imageData, level: "8", options: {} };
+    const stale = runProcessingJob("preview", request);
+    const current = runProcessingJob("preview", request);
+
+    const staleError = await stale.catch((error) => error);
+    expect(isAbortError(staleError)).toBe(true);
+    expect((await current).imageData.width).toBe(12);
+  });
+
+  it("should run jobs on different channels independently", async () => {
+    const [preview, encoded] = await Promise.all([
+      runProcessingJob("preview", {
+        type: "preview",
+        imageData,
+        level: "1",
+        options: {},
+      }),
+      runProcessingJob("encode", {
+        type: "encode",
+        imageData,
+        level: "1",
+        options: {},
+      }),
+    ]);
+
+    expect(preview.imageData.height).toBe(6);
+    expect(encoded.blob.size).toBe(preview.estimatedSize);
+  });
+
+  it("should pass errors through", async () => {
+    const error = await runProcessingJob("encode", {
+      type: "bogus",
+      imageData,
+    }).catch((e) => e);
+
+    expect(isAbortError(error)).toBe(false);
+    expect(error.message).toMatch(/Unknown job type/);
+  });
+});
@@ -0,0 +1,145 @@
+// Unit tests for the octree, Wu and k-means palette generators
+import { describe, it, expect } from "vitest";
+import {
+  buildColorHistogram,
+  finishPalette,
+  octreeQuantize,
+  wuQuantize,
+  kMeansRefine,
+} from "../quantizers.js";
+import { build8BitPalette, build4BitPalette } from "../encoder.js";
+
+// Flat RGBA data from a pixel generator
+function createTestData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0;
+      data[i + 1] = pixel.g ?? 0;
+      data[i + 2] = pixel.b ?? 0;
+      data[i + 3] = pixel.a ?? 255;
+    }
+  }
+  return data;
+}
+
+const gradient = createTestData(32, 32, (x, y) => ({
+  r: x * 8,
+  g: y * 8,
+  b: ((x + y) * 4) % 256,
+}));
+
+const fewColors = [
+  { r: 200, g: 30, b: 30 },
+  { r: 30, g: 200, b: 30 },
+  { r: 30, g: 30, b: 200 },
+  { r: 240, g: 240, b: 240 },
+];
+const fewColorData = createTestData(8, 8, (x, y) => fewColors[(x + y) % 4]);
+
+// Mean squared error of mapping every histogram color to its nearest entry
+function paletteError(histogram, palette) {
+  let total = 0;
+  let pixels = 0;
+  for (const { r, g, b, count } of histogram) {
+    let best = Infinity;
+    for (const entry of palette) {
+      const d = (r - entry.r) ** 2 + (g - entry.g) ** 2 + (b - entry.b) ** 2;
+      best = Math.min(best, d);
+    }
+    total += best * count;
+    pixels += count;
+  }
+  return total / pixels;
+}
+
+describe("buildColorHistogram", () => {
+  it("should count unique opaque colors in order of appearance", () => {
+    const data = new Uint8ClampedArray([
+      10, 20, 30, 255, 1, 2, 3, 255, 10, 20, 30, 255, 9, 9, 9, 0,
+    ]);
+
+    expect(buildColorHistogram(data)).toEqual([
+      { r: 10, g: 20, b: 30, count: 2 },
+      { r: 1, g: 2, b: 3, count: 1 },
+    ]);
+  });
+});
+
+describe("finishPalette", () => {
+  it("should pad with black up to size", () => {
+    const palette = finishPalette([{ r: 5, g: 6, b: 7 }], 3);
+
+    expect(palette).toEqual([
+      { r: 5, g: 6, b: 7 },
+      { r: 0, g: 0, b: 0 },
+      { r: 0, g: 0, b: 0 },
+    ]);
+  });
+});
+
+describe("palette generators", () => {
+  const histogram = buildColorHistogram(gradient);
+  const quantizers = { octree: octreeQuantize, wu: wuQuantize };
+
+  for (const [name, quantize] of Object.entries(quantizers)) {
+    const generate = (maxColors) => quantize(histogram, maxColors);
+
+    it(`${name} should respect the color limit`, () => {
+      for (const maxColors of [2, 15, 255]) {
+        const palette = generate(maxColors);
+        expect(palette.length).toBeGreaterThan(0);
+        expect(palette.length).toBeLessThanOrEqual(maxColors);
+      }
+    });
+
+    it(`${name} should be deterministic`, () => {
+      expect(generate(15)).toEqual(generate(15));
+    });
+
+    it(`${name} should keep exact colors when there are few enough`, () => {
+      const palette = quantize(buildColorHistogram(fewColorData), 15);
+
+      for (const color of fewColors) {
+        expect(palette).toContainEqual(color);
+      }
+    });
+  }
+
+  it("k-means should not increase the error of its seed palette", () => {
+    const seed = wuQuantize(histogram, 15);
+    const refined = kMeansRefine(histogram, seed);
+
+    expect(refined).toHaveLength(seed.length);
+    expect(paletteError(histogram, refined)).toBeLessThanOrEqual(
+      paletteError(histogram, seed)
+    );
+  });
+});
+
+describe("paletteStrategy option", () => {
+  it("should build full-size palettes", () => {
+    for (const paletteStrategy of ["median-cut", "octree", "wu", "kmeans"]) {
+      const options = { paletteStrategy };
+      const { colorArray: palette8 } = build8BitPalette(gradient, options);
+      const { colorArray: palette4 } = build4BitPalette(gradient, options);
+
+      expect(palette8).toHaveLength(256);
+      expect(palette4).toHaveLength(16);
+    }
+  });
+
+  it("should beat median cut on error for Wu and k-means", () => {
+    const histogram = buildColorHistogram(gradient);
+    const error = (paletteStrategy) =>
+      paletteError(
+        histogram,
+        build4BitPalette(gradient, { paletteStrategy }).colorArray
+      );
+
+    expect(error("wu")).toBeLessThan(error("median-cut"));
+    expect(error("kmeans")).toBeLessThan(error("median-cut"));
+  });
+});
@@ -0,0 +1,138 @@
+// Unit tests for the pure-JS resampler
+import { describe, it, expect } from "vitest";
+import { resampleImageData, RESAMPLE_FILTERS } from "../resample.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+function createTestImageData(width, height, pixelGenerator) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pixel = pixelGenerator(x, y);
+      data[i] = pixel.r ?? 0;
+      data[i + 1] = pixel.g ?? 0;
+      data[i + 2] = pixel.b ?? 0;
+      data[i + 3] = pixel.a ?? 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const filters = Object.keys(RESAMPLE_FILTERS);
+
+describe("resampleImageData", () => {
+  const noise = createTestImageData(9, 7, (x, y) => ({
+    r: (x * 97 + y * 31) % 256,
+    g: (x * y * 53) % 256,
+    b: (x * 13 + y * 211) % 256,
+  }));
+
+  it("should leave the image unchanged at the same size", () => {
+    for (const filter of filters) {
+      expect(resampleImageData(noise, 9, 7, filter).data).toEqual(noise.data);
+    }
+  });
+
+  it("should keep flat colors flat when scaling up and down", () => {
+    const flat = createTestImageData(10, 6, () => ({ r: 200, g: 40, b: 90 }));
+
+    for (const filter of filters) {
+      for (const [width, height] of [
+        [3, 2],
+        [23, 17],
+      ]) {
+        const { data } = resampleImageData(flat, width, height, filter);
+        for (let i = 0; i < data.length; i += 4) {
+          expect(Array.from(data.slice(i, i + 4))).toEqual([200, 40, 90, 255]);
+        }
+      }
+    }
+  });
+
+  it("should average whole pixels with the box filter", () => {
+    const image = createTestImageData(4, 2, (x, y) => ({
+      r: x * 60 + y * 20,
+    }));
+    const { data } = resampleImageData(image, 2, 1, "box");
+
+    // Means of (0, 60, 20, 80) and (120, 180, 140, 200)
+    expect([data[0], data[4]]).toEqual([40, 160]);
+  });
+
+  it("should pick pixel centers with nearest neighbor", () => {
+    const image = createTestImageData(4, 1, (x) => ({ r: x * 10 }));
+
+    expect(resampleImageData(image, 2, 1, "nearest").data[4]).toBe(30);
+    expect(
+      Array.from(resampleImageData(image, 8, 1, "nearest").data).filter(
+        (_, i) => i % 4 === 0
+      )
+    ).toEqual([0, 0, 10, 10, 20, 20, 30, 30]);
+  });
+
+  it("should interpolate linearly with bilinear", () => {
+    const image = createTestImageData(2, 1, (x) => ({ r: x * 255 }));
+    const { data } = resampleImageData(image, 4, 1, "bilinear");
+
+    expect([data[0], data[4], data[8], data[12]]).toEqual([0, 64, 191, 255]);
+  });
+
+  it("should produce locked-in output for each filter", () => {
+    const ramp = createTestImageData(8, 2, (x, y) => ({
+      r: x * 36,
+      g: (x * x * 4) % 256,
+      b: y * 200,
+    }));
+    const expected = {
+      bilinear: [40, 8, 100, 255, 126, 54, 100, 255, 212, 142, 100, 255],
+      bicubic: [32, 4, 100, 255, 126, 51, 100, 255, 220, 150, 100, 255],
+      lanczos3: [29, 3, 100, 255, 126, 49, 100, 255, 223, 153, 100, 255],
+      box: [32, 6, 100, 255, 126, 52, 100, 255, 221, 153, 100, 255],
+    };
+
+    for (const [filter, values] of Object.entries(expected)) {
+      expect(Array.from(resampleImageData(ramp, 3, 1, filter).data)).toEqual(
+        values
+      );
+    }
+  });
+
+  it("should not bleed the color of transparent pixels", () => {
+    const image = createTestImageData(2, 1, (x) =>
+      x === 0 ? { r: 255, a: 0 } : { b: 255 }
+    );
+    const { data } = resampleImageData(image, 1, 1, "box");
+
+    expect(Array.from(data)).toEqual([0, 0, 255, 128]);
+  });
+
+  it("should only scale the crop rectangle", () => {
+    const image = createTestImageData(6, 1, (x) => ({ r: x * 40 }));
+    const crop = { sourceX: 2, sourceY: 0, sourceWidth: 2, sourceHeight: 1 };
+    const { data } = resampleImageData(image, 4, 1, "nearest", crop);
+
+    expect([data[0], data[4], data[8], data[12]]).toEqual([80, 80, 120, 120]);
+  });
+
+  it("should reject unknown filters", () => {
+    expect(() => resampleImageData(noise, 3, 3, "sinc")).toThrow(
+      "Unknown resampling filter"
+    );
+  });
+});
@@ -0,0 +1,76 @@
+// Unit tests for ordered dithering threshold maps
+import { describe, it, expect } from "vitest";
+import {
+  bayerMatrix,
+  bayerThresholdMap,
+  blueNoiseThresholdMap,
+} from "../threshold-maps.js";
+
+// Every rank 0..count-1 should appear exactly once
+function expectAllRanks(thresholds, count) {
+  const ranks = Array.from(thresholds, (t) =>
+    Math.round((t + 0.5) * count - 0.5)
+  );
+  expect(ranks.sort((a, b) => a - b)).toEqual(
+    Array.from({ length: count }, (_, i) => i)
+  );
+}
+
+describe("bayerMatrix", () => {
+  it("should build the standard 2x2 and 4x4 matrices", () => {
+    expect(bayerMatrix(2)).toEqual([
+      [0, 2],
+      [3, 1],
+    ]);
+    expect(bayerMatrix(4)).toEqual([
+      [0, 8, 2, 10],
+      [12, 4, 14, 6],
+      [3, 11, 1, 9],
+      [15, 7, 13, 5],
+    ]);
+  });
+
+  it("should use every rank once in the 8x8 matrix", () => {
+    expectAllRanks(bayerThresholdMap(8).thresholds, 64);
+  });
+});
+
+describe("threshold maps", () => {
+  it("should center Bayer thresholds around zero", () => {
+    const { size, thresholds } = bayerThresholdMap(2);
+
+    expect(size).toBe(2);
+    expect(Array.from(thresholds)).toEqual([-0.375, 0.125, 0.375, -0.125]);
+  });
+
+  it("should build a 64x64 blue-noise map with every level once", () => {
+    const { size, thresholds } = blueNoiseThresholdMap();
+
+    expect(size).toBe(64);
+    expectAllRanks(thresholds, 64 * 64);
+    expect(Math.min(...thresholds)).toBeGreaterThan(-0.5);
+    expect(Math.max(...thresholds)).toBeLessThan(0.5);
+  });
+
+  it("should return the same blue-noise map every time", () => {
+    expect(blueNoiseThresholdMap()).toBe(blueNoiseThresholdMap());
+  });
+
+  it("should spread blue-noise dots evenly at low levels", () => {
+    const { size, thresholds } = blueNoiseThresholdMap();
+    // The darkest 5% of thresholds: no two dots should touch
+    const dots = [];
+    thresholds.forEach((t, i) => {
+      if (t < -0.45) dots.push([i % size, Math.floor(i / size)]);
+    });
+
+    for (const [x1, y1] of dots) {
+      for (const [x2, y2] of dots) {
+        if (x1 === x2 && y1 === y2) continue;
+        const dx = Math.min(Math.abs(x1 - x2), size - Math.abs(x1 - x2));
+        const dy = Math.min(Math.abs(y1 - y2), size - Math.abs(y1 - y2));
+        expect(Math.max(dx, dy)).toBeGreaterThan(1);
+      }
+    }
+  });
+});
@@ -0,0 +1,280 @@
+// Unit tests for the baseline TIFF decoder
+import { describe, it, expect } from "vitest";
+import { decodeTIFF, parseTIFFHeader } from "../tiff-decoder.js";
+
+// Polyfill ImageData for Node.js environment
+if (typeof ImageData === "undefined") {
+  global.ImageData = class ImageData {
+    constructor(dataOrWidth, widthOrHeight, height) {
+      if (dataOrWidth instanceof Uint8ClampedArray) {
+        this.data = dataOrWidth;
+        this.width = widthOrHeight;
+        this.height = height;
+      } else {
+        this.width = dataOrWidth;
+        this.height = widthOrHeight;
+        this.data = new Uint8ClampedArray(dataOrWidth * widthOrHeight * 4);
+      }
+    }
+  };
+}
+
+// PackBits: literal runs only, which every reader must accept, except for
+// runs of 3+ equal bytes
+function packBits(bytes) {
+  const out = [];
+  let i = 0;
+  while (i < bytes.length) {
+    let run = 1;
+    while (i + run < bytes.length && bytes[i + run] === bytes[i] && run < 128) {
+      run++;
+    }
+    if (run >= 3) {
+      out.push((257 - run) & 0xff, bytes[i]);
+      i += run;
+      continue;
+    }
+    const count = Math.min(128, bytes.length - i);
+    out.push(count - 1, ...bytes.slice(i, i + count));
+    i += count;
+  }
+  return out;
+}
+
+// Build a TIFF file: the image file directory comes first, then field
+// values, then one strip per rowsPerStrip rows of the given row bytes
+function buildTIFF({
+  width,
+  height,
+  rows,
+  bitsPerSample = [8],
+  photometric = 1,
+  compression = 1,
+  rowsPerStrip = height,
+  colorMap = null,
+  extraSamples = null,
+  littleEndian = true,
+}) {
+  const strips = [];
+  for (let y = 0; y < height; y += rowsPerStrip) {
+    const bytes = rows.slice(y, y + rowsPerStrip).flat();
+    strips.push(compression === 32773 ? packBits(bytes) : bytes);
+  }
+
+  // [tag, type, values]
+  const fields = [
+    [256, 3, [width]],
+    [257, 3, [height]],
+    [258, 3, bitsPerSample],
+    [259, 3, [compression]],
+    [262, 3, [photometric]],
+    [273, 4, strips.map(() => 0)], // Filled in below
+    [277, 3, [bitsPerSample.length]],
+    [278, 3, [rowsPerStrip]],
+    [279, 4, strips.map((strip) => strip.length)],
+  ];
+  if (colorMap) fields.push([320, 3, colorMap]);
+  if (extraSamples) fields.push([338, 3, extraSamples]);
+
+  const directorySize = 2 + fields.length * 12 + 4;
+  const extra = fields.map(([, type, values]) => {
+    const size = values.length * (type === 3 ? 2 : 4);
+    return size > 4 ? size : 0;
+  });
+  const valuesStart = 8 + directorySize;
+  const stripsStart = valuesStart + extra.reduce((a, b) => a + b, 0);
+  let stripOffset = stripsStart;
+  fields[5][2] = strips.map((strip) => {
+    const offset = stripOffset;
+    stripOffset += strip.length;
+    return offset;
+  });
+
+  const buffer = new ArrayBuffer(stripOffset);
+  const view = new DataView(buffer);
+  view.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+  view.setUint16(2, 42, littleEndian);
+  view.setUint32(4, 8, littleEndian);
+  view.setUint16(8, fields.length, littleEndian);
+
+  let valueOffset = valuesStart;
+  fields.forEach(([tag, type, values], i) => {
+    const entry = 10 + i * 12;
+    view.setUint16(entry, tag, littleEndian);
+    view.setUint16(entry + 2, type, littleEndian);
+    view.setUint32(entry + 4, values.length, littleEndian);
+    let target = entry + 8;
+    if (extra[i] > 0) {
+      view.setUint32(entry + 8, valueOffset, littleEndian);
+      target = valueOffset;
+      valueOffset += extra[i];
+    }
+    values.forEach((value, j) => {
+      if (type === 3) view.setUint16(target + j * 2, value, littleEndian);
+      else view.setUint32(target + j * 4, value, littleEndian);
+    });
+  });
+
+  const bytes = new Uint8Array(buffer);
+  strips.forEach((strip, i) => bytes.set(strip, fields[5][2][i]));
+  return buffer;
+}
+
+function pixelAt(imageData, x, y) {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 4));
+}
+
+describe("decodeTIFF", () => {
+  it("should decode 8-bit RGB stored in several strips", () => {
+    const rows = [
+      [255, 0, 0, 0, 255, 0],
+      [0, 0, 255, 10, 20, 30],
+      [1, 2, 3, 4, 5, 6],
+    ];
+    const image = decodeTIFF(
+      buildTIFF({
+        width: 2,
+        height: 3,
+        rows,
+        bitsPerSample: [8, 8, 8],
+        photometric: 2,
+        rowsPerStrip: 2,
+      })
+    );
+
+    expect([image.width, image.height]).toEqual([2, 3]);
+    expect(pixelAt(image, 0, 0)).toEqual([255, 0, 0, 255]);
+    expect(pixelAt(image, 1, 0)).toEqual([0, 255, 0, 255]);
+    expect(pixelAt(image, 1, 1)).toEqual([10, 20, 30, 255]);
+    expect(pixelAt(image, 1, 2)).toEqual([4, 5, 6, 255]);
+  });
+
+  it("should read big-endian (MM) files", () => {
+    const image = decodeTIFF(
+      buildTIFF({
+        width: 3,
+        height: 1,
+        rows: [[0, 128, 255]],
+        littleEndian: false,
+      })
+    );
+
+    expect(Array.from(image.data)).toEqual([
+      0, 0, 0, 255, 128, 128, 128, 255, 255, 255, 255, 255,
+    ]);
+  });
+
+  it("should decode bilevel rows padded to whole bytes", () => {
+    // WhiteIsZero: set bits are black; 10 pixels take 2 bytes per row
+    const image = decodeTIFF(
+      buildTIFF({
+        width: 10,
+        height: 2,
+        rows: [
+          [0b10000000, 0b01000000],
+          [0b01111111, 0b10000000],
+        ],
+        bitsPerSample: [1],
+        photometric: 0,
+      })
+    );
+    const gray = (y) =>
+      Array.from({ length: 10 }, (_, x) => pixelAt(image, x, y)[0]);
+
+    expect(gray(0)).toEqual([0, 255, 255, 255, 255, 255, 255, 255, 255, 0]);
+    expect(gray(1)).toEqual([255, 0, 0, 0, 0, 0, 0, 0, 0, 255]);
+  });
+
+  it("should look up palette colors in the 16-bit color map", () => {
+    const colorMap = new Array(48).fill(0);
+    colorMap[1] = 0xffff; // Index 1: red
+    colorMap[16 + 2] = 0x8000; // Index 2: half green
+    colorMap[32 + 3] = 0xff00; // Index 3: blue
+    const image = decodeTIFF(
+      buildTIFF({
+        width: 4,
+        height: 1,
+        rows: [[0x12, 0x30]],
+        bitsPerSample: [4],
+        photometric: 3,
+        colorMap,
+      })
+    );
+
+    expect(Array.from(image.data)).toEqual([
+      255, 0, 0, 255, 0, 128, 0, 255, 0, 0, 255, 255, 0, 0, 0, 255,
+    ]);
+  });
+
+  it("should unpack PackBits strips", () => {
+    const row = [...new Array(30).fill(200), 1, 2, 3, 4, 5, 6];
+    const image = decodeTIFF(
+      buildTIFF({
+        width: 12,
+        height: 2,
+        rows: [row, row.slice().reverse()],
+        bitsPerSample: [8, 8, 8],
+        photometric: 2,
+        compression: 32773,
+        rowsPerStrip: 1,
+      })
+    );
+
+    expect(pixelAt(image, 0, 0)).toEqual([200, 200, 200, 255]);
+    expect(pixelAt(image, 11, 0)).toEqual([4, 5, 6, 255]);
+    expect(pixelAt(image, 0, 1)).toEqual([6, 5, 4, 255]);
+  });
+
+  it("should keep unassociated alpha and unpremultiply associated alpha", () => {
+    const build = (extraSamples) =>
+      buildTIFF({
+        width: 1,
+        height: 1,
+        rows: [[100, 50, 0, 128]],
+        bitsPerSample: [8, 8, 8, 8],
+        photometric: 2,
+        extraSamples,
+      });
+
+    expect(Array.from(decodeTIFF(build([2])).data)).toEqual([100, 50, 0, 128]);
+    expect(Array.from(decodeTIFF(build([1])).data)).toEqual([199, 100, 0, 128]);
+    // Unspecified extra samples are not alpha
+    expect(Array.from(decodeTIFF(build([0])).data)).toEqual([100, 50, 0, 255]);
+  });
+
+  it("should reject unsupported and invalid files", () => {
+    const lzw = buildTIFF({ width: 1, height: 1, rows: [[0]], compression: 5 });
+    expect(() => decodeTIFF(lzw)).toThrow("Unsupported TIFF compression: LZW");
+    expect(() => decodeTIFF(new ArrayBuffer(16))).toThrow("Not a TIFF file");
+
+    const truncated = buildTIFF({ width: 4, height: 4, rows: [[1, 2, 3, 4]] });
+    expect(() => decodeTIFF(truncated)).toThrow("truncated");
+  });
+});
+
+describe("parseTIFFHeader", () => {
+  it("should read the baseline fields", () => {
+    const header = parseTIFFHeader(
+      buildTIFF({
+        width: 5,
+        height: 4,
+        rows: [[], [], [], []],
+        bitsPerSample: [8, 8, 8],
+        photometric: 2,
+        rowsPerStrip: 2,
+      })
+    );
+
+    expect(header).toMatchObject({
+      width: 5,
+      height: 4,
+      samplesPerPixel: 3,
+      bitsPerSample: [8, 8, 8],
+      photometric: 2,
+      rowsPerStrip: 2,
+      compressionName: "None",
+    });
+    expect(header.stripOffsets).toHaveLength(2);
+  });
+});
@@ -0,0 +1,82 @@
+// Unit tests for the ZIP writer
+import { describe, it, expect } from "vitest";
+import { crc32, createZip } from "../zip.js";
+
+const encoder = new TextEncoder();
+
+// Read back the central directory of an archive
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  const end = buffer.byteLength - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(offset + 28, true);
+    const size = view.getUint32(offset + 24, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(
+      new Uint8Array(buffer, offset + 46, nameLength)
+    );
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    expect(view.getUint16(localOffset + 8, true)).toBe(0); // Stored
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    entries.push({
+      name,
+      crc: view.getUint32(offset + 16, true),
+      data: new Uint8Array(buffer, dataStart, size),
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe("crc32", () => {
+  it("should match the standard check value", () => {
+    expect(crc32(encoder.encode("123456789"))).toBe(0xcbf43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe("createZip", () => {
+  it("should store every entry uncompressed with its CRC", async () => {
+    const files = [
+      { name: "first.bmp", data: encoder.encode("BM first") },
+      { name: "photos/größe.bmp", data: new Uint8Array([0, 255, 7]) },
+    ];
+    const blob = createZip(files);
+    const entries = readZip(await blob.arrayBuffer());
+
+    expect(blob.type).toBe("application/zip");
+    expect(entries.map((entry) => entry.name)).toEqual([
+      "first.bmp",
+      "photos/größe.bmp",
+    ]);
+    entries.forEach((entry, i) => {
+      expect(Array.from(entry.data)).toEqual(Array.from(files[i].data));
+      expect(entry.crc).toBe(crc32(files[i].data));
+    });
+  });
+
+  it("should write an empty archive", async () => {
+    const buffer = await createZip([]).arrayBuffer();
+
+    expect(buffer.byteLength).toBe(22);
+    expect(readZip(buffer)).toEqual([]);
+  });
+
+  it("should encode the entry date in DOS format", async () => {
+    const date = new Date(2024, 2, 15, 13, 45, 30);
+    const buffer = await createZip([
+      { name: "a.bmp", data: new Uint8Array(1), date },
+    ]).arrayBuffer();
+    const view = new DataView(buffer);
+
+    expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15);
+    expect(view.getUint16(12, true)).toBe((44 << 9) | (3 << 5) | 15);
+  });
+});
@@ -0,0 +1,160 @@
+// Threshold maps for ordered dithering
+// Each map is { size, thresholds } where thresholds is a size x size grid
+// (row-major) of offsets in (-0.5, 0.5), tiled across the image
+
+// Bayer index matrix of the given power-of-two size (values 0..size²-1)
+// Built recursively: each level tiles four copies of the previous one
+export function bayerMatrix(size) {
+  let matrix = [[0]];
+  for (let n = 1; n < size; n *= 2) {
+    const next = [];
+    for (let y = 0; y < n * 2; y++) {
+      next.push(new Array(n * 2));
+    }
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const value = matrix[y][x] * 4;
+        next[y][x] = value;
+        next[y][x + n] = value + 2;
+        next[y + n][x] = value + 3;
+        next[y + n][x + n] = value + 1;
+      }
+    }
+    matrix = next;
+  }
+  return matrix;
+}
+
+// Turn a rank matrix (each value 0..size²-1 once) into threshold offsets
+function toThresholdMap(ranks, size) {
+  const count = size * size;
+  const thresholds = new Float64Array(count);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      thresholds[y * size + x] = (ranks[y][x] + 0.5) / count - 0.5;
+    }
+  }
+  return { size, thresholds };
+}
+
+export function bayerThresholdMap(size) {
+  return toThresholdMap(bayerMatrix(size), size);
+}
+
+// Blue-noise ranks by Ulichney's void-and-cluster method
+// Pixels are ranked by repeatedly filling the emptiest spot ("largest
+// void") under a Gaussian energy on a torus, so any threshold level gives
+// evenly spread dots with no visible grid. A fixed seed keeps it identical
+// on every run, which keeps previews and encodes reproducible.
+function voidAndCluster(size, sigma = 1.5, seed = 1) {
+  const count = size * size;
+
+  // Gaussian weights within a window; beyond 4 sigma they're negligible
+  const radius = Math.min(Math.ceil(sigma * 4), (size >> 1) - 1);
+  const span = radius * 2 + 1;
+  const kernel = new Float64Array(span * span);
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      kernel[(dy + radius) * span + dx + radius] = Math.exp(
+        -(dx * dx + dy * dy) / (2 * sigma ** 2)
+      );
+    }
+  }
+
+  const pattern = new Uint8Array(count);
+  const energy = new Float64Array(count);
+  const ranks = new Int32Array(count);
+
+  // Set or clear a pixel and update the energy around it (wrapping edges)
+  const toggle = (p, on) => {
+    pattern[p] = on ? 1 : 0;
+    const px = p % size;
+    const py = (p - px) / size;
+    const sign = on ? 1 : -1;
+    for (let dy = -radius; dy <= radius; dy++) {
+      const row = ((py + dy + size) % size) * size;
+      const kernelRow = (dy + radius) * span + radius;
+      for (let dx = -radius; dx <= radius; dx++) {
+        energy[row + ((px + dx + size) % size)] +=
+          sign * kernel[kernelRow + dx];
+      }
+    }
+  };
+
+  // Highest energy among set pixels (tightest cluster) or lowest among
+  // empty ones (largest void); the first index wins ties
+  const find = (value, highest) => {
+    let best = -1;
+    for (let p = 0; p < count; p++) {
+      if (pattern[p] !== value) continue;
+      if (
+        best === -1 ||
+        (highest ? energy[p] > energy[best] : energy[p] < energy[best])
+      ) {
+        best = p;
+      }
+    }
+    return best;
+  };
+
+  // Initial pattern: ~10% of pixels from a seeded PRNG
+  let state = seed;
+  const initialCount = Math.max(1, Math.floor(count / 10));
+  let placed = 0;
+  while (placed < initialCount) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    const p = state % count;
+    if (!pattern[p]) {
+      toggle(p, true);
+      placed++;
+    }
+  }
+
+  // Spread the initial points out: move the tightest cluster point into the
+  // largest void until that stops changing anything
+  for (;;) {
+    const cluster = find(1, true);
+    toggle(cluster, false);
+    const hole = find(0, false);
+    toggle(hole, true);
+    if (hole === cluster) break;
+  }
+  const prototype = pattern.slice();
+  const prototypeEnergy = energy.slice();
+
+  // Rank the initial points, removing tightest clusters first
+  for (let rank = initialCount - 1; rank >= 0; rank--) {
+    const cluster = find(1, true);
+    toggle(cluster, false);
+    ranks[cluster] = rank;
+  }
+
+  // Restore the prototype, then rank the rest by filling the largest voids
+  pattern.set(prototype);
+  energy.set(prototypeEnergy);
+  for (let rank = initialCount; rank < count; rank++) {
+    const hole = find(0, false);
+    toggle(hole, true);
+    ranks[hole] = rank;
+  }
+
+  const matrix = [];
+  for (let y = 0; y < size; y++) {
+    matrix.push(Array.from(ranks.subarray(y * size, (y + 1) * size)));
+  }
+  return matrix;
+}
+
+const BLUE_NOISE_SIZE = 64;
+let blueNoiseMap = null;
+
+// Generated on first use and cached
+export function blueNoiseThresholdMap() {
+  if (!blueNoiseMap) {
+    blueNoiseMap = toThresholdMap(
+      voidAndCluster(BLUE_NOISE_SIZE),
+      BLUE_NOISE_SIZE
+    );
+  }
+  return blueNoiseMap;
+}
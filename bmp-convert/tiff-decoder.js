@@ -0,0 +1,286 @@
+// Baseline TIFF decoding - parses the first image of a TIFF file into
+// ImageData, since browsers can't display TIFF
+// Covers what baseline readers must support: bilevel, grayscale, palette and
+// RGB(A) images with 1-8 bits per sample, stored in strips (chunky planar
+// configuration), uncompressed or PackBits-compressed.
+
+// Compression types
+const COMPRESSION_NONE = 1;
+const COMPRESSION_PACKBITS = 32773;
+
+const COMPRESSION_NAMES = {
+  1: "None",
+  2: "CCITT Group 3 (modified Huffman)",
+  3: "CCITT T.4",
+  4: "CCITT T.6",
+  5: "LZW",
+  6: "JPEG (old-style)",
+  7: "JPEG",
+  8: "Deflate",
+  32773: "PackBits",
+  32946: "Deflate",
+};
+
+// Photometric interpretations
+const WHITE_IS_ZERO = 0;
+const BLACK_IS_ZERO = 1;
+const RGB = 2;
+const PALETTE = 3;
+
+// Tags read from the image file directory
+const TAGS = {
+  256: "width",
+  257: "height",
+  258: "bitsPerSample",
+  259: "compression",
+  262: "photometric",
+  273: "stripOffsets",
+  277: "samplesPerPixel",
+  278: "rowsPerStrip",
+  279: "stripByteCounts",
+  284: "planarConfiguration",
+  320: "colorMap",
+  338: "extraSamples",
+};
+
+// Byte size of each field type (BYTE, ASCII, SHORT, LONG, RATIONAL, ...)
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4 };
+
+// Same limit the UI enforces for any image it loads
+const MAX_DIMENSION = 10000;
+
+// Values of one directory entry; those that don't fit in its 4-byte value
+// field are stored at an offset
+function readField(view, entry, littleEndian) {
+  const type = view.getUint16(entry + 2, littleEndian);
+  const count = view.getUint32(entry + 4, littleEndian);
+  const size = TYPE_SIZES[type];
+  if (!size || (type !== 1 && type !== 3 && type !== 4)) {
+    return null; // Not a numeric type any of our tags use
+  }
+
+  const start =
+    size * count > 4 ? view.getUint32(entry + 8, littleEndian) : entry + 8;
+  if (start + size * count > view.byteLength) {
+    throw new Error("TIFF file is truncated (field data past end of file)");
+  }
+
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const offset = start + i * size;
+    if (type === 1) values.push(view.getUint8(offset));
+    else if (type === 3) values.push(view.getUint16(offset, littleEndian));
+    else values.push(view.getUint32(offset, littleEndian));
+  }
+  return values;
+}
+
+// Parse the header and first image file directory into a plain object
+export function parseTIFFHeader(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const byteOrder = view.byteLength >= 8 ? view.getUint16(0) : 0;
+  if (byteOrder !== 0x4949 && byteOrder !== 0x4d4d) {
+    throw new Error("Not a TIFF file (missing 'II' or 'MM' byte order)");
+  }
+
+  const littleEndian = byteOrder === 0x4949;
+  if (view.getUint16(2, littleEndian) !== 42) {
+    throw new Error("Not a baseline TIFF file (BigTIFF is not supported)");
+  }
+
+  const directory = view.getUint32(4, littleEndian);
+  if (directory + 2 > view.byteLength) {
+    throw new Error("TIFF file is truncated (missing image directory)");
+  }
+  const entryCount = view.getUint16(directory, littleEndian);
+  if (directory + 2 + entryCount * 12 > view.byteLength) {
+    throw new Error("TIFF file is truncated (incomplete image directory)");
+  }
+
+  const fields = {};
+  for (let i = 0; i < entryCount; i++) {
+    const entry = directory + 2 + i * 12;
+    const name = TAGS[view.getUint16(entry, littleEndian)];
+    if (name) {
+      fields[name] = readField(view, entry, littleEndian);
+    }
+  }
+
+  const first = (name, fallback) =>
+    fields[name] && fields[name].length > 0 ? fields[name][0] : fallback;
+  const samplesPerPixel = first("samplesPerPixel", 1);
+  const height = first("height", 0);
+  const header = {
+    littleEndian,
+    width: first("width", 0),
+    height,
+    samplesPerPixel,
+    bitsPerSample: fields.bitsPerSample || [1],
+    compression: first("compression", COMPRESSION_NONE),
+    photometric: first("photometric", null),
+    rowsPerStrip: Math.min(first("rowsPerStrip", height), height),
+    stripOffsets: fields.stripOffsets || [],
+    stripByteCounts: fields.stripByteCounts || [],
+    planarConfiguration: first("planarConfiguration", 1),
+    colorMap: fields.colorMap || null,
+    extraSamples: fields.extraSamples || [],
+  };
+  header.compressionName =
+    COMPRESSION_NAMES[header.compression] || `Unknown (${header.compression})`;
+  return header;
+}
+
+// Unpack PackBits run-length data into output, returning the bytes written
+function unpackBits(bytes, output, outputStart, length) {
+  let i = 0;
+  let o = outputStart;
+  const end = outputStart + length;
+  while (i < bytes.length && o < end) {
+    const n = (bytes[i++] << 24) >> 24; // Signed count byte
+    if (n >= 0) {
+      // n + 1 literal bytes
+      const count = Math.min(n + 1, end - o, bytes.length - i);
+      output.set(bytes.subarray(i, i + count), o);
+      i += n + 1;
+      o += count;
+    } else if (n !== -128) {
+      // Next byte repeated 1 - n times (-128 is a no-op)
+      const count = Math.min(1 - n, end - o);
+      output.fill(bytes[i++], o, o + count);
+      o += count;
+    }
+  }
+  return o - outputStart;
+}
+
+function validateHeader(header) {
+  const { width, height, samplesPerPixel, bitsPerSample, photometric } = header;
+
+  if (width <= 0 || height <= 0) {
+    throw new Error(`Invalid TIFF dimensions: ${width}x${height}`);
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(
+      `TIFF dimensions too large: ${width}x${height} (max ${MAX_DIMENSION}px)`
+    );
+  }
+  if (
+    header.compression !== COMPRESSION_NONE &&
+    header.compression !== COMPRESSION_PACKBITS
+  ) {
+    throw new Error(`Unsupported TIFF compression: ${header.compressionName}`);
+  }
+  if (header.planarConfiguration !== 1 && samplesPerPixel > 1) {
+    throw new Error("Unsupported TIFF layout: separate color planes");
+  }
+  if (header.stripOffsets.length === 0) {
+    throw new Error("TIFF file has no image data (tiled TIFF?)");
+  }
+
+  const bits = bitsPerSample[0];
+  if (bitsPerSample.some((b) => b !== bits) || ![1, 2, 4, 8].includes(bits)) {
+    throw new Error(
+      `Unsupported TIFF bit depth: ${bitsPerSample.join(",")} bits per sample`
+    );
+  }
+
+  if (photometric === RGB) {
+    if (samplesPerPixel < 3 || bits !== 8) {
+      throw new Error("Unsupported TIFF RGB format (needs 8-bit samples)");
+    }
+  } else if (photometric === PALETTE) {
+    if (!header.colorMap || header.colorMap.length < 3 << bits) {
+      throw new Error("TIFF palette image is missing its color map");
+    }
+  } else if (photometric !== WHITE_IS_ZERO && photometric !== BLACK_IS_ZERO) {
+    throw new Error(
+      `Unsupported TIFF color space (photometric interpretation ${photometric})`
+    );
+  }
+}
+
+export function decodeTIFF(arrayBuffer) {
+  const header = parseTIFFHeader(arrayBuffer);
+  validateHeader(header);
+
+  const { width, height, samplesPerPixel, photometric } = header;
+  const bits = header.bitsPerSample[0];
+  const rowBytes = Math.ceil((width * samplesPerPixel * bits) / 8);
+
+  // Gather the strips into one buffer of byte-aligned rows
+  const pixels = new Uint8Array(rowBytes * height);
+  const stripSize = rowBytes * header.rowsPerStrip;
+  let written = 0;
+  header.stripOffsets.forEach((offset, i) => {
+    if (written >= pixels.length) return;
+    const byteCount =
+      header.stripByteCounts[i] ?? Math.min(stripSize, pixels.length - written);
+    if (offset + byteCount > arrayBuffer.byteLength) {
+      throw new Error("TIFF file is truncated (incomplete pixel data)");
+    }
+    const strip = new Uint8Array(arrayBuffer, offset, byteCount);
+    const length = Math.min(stripSize, pixels.length - written);
+    if (header.compression === COMPRESSION_PACKBITS) {
+      written += unpackBits(strip, pixels, written, length);
+    } else {
+      const count = Math.min(length, strip.length);
+      pixels.set(strip.subarray(0, count), written);
+      written += count;
+    }
+  });
+  if (written < pixels.length) {
+    throw new Error("TIFF file is truncated (incomplete pixel data)");
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  const maxValue = (1 << bits) - 1;
+  // Unassociated (2) or associated/premultiplied (1) alpha in the 4th sample
+  const alphaType =
+    photometric === RGB && samplesPerPixel > 3 ? header.extraSamples[0] : 0;
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * rowBytes;
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+
+      if (photometric === RGB) {
+        const i = rowStart + x * samplesPerPixel;
+        const alpha = alphaType === 1 || alphaType === 2 ? pixels[i + 3] : 255;
+        if (alphaType === 1 && alpha > 0 && alpha < 255) {
+          data[o] = Math.round((pixels[i] * 255) / alpha);
+          data[o + 1] = Math.round((pixels[i + 1] * 255) / alpha);
+          data[o + 2] = Math.round((pixels[i + 2] * 255) / alpha);
+        } else {
+          data[o] = pixels[i];
+          data[o + 1] = pixels[i + 1];
+          data[o + 2] = pixels[i + 2];
+        }
+        data[o + 3] = alpha;
+        continue;
+      }
+
+      // Single-sample pixels, packed most significant bit first; extra
+      // samples (such as gray + alpha) are skipped
+      const bitOffset = x * samplesPerPixel * bits;
+      const byte = pixels[rowStart + (bitOffset >> 3)];
+      const value = (byte >> (8 - bits - (bitOffset & 7))) & maxValue;
+
+      if (photometric === PALETTE) {
+        // 16-bit color map: all reds, then all greens, then all blues
+        const colors = 1 << bits;
+        data[o] = header.colorMap[value] >> 8;
+        data[o + 1] = header.colorMap[colors + value] >> 8;
+        data[o + 2] = header.colorMap[2 * colors + value] >> 8;
+      } else {
+        const level = Math.round((value * 255) / maxValue);
+        const gray = photometric === WHITE_IS_ZERO ? 255 - level : level;
+        data[o] = gray;
+        data[o + 1] = gray;
+        data[o + 2] = gray;
+      }
+      data[o + 3] = 255;
+    }
+  }
+
+  return new ImageData(data, width, height);
+}
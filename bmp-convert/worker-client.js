@@ -0,0 +1,174 @@
+// Runs processing jobs in a module worker so the page stays responsive
+// Each channel ("preview", "encode", ...) has its own worker. Starting a job
+// cancels the unfinished job on the same channel: a busy worker can't be
+// interrupted, so it is terminated and the stale job rejects with an
+// AbortError. Falls back to the main thread where module workers fail to load.
+import { runJob } from "./processing.js";
+
+const channels = new Map(); // channel -> { thread: { worker, ready }, job }
+let nextJobId = 1;
+let workersAvailable = typeof Worker !== "undefined";
+
+function createAbortError() {
+  const error = new Error("Job was cancelled by a newer job");
+  error.name = "AbortError";
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+function getChannel(channel) {
+  if (!channels.has(channel)) {
+    channels.set(channel, { thread: null, job: null });
+  }
+  return channels.get(channel);
+}
+
+// Start a worker; ready resolves once its module has loaded and rejects if
+// it can't (no module worker support), before any buffer is transferred
+function createWorker() {
+  let worker;
+  try {
+    worker = new Worker(new URL("./processing-worker.js", import.meta.url), {
+      type: "module",
+    });
+  } catch (error) {
+    return null;
+  }
+
+  const ready = new Promise((resolve, reject) => {
+    worker.onmessage = (e) => {
+      if (e.data.type === "ready") resolve();
+    };
+    worker.onerror = (e) => {
+      e.preventDefault();
+      reject(new Error("Processing worker failed to load"));
+    };
+  });
+  return { worker, ready };
+}
+
+// Cancel the unfinished job on a channel, if any
+export function cancelJob(channel) {
+  const state = channels.get(channel);
+  if (!state || !state.job) return;
+
+  state.job.reject(createAbortError());
+  state.job = null;
+  if (state.thread) {
+    state.thread.worker.terminate();
+    state.thread = null;
+  }
+}
+
+// Fallback: run on the main thread after a tick, unless superseded by then
+function runOnMainThread(state, job, request, onProgress) {
+  setTimeout(() => {
+    if (state.job !== job) return;
+    state.job = null;
+    try {
+      job.resolve(runJob(request, onProgress));
+    } catch (error) {
+      job.reject(error);
+    }
+  }, 0);
+}
+
+// Rebuild the result from the worker's transferred buffer
+function unpackResult(type, message) {
+  if (type === "preview" || type === "resample") {
+    return {
+      imageData: new ImageData(
+        new Uint8ClampedArray(message.buffer),
+        message.width,
+        message.height
+      ),
+      estimatedSize: message.estimatedSize,
+    };
+  }
+  if (type === "palette") {
+    return { colors: message.colors };
+  }
+  return { blob: new Blob([message.buffer], { type: "image/bmp" }) };
+}
+
+// Run a job: { type: "preview" | "encode" | "palette" | "resample",
+// imageData, level, options }
+// Resolves like runJob in processing.js; onProgress(stage, fraction)
+// receives the worker's progress messages. imageData's buffer is
+// transferred to the worker, so it can't be used after this call.
+export function runProcessingJob(channel, request, onProgress = () => {}) {
+  cancelJob(channel);
+  const state = getChannel(channel);
+
+  return new Promise((resolve, reject) => {
+    const job = { id: nextJobId++, resolve, reject };
+    state.job = job;
+
+    if (workersAvailable && !state.thread) {
+      state.thread = createWorker();
+    }
+    if (!state.thread) {
+      runOnMainThread(state, job, request, onProgress);
+      return;
+    }
+
+    const { worker, ready } = state.thread;
+    ready.then(
+      () => {
+        if (state.job !== job) return;
+
+        worker.onmessage = (e) => {
+          const message = e.data;
+          if (message.id !== job.id || state.job !== job) return;
+
+          if (message.type === "progress") {
+            onProgress(message.stage, message.progress);
+            return;
+          }
+
+          state.job = null;
+          if (message.type === "error") {
+            reject(new Error(message.message));
+          } else {
+            resolve(unpackResult(request.type, message));
+          }
+        };
+
+        worker.onerror = (e) => {
+          e.preventDefault();
+          if (state.job !== job) return;
+          state.job = null;
+          reject(new Error(e.message || "Processing worker crashed"));
+        };
+
+        const { imageData, type, level, options } = request;
+        const buffer = imageData.data.buffer;
+        worker.postMessage(
+          {
+            id: job.id,
+            type,
+            width: imageData.width,
+            height: imageData.height,
+            buffer,
+            level,
+            options,
+          },
+          [buffer]
+        );
+      },
+      () => {
+        workersAvailable = false;
+        worker.terminate();
+        if (state.thread?.worker === worker) {
+          state.thread = null;
+        }
+        if (state.job === job) {
+          runOnMainThread(state, job, request, onProgress);
+        }
+      }
+    );
+  });
+}
@@ -0,0 +1,101 @@
+// Minimal ZIP writer for batch downloads: stored (uncompressed) entries only
+// No deflate and no ZIP64, so each entry and the whole archive must stay
+// under 4 GB and 65535 entries. Names are written as UTF-8 (general purpose
+// flag bit 11).
+
+let crcTable = null;
+
+function getCRCTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+// CRC-32 (IEEE 802.3) of a byte array
+export function crc32(bytes) {
+  const table = getCRCTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields (local time, 2-second resolution, 1980+)
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Build a ZIP archive from [{ name, data: Uint8Array, date? }]
+export function createZip(entries) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const { time, date } = dosDateTime(entry.date || new Date());
+    const crc = crc32(entry.data);
+    const size = entry.data.length;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed (2.0)
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // Stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, size, true); // Compressed size
+    local.setUint32(22, size, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+    parts.push(new Uint8Array(local.buffer), name, entry.data);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, 0x02014b50, true); // Central directory signature
+    header.setUint16(4, 20, true); // Version made by
+    header.setUint16(6, 20, true); // Version needed
+    header.setUint16(8, 0x0800, true);
+    header.setUint16(10, 0, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, size, true);
+    header.setUint32(24, size, true);
+    header.setUint16(28, name.length, true);
+    // Extra, comment, disk number, internal/external attributes: all zero
+    header.setUint32(42, offset, true); // Local header offset
+    central.push(new Uint8Array(header.buffer), name);
+
+    offset += 30 + name.length + size;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, entries.length, true); // Entries on this disk
+  end.setUint16(10, entries.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Central directory offset
+
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)], {
+    type: "application/zip",
+  });
+}